@@ -12,6 +12,15 @@
  *    database bloat. (Note: We also use TTL index as backup)
  * 
  * 3. ALERT CLEANUP: Weekly, archive old resolved SOS alerts.
+ *
+ * 4. ROUTE TRAVEL STATS: Hourly, rebuild per-segment travel times used for
+ *    stop ETAs.
+ *
+ * 5. DOCUMENT EXPIRY: Daily, warn about expiring licenses and OR/CR and
+ *    suspend tracking once they lapsed.
+ *
+ * 6. SOS ESCALATION: Every 15 seconds, escalate SOS alerts nobody
+ *    acknowledged in time.
  * 
  * These tasks run server-side and are essential for system health.
  * On Render free tier, the server may sleep, so Uptime Robot pings
@@ -22,7 +31,12 @@ import cron from 'node-cron';
 import { Server } from 'socket.io';
 import { Vehicle, GPSHistory, SOSAlert } from '../models';
 import { markVehicleOffline } from '../socket/handlers';
-import { SOCKET_EVENTS, SOCKET_ROOMS } from '../types';
+import { endSpeeding } from '../socket/speeding';
+import { updateAllRouteTravelStats } from '../utils/routeEta';
+import { notifyAdmins } from '../utils/notifications';
+import { checkDocumentExpiry } from '../utils/documentExpiry';
+import { escalateOverdueAlerts } from '../utils/sosIncidents';
+import { SOCKET_EVENTS } from '../types';
 
 /**
  * Initialize all cron tasks
@@ -57,6 +71,11 @@ export function initializeCronTasks(io: Server): void {
 
       for (const vehicle of offlineVehicles) {
         await markVehicleOffline(io, vehicle._id.toString());
+
+        // Close any speeding episode at the last known position
+        if (vehicle.speeding && vehicle.currentLocation) {
+          await endSpeeding(io, vehicle, vehicle.currentLocation);
+        }
         console.log(`Vehicle ${vehicle.vehicleNumber} marked offline`);
       }
 
@@ -130,17 +149,74 @@ export function initializeCronTasks(io: Server): void {
       if (pendingDrivers > 0) {
         console.log(`Reminder: ${pendingDrivers} vehicles pending verification for >24h`);
         
-        // Emit to admin room as a notification
-        io.to(SOCKET_ROOMS.ADMIN).emit('notification', {
+        // Goes to every admin's inbox, and live to those online
+        await notifyAdmins(io, {
           type: 'pending_verification',
+          title: 'Pending verifications',
           message: `${pendingDrivers} vehicles awaiting verification`,
-          timestamp: new Date(),
-        });
+        }, 'verifications:review');
       }
     } catch (error) {
       console.error('Pending reminder cron error:', error);
     }
   });
 
+  /**
+   * ROUTE TRAVEL STATS
+   * Runs hourly at :15
+   *
+   * MENTOR NOTE: Stop ETAs use how long each stop-to-stop segment has taken
+   * at each hour of day. Rebuilding hourly keeps them tracking changes in
+   * traffic without reading GPS history on every update.
+   */
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const count = await updateAllRouteTravelStats();
+      if (count > 0) {
+        console.log(`Route travel stats updated for ${count} routes`);
+      }
+    } catch (error) {
+      console.error('Route travel stats cron error:', error);
+    }
+  });
+
+  /**
+   * DOCUMENT EXPIRY
+   * Runs daily at 8 AM
+   *
+   * MENTOR NOTE: Warnings go out 30, 7 and 1 days before a license or OR/CR
+   * expires (each only once), so drivers have time to renew. Lapsed
+   * documents suspend tracking - see utils/documentExpiry.ts.
+   */
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      const { warned, suspended } = await checkDocumentExpiry(io);
+      if (warned > 0 || suspended > 0) {
+        console.log(`Document expiry: ${warned} warnings sent, ${suspended} suspended`);
+      }
+    } catch (error) {
+      console.error('Document expiry cron error:', error);
+    }
+  });
+
+  /**
+   * SOS ESCALATION
+   * Runs every 15 seconds
+   *
+   * MENTOR NOTE: An SOS nobody acknowledged within SOS_ESCALATION_SECONDS
+   * is broadcast again and sent to the fallback list - see
+   * utils/sosIncidents.ts.
+   */
+  cron.schedule('*/15 * * * * *', async () => {
+    try {
+      const escalated = await escalateOverdueAlerts(io);
+      if (escalated > 0) {
+        console.log(`SOS escalation: ${escalated} unacknowledged alerts escalated`);
+      }
+    } catch (error) {
+      console.error('SOS escalation cron error:', error);
+    }
+  });
+
   console.log('Cron tasks initialized successfully');
 }
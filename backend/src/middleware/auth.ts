@@ -4,12 +4,20 @@
  * =============================================================================
  * 
  * MENTOR NOTE: JWT-based authentication middleware.
+ *
+ * Access tokens are short-lived and tied to a session (utils/sessions.ts).
+ * Every request and socket connection also checks that the session is not
+ * revoked and the user is still active, so signing out or deactivating an
+ * account cuts off existing tokens.
  */
 
 import { Request, Response, NextFunction } from 'express';
+import { Socket } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import { User } from '../models';
-import { UserRole } from '../types';
+import { Permission, UserRole } from '../types';
+import { permissionsFor } from '../utils/permissions';
+import { ACCESS_TOKEN_TTL_MINUTES, validateSession } from '../utils/sessions';
 
 // Extend Express Request to include user info
 declare global {
@@ -20,7 +28,12 @@ declare global {
         email: string;
         role: UserRole;
         name: string;
+        sessionId?: string;
       };
+      // Company whose fleet a company user is limited to (see scopeCompany)
+      companyId?: string;
+      // Loaded by requirePermission
+      permissions?: Permission[];
     }
   }
 }
@@ -30,8 +43,29 @@ interface JWTPayload {
   email: string;
   role: UserRole;
   name: string;
+  sid?: string; // session id
 }
 
+/**
+ * Verify a JWT and return the user it was issued to.
+ * Shared by the Express and Socket.io middlewares so both accept the same tokens.
+ * Throws if the token is invalid or expired.
+ */
+export const verifyToken = (token: string): NonNullable<Request['user']> => {
+  const decoded = jwt.verify(
+    token,
+    process.env.JWT_SECRET || 'fallback-secret'
+  ) as JWTPayload;
+
+  return {
+    id: decoded.id,
+    email: decoded.email,
+    role: decoded.role,
+    name: decoded.name,
+    sessionId: decoded.sid,
+  };
+};
+
 /**
  * Verify JWT token and attach user to request
  */
@@ -49,22 +83,74 @@ export const authenticate = async (
     }
 
     const token = authHeader.split(' ')[1];
-    
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'fallback-secret'
-    ) as JWTPayload;
-
-    req.user = {
-      id: decoded.id,
-      email: decoded.email,
-      role: decoded.role,
-      name: decoded.name,
-    };
 
+    let user: NonNullable<Request['user']>;
+    try {
+      user = verifyToken(token);
+    } catch (error) {
+      res.status(401).json({ error: 'Invalid or expired token' });
+      return;
+    }
+
+    const sessionError = await validateSession(user.id, user.sessionId);
+    if (sessionError) {
+      res.status(401).json({ error: sessionError });
+      return;
+    }
+
+    req.user = user;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+};
+
+/**
+ * Socket.io handshake middleware
+ * 
+ * MENTOR NOTE: Clients pass their JWT as `auth: { token }` when connecting
+ * (or as a Bearer Authorization header). A valid token attaches the user to
+ * `socket.data.user`; an invalid one rejects the connection. Sockets without
+ * a token are allowed through as anonymous viewers - the room checks in
+ * socket/handlers.ts only let them into the public map.
+ *
+ * The session is checked once, on connect. Revoking it later disconnects
+ * the socket (see revokeSessions); reconnecting needs a fresh access token.
+ */
+export const authenticateSocket = async (
+  socket: Socket,
+  next: (err?: Error) => void
+): Promise<void> => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token
+    || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : undefined);
+
+  if (!token) {
+    next();
+    return;
+  }
+
+  let user: NonNullable<Request['user']>;
+  try {
+    user = verifyToken(token);
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+    return;
+  }
+
+  try {
+    const sessionError = await validateSession(user.id, user.sessionId);
+    if (sessionError) {
+      next(new Error(sessionError));
+      return;
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Failed to authenticate'));
   }
 };
 
@@ -88,17 +174,86 @@ export const authorize = (...allowedRoles: UserRole[]) => {
 };
 
 /**
- * Generate JWT token for a user
+ * Permission-based access control middleware factory
+ *
+ * MENTOR NOTE: Use after `authenticate` (and `authorize` where a route is
+ * limited to some roles). Permissions are read from the database, not the
+ * token, so changes apply right away. Passes if the user has any of the
+ * listed permissions.
+ */
+export const requirePermission = (...required: Permission[]) => {
+  return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+    if (!req.user) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      if (!req.permissions) {
+        const user = await User.findById(req.user.id).select('role adminRole permissions');
+        req.permissions = user ? permissionsFor(user) : [];
+      }
+
+      if (!required.some(permission => req.permissions!.includes(permission))) {
+        res.status(403).json({ error: 'Insufficient permissions' });
+        return;
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+};
+
+/**
+ * Company portal scoping
+ *
+ * MENTOR NOTE: Company users share routes with admins but only see their own
+ * fleet. For them this checks the company is approved and active, then sets
+ * `req.companyId` (the company user's id - vehicles and drivers point at it),
+ * which routes add to every query (see utils/companyScope.ts). Other roles
+ * pass through with `req.companyId` unset. Use after `authenticate`.
+ */
+export const scopeCompany = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+): Promise<void> => {
+  if (req.user?.role !== 'company') {
+    next();
+    return;
+  }
+
+  try {
+    const company = await User.findById(req.user.id).select('verificationStatus isActive');
+    if (!company || !company.isActive || company.verificationStatus !== 'approved') {
+      res.status(403).json({ error: 'Company account is not approved' });
+      return;
+    }
+
+    req.companyId = req.user.id;
+    next();
+  } catch (error) {
+    console.error('Company scope error:', error);
+    res.status(500).json({ error: 'Failed to check company account' });
+  }
+};
+
+/**
+ * Generate a short-lived access token for a user's session
  */
-export const generateToken = (user: any): string => {
+export const generateToken = (user: any, sessionId: string): string => {
   return jwt.sign(
     {
       id: user._id.toString(),
       email: user.email,
       role: user.role,
       name: user.name,
+      sid: sessionId,
     },
     process.env.JWT_SECRET || 'fallback-secret',
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }
   );
 };
@@ -0,0 +1,68 @@
+/**
+ * =============================================================================
+ * ACCOUNT TOKEN MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * MENTOR NOTE: One-time tokens emailed to a user: a password reset link or
+ * an email verification link. Only a hash of the token is stored, so a
+ * database leak doesn't let anyone reset passwords. Each token works once
+ * (`usedAt`) and MongoDB deletes it after it expired (TTL index).
+ *
+ * Verification tokens remember the email they were sent to, so a link
+ * doesn't verify an address the user has since changed.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type AccountTokenPurpose = 'password_reset' | 'email_verification';
+
+export interface IAccountTokenDocument extends Document {
+  userId: mongoose.Types.ObjectId;
+  purpose: AccountTokenPurpose;
+  tokenHash: string;
+  email: string;
+  expiresAt: Date;
+  usedAt?: Date | null;
+  createdAt: Date;
+}
+
+const AccountTokenSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AccountTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AccountToken = mongoose.model<IAccountTokenDocument>('AccountToken', AccountTokenSchema);
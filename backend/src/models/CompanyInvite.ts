@@ -0,0 +1,62 @@
+/**
+ * =============================================================================
+ * COMPANY INVITE MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * MENTOR NOTE: Companies invite drivers with a short code. The driver enters
+ * it when registering (`inviteCode`) or later (POST /api/auth/join-company)
+ * and becomes part of the company's fleet. Each code works once; it is
+ * claimed atomically so two drivers can't both use it.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export interface ICompanyInviteDocument extends Document {
+  companyId: mongoose.Types.ObjectId;
+  code: string;
+  email?: string; // who it was meant for, if the company said so
+  expiresAt: Date;
+  usedBy?: mongoose.Types.ObjectId | null;
+  usedAt?: Date | null;
+  createdAt: Date;
+}
+
+const CompanyInviteSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+CompanyInviteSchema.index({ companyId: 1, createdAt: -1 });
+
+export const CompanyInvite = mongoose.model<ICompanyInviteDocument>('CompanyInvite', CompanyInviteSchema);
@@ -11,6 +11,7 @@ export interface IGPSHistoryDocument extends Document {
   vehicleId: mongoose.Types.ObjectId;
   driverId: mongoose.Types.ObjectId;
   location: GPSLocation;
+  clientId?: string; // the app's id for a point buffered offline
   createdAt: Date;
 }
 
@@ -42,6 +43,10 @@ const GPSHistorySchema = new Schema(
       type: GPSLocationSchema,
       required: true,
     },
+    clientId: {
+      type: String,
+      maxlength: 64,
+    },
   },
   {
     timestamps: true,
@@ -50,6 +55,11 @@ const GPSHistorySchema = new Schema(
 
 GPSHistorySchema.index({ vehicleId: 1, createdAt: -1 });
 GPSHistorySchema.index({ driverId: 1, createdAt: -1 });
+// A buffered point synced again (after a timeout) is stored once
+GPSHistorySchema.index(
+  { driverId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 GPSHistorySchema.index(
   { createdAt: 1 },
   { expireAfterSeconds: 30 * 24 * 60 * 60 }
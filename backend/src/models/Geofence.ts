@@ -4,31 +4,76 @@
  * =============================================================================
  * 
  * Defines geographic zones for tracking vehicle entry/exit events.
- * Supports circular geofences (center point + radius).
+ * Supports three shapes:
+ * - circle: center point + radius (the original geofence type)
+ * - polygon: an ordered list of vertices (e.g. a school campus boundary)
+ * - corridor: a polyline path buffered by a width in meters (e.g. a highway stretch)
+ *
+ * `center` is always set: for polygons and corridors it is the middle of the
+ * shape's bounding box, used for map markers and labels.
+ *
+ * A geofence can also be limited in time (`schedule`, e.g. a school zone only
+ * on weekday mornings and afternoons) and to certain vehicles (`appliesTo`).
+ * Empty lists mean "no restriction". See utils/geofenceRules.ts.
  */
 
 import mongoose, { Schema, Document } from 'mongoose';
+import { GeofenceShape, LatLng } from '../utils/geo';
+import { DEFAULT_TIMEZONE, ScheduleWindow } from '../utils/schedule';
+import { VehicleType } from '../types';
 
 export interface IGeofenceDocument extends Document {
   name: string;
   description?: string;
   type: 'terminal' | 'school' | 'restricted' | 'checkpoint' | 'custom';
+  shape: GeofenceShape;
   center: {
     latitude: number;
     longitude: number;
   };
-  radius: number; // in meters
+  radius?: number; // in meters (circle only)
+  polygon?: LatLng[]; // vertices (polygon only)
+  path?: LatLng[]; // centerline (corridor only)
+  width?: number; // total corridor width in meters (corridor only)
   isActive: boolean;
   alertOnEntry: boolean;
   alertOnExit: boolean;
   notifyAdmin: boolean;
   notifyDriver: boolean;
+  dwellAlertMinutes?: number; // alert once a vehicle stays inside longer than this
+  speedLimitKmh?: number; // overrides the vehicle type's default limit inside
+  schedule?: {
+    timezone: string;
+    windows: ScheduleWindow[]; // empty = armed all the time
+  };
+  appliesTo?: {
+    vehicleTypes: VehicleType[];
+    companyIds: mongoose.Types.ObjectId[];
+    vehicleIds: mongoose.Types.ObjectId[];
+  };
   color?: string; // for map display
   createdBy?: mongoose.Types.ObjectId;
   createdAt: Date;
   updatedAt: Date;
 }
 
+const LatLngSchema = new Schema(
+  {
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+  },
+  { _id: false }
+);
+
+const ScheduleWindowSchema = new Schema(
+  {
+    days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  },
+  { _id: false }
+);
+
 const GeofenceSchema = new Schema(
   {
     name: {
@@ -45,17 +90,36 @@ const GeofenceSchema = new Schema(
       enum: ['terminal', 'school', 'restricted', 'checkpoint', 'custom'],
       default: 'custom',
     },
+    shape: {
+      type: String,
+      enum: ['circle', 'polygon', 'corridor'],
+      default: 'circle',
+    },
     center: {
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true },
     },
     radius: {
       type: Number,
-      required: true,
-      default: 100, // 100 meters default
+      required: function (this: any) {
+        return !this.shape || this.shape === 'circle';
+      },
       min: 10,
       max: 10000,
     },
+    polygon: {
+      type: [LatLngSchema],
+      default: undefined,
+    },
+    path: {
+      type: [LatLngSchema],
+      default: undefined,
+    },
+    width: {
+      type: Number,
+      min: 5,
+      max: 2000,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -76,6 +140,34 @@ const GeofenceSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Dwell rule, e.g. 20 for "more than 20 minutes at the terminal" or 2 for
+    // "lingering in a restricted zone". Unset means no dwell alerts.
+    dwellAlertMinutes: {
+      type: Number,
+      min: 0.5,
+      max: 24 * 60,
+    },
+    // Speed limit inside the geofence (e.g. 20 in a school zone). Applies
+    // while the geofence is armed; the lowest limit wins when zones overlap.
+    speedLimitKmh: {
+      type: Number,
+      min: 5,
+      max: 200,
+    },
+    // When the geofence is armed, in the geofence's local timezone
+    schedule: {
+      timezone: { type: String, default: DEFAULT_TIMEZONE },
+      windows: { type: [ScheduleWindowSchema], default: [] },
+    },
+    // Which vehicles the geofence applies to (a vehicle must match every non-empty list)
+    appliesTo: {
+      vehicleTypes: [{
+        type: String,
+        enum: ['bus', 'van', 'multicab', 'car', 'motorcycle'],
+      }],
+      companyIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      vehicleIds: [{ type: Schema.Types.ObjectId, ref: 'Vehicle' }],
+    },
     color: {
       type: String,
       default: '#3B82F6', // Blue
@@ -3,16 +3,23 @@
  * GEOFENCE EVENT MODEL - MongoDB Schema
  * =============================================================================
  * 
- * Logs vehicle entry/exit events for geofences.
+ * Logs vehicle entry/exit events for geofences, plus "dwell" events when a
+ * vehicle stays inside longer than the geofence's dwellAlertMinutes.
+ * 
+ * dwellSeconds is set on exit events (total time spent inside, for average
+ * wait time reports) and on dwell events (time inside when the alert fired).
  */
 
 import mongoose, { Schema, Document } from 'mongoose';
 
+export type GeofenceEventType = 'entry' | 'exit' | 'dwell';
+
 export interface IGeofenceEventDocument extends Document {
   geofenceId: mongoose.Types.ObjectId;
   vehicleId: mongoose.Types.ObjectId;
   driverId?: mongoose.Types.ObjectId;
-  eventType: 'entry' | 'exit';
+  eventType: GeofenceEventType;
+  dwellSeconds?: number;
   location: {
     latitude: number;
     longitude: number;
@@ -40,9 +47,12 @@ const GeofenceEventSchema = new Schema(
     },
     eventType: {
       type: String,
-      enum: ['entry', 'exit'],
+      enum: ['entry', 'exit', 'dwell'],
       required: true,
     },
+    dwellSeconds: {
+      type: Number,
+    },
     location: {
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true },
@@ -0,0 +1,93 @@
+/**
+ * =============================================================================
+ * HARSH DRIVING EVENT MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * Harsh acceleration, harsh braking and sharp cornering detected from two
+ * consecutive GPS points of a vehicle (see socket/harshDriving.ts).
+ *
+ * `value` is the measured acceleration in m/s²: longitudinal for
+ * acceleration/braking (braking stored as a positive number), lateral for
+ * cornering. `threshold` is the limit that was exceeded.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type HarshDrivingEventType = 'harsh_acceleration' | 'harsh_braking' | 'sharp_cornering';
+
+export interface IHarshDrivingEventDocument extends Document {
+  vehicleId: mongoose.Types.ObjectId;
+  driverId?: mongoose.Types.ObjectId;
+  eventType: HarshDrivingEventType;
+  value: number; // m/s²
+  threshold: number; // m/s²
+  speedBefore: number; // km/h
+  speedAfter: number; // km/h
+  headingChange?: number; // degrees, cornering only
+  intervalSeconds: number;
+  location: {
+    latitude: number;
+    longitude: number;
+    speed?: number;
+  };
+  timestamp: Date;
+  createdAt: Date;
+}
+
+const HarshDrivingEventSchema = new Schema(
+  {
+    vehicleId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+    },
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    eventType: {
+      type: String,
+      enum: ['harsh_acceleration', 'harsh_braking', 'sharp_cornering'],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    speedBefore: {
+      type: Number,
+      default: 0,
+    },
+    speedAfter: {
+      type: Number,
+      default: 0,
+    },
+    headingChange: Number,
+    intervalSeconds: {
+      type: Number,
+      required: true,
+    },
+    location: {
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true },
+      speed: { type: Number, default: 0 },
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+HarshDrivingEventSchema.index({ driverId: 1, timestamp: -1 });
+HarshDrivingEventSchema.index({ vehicleId: 1, timestamp: -1 });
+HarshDrivingEventSchema.index({ eventType: 1, timestamp: -1 });
+
+export const HarshDrivingEvent = mongoose.model<IHarshDrivingEventDocument>('HarshDrivingEvent', HarshDrivingEventSchema);
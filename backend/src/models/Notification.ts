@@ -0,0 +1,85 @@
+/**
+ * =============================================================================
+ * NOTIFICATION MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * In-app inbox. Every notification is stored per recipient, so users who
+ * were offline when it happened still see it, and each user has their own
+ * read state. Delivered live over the socket when the recipient is online
+ * (see utils/notifications.ts).
+ *
+ * Notifications are kept for 90 days.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type NotificationType =
+  | 'verification'
+  | 'pending_verification'
+  | 'geofence'
+  | 'sos'
+  | 'stop_approaching'
+  | 'document_expiry'
+  | 'company_invite'
+  | 'system';
+
+export interface INotificationDocument extends Document {
+  userId: mongoose.Types.ObjectId;
+  type: NotificationType;
+  title: string;
+  message: string;
+  data?: Record<string, any>; // ids etc. so the client can link to the item
+  readAt?: Date | null;
+  createdAt: Date;
+}
+
+const NotificationSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'verification',
+        'pending_verification',
+        'geofence',
+        'sos',
+        'stop_approaching',
+        'document_expiry',
+        'company_invite',
+        'system',
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: Schema.Types.Mixed,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+NotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+export const Notification = mongoose.model<INotificationDocument>('Notification', NotificationSchema);
@@ -0,0 +1,163 @@
+/**
+ * =============================================================================
+ * ROUTE MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * A scheduled route: an ordered list of stops (terminal/school geofences),
+ * the planned path between them for drawing on maps, and timetables with the
+ * departure times from the first stop per day type.
+ *
+ * Each stop has `offsetMinutes`, the planned minutes after departure that a
+ * vehicle should reach it, so a 06:00 departure reaches a stop with offset
+ * 25 at 06:25. Vehicles are put on a route by setting `Vehicle.routeId`.
+ *
+ * `travelStats` is rebuilt hourly from GPS history (see utils/routeEta.ts)
+ * and holds how long each stop-to-stop segment takes by hour of day.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+import { LatLng } from '../utils/geo';
+import { DEFAULT_TIMEZONE } from '../utils/schedule';
+
+// 'daily' timetables apply every day unless a more specific one exists
+export type RouteDayType = 'weekday' | 'saturday' | 'sunday' | 'daily';
+
+export interface IRouteStop {
+  geofenceId: mongoose.Types.ObjectId;
+  name: string;
+  offsetMinutes: number;
+}
+
+export interface IRouteTimetable {
+  dayType: RouteDayType;
+  departures: string[]; // "HH:mm" from the first stop
+}
+
+// Pace in seconds per meter, including time spent stopped along the way
+export interface IRouteSegmentStats {
+  overall: number | null;
+  hourly: (number | null)[]; // 24 entries, local hour of day
+}
+
+export interface IRouteTravelStats {
+  updatedAt: Date;
+  segments: IRouteSegmentStats[]; // segment i runs from stop i to stop i + 1
+}
+
+export interface IRouteDocument extends Document {
+  name: string;
+  code?: string; // short label, e.g. "R1"
+  description?: string;
+  color: string;
+  stops: IRouteStop[];
+  path?: LatLng[];
+  timetables: IRouteTimetable[];
+  timezone: string;
+  // Arrivals within this window around the scheduled time count as on time
+  onTimeWindow: {
+    earlyMinutes: number;
+    lateMinutes: number;
+  };
+  travelStats?: IRouteTravelStats | null;
+  isActive: boolean;
+  createdBy?: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const RouteStopSchema = new Schema(
+  {
+    geofenceId: { type: Schema.Types.ObjectId, ref: 'Geofence', required: true },
+    name: { type: String, required: true, trim: true },
+    offsetMinutes: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const RouteTimetableSchema = new Schema(
+  {
+    dayType: {
+      type: String,
+      enum: ['weekday', 'saturday', 'sunday', 'daily'],
+      required: true,
+    },
+    departures: [{ type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }],
+  },
+  { _id: false }
+);
+
+const RouteSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    color: {
+      type: String,
+      default: '#8B5CF6', // Purple
+    },
+    stops: {
+      type: [RouteStopSchema],
+      validate: {
+        validator: (stops: IRouteStop[]) => stops.length >= 2,
+        message: 'A route needs at least 2 stops',
+      },
+    },
+    path: {
+      type: [{
+        latitude: { type: Number, required: true },
+        longitude: { type: Number, required: true },
+        _id: false,
+      }],
+      default: undefined,
+    },
+    timetables: {
+      type: [RouteTimetableSchema],
+      default: [],
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+    },
+    onTimeWindow: {
+      earlyMinutes: { type: Number, default: 1, min: 0 },
+      lateMinutes: { type: Number, default: 5, min: 0 },
+    },
+    travelStats: {
+      type: {
+        updatedAt: Date,
+        segments: [{
+          overall: Number,
+          hourly: [Number],
+          _id: false,
+        }],
+      },
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RouteSchema.index({ isActive: 1 });
+RouteSchema.index({ 'stops.geofenceId': 1 });
+
+export const Route = mongoose.model<IRouteDocument>('Route', RouteSchema);
@@ -0,0 +1,99 @@
+/**
+ * =============================================================================
+ * ROUTE STOP EVENT MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * A vehicle on a scheduled route departing its first stop or arriving at a
+ * later stop, compared with the timetable. These are the raw data for
+ * on-time performance reports (see socket/routeProgress.ts).
+ *
+ * delayMinutes is negative when early.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type ScheduleStatus = 'early' | 'on_time' | 'late';
+
+export interface IRouteStopEventDocument extends Document {
+  routeId: mongoose.Types.ObjectId;
+  vehicleId: mongoose.Types.ObjectId;
+  driverId?: mongoose.Types.ObjectId;
+  geofenceId: mongoose.Types.ObjectId;
+  stopIndex: number;
+  stopName: string;
+  eventType: 'departure' | 'arrival';
+  departure: string; // timetable departure this run was matched to, "HH:mm"
+  scheduledDeparture: Date;
+  scheduledAt: Date;
+  actualAt: Date;
+  delayMinutes: number;
+  status: ScheduleStatus;
+  createdAt: Date;
+}
+
+const RouteStopEventSchema = new Schema(
+  {
+    routeId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Route',
+      required: true,
+    },
+    vehicleId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+    },
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    geofenceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Geofence',
+      required: true,
+    },
+    stopIndex: {
+      type: Number,
+      required: true,
+    },
+    stopName: String,
+    eventType: {
+      type: String,
+      enum: ['departure', 'arrival'],
+      required: true,
+    },
+    departure: {
+      type: String,
+      required: true,
+    },
+    scheduledDeparture: {
+      type: Date,
+      required: true,
+    },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    actualAt: {
+      type: Date,
+      required: true,
+    },
+    delayMinutes: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['early', 'on_time', 'late'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RouteStopEventSchema.index({ routeId: 1, actualAt: -1 });
+RouteStopEventSchema.index({ vehicleId: 1, actualAt: -1 });
+
+export const RouteStopEvent = mongoose.model<IRouteStopEventDocument>('RouteStopEvent', RouteStopEventSchema);
@@ -2,21 +2,104 @@
  * =============================================================================
  * SOS ALERT MODEL - MongoDB Schema
  * =============================================================================
+ *
+ * companyId is the company of the vehicle (or of the driver who sent it), so
+ * the company portal sees its own alerts.
+ *
+ * Each alert is an incident: active -> acknowledged (someone is on it) ->
+ * resolved with a category. It can be assigned to a responder, and every
+ * step, note and escalation is added to `timeline`. See utils/sosIncidents.ts.
+ *
+ * `location` is the latest position; `trail` keeps every position the sender
+ * reported (the last SOS_TRAIL_MAX_POINTS). Nearby vehicles sent to help are
+ * recorded in `dispatches`.
+ *
+ * The sender's emergency contacts and the on-call admin are texted when the
+ * alert is sent; each message and whether the gateway took it is kept in
+ * `deliveries` (see utils/sosContacts.ts).
+ *
+ * Without a data connection the app texts the SOS to the SMS gateway number
+ * and buffers it for later; both copies carry the same `clientId`, so the
+ * second one to arrive is matched to the first instead of making a new
+ * alert. `source` says which arrived first.
  */
 
 import mongoose, { Schema, Document } from 'mongoose';
 import { UserRole, GPSLocation } from '../types';
 
+export type SOSResolutionCategory = 'false_alarm' | 'medical' | 'breakdown' | 'security' | 'other';
+
+export type SOSTimelineEntryType =
+  | 'created'
+  | 'acknowledged'
+  | 'assigned'
+  | 'unassigned'
+  | 'note'
+  | 'dispatched'
+  | 'escalated'
+  | 'resolved'
+  | 'cancelled';
+
+export interface ISOSTimelineEntry {
+  _id: mongoose.Types.ObjectId;
+  type: SOSTimelineEntryType;
+  at: Date;
+  by?: mongoose.Types.ObjectId | null; // null for the system (escalation)
+  byName?: string;
+  message?: string;
+}
+
+export interface ISOSTrailPoint {
+  latitude: number;
+  longitude: number;
+  accuracy?: number;
+  timestamp: Date;
+}
+
+export interface ISOSDispatch {
+  vehicleId: mongoose.Types.ObjectId;
+  driverId: mongoose.Types.ObjectId;
+  distanceMeters: number; // from the alert when dispatched
+  dispatchedAt: Date;
+  dispatchedBy: mongoose.Types.ObjectId;
+}
+
+export interface ISOSDelivery {
+  _id: mongoose.Types.ObjectId;
+  recipient: 'contact' | 'on_call';
+  name: string;
+  to: string;
+  channel: 'sms' | 'voice';
+  status: 'pending' | 'sent' | 'failed';
+  providerId?: string; // the gateway's message id
+  error?: string;
+  updatedAt: Date;
+}
+
 export interface ISOSAlertDocument extends Document {
   senderId: mongoose.Types.ObjectId;
   senderRole: UserRole;
   senderName: string;
   vehicleId?: mongoose.Types.ObjectId;
+  companyId?: mongoose.Types.ObjectId;
+  clientId?: string; // made by the app when the button is pressed
+  source: 'app' | 'sms';
   location: GPSLocation;
+  trail: ISOSTrailPoint[];
   message?: string;
   status: 'active' | 'acknowledged' | 'resolved';
+  acknowledgedAt?: Date | null;
+  acknowledgedBy?: mongoose.Types.ObjectId | null;
+  assignedTo?: mongoose.Types.ObjectId | null;
+  assignedAt?: Date | null;
+  escalatedAt?: Date | null;
   resolvedAt?: Date;
   resolvedBy?: mongoose.Types.ObjectId;
+  resolutionCategory?: SOSResolutionCategory | null;
+  resolutionNote?: string;
+  dispatches: ISOSDispatch[];
+  deliveries: ISOSDelivery[];
+  timeline: ISOSTimelineEntry[];
   createdAt: Date;
   updatedAt: Date;
 }
@@ -33,6 +116,50 @@ const GPSLocationSchema = new Schema(
   { _id: false }
 );
 
+const TrailPointSchema = new Schema(
+  {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    accuracy: { type: Number },
+    timestamp: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const DispatchSchema = new Schema(
+  {
+    vehicleId: { type: Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+    driverId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    distanceMeters: { type: Number, required: true },
+    dispatchedAt: { type: Date, default: Date.now },
+    dispatchedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { _id: false }
+);
+
+const DeliverySchema = new Schema({
+  recipient: { type: String, enum: ['contact', 'on_call'], required: true },
+  name: { type: String, required: true },
+  to: { type: String, required: true },
+  channel: { type: String, enum: ['sms', 'voice'], default: 'sms' },
+  status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  providerId: { type: String },
+  error: { type: String },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const TimelineEntrySchema = new Schema({
+  type: {
+    type: String,
+    enum: ['created', 'acknowledged', 'assigned', 'unassigned', 'note', 'dispatched', 'escalated', 'resolved', 'cancelled'],
+    required: true,
+  },
+  at: { type: Date, default: Date.now },
+  by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  byName: String,
+  message: { type: String, maxlength: 1000 },
+});
+
 const SOSAlertSchema = new Schema(
   {
     senderId: {
@@ -53,10 +180,27 @@ const SOSAlertSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'Vehicle',
     },
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
     location: {
       type: GPSLocationSchema,
       required: true,
     },
+    trail: {
+      type: [TrailPointSchema],
+      default: [],
+    },
+    clientId: {
+      type: String,
+      maxlength: 64,
+    },
+    source: {
+      type: String,
+      enum: ['app', 'sms'],
+      default: 'app',
+    },
     message: {
       type: String,
       maxlength: 500,
@@ -66,11 +210,54 @@ const SOSAlertSchema = new Schema(
       enum: ['active', 'acknowledged', 'resolved'],
       default: 'active',
     },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    escalatedAt: {
+      type: Date,
+      default: null,
+    },
     resolvedAt: Date,
     resolvedBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
     },
+    resolutionCategory: {
+      type: String,
+      enum: ['false_alarm', 'medical', 'breakdown', 'security', 'other', null],
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      maxlength: 1000,
+    },
+    dispatches: {
+      type: [DispatchSchema],
+      default: [],
+    },
+    deliveries: {
+      type: [DeliverySchema],
+      default: [],
+    },
+    timeline: {
+      type: [TimelineEntrySchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -78,5 +265,13 @@ const SOSAlertSchema = new Schema(
 );
 
 SOSAlertSchema.index({ status: 1, createdAt: -1 });
+SOSAlertSchema.index({ companyId: 1, status: 1, createdAt: -1 });
+SOSAlertSchema.index({ status: 1, escalatedAt: 1, createdAt: 1 });
+SOSAlertSchema.index({ 'dispatches.vehicleId': 1, status: 1 });
+// One alert per button press, however many ways it reached us
+SOSAlertSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 export const SOSAlert = mongoose.model<ISOSAlertDocument>('SOSAlert', SOSAlertSchema);
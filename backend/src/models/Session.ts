@@ -0,0 +1,95 @@
+/**
+ * =============================================================================
+ * SESSION MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * MENTOR NOTE: One signed-in device. Access tokens are short-lived JWTs that
+ * carry the session id (`sid`); the device keeps a refresh token to get new
+ * ones. Only a hash of the refresh token is stored, and it changes on every
+ * refresh (rotation). The previous hash is kept: if it is ever presented
+ * again, the token was copied, so the whole session is revoked.
+ *
+ * Revoked sessions (logout, "sign out everywhere", deactivated user) stop
+ * working immediately - `authenticate` checks the session on every request.
+ * MongoDB deletes sessions once their refresh token expired (TTL index).
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type SessionRevokeReason =
+  | 'logout'
+  | 'signed_out_elsewhere'
+  | 'admin_sign_out'
+  | 'deactivated'
+  | 'refresh_token_reused'
+  | 'password_reset';
+
+export interface ISessionDevice {
+  name?: string; // e.g. "Pixel 7", sent by the app
+  platform?: string; // android, ios, web
+  userAgent?: string;
+  ip?: string;
+}
+
+export interface ISessionDocument extends Document {
+  userId: mongoose.Types.ObjectId;
+  tokenHash: string;
+  previousTokenHash?: string | null;
+  device: ISessionDevice;
+  lastUsedAt: Date;
+  expiresAt: Date;
+  revokedAt?: Date | null;
+  revokedReason?: SessionRevokeReason | null;
+  createdAt: Date;
+}
+
+const SessionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    device: {
+      name: String,
+      platform: String,
+      userAgent: String,
+      ip: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'signed_out_elsewhere', 'admin_sign_out', 'deactivated', 'refresh_token_reused', 'password_reset', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+SessionSchema.index({ previousTokenHash: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model<ISessionDocument>('Session', SessionSchema);
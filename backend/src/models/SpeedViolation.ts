@@ -0,0 +1,97 @@
+/**
+ * =============================================================================
+ * SPEED VIOLATION MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * One record per speeding episode: the vehicle stayed above its speed limit
+ * (plus tolerance) for at least the minimum duration. The record is created
+ * as `ongoing` when that happens and completed with the end location and
+ * duration once the vehicle slows down again. See socket/speeding.ts.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type SpeedViolationStatus = 'ongoing' | 'ended';
+
+export interface IViolationLocation {
+  latitude: number;
+  longitude: number;
+  speed: number; // km/h
+}
+
+export interface ISpeedViolationDocument extends Document {
+  vehicleId: mongoose.Types.ObjectId;
+  driverId?: mongoose.Types.ObjectId;
+  geofenceId?: mongoose.Types.ObjectId; // zone that set the limit, if any
+  limitKmh: number;
+  peakSpeed: number; // km/h
+  startLocation: IViolationLocation;
+  endLocation?: IViolationLocation;
+  startedAt: Date;
+  endedAt?: Date;
+  durationSeconds?: number;
+  status: SpeedViolationStatus;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ViolationLocationSchema = new Schema(
+  {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    speed: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const SpeedViolationSchema = new Schema(
+  {
+    vehicleId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+    },
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    geofenceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Geofence',
+    },
+    limitKmh: {
+      type: Number,
+      required: true,
+    },
+    peakSpeed: {
+      type: Number,
+      required: true,
+    },
+    startLocation: {
+      type: ViolationLocationSchema,
+      required: true,
+    },
+    endLocation: ViolationLocationSchema,
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: Date,
+    durationSeconds: Number,
+    status: {
+      type: String,
+      enum: ['ongoing', 'ended'],
+      default: 'ongoing',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SpeedViolationSchema.index({ vehicleId: 1, startedAt: -1 });
+SpeedViolationSchema.index({ driverId: 1, startedAt: -1 });
+SpeedViolationSchema.index({ geofenceId: 1, startedAt: -1 });
+SpeedViolationSchema.index({ startedAt: -1 });
+
+export const SpeedViolation = mongoose.model<ISpeedViolationDocument>('SpeedViolation', SpeedViolationSchema);
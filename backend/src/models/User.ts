@@ -4,16 +4,79 @@
  * =============================================================================
  * 
  * MENTOR NOTE: This model handles all user types (driver, company, admin, student).
+ *
+ * Students can subscribe to stops (`stopSubscriptions`) to be told when a
+ * vehicle is about to arrive, see socket/stopAlerts.ts.
+ *
+ * Drivers' documents are reviewed one by one (`documentStatus`), see
+ * utils/verification.ts. Tracking is suspended automatically when their
+ * license expires, see utils/documentExpiry.ts.
+ *
+ * Admins have a permission preset (`adminRole`) plus extra `permissions`,
+ * see utils/permissions.ts.
+ *
+ * `emailVerified` is set once the user opens the link emailed at
+ * registration (or resets their password), see utils/accountTokens.ts.
+ *
+ * `emergencyContacts` are texted when the user sends an SOS, see
+ * utils/sosContacts.ts.
  */
 
 import mongoose, { Schema, Document } from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { UserRole } from '../types';
+import { AdminRole, Permission, UserRole } from '../types';
+import { DEFAULT_TIMEZONE } from '../utils/schedule';
+import { ADMIN_ROLE_NAMES, ALL_PERMISSIONS } from '../utils/permissions';
+import {
+  DocumentReviewSchema,
+  IDocumentReview,
+  ITrackingSuspension,
+  TrackingSuspensionSchema,
+} from './VerificationLog';
+
+/**
+ * "Tell me when a vehicle is N minutes / N meters from this stop".
+ * Scoped to a route, or to one vehicle (which also works for vehicles not on
+ * a scheduled route, using straight-line distance).
+ */
+export interface IStopSubscription {
+  _id: mongoose.Types.ObjectId;
+  geofenceId: mongoose.Types.ObjectId;
+  routeId?: mongoose.Types.ObjectId;
+  vehicleId?: mongoose.Types.ObjectId;
+  label?: string;
+  minutesBefore?: number;
+  metersBefore?: number;
+  isActive: boolean;
+  // Last alert sent, so each approaching vehicle is only announced once
+  lastNotifiedAt?: Date;
+  lastVehicleId?: mongoose.Types.ObjectId;
+}
+
+export interface INotificationSettings {
+  quietHours: {
+    enabled: boolean;
+    start: string; // "HH:mm"
+    end: string;
+    timezone: string;
+  };
+}
+
+export interface IEmergencyContact {
+  _id: mongoose.Types.ObjectId;
+  name: string;
+  phone: string; // normalized, see utils/sms.ts
+  relationship?: string;
+}
 
 export interface IUserDocument extends Document {
   email: string;
+  emailVerified: boolean;
+  emailVerifiedAt?: Date | null;
   password: string;
   role: UserRole;
+  adminRole?: AdminRole | null; // admins only; none means super admin
+  permissions: Permission[]; // granted on top of the adminRole preset
   name: string;
   firstName?: string;
   middleInitial?: string;
@@ -27,16 +90,48 @@ export interface IUserDocument extends Document {
     licenseBack?: string;
     selfie?: string;
   };
+  documentStatus?: {
+    licenseFront?: IDocumentReview;
+    licenseBack?: IDocumentReview;
+    selfie?: IDocumentReview;
+  };
+  rejectionReason?: string;
+  licenseExpiresAt?: Date | null;
+  licenseExpiryWarnedDays?: number | null; // last expiry warning sent (30/7/1 days before)
+  trackingSuspended?: ITrackingSuspension | null;
   assignedVehicle?: mongoose.Types.ObjectId;
   companyId?: mongoose.Types.ObjectId;
   companyName?: string;
   companyAddress?: string;
   companyLicense?: string;
+  stopSubscriptions: IStopSubscription[];
+  notificationSettings: INotificationSettings;
+  emergencyContacts: IEmergencyContact[];
   createdAt: Date;
   updatedAt: Date;
   comparePassword(candidatePassword: string): Promise<boolean>;
 }
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const StopSubscriptionSchema = new Schema({
+  geofenceId: { type: Schema.Types.ObjectId, ref: 'Geofence', required: true },
+  routeId: { type: Schema.Types.ObjectId, ref: 'Route' },
+  vehicleId: { type: Schema.Types.ObjectId, ref: 'Vehicle' },
+  label: { type: String, trim: true },
+  minutesBefore: { type: Number, min: 1, max: 60 },
+  metersBefore: { type: Number, min: 50, max: 10000 },
+  isActive: { type: Boolean, default: true },
+  lastNotifiedAt: Date,
+  lastVehicleId: { type: Schema.Types.ObjectId, ref: 'Vehicle' },
+});
+
+const EmergencyContactSchema = new Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  phone: { type: String, required: true },
+  relationship: { type: String, trim: true, maxlength: 50 },
+});
+
 const UserSchema = new Schema(
   {
     email: {
@@ -46,6 +141,14 @@ const UserSchema = new Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     password: {
       type: String,
       required: true,
@@ -56,6 +159,15 @@ const UserSchema = new Schema(
       enum: ['driver', 'company', 'admin', 'student'],
       required: true,
     },
+    adminRole: {
+      type: String,
+      enum: [...ADMIN_ROLE_NAMES, null],
+      default: null,
+    },
+    permissions: {
+      type: [{ type: String, enum: ALL_PERMISSIONS }],
+      default: [],
+    },
     name: {
       type: String,
       required: true,
@@ -96,6 +208,24 @@ const UserSchema = new Schema(
       licenseBack: String,
       selfie: String,
     },
+    documentStatus: {
+      licenseFront: DocumentReviewSchema,
+      licenseBack: DocumentReviewSchema,
+      selfie: DocumentReviewSchema,
+    },
+    rejectionReason: String,
+    licenseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    licenseExpiryWarnedDays: {
+      type: Number,
+      default: null,
+    },
+    trackingSuspended: {
+      type: TrackingSuspensionSchema,
+      default: null,
+    },
     assignedVehicle: {
       type: Schema.Types.ObjectId,
       ref: 'Vehicle',
@@ -107,6 +237,22 @@ const UserSchema = new Schema(
     companyName: String,
     companyAddress: String,
     companyLicense: String,
+    stopSubscriptions: {
+      type: [StopSubscriptionSchema],
+      default: [],
+    },
+    notificationSettings: {
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: TIME_PATTERN },
+        end: { type: String, default: '06:00', match: TIME_PATTERN },
+        timezone: { type: String, default: DEFAULT_TIMEZONE },
+      },
+    },
+    emergencyContacts: {
+      type: [EmergencyContactSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -135,5 +281,7 @@ UserSchema.methods.comparePassword = async function (
 
 UserSchema.index({ role: 1, verificationStatus: 1 });
 UserSchema.index({ companyId: 1 });
+UserSchema.index({ role: 1, licenseExpiresAt: 1 });
+UserSchema.index({ 'stopSubscriptions.geofenceId': 1 });
 
 export const User = mongoose.model<IUserDocument>('User', UserSchema);
@@ -6,6 +6,12 @@
 
 import mongoose, { Schema, Document } from 'mongoose';
 import { VehicleType, GPSLocation } from '../types';
+import {
+  DocumentReviewSchema,
+  IDocumentReview,
+  ITrackingSuspension,
+  TrackingSuspensionSchema,
+} from './VerificationLog';
 
 export interface IVehicleDocument extends Document {
   vehicleNumber: string;
@@ -16,6 +22,17 @@ export interface IVehicleDocument extends Document {
     licensePlatePhoto: string;
     orCrPhoto?: string; // OR/CR - Official Receipt / Certificate of Registration (ownership proof)
   };
+  // Per-document review (see utils/verification.ts)
+  documentStatus?: {
+    vehiclePhoto?: IDocumentReview;
+    licensePlatePhoto?: IDocumentReview;
+    orCrPhoto?: IDocumentReview;
+  };
+  rejectionReason?: string;
+  // OR/CR registration expiry (see utils/documentExpiry.ts)
+  registrationExpiresAt?: Date | null;
+  registrationExpiryWarnedDays?: number | null;
+  trackingSuspended?: ITrackingSuspension | null;
   driverId?: mongoose.Types.ObjectId;
   companyId?: mongoose.Types.ObjectId;
   verificationStatus: 'pending' | 'approved' | 'rejected';
@@ -24,6 +41,26 @@ export interface IVehicleDocument extends Document {
   lastSeen?: Date;
   routeId?: string;
   routeName?: string;
+  // Set while the vehicle is above its speed limit (see socket/speeding.ts)
+  speeding?: {
+    since: Date;
+    limitKmh: number;
+    geofenceId?: mongoose.Types.ObjectId;
+    peakSpeed: number;
+    startLocation: { latitude: number; longitude: number; speed: number };
+    violationId?: mongoose.Types.ObjectId; // once it lasted long enough to count
+  };
+  // Latest timetable comparison while running a scheduled route (see socket/routeProgress.ts)
+  routeProgress?: {
+    routeId: string;
+    stopIndex: number;
+    stopName: string;
+    departure: string; // "HH:mm"
+    scheduledDeparture: Date;
+    delayMinutes: number;
+    status: 'early' | 'on_time' | 'late';
+    updatedAt: Date;
+  };
   createdAt: Date;
   updatedAt: Date;
 }
@@ -64,6 +101,24 @@ const VehicleSchema = new Schema(
       licensePlatePhoto: { type: String, required: true },
       orCrPhoto: { type: String }, // OR/CR - Official Receipt / Certificate of Registration (ownership proof)
     },
+    documentStatus: {
+      vehiclePhoto: DocumentReviewSchema,
+      licensePlatePhoto: DocumentReviewSchema,
+      orCrPhoto: DocumentReviewSchema,
+    },
+    rejectionReason: String,
+    registrationExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    registrationExpiryWarnedDays: {
+      type: Number,
+      default: null,
+    },
+    trackingSuspended: {
+      type: TrackingSuspensionSchema,
+      default: null,
+    },
     driverId: {
       type: Schema.Types.ObjectId,
       ref: 'User',
@@ -85,8 +140,42 @@ const VehicleSchema = new Schema(
     lastSeen: {
       type: Date,
     },
-    routeId: String,
+    routeId: String, // a Route document ID (older vehicles may have free text)
     routeName: String,
+    routeProgress: {
+      type: new Schema(
+        {
+          routeId: String,
+          stopIndex: Number,
+          stopName: String,
+          departure: String,
+          scheduledDeparture: Date,
+          delayMinutes: Number,
+          status: { type: String, enum: ['early', 'on_time', 'late'] },
+          updatedAt: Date,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    speeding: {
+      type: new Schema(
+        {
+          since: { type: Date, required: true },
+          limitKmh: { type: Number, required: true },
+          geofenceId: { type: Schema.Types.ObjectId, ref: 'Geofence' },
+          peakSpeed: { type: Number, required: true },
+          startLocation: {
+            latitude: Number,
+            longitude: Number,
+            speed: Number,
+          },
+          violationId: { type: Schema.Types.ObjectId, ref: 'SpeedViolation' },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -98,5 +187,6 @@ VehicleSchema.index({ companyId: 1 });
 VehicleSchema.index({ driverId: 1 });
 VehicleSchema.index({ type: 1 });
 VehicleSchema.index({ lastSeen: 1 });
+VehicleSchema.index({ registrationExpiresAt: 1 });
 
 export const Vehicle = mongoose.model<IVehicleDocument>('Vehicle', VehicleSchema);
@@ -0,0 +1,66 @@
+/**
+ * =============================================================================
+ * VEHICLE GEOFENCE STATE MODEL - MongoDB Schema
+ * =============================================================================
+ * 
+ * One document per (vehicle, geofence) pair while the vehicle is inside that
+ * geofence. Entry inserts the document, exit deletes it.
+ * 
+ * MENTOR NOTE: This replaces the old in-memory Map in socket/handlers.ts.
+ * Keeping the state in MongoDB means:
+ * - A deploy or Render sleep doesn't forget who was inside, so the next GPS
+ *   update doesn't fire a fresh batch of "entered" events
+ * - Several backend instances share the same state. The unique index makes
+ *   the insert/delete the single point of truth: only the instance whose
+ *   insert (or delete) actually succeeds emits the entry (or exit) event.
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export interface IVehicleGeofenceStateDocument extends Document {
+  vehicleId: mongoose.Types.ObjectId;
+  geofenceId: mongoose.Types.ObjectId;
+  driverId?: mongoose.Types.ObjectId;
+  enteredAt: Date;
+  dwellAlertedAt?: Date; // set once the dwell alert for this stay has fired
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const VehicleGeofenceStateSchema = new Schema(
+  {
+    vehicleId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true,
+    },
+    geofenceId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Geofence',
+      required: true,
+    },
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    enteredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    dwellAlertedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A vehicle can only be inside a given geofence once
+VehicleGeofenceStateSchema.index({ vehicleId: 1, geofenceId: 1 }, { unique: true });
+VehicleGeofenceStateSchema.index({ geofenceId: 1 });
+
+export const VehicleGeofenceState = mongoose.model<IVehicleGeofenceStateDocument>(
+  'VehicleGeofenceState',
+  VehicleGeofenceStateSchema
+);
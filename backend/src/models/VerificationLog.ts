@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * VERIFICATION LOG MODEL - MongoDB Schema
+ * =============================================================================
+ *
+ * Audit trail for driver, vehicle and company verification: every approval,
+ * rejection and resubmission, who did it and when. Never updated or removed.
+ *
+ * Also defines the per-document review kept on users and vehicles
+ * (`documentStatus`), so a rejection can name the exact document to redo
+ * (e.g. "license back unreadable") and the driver re-uploads only that one,
+ * and the tracking suspension set when a document expires (see
+ * utils/documentExpiry.ts).
+ */
+
+import mongoose, { Schema, Document } from 'mongoose';
+
+export type DocumentStatus = 'pending' | 'approved' | 'rejected';
+export type VerificationSubject = 'driver' | 'vehicle' | 'company';
+export type VerificationAction = 'approved' | 'rejected' | 'resubmitted';
+
+export interface IDocumentReview {
+  status: DocumentStatus;
+  reason?: string;
+  updatedAt: Date;
+}
+
+export const DocumentReviewSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reason: String,
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Why a driver or vehicle may not track right now (e.g. expired documents)
+ */
+export interface ITrackingSuspension {
+  reason: 'document_expired';
+  message: string;
+  since: Date;
+}
+
+export const TrackingSuspensionSchema = new Schema(
+  {
+    reason: { type: String, enum: ['document_expired'], required: true },
+    message: { type: String, required: true },
+    since: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+export interface IVerificationLogDocument extends Document {
+  subjectType: VerificationSubject;
+  subjectId: mongoose.Types.ObjectId;
+  subjectName: string; // driver/company name or vehicle plate, at the time
+  ownerId?: mongoose.Types.ObjectId; // driver/company the subject belongs to
+  action: VerificationAction;
+  reason?: string;
+  documents: {
+    name: string;
+    status: DocumentStatus;
+    reason?: string;
+    file?: string; // uploaded file, for resubmissions
+  }[];
+  actorId: mongoose.Types.ObjectId;
+  actorName: string;
+  actorRole: string;
+  createdAt: Date;
+}
+
+const VerificationLogSchema = new Schema(
+  {
+    subjectType: {
+      type: String,
+      enum: ['driver', 'vehicle', 'company'],
+      required: true,
+    },
+    subjectId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    subjectName: {
+      type: String,
+      required: true,
+    },
+    ownerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    action: {
+      type: String,
+      enum: ['approved', 'rejected', 'resubmitted'],
+      required: true,
+    },
+    reason: String,
+    documents: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        status: { type: String, enum: ['pending', 'approved', 'rejected'], required: true },
+        reason: String,
+        file: String,
+      },
+    ],
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    actorName: {
+      type: String,
+      required: true,
+    },
+    actorRole: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+VerificationLogSchema.index({ subjectType: 1, subjectId: 1, createdAt: -1 });
+VerificationLogSchema.index({ ownerId: 1, createdAt: -1 });
+VerificationLogSchema.index({ createdAt: -1 });
+
+export const VerificationLog = mongoose.model<IVerificationLogDocument>('VerificationLog', VerificationLogSchema);
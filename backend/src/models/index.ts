@@ -7,9 +7,50 @@
  * Import from here: import { User, Vehicle } from './models';
  */
 
-export { User, IUserDocument } from './User';
+export {
+  User,
+  IUserDocument,
+  IStopSubscription,
+  INotificationSettings,
+  IEmergencyContact,
+} from './User';
 export { Vehicle, IVehicleDocument } from './Vehicle';
-export { SOSAlert, ISOSAlertDocument } from './SOSAlert';
+export {
+  SOSAlert,
+  ISOSAlertDocument,
+  ISOSTimelineEntry,
+  ISOSTrailPoint,
+  ISOSDispatch,
+  ISOSDelivery,
+  SOSResolutionCategory,
+  SOSTimelineEntryType,
+} from './SOSAlert';
 export { GPSHistory, IGPSHistoryDocument } from './GPSHistory';
 export { Geofence, IGeofenceDocument } from './Geofence';
-export { GeofenceEvent, IGeofenceEventDocument } from './GeofenceEvent';
+export { GeofenceEvent, IGeofenceEventDocument, GeofenceEventType } from './GeofenceEvent';
+export { VehicleGeofenceState, IVehicleGeofenceStateDocument } from './VehicleGeofenceState';
+export { SpeedViolation, ISpeedViolationDocument, SpeedViolationStatus } from './SpeedViolation';
+export { HarshDrivingEvent, IHarshDrivingEventDocument, HarshDrivingEventType } from './HarshDrivingEvent';
+export {
+  Route,
+  IRouteDocument,
+  IRouteStop,
+  IRouteTimetable,
+  IRouteTravelStats,
+  IRouteSegmentStats,
+  RouteDayType,
+} from './Route';
+export { RouteStopEvent, IRouteStopEventDocument, ScheduleStatus } from './RouteStopEvent';
+export { Notification, INotificationDocument, NotificationType } from './Notification';
+export {
+  VerificationLog,
+  IVerificationLogDocument,
+  IDocumentReview,
+  ITrackingSuspension,
+  DocumentStatus,
+  VerificationSubject,
+  VerificationAction,
+} from './VerificationLog';
+export { CompanyInvite, ICompanyInviteDocument } from './CompanyInvite';
+export { Session, ISessionDocument, ISessionDevice, SessionRevokeReason } from './Session';
+export { AccountToken, IAccountTokenDocument, AccountTokenPurpose } from './AccountToken';
@@ -3,29 +3,90 @@
  * ADMIN ROUTES
  * =============================================================================
  * 
- * MENTOR NOTE: Admin-only routes for managing the system.
+ * MENTOR NOTE: Routes for managing the system.
  * Key responsibilities:
- * - Verify/reject drivers, vehicles, and companies
+ * - Verify/reject drivers, vehicles, and companies (with an audit trail)
  * - View all users and vehicles (including pending)
- * - Manage SOS alerts
+ * - Handle SOS incidents (acknowledge, assign, notes, dispatch a nearby vehicle, resolve)
+ * - Review speeding violations and harsh driving events
  * - Access analytics data
+ * - Assign admin roles and permissions (staff)
+ * - Deactivate users and sign them out of their devices
+ *
+ * Company users (the company portal) may use the fleet routes too, limited
+ * to their own vehicles, drivers and alerts: every query adds the filters
+ * from utils/companyScope.ts.
+ *
+ * Every route checks a permission (utils/permissions.ts): a verifier can
+ * review documents but not resolve SOS alerts, an auditor can only look.
+ * Companies only hold the fleet and SOS ones.
  */
 
 import { Router, Request, Response } from 'express';
-import { User, Vehicle, SOSAlert, GPSHistory } from '../models';
-import { authenticate, authorize } from '../middleware/auth';
+import mongoose from 'mongoose';
+import {
+  User,
+  Vehicle,
+  SOSAlert,
+  SOSResolutionCategory,
+  GPSHistory,
+  SpeedViolation,
+  HarshDrivingEvent,
+  VerificationLog,
+} from '../models';
+import { DEFAULT_TIMEZONE } from '../utils/schedule';
+import { isInsideGeofence } from '../utils/geo';
+import { getGeofenceIndex } from '../utils/geofenceIndex';
+import { DEFAULT_TRIP_OPTIONS, TripPoint, segmentTrips } from '../utils/trips';
+import { authenticate, authorize, requirePermission, scopeCompany } from '../middleware/auth';
+import { companyFilter, companyVehicleFilter, canAccessVehicle } from '../utils/companyScope';
+import { AdminRole, Permission, SOCKET_EVENTS, SOSDispatchPayload, sosRooms, userRoom } from '../types';
+import {
+  ADMIN_ROLES,
+  ADMIN_ROLE_NAMES,
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  adminsWithPermission,
+  permissionsFor,
+} from '../utils/permissions';
+import { notifyUser, notifyUsers } from '../utils/notifications';
+import { EXPIRY_TARGETS, ExpirySubject, parseExpiryDate, setExpiryDate } from '../utils/documentExpiry';
+import { listSessions, revokeSessions } from '../utils/sessions';
+import { updateSOSRoom } from '../socket/handlers';
+import {
+  OPEN_STATUSES,
+  RESOLUTION_CATEGORIES,
+  broadcastAlertUpdate,
+  canBeAssigned,
+  findNearestVehicles,
+  loadAlert,
+  timelineEntry,
+} from '../utils/sosIncidents';
+import {
+  DRIVER_DOCUMENTS,
+  VEHICLE_DOCUMENTS,
+  validateReview,
+  applyReview,
+  logVerification,
+} from '../utils/verification';
 
 const router = Router();
 
-// All admin routes require authentication and admin role
-router.use(authenticate, authorize('admin'));
+// All admin routes require an admin, or an approved company for its own fleet
+router.use(authenticate, authorize('admin', 'company'), scopeCompany);
+
+const canViewFleet = requirePermission('fleet:view');
+const canViewVerifications = requirePermission('verifications:view');
+const canReview = requirePermission('verifications:review');
+const canManageUsers = requirePermission('users:manage');
 
 /**
  * GET /api/admin/dashboard
  * Get dashboard statistics
  */
-router.get('/dashboard', async (req: Request, res: Response): Promise<void> => {
+router.get('/dashboard', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
+    const scope = companyFilter(req);
     const [
       totalDrivers,
       pendingDrivers,
@@ -36,18 +97,20 @@ router.get('/dashboard', async (req: Request, res: Response): Promise<void> => {
       totalStudents,
       activeAlerts,
     ] = await Promise.all([
-      User.countDocuments({ role: 'driver' }),
-      User.countDocuments({ role: 'driver', verificationStatus: 'pending' }),
-      Vehicle.countDocuments(),
-      Vehicle.countDocuments({ verificationStatus: 'pending' }),
+      User.countDocuments({ role: 'driver', ...scope }),
+      User.countDocuments({ role: 'driver', verificationStatus: 'pending', ...scope }),
+      Vehicle.countDocuments(scope),
+      Vehicle.countDocuments({ verificationStatus: 'pending', ...scope }),
       Vehicle.countDocuments({ 
         verificationStatus: 'approved', 
         isActive: true,
-        lastSeen: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Active in last 5 min
+        lastSeen: { $gte: new Date(Date.now() - 5 * 60 * 1000) }, // Active in last 5 min
+        ...scope,
       }),
-      User.countDocuments({ role: 'company' }),
-      User.countDocuments({ role: 'student' }),
-      SOSAlert.countDocuments({ status: 'active' }),
+      // System-wide counts are for admins only
+      req.companyId ? 0 : User.countDocuments({ role: 'company' }),
+      req.companyId ? 0 : User.countDocuments({ role: 'student' }),
+      SOSAlert.countDocuments({ status: { $in: OPEN_STATUSES }, ...scope }),
     ]);
 
     res.json({
@@ -72,7 +135,7 @@ router.get('/dashboard', async (req: Request, res: Response): Promise<void> => {
  * GET /api/admin/pending
  * Get all pending verifications
  */
-router.get('/pending', async (req: Request, res: Response): Promise<void> => {
+router.get('/pending', canViewVerifications, async (req: Request, res: Response): Promise<void> => {
   try {
     const [pendingDrivers, pendingVehicles, pendingCompanies] = await Promise.all([
       User.find({ role: 'driver', verificationStatus: 'pending' })
@@ -102,39 +165,72 @@ router.get('/pending', async (req: Request, res: Response): Promise<void> => {
 /**
  * PUT /api/admin/verify/driver/:id
  * Verify or reject a driver
+ *
+ * Body: { status: 'approved' | 'rejected', reason?, documents?, expiresAt? }
+ * where documents flags single documents, e.g.
+ * { licenseBack: { status: 'rejected', reason: 'Unreadable' } }, and
+ * expiresAt is the license expiry read off the document.
+ * See utils/verification.ts. Approving a driver with a valid license lifts
+ * a suspension for an expired one.
  */
-router.put('/verify/driver/:id', async (req: Request, res: Response): Promise<void> => {
+router.put('/verify/driver/:id', canReview, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { status, reason } = req.body; // status: 'approved' | 'rejected'
+    const { status, reason, documents } = req.body;
+    const expiry = parseExpiryDate(req.body.expiresAt, { allowPast: true });
 
-    if (!['approved', 'rejected'].includes(status)) {
-      res.status(400).json({ error: 'Invalid status' });
+    const validationError = validateReview(status, reason, documents, DRIVER_DOCUMENTS) || expiry.error;
+    if (validationError) {
+      res.status(400).json({ error: validationError });
       return;
     }
 
-    const driver = await User.findByIdAndUpdate(
-      req.params.id,
-      { verificationStatus: status },
-      { new: true }
-    ).select('-password');
+    const driver = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, role: 'driver' }).select('-password')
+      : null;
 
     if (!driver) {
       res.status(404).json({ error: 'Driver not found' });
       return;
     }
 
-    // Emit real-time notification to the driver
+    const reviewed = applyReview(driver, DRIVER_DOCUMENTS, status, reason, documents);
+    if (expiry.date !== undefined || status === 'approved') {
+      setExpiryDate(driver, 'driver', expiry.date !== undefined ? expiry.date : driver.licenseExpiresAt);
+    }
+    await driver.save();
+
+    await logVerification({
+      subjectType: 'driver',
+      subjectId: driver._id,
+      subjectName: driver.name,
+      ownerId: driver._id,
+      action: status,
+      reason,
+      documents: reviewed,
+      actor: req.user!,
+    });
+
+    // Notify the driver only, in their private room, and keep it in their inbox
     const io = req.app.get('io');
+    const message = status === 'approved'
+      ? 'Your driver account has been approved! You can now start tracking.'
+      : `Your driver account has been rejected: ${driver.rejectionReason}`;
     if (io) {
-      io.emit('user:verified', {
+      io.to(userRoom(driver._id.toString())).emit(SOCKET_EVENTS.USER_VERIFIED, {
         userId: driver._id.toString(),
         status,
         role: 'driver',
-        message: status === 'approved' 
-          ? 'Your driver account has been approved! You can now start tracking.'
-          : 'Your driver account has been rejected.',
+        message,
+        reason: driver.rejectionReason,
+        documentStatus: driver.documentStatus,
       });
     }
+    await notifyUser(io, driver._id.toString(), {
+      type: 'verification',
+      title: status === 'approved' ? 'Account approved' : 'Account rejected',
+      message,
+      data: { userId: driver._id.toString(), status },
+    });
 
     res.json({
       message: `Driver ${status}`,
@@ -149,37 +245,69 @@ router.put('/verify/driver/:id', async (req: Request, res: Response): Promise<vo
 /**
  * PUT /api/admin/verify/vehicle/:id
  * Verify or reject a vehicle
+ *
+ * Body: same as drivers, with vehiclePhoto / licensePlatePhoto / orCrPhoto
+ * as the documents and expiresAt for the OR/CR registration.
  */
-router.put('/verify/vehicle/:id', async (req: Request, res: Response): Promise<void> => {
+router.put('/verify/vehicle/:id', canReview, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { status, reason } = req.body;
+    const { status, reason, documents } = req.body;
+    const expiry = parseExpiryDate(req.body.expiresAt, { allowPast: true });
 
-    if (!['approved', 'rejected'].includes(status)) {
-      res.status(400).json({ error: 'Invalid status' });
+    const validationError = validateReview(status, reason, documents, VEHICLE_DOCUMENTS) || expiry.error;
+    if (validationError) {
+      res.status(400).json({ error: validationError });
       return;
     }
 
-    const vehicle = await Vehicle.findByIdAndUpdate(
-      req.params.id,
-      { verificationStatus: status },
-      { new: true }
-    ).populate('driverId', 'name email');
+    const vehicle = mongoose.isValidObjectId(req.params.id)
+      ? await Vehicle.findById(req.params.id).populate('driverId', 'name email')
+      : null;
 
     if (!vehicle) {
       res.status(404).json({ error: 'Vehicle not found' });
       return;
     }
 
-    // Emit real-time notification to the driver
+    const reviewed = applyReview(vehicle, VEHICLE_DOCUMENTS, status, reason, documents);
+    if (expiry.date !== undefined || status === 'approved') {
+      setExpiryDate(vehicle, 'vehicle', expiry.date !== undefined ? expiry.date : vehicle.registrationExpiresAt);
+    }
+    await vehicle.save();
+
+    const driverId = (vehicle.driverId as any)?._id?.toString();
+
+    await logVerification({
+      subjectType: 'vehicle',
+      subjectId: vehicle._id,
+      subjectName: vehicle.licensePlate,
+      ownerId: driverId || vehicle.companyId,
+      action: status,
+      reason,
+      documents: reviewed,
+      actor: req.user!,
+    });
+
+    // Notify the driver (or the fleet's company) only, in their private room
     const io = req.app.get('io');
-    if (io && vehicle.driverId) {
-      io.emit('vehicle:verified', {
+    const ownerId = driverId || vehicle.companyId?.toString();
+    if (ownerId) {
+      const message = status === 'approved'
+        ? `Your vehicle ${vehicle.licensePlate} has been approved!`
+        : `Your vehicle ${vehicle.licensePlate} has been rejected: ${vehicle.rejectionReason}`;
+      io?.to(userRoom(ownerId)).emit(SOCKET_EVENTS.VEHICLE_VERIFIED, {
         vehicleId: vehicle._id.toString(),
-        driverId: (vehicle.driverId as any)._id?.toString(),
+        driverId,
         status,
-        message: status === 'approved' 
-          ? `Your vehicle ${vehicle.licensePlate} has been approved!`
-          : `Your vehicle ${vehicle.licensePlate} has been rejected.`,
+        message,
+        reason: vehicle.rejectionReason,
+        documentStatus: vehicle.documentStatus,
+      });
+      await notifyUser(io, ownerId, {
+        type: 'verification',
+        title: status === 'approved' ? 'Vehicle approved' : 'Vehicle rejected',
+        message,
+        data: { vehicleId: vehicle._id.toString(), status },
       });
     }
 
@@ -196,27 +324,50 @@ router.put('/verify/vehicle/:id', async (req: Request, res: Response): Promise<v
 /**
  * PUT /api/admin/verify/company/:id
  * Verify or reject a company
+ *
+ * Body: { status, reason? } (reason required when rejecting)
  */
-router.put('/verify/company/:id', async (req: Request, res: Response): Promise<void> => {
+router.put('/verify/company/:id', canReview, async (req: Request, res: Response): Promise<void> => {
   try {
     const { status, reason } = req.body;
 
-    if (!['approved', 'rejected'].includes(status)) {
-      res.status(400).json({ error: 'Invalid status' });
+    const validationError = validateReview(status, reason, undefined, []);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
       return;
     }
 
-    const company = await User.findByIdAndUpdate(
-      req.params.id,
-      { verificationStatus: status },
-      { new: true }
-    ).select('-password');
+    const company = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, role: 'company' }).select('-password')
+      : null;
 
     if (!company) {
       res.status(404).json({ error: 'Company not found' });
       return;
     }
 
+    applyReview(company, [], status, reason);
+    await company.save();
+
+    await logVerification({
+      subjectType: 'company',
+      subjectId: company._id,
+      subjectName: company.companyName || company.name,
+      ownerId: company._id,
+      action: status,
+      reason,
+      actor: req.user!,
+    });
+
+    await notifyUser(req.app.get('io'), company._id.toString(), {
+      type: 'verification',
+      title: status === 'approved' ? 'Company approved' : 'Company rejected',
+      message: status === 'approved'
+        ? `${company.companyName || 'Your company'} has been approved!`
+        : `${company.companyName || 'Your company'} has been rejected: ${company.rejectionReason}`,
+      data: { userId: company._id.toString(), status },
+    });
+
     res.json({
       message: `Company ${status}`,
       company,
@@ -227,15 +378,141 @@ router.put('/verify/company/:id', async (req: Request, res: Response): Promise<v
   }
 });
 
+/**
+ * GET /api/admin/expiring
+ * Drivers and vehicles whose license / OR/CR expires within ?days (default
+ * 30) or already expired, soonest first, plus how many have no date yet
+ */
+router.get('/expiring', canViewFleet, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+    const horizon = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const { driver, vehicle } = EXPIRY_TARGETS;
+    const scope = companyFilter(req);
+
+    const [drivers, vehicles, driversMissing, vehiclesMissing] = await Promise.all([
+      User.find({ ...driver.filter, ...scope, licenseExpiresAt: { $ne: null, $lte: horizon } })
+        .select('name email phone companyId licenseExpiresAt licenseExpiryWarnedDays trackingSuspended')
+        .populate('companyId', 'companyName')
+        .sort({ licenseExpiresAt: 1 }),
+      Vehicle.find({ ...vehicle.filter, ...scope, registrationExpiresAt: { $ne: null, $lte: horizon } })
+        .select('vehicleNumber licensePlate type driverId companyId registrationExpiresAt registrationExpiryWarnedDays trackingSuspended')
+        .populate('driverId', 'name phone')
+        .populate('companyId', 'companyName')
+        .sort({ registrationExpiresAt: 1 }),
+      User.countDocuments({ ...driver.filter, ...scope, licenseExpiresAt: null }),
+      Vehicle.countDocuments({ ...vehicle.filter, ...scope, registrationExpiresAt: null }),
+    ]);
+
+    res.json({
+      days,
+      drivers,
+      vehicles,
+      missing: { drivers: driversMissing, vehicles: vehiclesMissing },
+    });
+  } catch (error) {
+    console.error('Get expiring documents error:', error);
+    res.status(500).json({ error: 'Failed to get expiring documents' });
+  }
+});
+
+/**
+ * PUT /api/admin/expiry/:type/:id
+ * Set the license (type=driver) or OR/CR (type=vehicle) expiry date
+ * Body: { expiresAt } (null clears it). A future date lifts an expiry suspension.
+ */
+router.put('/expiry/:type/:id', canReview, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const type = req.params.type as ExpirySubject;
+    if (!EXPIRY_TARGETS[type]) {
+      res.status(400).json({ error: 'Type must be driver or vehicle' });
+      return;
+    }
+
+    const expiry = parseExpiryDate(req.body.expiresAt, { allowPast: true });
+    if (expiry.error || expiry.date === undefined) {
+      res.status(400).json({ error: expiry.error || 'expiresAt is required' });
+      return;
+    }
+
+    const subject: any = !mongoose.isValidObjectId(req.params.id)
+      ? null
+      : type === 'driver'
+        ? await User.findOne({ _id: req.params.id, role: 'driver' }).select('-password')
+        : await Vehicle.findById(req.params.id);
+
+    if (!subject) {
+      res.status(404).json({ error: `${type === 'driver' ? 'Driver' : 'Vehicle'} not found` });
+      return;
+    }
+
+    const resumed = setExpiryDate(subject, type, expiry.date);
+    await subject.save();
+
+    if (resumed) {
+      const target = EXPIRY_TARGETS[type];
+      const recipients = target.recipients(subject).filter(Boolean).map((id: any) => id.toString());
+      await notifyUsers(req.app.get('io'), recipients, {
+        type: 'document_expiry',
+        title: 'Tracking resumed',
+        message: `The ${target.label} of ${target.describe(subject)} was renewed. You can track again.`,
+        data: { subjectType: type, subjectId: subject._id.toString() },
+      });
+    }
+
+    res.json({
+      message: resumed ? 'Expiry date updated, tracking resumed' : 'Expiry date updated',
+      [type]: subject,
+    });
+  } catch (error) {
+    console.error('Update expiry error:', error);
+    res.status(500).json({ error: 'Failed to update expiry date' });
+  }
+});
+
+/**
+ * GET /api/admin/verifications/history
+ * Verification audit trail, newest first
+ * Query: ?subjectType, ?subjectId, ?ownerId (a driver/company and everything
+ * they own), ?action, ?limit (default 50, max 200)
+ */
+router.get('/verifications/history', canViewVerifications, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { subjectType, subjectId, ownerId, action, limit = 50 } = req.query;
+
+    for (const id of [subjectId, ownerId]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        res.status(400).json({ error: 'Invalid id' });
+        return;
+      }
+    }
+
+    const query: Record<string, any> = {};
+    if (subjectType) query.subjectType = subjectType;
+    if (subjectId) query.subjectId = subjectId;
+    if (ownerId) query.ownerId = ownerId;
+    if (action) query.action = action;
+
+    const history = await VerificationLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200));
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Get verification history error:', error);
+    res.status(500).json({ error: 'Failed to get verification history' });
+  }
+});
+
 /**
  * GET /api/admin/users
- * Get all users with filters
+ * Get all users with filters (company users: their own drivers)
  */
-router.get('/users', async (req: Request, res: Response): Promise<void> => {
+router.get('/users', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
     const { role, status, page = 1, limit = 20 } = req.query;
 
-    const query: any = {};
+    const query: any = { ...companyFilter(req) };
     if (role) query.role = role;
     if (status) query.verificationStatus = status;
 
@@ -263,11 +540,94 @@ router.get('/users', async (req: Request, res: Response): Promise<void> => {
   }
 });
 
+/**
+ * GET /api/admin/users/:id/sessions
+ * Devices a user is signed in on
+ */
+router.get('/users/:id/sessions', canManageUsers, async (req: Request, res: Response): Promise<void> => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const sessions = await listSessions(req.params.id);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/sign-out
+ * Sign a user out everywhere, e.g. after a phone was stolen
+ */
+router.post('/users/:id/sign-out', canManageUsers, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('name')
+      : null;
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const revoked = await revokeSessions(req.app.get('io'), { userId: user._id }, 'admin_sign_out');
+
+    res.json({ message: `${user.name} was signed out of ${revoked} device(s)`, revoked });
+  } catch (error) {
+    console.error('Sign out user error:', error);
+    res.status(500).json({ error: 'Failed to sign out user' });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Activate or deactivate a user. Deactivating signs them out everywhere.
+ * Body: { isActive }
+ */
+router.put('/users/:id/status', canManageUsers, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { isActive } = req.body;
+    if (typeof isActive !== 'boolean') {
+      res.status(400).json({ error: 'isActive must be true or false' });
+      return;
+    }
+    if (req.params.id === req.user!.id) {
+      res.status(400).json({ error: 'You cannot change your own status' });
+      return;
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findByIdAndUpdate(req.params.id, { isActive }, { new: true }).select('name isActive')
+      : null;
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const revoked = isActive
+      ? 0
+      : await revokeSessions(req.app.get('io'), { userId: user._id }, 'deactivated');
+
+    res.json({
+      message: isActive ? `${user.name} activated` : `${user.name} deactivated and signed out of ${revoked} device(s)`,
+      user,
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ error: 'Failed to update user status' });
+  }
+});
+
 /**
  * GET /api/admin/vehicles
- * Get all vehicles with filters (including pending)
+ * Get all vehicles with filters (including pending; company users: their own)
  */
-router.get('/vehicles', async (req: Request, res: Response): Promise<void> => {
+router.get('/vehicles', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
     const { type, status, companyId, page = 1, limit = 20 } = req.query;
 
@@ -275,6 +635,7 @@ router.get('/vehicles', async (req: Request, res: Response): Promise<void> => {
     if (type) query.type = type;
     if (status) query.verificationStatus = status;
     if (companyId) query.companyId = companyId;
+    Object.assign(query, companyFilter(req));
 
     const vehicles = await Vehicle.find(query)
       .populate('driverId', 'name email phone')
@@ -303,56 +664,378 @@ router.get('/vehicles', async (req: Request, res: Response): Promise<void> => {
 /**
  * GET /api/admin/alerts
  * Get SOS alerts
+ * ?status=open (active or acknowledged, default), active, acknowledged or resolved
  */
-router.get('/alerts', async (req: Request, res: Response): Promise<void> => {
+router.get('/alerts', requirePermission('sos:view'), async (req: Request, res: Response): Promise<void> => {
   try {
-    const { status = 'active' } = req.query;
+    const { status = 'open' } = req.query;
 
-    const alerts = await SOSAlert.find({ status })
+    const alerts = await SOSAlert.find({
+      status: status === 'open' ? { $in: OPEN_STATUSES } : status,
+      ...companyFilter(req),
+    })
       .populate('senderId', 'name email phone')
       .populate('vehicleId', 'vehicleNumber licensePlate')
-      .sort({ createdAt: -1 });
+      .populate('assignedTo', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(status === 'resolved' ? 100 : 0);
 
-    res.json({ alerts });
+    res.json({ alerts, resolutionCategories: RESOLUTION_CATEGORIES });
   } catch (error) {
     console.error('Get alerts error:', error);
     res.status(500).json({ error: 'Failed to get alerts' });
   }
 });
 
+/**
+ * GET /api/admin/alerts/responders
+ * Who alerts can be assigned to (a company can only assign itself)
+ */
+router.get('/alerts/responders', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    if (req.companyId) {
+      const company = await User.findById(req.companyId).select('name email');
+      res.json({ responders: company ? [company] : [] });
+      return;
+    }
+
+    const responders = await User.find({ ...adminsWithPermission('sos:respond'), isActive: true })
+      .select('name email')
+      .sort({ name: 1 });
+
+    res.json({ responders });
+  } catch (error) {
+    console.error('Get responders error:', error);
+    res.status(500).json({ error: 'Failed to get responders' });
+  }
+});
+
+/**
+ * GET /api/admin/alerts/:id
+ * One SOS alert with its timeline
+ */
+router.get('/alerts/:id', requirePermission('sos:view'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id) ? await loadAlert(req.params.id) : null;
+    if (!alert || (req.companyId && alert.companyId?.toString() !== req.companyId)) {
+      res.status(404).json({ error: 'Alert not found' });
+      return;
+    }
+
+    res.json({ alert });
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({ error: 'Failed to get alert' });
+  }
+});
+
+/**
+ * PUT /api/admin/alerts/:id/acknowledge
+ * "We're on it": tells the sender's phone that help has seen the alert
+ */
+router.put('/alerts/:id/acknowledge', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id) ? await SOSAlert.findOneAndUpdate(
+      { _id: req.params.id, status: 'active', ...companyFilter(req) },
+      {
+        status: 'acknowledged',
+        acknowledgedAt: new Date(),
+        acknowledgedBy: req.user!.id,
+        $push: { timeline: timelineEntry('acknowledged', req.user) },
+      },
+      { new: true }
+    ) : null;
+
+    if (!alert) {
+      res.status(404).json({ error: 'Active alert not found (it may have been acknowledged already)' });
+      return;
+    }
+
+    const io = req.app.get('io');
+    await broadcastAlertUpdate(io, alert._id);
+
+    const message = `${req.companyId ? 'Your company' : 'An administrator'} has seen your SOS alert and is responding.`;
+    io?.to(userRoom(alert.senderId.toString())).emit(SOCKET_EVENTS.SOS_ACKNOWLEDGED, {
+      alertId: alert._id.toString(),
+      message,
+    });
+    await notifyUser(io, alert.senderId.toString(), {
+      type: 'sos',
+      title: 'SOS acknowledged',
+      message,
+      data: { alertId: alert._id.toString() },
+    });
+
+    res.json({ message: 'Alert acknowledged', alert: await loadAlert(alert._id) });
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * PUT /api/admin/alerts/:id/assign
+ * Assign an open alert to a responder
+ * Body: { assigneeId } (null to unassign)
+ */
+router.put('/alerts/:id/assign', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { assigneeId } = req.body;
+
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await SOSAlert.findOne({ _id: req.params.id, status: { $in: OPEN_STATUSES }, ...companyFilter(req) })
+      : null;
+    if (!alert) {
+      res.status(404).json({ error: 'Open alert not found' });
+      return;
+    }
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = mongoose.isValidObjectId(assigneeId) && await canBeAssigned(assigneeId, alert)
+        ? await User.findById(assigneeId).select('name')
+        : null;
+      if (!assignee) {
+        res.status(400).json({ error: 'This user cannot respond to SOS alerts' });
+        return;
+      }
+    }
+
+    if ((alert.assignedTo?.toString() || null) === (assignee?._id.toString() || null)) {
+      res.status(400).json({ error: assignee ? `Already assigned to ${assignee.name}` : 'The alert is not assigned' });
+      return;
+    }
+
+    alert.assignedTo = assignee?._id || null;
+    alert.assignedAt = assignee ? new Date() : null;
+    alert.timeline.push(assignee
+      ? timelineEntry('assigned', req.user, `Assigned to ${assignee.name}`)
+      : timelineEntry('unassigned', req.user));
+    await alert.save();
+
+    const io = req.app.get('io');
+    await broadcastAlertUpdate(io, alert._id);
+    if (assignee && assignee._id.toString() !== req.user!.id) {
+      await notifyUser(io, assignee._id.toString(), {
+        type: 'sos',
+        title: '🚨 SOS assigned to you',
+        message: `${req.user!.name} assigned you the SOS alert from ${alert.senderName}`,
+        data: { alertId: alert._id.toString() },
+      });
+    }
+
+    res.json({ message: assignee ? `Assigned to ${assignee.name}` : 'Unassigned', alert: await loadAlert(alert._id) });
+  } catch (error) {
+    console.error('Assign alert error:', error);
+    res.status(500).json({ error: 'Failed to assign alert' });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/notes
+ * Add a note to an alert's timeline
+ * Body: { text }
+ */
+router.post('/alerts/:id/notes', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text || text.length > 1000) {
+      res.status(400).json({ error: 'Note text is required (at most 1000 characters)' });
+      return;
+    }
+
+    const alert = mongoose.isValidObjectId(req.params.id) ? await SOSAlert.findOneAndUpdate(
+      { _id: req.params.id, ...companyFilter(req) },
+      { $push: { timeline: timelineEntry('note', req.user, text) } },
+      { new: true }
+    ) : null;
+
+    if (!alert) {
+      res.status(404).json({ error: 'Alert not found' });
+      return;
+    }
+
+    await broadcastAlertUpdate(req.app.get('io'), alert._id);
+
+    res.status(201).json({ message: 'Note added', alert: await loadAlert(alert._id) });
+  } catch (error) {
+    console.error('Add alert note error:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+/**
+ * GET /api/admin/alerts/:id/nearest-vehicles
+ * Online vehicles that could go to an open alert, nearest first
+ * Query: limit (default 5, at most 20)
+ */
+router.get('/alerts/:id/nearest-vehicles', requirePermission('sos:view'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 5, 1), 20);
+
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await SOSAlert.findOne({ _id: req.params.id, status: { $in: OPEN_STATUSES }, ...companyFilter(req) })
+      : null;
+    if (!alert) {
+      res.status(404).json({ error: 'Open alert not found' });
+      return;
+    }
+
+    const vehicles = await findNearestVehicles(alert, companyFilter(req), limit);
+
+    res.json({ vehicles, location: alert.location });
+  } catch (error) {
+    console.error('Get nearest vehicles error:', error);
+    res.status(500).json({ error: 'Failed to get nearest vehicles' });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/dispatch
+ * Send a nearby vehicle to an open alert; its driver is told where to go
+ * Body: { vehicleId }
+ */
+router.post('/alerts/:id/dispatch', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { vehicleId } = req.body;
+    if (!vehicleId || !mongoose.isValidObjectId(vehicleId)) {
+      res.status(400).json({ error: 'vehicleId is required' });
+      return;
+    }
+
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await SOSAlert.findOne({ _id: req.params.id, status: { $in: OPEN_STATUSES }, ...companyFilter(req) })
+      : null;
+    if (!alert) {
+      res.status(404).json({ error: 'Open alert not found' });
+      return;
+    }
+
+    // Same rules as the nearest list: online, approved, has a driver, free
+    const [vehicle] = await findNearestVehicles(alert, { ...companyFilter(req), _id: vehicleId }, 1);
+    if (!vehicle) {
+      res.status(400).json({ error: 'This vehicle is not available (offline, without a driver or already dispatched)' });
+      return;
+    }
+    if (vehicle.dispatched) {
+      res.status(400).json({ error: `${vehicle.vehicleNumber} was already dispatched to this alert` });
+      return;
+    }
+
+    const message = `${vehicle.vehicleNumber}${vehicle.driverName ? ` (${vehicle.driverName})` : ''}`
+      + ` sent, ${(vehicle.distanceMeters / 1000).toFixed(1)} km away`;
+    const updated = await SOSAlert.findOneAndUpdate(
+      { _id: alert._id, status: { $in: OPEN_STATUSES }, 'dispatches.vehicleId': { $ne: vehicleId } },
+      {
+        $push: {
+          dispatches: {
+            vehicleId,
+            driverId: vehicle.driverId,
+            distanceMeters: vehicle.distanceMeters,
+            dispatchedAt: new Date(),
+            dispatchedBy: req.user!.id,
+          },
+          timeline: timelineEntry('dispatched', req.user, message),
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      res.status(409).json({ error: 'The alert changed meanwhile, please try again' });
+      return;
+    }
+
+    const io = req.app.get('io');
+    const payload: SOSDispatchPayload = {
+      alertId: alert._id.toString(),
+      senderName: alert.senderName,
+      message: alert.message,
+      location: alert.location,
+      distanceMeters: vehicle.distanceMeters,
+      dispatchedBy: req.user!.name,
+    };
+    io?.to(userRoom(vehicle.driverId)).emit(SOCKET_EVENTS.SOS_DISPATCH, payload);
+    await notifyUser(io, vehicle.driverId, {
+      type: 'sos',
+      title: '🚨 You were sent to an SOS',
+      message: `${alert.senderName} needs help ${(vehicle.distanceMeters / 1000).toFixed(1)} km from you`,
+      data: {
+        alertId: alert._id.toString(),
+        latitude: alert.location.latitude,
+        longitude: alert.location.longitude,
+      },
+    });
+    await broadcastAlertUpdate(io, alert._id);
+
+    res.status(201).json({ message: `${vehicle.vehicleNumber} dispatched`, alert: await loadAlert(alert._id) });
+  } catch (error) {
+    console.error('Dispatch vehicle error:', error);
+    res.status(500).json({ error: 'Failed to dispatch vehicle' });
+  }
+});
+
 /**
  * PUT /api/admin/alerts/:id/resolve
  * Resolve an SOS alert
+ * Body: { category, note? } - category is one of RESOLUTION_CATEGORIES
  */
-router.put('/alerts/:id/resolve', async (req: Request, res: Response): Promise<void> => {
+router.put('/alerts/:id/resolve', requirePermission('sos:respond'), async (req: Request, res: Response): Promise<void> => {
   try {
-    const alert = await SOSAlert.findByIdAndUpdate(
-      req.params.id,
+    const { category } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+
+    if (!category || !(category in RESOLUTION_CATEGORIES)) {
+      res.status(400).json({
+        error: `Resolution category must be one of: ${Object.keys(RESOLUTION_CATEGORIES).join(', ')}`,
+      });
+      return;
+    }
+    const label = RESOLUTION_CATEGORIES[category as SOSResolutionCategory];
+
+    const alert = mongoose.isValidObjectId(req.params.id) ? await SOSAlert.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: OPEN_STATUSES }, ...companyFilter(req) },
       {
         status: 'resolved',
         resolvedAt: new Date(),
         resolvedBy: req.user!.id,
+        resolutionCategory: category,
+        resolutionNote: note || undefined,
+        $push: { timeline: timelineEntry('resolved', req.user, note ? `${label}: ${note}` : label) },
       },
       { new: true }
-    );
+    ) : null;
 
     if (!alert) {
-      res.status(404).json({ error: 'Alert not found' });
+      res.status(404).json({ error: 'Open alert not found' });
       return;
     }
 
-    // Broadcast resolution to all admins so they remove the marker from map
+    // Broadcast resolution to all admins (and the company) so they remove the
+    // marker from map, and let the person who sent it know help has closed it
     const io = req.app.get('io');
+    const message = `Your SOS alert has been resolved by ${req.companyId ? 'your company' : 'an administrator'}.`;
     if (io) {
-      io.to('admin-room').emit('sos:resolved', {
+      io.to(sosRooms(alert.companyId)).emit(SOCKET_EVENTS.SOS_RESOLVED, {
         alertId: alert._id.toString(),
         resolvedBy: req.user!.id,
+        category,
+      });
+      io.to(userRoom(alert.senderId.toString())).emit(SOCKET_EVENTS.SOS_RESOLVED, {
+        alertId: alert._id.toString(),
+        message,
       });
     }
+    await broadcastAlertUpdate(io, alert._id);
+    await notifyUser(io, alert.senderId.toString(), {
+      type: 'sos',
+      title: 'SOS resolved',
+      message,
+      data: { alertId: alert._id.toString() },
+    });
 
     res.json({
       message: 'Alert resolved',
-      alert,
+      alert: await loadAlert(alert._id),
     });
   } catch (error) {
     console.error('Resolve alert error:', error);
@@ -360,14 +1043,153 @@ router.put('/alerts/:id/resolve', async (req: Request, res: Response): Promise<v
   }
 });
 
+/**
+ * GET /api/admin/speed-violations
+ * Get speeding violations, newest first
+ * Optional filters: ?vehicleId, ?driverId, ?geofenceId, ?status=ongoing|ended,
+ * ?hours (default 24), ?limit (default 100)
+ */
+router.get('/speed-violations', canViewFleet, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { vehicleId, driverId, geofenceId, status, hours = 24, limit = 100 } = req.query;
+
+    // A vehicleId replaces the company's vehicle list below, so it must be one of them
+    if (vehicleId && !(mongoose.isValidObjectId(vehicleId) && (await canAccessVehicle(req, vehicleId as string)))) {
+      res.status(404).json({ error: 'Vehicle not found' });
+      return;
+    }
+
+    const query: any = {
+      startedAt: { $gte: new Date(Date.now() - Number(hours) * 60 * 60 * 1000) },
+      ...(await companyVehicleFilter(req)),
+    };
+    if (vehicleId) query.vehicleId = vehicleId;
+    if (driverId) query.driverId = driverId;
+    if (geofenceId) query.geofenceId = geofenceId;
+    if (status) query.status = status;
+
+    const violations = await SpeedViolation.find(query)
+      .populate('vehicleId', 'vehicleNumber licensePlate type')
+      .populate('driverId', 'name')
+      .populate('geofenceId', 'name type')
+      .sort({ startedAt: -1 })
+      .limit(Number(limit));
+
+    res.json({ violations });
+  } catch (error) {
+    console.error('Get speed violations error:', error);
+    res.status(500).json({ error: 'Failed to get speed violations' });
+  }
+});
+
+/**
+ * GET /api/admin/harsh-events
+ * Get harsh acceleration/braking/cornering events, newest first
+ * Optional filters: ?vehicleId, ?driverId, ?eventType, ?hours (default 24),
+ * ?limit (default 100)
+ */
+router.get('/harsh-events', canViewFleet, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { vehicleId, driverId, eventType, hours = 24, limit = 100 } = req.query;
+
+    // A vehicleId replaces the company's vehicle list below, so it must be one of them
+    if (vehicleId && !(mongoose.isValidObjectId(vehicleId) && (await canAccessVehicle(req, vehicleId as string)))) {
+      res.status(404).json({ error: 'Vehicle not found' });
+      return;
+    }
+
+    const query: any = {
+      timestamp: { $gte: new Date(Date.now() - Number(hours) * 60 * 60 * 1000) },
+      ...(await companyVehicleFilter(req)),
+    };
+    if (vehicleId) query.vehicleId = vehicleId;
+    if (driverId) query.driverId = driverId;
+    if (eventType) query.eventType = eventType;
+
+    const events = await HarshDrivingEvent.find(query)
+      .populate('vehicleId', 'vehicleNumber licensePlate type')
+      .populate('driverId', 'name')
+      .sort({ timestamp: -1 })
+      .limit(Number(limit));
+
+    res.json({ events });
+  } catch (error) {
+    console.error('Get harsh events error:', error);
+    res.status(500).json({ error: 'Failed to get harsh driving events' });
+  }
+});
+
+/**
+ * GET /api/admin/driving-summary
+ * Harsh driving event counts per driver per day (local time), for coaching
+ * Optional: ?days (default 7), ?driverId
+ */
+router.get('/driving-summary', canViewFleet, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { days = 7, driverId } = req.query;
+    if (driverId && !mongoose.isValidObjectId(driverId)) {
+      res.status(400).json({ error: 'Invalid driverId' });
+      return;
+    }
+
+    const match: any = {
+      driverId: { $ne: null },
+      timestamp: { $gte: new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000) },
+      ...(await companyVehicleFilter(req)),
+    };
+    if (driverId) match.driverId = new mongoose.Types.ObjectId(String(driverId));
+
+    const rows = await HarshDrivingEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            driverId: '$driverId',
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: DEFAULT_TIMEZONE } },
+          },
+          harshAcceleration: { $sum: { $cond: [{ $eq: ['$eventType', 'harsh_acceleration'] }, 1, 0] } },
+          harshBraking: { $sum: { $cond: [{ $eq: ['$eventType', 'harsh_braking'] }, 1, 0] } },
+          sharpCornering: { $sum: { $cond: [{ $eq: ['$eventType', 'sharp_cornering'] }, 1, 0] } },
+          total: { $sum: 1 },
+        },
+      },
+      { $sort: { '_id.date': -1, total: -1 } },
+    ]);
+
+    // Attach driver names
+    const drivers = await User.find({ _id: { $in: rows.map(r => r._id.driverId) } }).select('name');
+    const driverNames = new Map(drivers.map(d => [d._id.toString(), d.name]));
+
+    const summary = rows.map(r => ({
+      driverId: r._id.driverId,
+      driverName: driverNames.get(r._id.driverId.toString()) || 'Unknown',
+      date: r._id.date,
+      harshAcceleration: r.harshAcceleration,
+      harshBraking: r.harshBraking,
+      sharpCornering: r.sharpCornering,
+      total: r.total,
+    }));
+
+    res.json({ timezone: DEFAULT_TIMEZONE, summary });
+  } catch (error) {
+    console.error('Get driving summary error:', error);
+    res.status(500).json({ error: 'Failed to get driving summary' });
+  }
+});
+
 /**
  * GET /api/admin/analytics/vehicle/:id
  * Get analytics for a specific vehicle
  */
-router.get('/analytics/vehicle/:id', async (req: Request, res: Response): Promise<void> => {
+router.get('/analytics/vehicle/:id', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
     const { startDate, endDate } = req.query;
 
+    if (!(await canAccessVehicle(req, req.params.id))) {
+      res.status(404).json({ error: 'Vehicle not found' });
+      return;
+    }
+
     const start = startDate ? new Date(startDate as string) : new Date(Date.now() - 24 * 60 * 60 * 1000);
     const end = endDate ? new Date(endDate as string) : new Date();
 
@@ -430,7 +1252,7 @@ router.get('/analytics/vehicle/:id', async (req: Request, res: Response): Promis
  * GET /api/admin/history/vehicle/:id
  * Get GPS history for route playback
  */
-router.get('/history/vehicle/:id', async (req: Request, res: Response): Promise<void> => {
+router.get('/history/vehicle/:id', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
     const { startDate, endDate, limit = 1000 } = req.query;
 
@@ -438,7 +1260,7 @@ router.get('/history/vehicle/:id', async (req: Request, res: Response): Promise<
     const end = endDate ? new Date(endDate as string) : new Date();
 
     // Get vehicle info
-    const vehicle = await Vehicle.findById(req.params.id)
+    const vehicle = await Vehicle.findOne({ _id: req.params.id, ...companyFilter(req) })
       .populate('driverId', 'name')
       .select('vehicleNumber licensePlate type routeName');
 
@@ -484,13 +1306,91 @@ router.get('/history/vehicle/:id', async (req: Request, res: Response): Promise<
   }
 });
 
+/**
+ * GET /api/admin/vehicles/:id/trips
+ * Split a vehicle's GPS history into trips and the stops between them
+ * Optional: ?startDate, ?endDate (default last 24h), ?idleSpeedKmh (default 3),
+ * ?minStopMinutes (default 5), ?minBriefStopSeconds (default 60)
+ */
+router.get('/vehicles/:id/trips', canViewFleet, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { startDate, endDate, idleSpeedKmh, minStopMinutes, minBriefStopSeconds } = req.query;
+
+    const start = startDate ? new Date(startDate as string) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate as string) : new Date();
+
+    const options = {
+      idleSpeedKmh: idleSpeedKmh !== undefined ? Number(idleSpeedKmh) : DEFAULT_TRIP_OPTIONS.idleSpeedKmh,
+      minStopMinutes: minStopMinutes !== undefined ? Number(minStopMinutes) : DEFAULT_TRIP_OPTIONS.minStopMinutes,
+      minBriefStopSeconds: minBriefStopSeconds !== undefined
+        ? Number(minBriefStopSeconds)
+        : DEFAULT_TRIP_OPTIONS.minBriefStopSeconds,
+    };
+
+    if (Object.values(options).some(value => !Number.isFinite(value) || value < 0)) {
+      res.status(400).json({ error: 'Trip thresholds must be non-negative numbers' });
+      return;
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: req.params.id, ...companyFilter(req) })
+      .select('vehicleNumber licensePlate type');
+    if (!vehicle) {
+      res.status(404).json({ error: 'Vehicle not found' });
+      return;
+    }
+
+    const [history, geofenceIndex] = await Promise.all([
+      GPSHistory.find({
+        vehicleId: req.params.id,
+        createdAt: { $gte: start, $lte: end },
+      })
+        .sort({ createdAt: 1 })
+        .select('location createdAt'),
+      getGeofenceIndex(),
+    ]);
+
+    const points: TripPoint[] = history.map(h => ({
+      latitude: h.location.latitude,
+      longitude: h.location.longitude,
+      speed: h.location.speed || 0,
+      timestamp: h.createdAt,
+    }));
+
+    // Name trip ends and stops after the geofence they are in (terminal, school...)
+    const findGeofence = (point: { latitude: number; longitude: number }) => {
+      const geofence = geofenceIndex.query(point).find(g => isInsideGeofence(g, point));
+      return geofence ? { id: geofence._id.toString(), name: geofence.name } : null;
+    };
+
+    const { trips, stops } = segmentTrips(points, options, findGeofence);
+
+    res.json({
+      vehicle: {
+        id: vehicle._id,
+        vehicleNumber: vehicle.vehicleNumber,
+        licensePlate: vehicle.licensePlate,
+        type: vehicle.type,
+      },
+      period: { start, end },
+      options,
+      totalTrips: trips.length,
+      totalDistanceKm: Math.round(trips.reduce((sum, t) => sum + t.distanceKm, 0) * 100) / 100,
+      trips,
+      stops,
+    });
+  } catch (error) {
+    console.error('Get trips error:', error);
+    res.status(500).json({ error: 'Failed to get trips' });
+  }
+});
+
 /**
  * GET /api/admin/vehicles/list
  * Get simple list of all vehicles for dropdown
  */
-router.get('/vehicles/list', async (req: Request, res: Response): Promise<void> => {
+router.get('/vehicles/list', canViewFleet, async (req: Request, res: Response): Promise<void> => {
   try {
-    const vehicles = await Vehicle.find({ verificationStatus: 'approved' })
+    const vehicles = await Vehicle.find({ verificationStatus: 'approved', ...companyFilter(req) })
       .populate('driverId', 'name')
       .select('vehicleNumber licensePlate type routeName driverId')
       .sort({ vehicleNumber: 1 });
@@ -511,6 +1411,116 @@ router.get('/vehicles/list', async (req: Request, res: Response): Promise<void>
   }
 });
 
+/**
+ * GET /api/admin/permissions
+ * Permission catalog and admin role presets, plus the caller's own permissions
+ */
+router.get('/permissions', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await User.findById(req.user!.id).select('role adminRole permissions');
+
+    res.json({
+      permissions: PERMISSIONS,
+      adminRoles: ADMIN_ROLES,
+      mine: user ? permissionsFor(user) : [],
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Failed to get permissions' });
+  }
+});
+
+/**
+ * GET /api/admin/staff
+ * Admin users with their role preset and effective permissions
+ */
+router.get('/staff', requirePermission('staff:manage'), async (req: Request, res: Response): Promise<void> => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select('name email isActive adminRole permissions createdAt')
+      .sort({ name: 1 });
+
+    res.json({
+      staff: admins.map(admin => ({
+        ...admin.toObject(),
+        adminRole: admin.adminRole || 'super_admin',
+        effectivePermissions: permissionsFor(admin),
+      })),
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: 'Failed to get staff' });
+  }
+});
+
+/**
+ * PUT /api/admin/staff/:id/permissions
+ * Assign an admin's role preset and extra permissions
+ *
+ * Body: { adminRole, permissions? } - permissions are granted on top of the preset
+ */
+router.put(
+  '/staff/:id/permissions',
+  requirePermission('staff:manage'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const { adminRole, permissions = [] } = req.body;
+
+      if (!ADMIN_ROLE_NAMES.includes(adminRole)) {
+        res.status(400).json({ error: `adminRole must be one of: ${ADMIN_ROLE_NAMES.join(', ')}` });
+        return;
+      }
+      if (!Array.isArray(permissions) || permissions.some(p => !ALL_PERMISSIONS.includes(p))) {
+        res.status(400).json({ error: 'Unknown permission' });
+        return;
+      }
+
+      // Keeps the last staff manager from locking everyone out
+      if (req.params.id === req.user!.id) {
+        res.status(400).json({ error: 'You cannot change your own permissions' });
+        return;
+      }
+
+      const admin = mongoose.isValidObjectId(req.params.id)
+        ? await User.findOne({ _id: req.params.id, role: 'admin' })
+        : null;
+
+      if (!admin) {
+        res.status(404).json({ error: 'Admin not found' });
+        return;
+      }
+
+      admin.adminRole = adminRole;
+      admin.permissions = Array.from(new Set(permissions as Permission[]));
+      await admin.save();
+
+      // Sockets already connected gain or lose live SOS alerts right away
+      updateSOSRoom(req.app.get('io'), admin._id.toString(), permissionsFor(admin));
+
+      await notifyUser(req.app.get('io'), admin._id.toString(), {
+        type: 'system',
+        title: 'Permissions updated',
+        message: `${req.user!.name} set your role to ${ADMIN_ROLES[adminRole as AdminRole].label}.`,
+      });
+
+      res.json({
+        message: 'Permissions updated',
+        admin: {
+          _id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          adminRole: admin.adminRole,
+          permissions: admin.permissions,
+          effectivePermissions: permissionsFor(admin),
+        },
+      });
+    } catch (error) {
+      console.error('Update staff permissions error:', error);
+      res.status(500).json({ error: 'Failed to update permissions' });
+    }
+  }
+);
+
 /**
  * Haversine formula to calculate distance between two GPS points
  */
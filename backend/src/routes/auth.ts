@@ -9,16 +9,78 @@
  * - Company: Registers company info, needs admin verification
  * - Student: Simple registration, auto-approved
  * - Admin: Created via seed script or by other admins
+ *
+ * Rejected drivers (or drivers whose license/OR/CR expired) upload new
+ * documents with POST /api/auth/resubmit.
+ *
+ * Signing in (or registering) starts a session: the response has a
+ * short-lived access `token` and a `refreshToken` for POST /refresh. See
+ * utils/sessions.ts. /logout and /sessions end sessions.
+ *
+ * Registering emails a verification link (POST /verify-email); forgotten
+ * passwords are reset with an emailed link (POST /forgot-password, then
+ * POST /reset-password). See utils/accountTokens.ts.
  */
 
 import { Router, Request, Response } from 'express';
+import mongoose from 'mongoose';
 import { User, Vehicle } from '../models';
-import { generateToken, authenticate } from '../middleware/auth';
+import { generateToken, authenticate, authorize } from '../middleware/auth';
+import {
+  ACCESS_TOKEN_TTL_MINUTES,
+  createSession,
+  listSessions,
+  revokeSessions,
+  rotateSession,
+} from '../utils/sessions';
+import { consumeToken, sendPasswordResetEmail, sendVerificationEmail } from '../utils/accountTokens';
+import { sendMail } from '../utils/mail';
 import { driverWithVehicleUpload } from '../middleware/upload';
+import {
+  DRIVER_DOCUMENTS,
+  VEHICLE_DOCUMENTS,
+  applyResubmission,
+  getRejectedDocuments,
+  logVerification,
+} from '../utils/verification';
+import { notifyAdmins, notifyUser } from '../utils/notifications';
+import { permissionsFor } from '../utils/permissions';
+import { EXPIRY_TARGETS, parseExpiryDate } from '../utils/documentExpiry';
+import { checkInvite, redeemInvite } from '../utils/companyInvites';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = Router();
 
+/**
+ * Start a session on this device: access token + refresh token fields for
+ * the response
+ */
+async function issueTokens(user: any, req: Request) {
+  const { session, refreshToken } = await createSession(user._id, req);
+  return {
+    token: generateToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  };
+}
+
+/**
+ * Email the verification link without holding up the response
+ */
+function startEmailVerification(user: any): void {
+  sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+}
+
+// Roles anyone can sign up as with POST /register
+const SELF_REGISTER_ROLES = ['driver', 'company', 'student'];
+
+// Vehicle upload fields of /register/driver and /resubmit -> vehicle document names
+const VEHICLE_UPLOAD_FIELDS: Record<string, string> = {
+  vehiclePhoto: 'vehiclePhoto',
+  vehiclePlatePhoto: 'licensePlatePhoto',
+  vehicleOrCr: 'orCrPhoto',
+};
+
 /**
  * POST /api/auth/register
  * Register a new user (driver, company, or student)
@@ -33,6 +95,12 @@ router.post('/register', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
+    // Admin accounts are created by other admins, never self-registered
+    if (!SELF_REGISTER_ROLES.includes(role)) {
+      res.status(400).json({ error: 'Invalid role' });
+      return;
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -65,19 +133,21 @@ router.post('/register', async (req: Request, res: Response): Promise<void> => {
 
     const user = new User(userData);
     await user.save();
+    startEmailVerification(user);
 
     // Generate token
-    const token = generateToken(user);
+    const tokens = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'Registration successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
         name: user.name,
         verificationStatus: user.verificationStatus,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -93,6 +163,8 @@ router.post('/register', async (req: Request, res: Response): Promise<void> => {
  * MENTOR NOTE: This endpoint handles multipart form data with files.
  * The driverWithVehicleUpload middleware processes the files before this handler runs.
  * Vehicle registration is mandatory during driver signup.
+ * An optional `inviteCode` from a company adds the driver and vehicle to
+ * its fleet (see utils/companyInvites.ts).
  */
 router.post(
   '/register/driver',
@@ -100,10 +172,12 @@ router.post(
   async (req: Request, res: Response): Promise<void> => {
     try {
       const { 
-        email, password, name, phone, companyId,
+        email, password, name, phone, inviteCode,
         vehicleLicensePlate, vehicleType, vehicleRouteName 
       } = req.body;
       const files = req.files as { [fieldname: string]: any[] };
+      const licenseExpiry = parseExpiryDate(req.body.licenseExpiresAt);
+      const registrationExpiry = parseExpiryDate(req.body.vehicleRegistrationExpiresAt);
 
       // Validate required personal fields
       if (!email || !password || !name || !phone) {
@@ -119,6 +193,16 @@ router.post(
         return;
       }
 
+      // Expiry dates (optional for older app versions, admins can add them)
+      if (licenseExpiry.error) {
+        res.status(400).json({ error: `License expiry: ${licenseExpiry.error}` });
+        return;
+      }
+      if (registrationExpiry.error) {
+        res.status(400).json({ error: `Vehicle registration expiry: ${registrationExpiry.error}` });
+        return;
+      }
+
       // Validate required vehicle fields
       if (!vehicleLicensePlate || !vehicleType) {
         res.status(400).json({ error: 'Vehicle license plate and type are required' });
@@ -140,6 +224,14 @@ router.post(
         return;
       }
 
+      if (inviteCode) {
+        const inviteError = await checkInvite(inviteCode, email);
+        if (inviteError) {
+          res.status(400).json({ error: inviteError });
+          return;
+        }
+      }
+
       // Check if license plate already registered
       const existingVehicle = await Vehicle.findOne({ licensePlate: vehicleLicensePlate.toUpperCase() });
       if (existingVehicle) {
@@ -164,7 +256,7 @@ router.post(
           licenseBack: files.licenseBack[0].path,
           selfie: files.selfie[0].path,
         },
-        companyId: companyId || undefined,
+        licenseExpiresAt: licenseExpiry.date || null,
       });
 
       await user.save();
@@ -185,6 +277,7 @@ router.post(
         driverId: user._id,
         verificationStatus: 'pending',
         routeName: vehicleRouteName || undefined,
+        registrationExpiresAt: registrationExpiry.date || null,
       });
 
       await vehicle.save();
@@ -192,12 +285,25 @@ router.post(
       // Assign vehicle to driver
       user.assignedVehicle = vehicle._id;
       await user.save();
+      startEmailVerification(user);
+
+      // Join the inviting company (checked above; can only fail if the code
+      // was used by someone else in the meantime)
+      const invite = inviteCode ? await redeemInvite(inviteCode, user) : null;
+      if (invite?.companyId) {
+        await notifyUser(req.app.get('io'), invite.companyId, {
+          type: 'company_invite',
+          title: 'Driver joined',
+          message: `${user.name} registered with your invite code and is awaiting verification.`,
+          data: { driverId: user._id.toString() },
+        });
+      }
 
-      const token = generateToken(user);
+      const tokens = await issueTokens(user, req);
 
       res.status(201).json({
         message: 'Driver and vehicle registration successful. Awaiting admin verification.',
-        token,
+        ...tokens,
         user: {
           id: user._id,
           email: user.email,
@@ -205,7 +311,10 @@ router.post(
           name: user.name,
           verificationStatus: user.verificationStatus,
           assignedVehicle: vehicle._id,
+          companyId: user.companyId,
+          emailVerified: user.emailVerified,
         },
+        inviteError: invite?.error,
         vehicle: {
           id: vehicle._id,
           vehicleNumber: vehicle.vehicleNumber,
@@ -254,19 +363,22 @@ router.post('/login', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    const token = generateToken(user);
+    const tokens = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
         name: user.name,
         verificationStatus: user.verificationStatus,
+        emailVerified: user.emailVerified,
         companyId: user.companyId,
         assignedVehicle: user.assignedVehicle,
+        adminRole: user.role === 'admin' ? user.adminRole || 'super_admin' : undefined,
+        permissions: permissionsFor(user),
       },
     });
   } catch (error) {
@@ -275,6 +387,465 @@ router.post('/login', async (req: Request, res: Response): Promise<void> => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Get a new access token (and a new refresh token - the old one stops working)
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      res.status(400).json({ error: 'Refresh token required' });
+      return;
+    }
+
+    const result = await rotateSession(req.app.get('io'), refreshToken);
+    if (result.error) {
+      res.status(401).json({ error: result.error });
+      return;
+    }
+
+    const user = await User.findById(result.session!.userId);
+    if (!user) {
+      res.status(401).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json({
+      token: generateToken(user, result.session!.id),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End this device's session
+ */
+router.post('/logout', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    await revokeSessions(req.app.get('io'), { _id: req.user!.sessionId, userId: req.user!.id }, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Devices I'm signed in on
+ */
+router.get('/sessions', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const sessions = await listSessions(req.user!.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session.id === req.user!.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of my devices
+ */
+router.delete('/sessions/:id', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id)
+      ? await revokeSessions(req.app.get('io'), { _id: req.params.id, userId: req.user!.id }, 'signed_out_elsewhere')
+      : 0;
+
+    if (revoked === 0) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to sign out device' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere except this device
+ */
+router.delete('/sessions', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const revoked = await revokeSessions(
+      req.app.get('io'),
+      { userId: req.user!.id, _id: { $ne: req.user!.sessionId } },
+      'signed_out_elsewhere'
+    );
+
+    res.json({ message: `Signed out of ${revoked} other device(s)`, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to sign out other devices' });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * Body: { email }
+ *
+ * MENTOR NOTE: Always answers the same way, so nobody can find out which
+ * emails have an account.
+ */
+router.post('/forgot-password', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      res.status(400).json({ error: 'Email is required' });
+      return;
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If an account exists for this email, we sent a link to reset the password.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset email' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Choose a new password with the emailed token; signs out every device
+ * Body: { token, password }
+ */
+router.post('/reset-password', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { token, password } = req.body;
+    if (!token || typeof token !== 'string' || !password) {
+      res.status(400).json({ error: 'Token and new password are required' });
+      return;
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+      res.status(400).json({ error: 'Password must be at least 6 characters' });
+      return;
+    }
+
+    const resetToken = await consumeToken(token, 'password_reset');
+    const user = resetToken && await User.findOne({ _id: resetToken.userId, isActive: true });
+    if (!user || user.email !== resetToken!.email) {
+      res.status(400).json({ error: 'This link is invalid or has expired. Please request a new one.' });
+      return;
+    }
+
+    user.password = password;
+    // Opening the emailed link proves the address is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeSessions(req.app.get('io'), { userId: user._id }, 'password_reset');
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `Hi ${user.name},\n\nThe password of your account was just changed and all devices were signed out. `
+        + 'If this wasn\'t you, reset your password again right away and contact an administrator.',
+    });
+
+    res.json({ message: 'Password changed. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm the email address with the emailed token
+ * Body: { token }
+ */
+router.post('/verify-email', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      res.status(400).json({ error: 'Token is required' });
+      return;
+    }
+
+    const verification = await consumeToken(token, 'email_verification');
+    const user = verification && await User.findById(verification.userId);
+    if (!user || user.email !== verification!.email) {
+      res.status(400).json({ error: 'This link is invalid or has expired. Please request a new one.' });
+      return;
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email address confirmed', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Email me a new verification link
+ */
+router.post('/verify-email/resend', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await User.findById(req.user!.id);
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+    if (user.emailVerified) {
+      res.status(400).json({ error: 'Your email address is already confirmed' });
+      return;
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      res.status(429).json({ error: 'Could not send the email right now, please try again in a minute' });
+      return;
+    }
+
+    res.json({ message: `We sent a new link to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * POST /api/auth/resubmit
+ * Re-upload rejected or expired documents and go back to pending review (drivers)
+ *
+ * MENTOR NOTE: Uses the same multipart fields as /register/driver. Only the
+ * documents the admin flagged must be sent (see `documentStatus` from
+ * /me); other documents of a rejected driver or vehicle may be replaced too.
+ * A rejection without flagged documents can be resubmitted without files.
+ *
+ * When tracking is suspended for an expired license or OR/CR, the renewed
+ * document and its new expiry date (licenseExpiresAt /
+ * vehicleRegistrationExpiresAt) are required. Tracking resumes once an
+ * admin approves them.
+ */
+router.post(
+  '/resubmit',
+  authenticate,
+  authorize('driver'),
+  driverWithVehicleUpload,
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const files = (req.files || {}) as { [fieldname: string]: any[] };
+      const licenseExpiry = parseExpiryDate(req.body.licenseExpiresAt);
+      const registrationExpiry = parseExpiryDate(req.body.vehicleRegistrationExpiresAt);
+
+      if (licenseExpiry.error || registrationExpiry.error) {
+        res.status(400).json({ error: licenseExpiry.error || registrationExpiry.error });
+        return;
+      }
+
+      const user = await User.findById(req.user!.id).select('-password');
+      if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return;
+      }
+      const vehicle = user.assignedVehicle ? await Vehicle.findById(user.assignedVehicle) : null;
+
+      // Upload field -> document name
+      const driverFiles: Record<string, string> = {};
+      for (const name of DRIVER_DOCUMENTS) {
+        if (files[name]) driverFiles[name] = files[name][0].path;
+      }
+      const vehicleFiles: Record<string, string> = {};
+      for (const [field, name] of Object.entries(VEHICLE_UPLOAD_FIELDS)) {
+        if (files[field]) vehicleFiles[name] = files[field][0].path;
+      }
+
+      const driverExpired = user.trackingSuspended?.reason === 'document_expired';
+      const vehicleExpired = vehicle?.trackingSuspended?.reason === 'document_expired';
+      const resubmitDriver = user.verificationStatus === 'rejected' || driverExpired;
+      const resubmitVehicle = vehicle?.verificationStatus === 'rejected' || vehicleExpired;
+
+      if (!resubmitDriver && !resubmitVehicle) {
+        res.status(400).json({ error: 'Nothing was rejected or expired, there is nothing to resubmit' });
+        return;
+      }
+      if (!resubmitDriver && (Object.keys(driverFiles).length > 0 || licenseExpiry.date)) {
+        res.status(400).json({ error: 'Your driver documents were not rejected' });
+        return;
+      }
+      if (!resubmitVehicle && (Object.keys(vehicleFiles).length > 0 || registrationExpiry.date)) {
+        res.status(400).json({ error: 'Your vehicle documents were not rejected' });
+        return;
+      }
+      if (driverExpired && !licenseExpiry.date) {
+        res.status(400).json({ error: 'licenseExpiresAt of the renewed license is required' });
+        return;
+      }
+      if (vehicleExpired && !registrationExpiry.date) {
+        res.status(400).json({ error: 'vehicleRegistrationExpiresAt of the renewed OR/CR is required' });
+        return;
+      }
+
+      // Every flagged or expired document must be uploaded again
+      const driverRequired = resubmitDriver
+        ? [...getRejectedDocuments(user, DRIVER_DOCUMENTS), ...(driverExpired ? EXPIRY_TARGETS.driver.documents : [])]
+        : [];
+      const vehicleRequired = resubmitVehicle
+        ? [...getRejectedDocuments(vehicle, VEHICLE_DOCUMENTS), ...(vehicleExpired ? EXPIRY_TARGETS.vehicle.documents : [])]
+        : [];
+      const missing = [
+        ...driverRequired.filter(name => !driverFiles[name]),
+        ...vehicleRequired
+          .filter(name => !vehicleFiles[name])
+          .map(name => Object.keys(VEHICLE_UPLOAD_FIELDS).find(field => VEHICLE_UPLOAD_FIELDS[field] === name)!),
+      ];
+      if (missing.length > 0) {
+        res.status(400).json({ error: `Please upload again: ${[...new Set(missing)].join(', ')}`, missing });
+        return;
+      }
+
+      const actor = req.user!;
+
+      if (resubmitDriver) {
+        const documents = applyResubmission(user, driverFiles);
+        if (licenseExpiry.date) {
+          // The suspension stays until an admin approves the renewed license
+          user.licenseExpiresAt = licenseExpiry.date;
+          user.licenseExpiryWarnedDays = null;
+        }
+        await user.save();
+        await logVerification({
+          subjectType: 'driver',
+          subjectId: user._id,
+          subjectName: user.name,
+          ownerId: user._id,
+          action: 'resubmitted',
+          reason: driverExpired ? 'Renewed license' : undefined,
+          documents,
+          actor,
+        });
+      }
+
+      if (resubmitVehicle) {
+        const documents = applyResubmission(vehicle, vehicleFiles);
+        if (registrationExpiry.date) {
+          vehicle!.registrationExpiresAt = registrationExpiry.date;
+          vehicle!.registrationExpiryWarnedDays = null;
+        }
+        await vehicle!.save();
+        await logVerification({
+          subjectType: 'vehicle',
+          subjectId: vehicle!._id,
+          subjectName: vehicle!.licensePlate,
+          ownerId: user._id,
+          action: 'resubmitted',
+          reason: vehicleExpired ? 'Renewed OR/CR' : undefined,
+          documents,
+          actor,
+        });
+      }
+
+      await notifyAdmins(req.app.get('io'), {
+        type: 'pending_verification',
+        title: 'Documents resubmitted',
+        message: `${user.name} resubmitted ${[resubmitDriver && 'driver', resubmitVehicle && 'vehicle']
+          .filter(Boolean)
+          .join(' and ')} documents for review`,
+        data: { userId: user._id.toString(), vehicleId: resubmitVehicle ? vehicle!._id.toString() : undefined },
+      }, 'verifications:review');
+
+      res.json({
+        message: 'Documents resubmitted. Awaiting admin verification.',
+        user: {
+          id: user._id,
+          verificationStatus: user.verificationStatus,
+          documentStatus: user.documentStatus,
+          licenseExpiresAt: user.licenseExpiresAt,
+        },
+        vehicle: vehicle && {
+          id: vehicle._id,
+          verificationStatus: vehicle.verificationStatus,
+          documentStatus: vehicle.documentStatus,
+          registrationExpiresAt: vehicle.registrationExpiresAt,
+        },
+      });
+    } catch (error) {
+      console.error('Resubmit error:', error);
+      res.status(500).json({ error: 'Failed to resubmit documents' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/join-company
+ * Join a company's fleet with an invite code (drivers)
+ * Body: { code }
+ */
+router.post(
+  '/join-company',
+  authenticate,
+  authorize('driver'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      if (!req.body.code) {
+        res.status(400).json({ error: 'Invite code is required' });
+        return;
+      }
+
+      const driver = await User.findById(req.user!.id);
+      if (!driver) {
+        res.status(404).json({ error: 'User not found' });
+        return;
+      }
+
+      const result = await redeemInvite(req.body.code, driver);
+      if (result.error) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+
+      await notifyUser(req.app.get('io'), result.companyId!, {
+        type: 'company_invite',
+        title: 'Driver joined',
+        message: `${driver.name} joined your company with an invite code.`,
+        data: { driverId: driver._id.toString() },
+      });
+
+      res.json({
+        message: `You joined ${result.companyName || 'the company'}`,
+        companyId: result.companyId,
+        companyName: result.companyName,
+      });
+    } catch (error) {
+      console.error('Join company error:', error);
+      res.status(500).json({ error: 'Failed to join company' });
+    }
+  }
+);
+
 /**
  * GET /api/auth/me
  * Get current user profile
@@ -291,7 +862,13 @@ router.get('/me', authenticate, async (req: Request, res: Response): Promise<voi
       return;
     }
 
-    res.json({ user });
+    res.json({
+      user: {
+        ...user.toObject(),
+        adminRole: user.role === 'admin' ? user.adminRole || 'super_admin' : undefined,
+        permissions: permissionsFor(user),
+      },
+    });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Failed to get profile' });
@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ * COMPANY PORTAL ROUTES
+ * =============================================================================
+ *
+ * MENTOR NOTE: Fleet management for company users (approved companies only).
+ * Mounted at /api/company. Companies also use the shared fleet routes in
+ * admin.ts (map, analytics, alerts), scoped to their own vehicles, and
+ * assign drivers with PUT /api/vehicles/:id/assign-driver.
+ *
+ * Drivers join a company with an invite code (utils/companyInvites.ts).
+ */
+
+import { Router, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { User, Vehicle, CompanyInvite } from '../models';
+import { authenticate, authorize, scopeCompany } from '../middleware/auth';
+import { createInvite, INVITE_TTL_DAYS } from '../utils/companyInvites';
+import { notifyUser } from '../utils/notifications';
+
+const router = Router();
+
+router.use(authenticate, authorize('company'), scopeCompany);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * GET /api/company/drivers
+ * Drivers in my company, with their assigned vehicle
+ */
+router.get('/drivers', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const drivers = await User.find({ role: 'driver', companyId: req.companyId })
+      .select('-password')
+      .populate('assignedVehicle', 'vehicleNumber licensePlate type verificationStatus companyId')
+      .sort({ name: 1 });
+
+    res.json({ drivers });
+  } catch (error) {
+    console.error('Get company drivers error:', error);
+    res.status(500).json({ error: 'Failed to get drivers' });
+  }
+});
+
+/**
+ * DELETE /api/company/drivers/:id
+ * Remove a driver from my company. They are unassigned from the company's
+ * vehicles; the vehicles stay in the fleet.
+ */
+router.delete('/drivers/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const driver = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, role: 'driver', companyId: req.companyId })
+      : null;
+
+    if (!driver) {
+      res.status(404).json({ error: 'Driver not found' });
+      return;
+    }
+
+    await Vehicle.updateMany({ companyId: req.companyId, driverId: driver._id }, { $unset: { driverId: 1 } });
+
+    const assigned = driver.assignedVehicle
+      ? await Vehicle.exists({ _id: driver.assignedVehicle, companyId: req.companyId })
+      : null;
+    if (assigned) driver.assignedVehicle = undefined;
+    driver.companyId = undefined;
+    await driver.save();
+
+    await notifyUser(req.app.get('io'), driver._id.toString(), {
+      type: 'company_invite',
+      title: 'Removed from company',
+      message: `${req.user!.name} removed you from their company.`,
+    });
+
+    res.json({ message: 'Driver removed from company' });
+  } catch (error) {
+    console.error('Remove company driver error:', error);
+    res.status(500).json({ error: 'Failed to remove driver' });
+  }
+});
+
+/**
+ * GET /api/company/invites
+ * My invites, newest first
+ */
+router.get('/invites', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const invites = await CompanyInvite.find({ companyId: req.companyId })
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ invites });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+/**
+ * POST /api/company/invites
+ * Create an invite code to share with a driver
+ * Body: { email? } - limits the code to that driver. An existing driver
+ * with that email also gets it in their notifications.
+ */
+router.post('/invites', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (email && !EMAIL_PATTERN.test(email)) {
+      res.status(400).json({ error: 'Invalid email' });
+      return;
+    }
+
+    const invite = await createInvite(req.companyId!, email || undefined);
+
+    if (email) {
+      const driver = await User.findOne({ email, role: 'driver' }).select('companyId');
+      if (driver && !driver.companyId) {
+        const company = await User.findById(req.companyId).select('companyName');
+        await notifyUser(req.app.get('io'), driver._id.toString(), {
+          type: 'company_invite',
+          title: 'Company invite',
+          message: `${company?.companyName || req.user!.name} invited you to join their fleet. ` +
+            `Your code: ${invite.code} (valid ${INVITE_TTL_DAYS} days)`,
+          data: { code: invite.code },
+        });
+      }
+    }
+
+    res.status(201).json({ message: 'Invite created', invite });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+/**
+ * DELETE /api/company/invites/:id
+ * Revoke an unused invite
+ */
+router.delete('/invites/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await CompanyInvite.deleteOne({ _id: req.params.id, companyId: req.companyId, usedBy: null })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      res.status(404).json({ error: 'Invite not found or already used' });
+      return;
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+export default router;
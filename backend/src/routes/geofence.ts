@@ -4,25 +4,74 @@
  * =============================================================================
  * 
  * API endpoints for managing geofences and viewing events.
+ *
+ * Geofence geometry in request bodies depends on `shape`:
+ * - circle (default): latitude, longitude, radius (meters)
+ * - polygon: polygon: [{ latitude, longitude }, ...] (3+ points)
+ * - corridor: path: [{ latitude, longitude }, ...] (2+ points), width (meters)
+ *
+ * Optional rules (each replaces the stored value as a whole; null clears it):
+ * - schedule: { timezone: 'Asia/Manila', windows: [{ days: [1,2,3,4,5], start: '06:00', end: '09:00' }] }
+ * - appliesTo: { vehicleTypes: ['bus'], companyIds: [...], vehicleIds: [...] }
+ *
+ * Responses include `isArmed`: whether the geofence is active and inside one
+ * of its schedule windows right now. The public reads leave out `appliesTo`.
+ *
+ * Changes need the `geofences:manage` permission, event history `fleet:view`.
  */
 
 import { Router, Request, Response } from 'express';
-import { Geofence, GeofenceEvent, Vehicle } from '../models';
-import { authenticate, authorize } from '../middleware/auth';
+import mongoose from 'mongoose';
+import { Geofence, GeofenceEvent, Vehicle, VehicleGeofenceState, IGeofenceDocument } from '../models';
+import { authenticate, authorize, requirePermission } from '../middleware/auth';
+import {
+  GeofenceGeometry,
+  calculateDistance,
+  getBoundsCenter,
+  isInsideGeofence,
+  parsePoints,
+} from '../utils/geo';
+import { DEFAULT_TIMEZONE, validateSchedule } from '../utils/schedule';
+import { geofenceAppliesToVehicle, isGeofenceArmed } from '../utils/geofenceRules';
+import { invalidateGeofenceIndex } from '../utils/geofenceIndex';
+import { SOCKET_ROOMS } from '../types';
 
 const router = Router();
 
+// Body fields that describe a geofence's geometry
+const SHAPE_FIELDS = ['shape', 'latitude', 'longitude', 'radius', 'polygon', 'path', 'width'];
+
+const VEHICLE_TYPES = ['bus', 'van', 'multicab', 'car', 'motorcycle'];
+
+// Add the computed `isArmed` flag to a geofence for responses
+function withArmedStatus(geofence: IGeofenceDocument, now: Date = new Date()) {
+  return { ...geofence.toObject(), isArmed: isGeofenceArmed(geofence, now) };
+}
+
+// What anyone may see: `appliesTo` lists internal company and vehicle ids
+function publicGeofence(geofence: IGeofenceDocument, now: Date = new Date()) {
+  const { appliesTo, ...rest } = withArmedStatus(geofence, now);
+  return rest;
+}
+
 /**
  * GET /api/geofences
  * Get all geofences (public - for map display)
+ * Optional ?armed=true to only return geofences armed right now
  */
-router.get('/', async (_req: Request, res: Response): Promise<void> => {
+router.get('/', async (req: Request, res: Response): Promise<void> => {
   try {
     const geofences = await Geofence.find({ isActive: true })
       .select('-createdBy')
       .sort({ name: 1 });
 
-    res.json({ geofences });
+    const now = new Date();
+    let results = geofences.map(geofence => publicGeofence(geofence, now));
+    if (req.query.armed === 'true') {
+      results = results.filter(geofence => geofence.isArmed);
+    }
+
+    res.json({ geofences: results });
   } catch (error) {
     console.error('Get geofences error:', error);
     res.status(500).json({ error: 'Failed to get geofences' });
@@ -42,7 +91,7 @@ router.get('/:id', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    res.json({ geofence });
+    res.json({ geofence: publicGeofence(geofence) });
   } catch (error) {
     console.error('Get geofence error:', error);
     res.status(500).json({ error: 'Failed to get geofence' });
@@ -57,31 +106,48 @@ router.post(
   '/',
   authenticate,
   authorize('admin'),
+  requirePermission('geofences:manage'),
   async (req: Request, res: Response): Promise<void> => {
     try {
       const {
         name,
         description,
         type,
-        latitude,
-        longitude,
-        radius,
         alertOnEntry,
         alertOnExit,
         notifyAdmin,
         notifyDriver,
+        dwellAlertMinutes,
+        speedLimitKmh,
         color,
       } = req.body;
 
       // Validate required fields
-      if (!name || latitude === undefined || longitude === undefined) {
-        res.status(400).json({ error: 'Name, latitude, and longitude are required' });
+      if (!name) {
+        res.status(400).json({ error: 'Name is required' });
+        return;
+      }
+
+      // Validate geometry for the requested shape
+      const { geometry, error } = parseGeofenceGeometry(req.body);
+      if (error) {
+        res.status(400).json({ error });
         return;
       }
 
-      // Validate coordinates
-      if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-        res.status(400).json({ error: 'Invalid coordinates' });
+      if (!isValidDwellMinutes(dwellAlertMinutes)) {
+        res.status(400).json({ error: 'dwellAlertMinutes must be between 0.5 and 1440' });
+        return;
+      }
+
+      if (!isValidSpeedLimit(speedLimitKmh)) {
+        res.status(400).json({ error: 'speedLimitKmh must be between 5 and 200' });
+        return;
+      }
+
+      const { rules, error: rulesError } = parseGeofenceRules(req.body);
+      if (rulesError) {
+        res.status(400).json({ error: rulesError });
         return;
       }
 
@@ -89,17 +155,20 @@ router.post(
         name,
         description,
         type: type || 'custom',
-        center: { latitude, longitude },
-        radius: radius || 100,
+        ...geometry,
         alertOnEntry: alertOnEntry !== false,
         alertOnExit: alertOnExit !== false,
         notifyAdmin: notifyAdmin !== false,
         notifyDriver: notifyDriver || false,
+        dwellAlertMinutes: dwellAlertMinutes || undefined,
+        speedLimitKmh: speedLimitKmh || undefined,
+        ...rules,
         color: color || '#3B82F6',
         createdBy: req.user!.id,
       });
 
       await geofence.save();
+      invalidateGeofenceIndex();
 
       // Broadcast new geofence to all clients
       const io = req.app.get('io');
@@ -109,8 +178,12 @@ router.post(
             id: geofence._id,
             name: geofence.name,
             type: geofence.type,
+            shape: geofence.shape,
             center: geofence.center,
             radius: geofence.radius,
+            polygon: geofence.polygon,
+            path: geofence.path,
+            width: geofence.width,
             color: geofence.color,
           },
         });
@@ -118,7 +191,7 @@ router.post(
 
       res.status(201).json({
         message: 'Geofence created successfully',
-        geofence,
+        geofence: withArmedStatus(geofence),
       });
     } catch (error) {
       console.error('Create geofence error:', error);
@@ -135,39 +208,71 @@ router.put(
   '/:id',
   authenticate,
   authorize('admin'),
+  requirePermission('geofences:manage'),
   async (req: Request, res: Response): Promise<void> => {
     try {
       const {
         name,
         description,
         type,
-        latitude,
-        longitude,
-        radius,
         isActive,
         alertOnEntry,
         alertOnExit,
         notifyAdmin,
         notifyDriver,
+        dwellAlertMinutes,
+        speedLimitKmh,
         color,
       } = req.body;
 
+      if (!isValidDwellMinutes(dwellAlertMinutes)) {
+        res.status(400).json({ error: 'dwellAlertMinutes must be between 0.5 and 1440' });
+        return;
+      }
+
+      if (!isValidSpeedLimit(speedLimitKmh)) {
+        res.status(400).json({ error: 'speedLimitKmh must be between 5 and 200' });
+        return;
+      }
+
       const updateData: any = {};
       
       if (name) updateData.name = name;
       if (description !== undefined) updateData.description = description;
       if (type) updateData.type = type;
-      if (latitude !== undefined && longitude !== undefined) {
-        updateData.center = { latitude, longitude };
-      }
-      if (radius) updateData.radius = radius;
       if (isActive !== undefined) updateData.isActive = isActive;
       if (alertOnEntry !== undefined) updateData.alertOnEntry = alertOnEntry;
       if (alertOnExit !== undefined) updateData.alertOnExit = alertOnExit;
       if (notifyAdmin !== undefined) updateData.notifyAdmin = notifyAdmin;
       if (notifyDriver !== undefined) updateData.notifyDriver = notifyDriver;
+      if (dwellAlertMinutes !== undefined) updateData.dwellAlertMinutes = dwellAlertMinutes || null; // null/0 turns it off
+      if (speedLimitKmh !== undefined) updateData.speedLimitKmh = speedLimitKmh || null; // null/0 = vehicle type default
       if (color) updateData.color = color;
 
+      const { rules, error: rulesError } = parseGeofenceRules(req.body);
+      if (rulesError) {
+        res.status(400).json({ error: rulesError });
+        return;
+      }
+      Object.assign(updateData, rules);
+
+      // Geometry changes are validated against the existing shape so a
+      // partial update (e.g. only `width`) still produces a valid geofence
+      if (SHAPE_FIELDS.some(field => req.body[field] !== undefined)) {
+        const existing = await Geofence.findById(req.params.id);
+        if (!existing) {
+          res.status(404).json({ error: 'Geofence not found' });
+          return;
+        }
+
+        const { geometry, error } = parseGeofenceGeometry(req.body, existing);
+        if (error) {
+          res.status(400).json({ error });
+          return;
+        }
+        Object.assign(updateData, geometry);
+      }
+
       const geofence = await Geofence.findByIdAndUpdate(
         req.params.id,
         updateData,
@@ -179,15 +284,18 @@ router.put(
         return;
       }
 
-      // Broadcast update
+      invalidateGeofenceIndex();
+
+      // Broadcast update: the whole geofence to admins, the public part to everyone else
       const io = req.app.get('io');
       if (io) {
-        io.emit('geofence:updated', { geofence });
+        io.to(SOCKET_ROOMS.ADMIN).emit('geofence:updated', { geofence });
+        io.except(SOCKET_ROOMS.ADMIN).emit('geofence:updated', { geofence: publicGeofence(geofence) });
       }
 
       res.json({
         message: 'Geofence updated successfully',
-        geofence,
+        geofence: withArmedStatus(geofence),
       });
     } catch (error) {
       console.error('Update geofence error:', error);
@@ -204,6 +312,7 @@ router.delete(
   '/:id',
   authenticate,
   authorize('admin'),
+  requirePermission('geofences:manage'),
   async (req: Request, res: Response): Promise<void> => {
     try {
       const geofence = await Geofence.findByIdAndDelete(req.params.id);
@@ -213,6 +322,10 @@ router.delete(
         return;
       }
 
+      // Vehicles can no longer be inside a geofence that doesn't exist
+      await VehicleGeofenceState.deleteMany({ geofenceId: geofence._id });
+      invalidateGeofenceIndex();
+
       // Broadcast deletion
       const io = req.app.get('io');
       if (io) {
@@ -230,11 +343,13 @@ router.delete(
 /**
  * GET /api/geofences/:id/events
  * Get events for a specific geofence
+ * Optional ?eventType=entry|exit|dwell filter
  */
 router.get(
   '/:id/events',
   authenticate,
   authorize('admin'),
+  requirePermission('fleet:view'),
   async (req: Request, res: Response): Promise<void> => {
     try {
       const { limit = 50, eventType } = req.query;
@@ -256,6 +371,64 @@ router.get(
   }
 );
 
+/**
+ * GET /api/geofences/:id/dwell-stats
+ * Average/min/max time vehicles spent inside a geofence (e.g. terminal wait
+ * times), computed from the dwellSeconds stored on exit events
+ */
+router.get(
+  '/:id/dwell-stats',
+  authenticate,
+  authorize('admin'),
+  requirePermission('fleet:view'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ error: 'Geofence not found' });
+        return;
+      }
+
+      const { hours = 24 * 7 } = req.query;
+
+      const since = new Date(Date.now() - Number(hours) * 60 * 60 * 1000);
+
+      const [stats] = await GeofenceEvent.aggregate([
+        {
+          $match: {
+            geofenceId: new mongoose.Types.ObjectId(req.params.id),
+            eventType: 'exit',
+            dwellSeconds: { $ne: null },
+            timestamp: { $gte: since },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            visits: { $sum: 1 },
+            averageSeconds: { $avg: '$dwellSeconds' },
+            minSeconds: { $min: '$dwellSeconds' },
+            maxSeconds: { $max: '$dwellSeconds' },
+          },
+        },
+      ]);
+
+      const toMinutes = (seconds?: number) => Math.round(((seconds || 0) / 60) * 10) / 10;
+
+      res.json({
+        geofenceId: req.params.id,
+        period: { start: since, end: new Date() },
+        visits: stats?.visits || 0,
+        averageDwellMinutes: toMinutes(stats?.averageSeconds),
+        minDwellMinutes: toMinutes(stats?.minSeconds),
+        maxDwellMinutes: toMinutes(stats?.maxSeconds),
+      });
+    } catch (error) {
+      console.error('Get dwell stats error:', error);
+      res.status(500).json({ error: 'Failed to get dwell stats' });
+    }
+  }
+);
+
 /**
  * GET /api/geofences/events/recent
  * Get recent geofence events across all geofences
@@ -264,6 +437,7 @@ router.get(
   '/events/recent',
   authenticate,
   authorize('admin'),
+  requirePermission('fleet:view'),
   async (req: Request, res: Response): Promise<void> => {
     try {
       const { limit = 50, hours = 24 } = req.query;
@@ -303,8 +477,12 @@ router.get(
 
       const geofences = await Geofence.find({ isActive: true });
       const insideGeofences: any[] = [];
+      const now = new Date();
 
       for (const geofence of geofences) {
+        if (!isInsideGeofence(geofence, vehicle.currentLocation)) continue;
+
+        // Distance to the geofence center (or label point for polygons/corridors)
         const distance = calculateDistance(
           vehicle.currentLocation.latitude,
           vehicle.currentLocation.longitude,
@@ -312,14 +490,15 @@ router.get(
           geofence.center.longitude
         );
 
-        if (distance <= geofence.radius) {
-          insideGeofences.push({
-            id: geofence._id,
-            name: geofence.name,
-            type: geofence.type,
-            distance: Math.round(distance),
-          });
-        }
+        insideGeofences.push({
+          id: geofence._id,
+          name: geofence.name,
+          type: geofence.type,
+          shape: geofence.shape || 'circle',
+          distance: Math.round(distance),
+          // Whether alerts fire for this vehicle here right now
+          isArmed: isGeofenceArmed(geofence, now) && geofenceAppliesToVehicle(geofence, vehicle),
+        });
       }
 
       res.json({ insideGeofences });
@@ -331,22 +510,121 @@ router.get(
 );
 
 /**
- * Calculate distance between two points using Haversine formula
- * Returns distance in meters
+ * A dwell rule is optional; when given it must be a sensible number of minutes.
+ * null/0 are allowed so updates can switch the rule off.
+ */
+function isValidDwellMinutes(value: any): boolean {
+  if (value === undefined || value === null || value === 0) return true;
+  const minutes = Number(value);
+  return minutes >= 0.5 && minutes <= 24 * 60;
+}
+
+/**
+ * A zone speed limit is optional; null/0 removes it on updates
+ */
+function isValidSpeedLimit(value: any): boolean {
+  if (value === undefined || value === null || value === 0) return true;
+  const kmh = Number(value);
+  return kmh >= 5 && kmh <= 200;
+}
+
+/**
+ * Build the schedule and appliesTo fields from a request body.
+ * Only fields present in the body are returned; null resets a rule so the
+ * geofence is armed all the time / applies to every vehicle.
  */
-function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
-  const R = 6371000; // Earth's radius in meters
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+function parseGeofenceRules(body: any): { rules?: Record<string, any>; error?: string } {
+  const rules: Record<string, any> = {};
+
+  if (body.schedule !== undefined) {
+    if (body.schedule === null) {
+      rules.schedule = { timezone: DEFAULT_TIMEZONE, windows: [] };
+    } else {
+      const error = validateSchedule(body.schedule);
+      if (error) return { error };
+
+      rules.schedule = {
+        timezone: body.schedule.timezone || DEFAULT_TIMEZONE,
+        windows: (body.schedule.windows || []).map((w: any) => ({
+          days: [...new Set<number>(w.days)].sort((a, b) => a - b),
+          start: w.start,
+          end: w.end,
+        })),
+      };
+    }
+  }
+
+  if (body.appliesTo !== undefined) {
+    const { vehicleTypes = [], companyIds = [], vehicleIds = [] } = body.appliesTo || {};
+
+    if (![vehicleTypes, companyIds, vehicleIds].every(Array.isArray)) {
+      return { error: 'appliesTo vehicleTypes, companyIds and vehicleIds must be arrays' };
+    }
+    if (!vehicleTypes.every((t: any) => VEHICLE_TYPES.includes(t))) {
+      return { error: `appliesTo vehicleTypes must be one of: ${VEHICLE_TYPES.join(', ')}` };
+    }
+    if (![...companyIds, ...vehicleIds].every((id: any) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'appliesTo contains an invalid company or vehicle ID' };
+    }
+
+    rules.appliesTo = { vehicleTypes, companyIds, vehicleIds };
+  }
+
+  return { rules };
 }
 
-function toRad(deg: number): number {
-  return deg * (Math.PI / 180);
+/**
+ * Build the geometry fields for a geofence from a request body.
+ * On updates, fields missing from the body fall back to the existing geofence.
+ */
+function parseGeofenceGeometry(
+  body: any,
+  existing?: IGeofenceDocument
+): { geometry?: GeofenceGeometry; error?: string } {
+  const existingShape = existing ? existing.shape || 'circle' : undefined;
+  const shape = body.shape || existingShape || 'circle';
+
+  if (shape === 'circle') {
+    const center = parsePoints([{
+      latitude: body.latitude ?? existing?.center?.latitude,
+      longitude: body.longitude ?? existing?.center?.longitude,
+    }]);
+    if (!center) {
+      return { error: 'Valid latitude and longitude are required for circle geofences' };
+    }
+
+    const radius = Number(body.radius ?? (existingShape === 'circle' ? existing?.radius : undefined) ?? 100);
+    if (!(radius >= 10 && radius <= 10000)) {
+      return { error: 'Radius must be between 10 and 10000 meters' };
+    }
+
+    return { geometry: { shape, center: center[0], radius } };
+  }
+
+  if (shape === 'polygon') {
+    const polygon = parsePoints(body.polygon ?? existing?.polygon?.map(p => ({ latitude: p.latitude, longitude: p.longitude })));
+    if (!polygon || polygon.length < 3) {
+      return { error: 'Polygon geofences need at least 3 valid points' };
+    }
+
+    return { geometry: { shape, polygon, center: getBoundsCenter(polygon) } };
+  }
+
+  if (shape === 'corridor') {
+    const path = parsePoints(body.path ?? existing?.path?.map(p => ({ latitude: p.latitude, longitude: p.longitude })));
+    if (!path || path.length < 2) {
+      return { error: 'Corridor geofences need a path with at least 2 valid points' };
+    }
+
+    const width = Number(body.width ?? existing?.width);
+    if (!(width >= 5 && width <= 2000)) {
+      return { error: 'Corridor width must be between 5 and 2000 meters' };
+    }
+
+    return { geometry: { shape, path, width, center: getBoundsCenter(path) } };
+  }
+
+  return { error: 'Invalid shape (circle, polygon or corridor)' };
 }
 
 export default router;
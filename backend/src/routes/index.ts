@@ -11,3 +11,7 @@ export { default as vehicleRoutes } from './vehicles';
 export { default as adminRoutes } from './admin';
 export { default as sosRoutes } from './sos';
 export { default as geofenceRoutes } from './geofence';
+export { default as transitRoutes } from './transitRoutes';
+export { default as subscriptionRoutes } from './subscriptions';
+export { default as notificationRoutes } from './notifications';
+export { default as companyRoutes } from './company';
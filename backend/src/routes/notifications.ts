@@ -0,0 +1,139 @@
+/**
+ * =============================================================================
+ * NOTIFICATION ROUTES
+ * =============================================================================
+ *
+ * The signed-in user's notification inbox. Mounted at /api/notifications.
+ * New notifications also arrive live as `notification:new` socket events.
+ */
+
+import { Router, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { Notification } from '../models';
+import { authenticate } from '../middleware/auth';
+
+const router = Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/notifications
+ * List my notifications, newest first.
+ * Query: ?unread=true, ?limit (default 30, max 100), ?before=<ISO date> for paging
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { unread, limit = 30, before } = req.query;
+
+    const query: Record<string, any> = { userId: req.user!.id };
+    if (unread === 'true') query.readAt = null;
+    if (before) query.createdAt = { $lt: new Date(before as string) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 30, 100)),
+      Notification.countDocuments({ userId: req.user!.id, readAt: null }),
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications (for badges)
+ */
+router.get('/unread-count', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user!.id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to get unread count' });
+  }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark all my notifications as read
+ */
+router.put('/read-all', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user!.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.put('/:id/read', async (req: Request, res: Response): Promise<void> => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ error: 'Notification not found' });
+      return;
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user!.id });
+
+    if (!notification) {
+      res.status(404).json({ error: 'Notification not found' });
+      return;
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ userId: req.user!.id, readAt: null });
+
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ * Remove a notification from my inbox
+ */
+router.delete('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ error: 'Notification not found' });
+      return;
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user!.id });
+
+    if (!notification) {
+      res.status(404).json({ error: 'Notification not found' });
+      return;
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+export default router;
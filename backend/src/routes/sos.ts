@@ -5,21 +5,259 @@
  * 
  * MENTOR NOTE: SOS is a critical safety feature. When triggered:
  * 1. Alert is saved to database
- * 2. Socket.io broadcasts to admin room immediately
+ * 2. Socket.io broadcasts to the SOS room (admins with sos:view) immediately
  * 3. Admin sees alert on dashboard with location
- * 4. Admin can acknowledge and resolve
+ * 4. Admin acknowledges, assigns, adds notes and resolves it (routes/admin.ts,
+ *    utils/sosIncidents.ts); unacknowledged alerts are escalated
  * 
  * The Socket.io broadcast happens in the route handler by accessing
  * the io instance attached to the app.
+ *
+ * Alerts from a company's vehicle or driver also go to that company's
+ * portal (`company:<id>` room and inbox).
+ *
+ * Every location the sender reports is kept in the alert's `trail`, so the
+ * admin map can draw where they have been, not just where they are.
+ *
+ * The sender's emergency contacts (GET/PUT /api/sos/contacts) and the
+ * on-call admin are also texted, see utils/sosContacts.ts.
+ *
+ * Without data, the app texts the SOS to the gateway number, which posts it
+ * to /sms/inbound; the copy the app buffered and syncs later has the same
+ * clientId and is matched to it (utils/sosSms.ts).
+ *
+ * Alerts buffered offline are sent together to /sync, which answers each
+ * one, so the app knows which it can forget.
  */
 
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { Router, Request, Response } from 'express';
-import { SOSAlert, Vehicle } from '../models';
+import { Server } from 'socket.io';
+import { ISOSAlertDocument, SOSAlert, User, Vehicle } from '../models';
 import { authenticate } from '../middleware/auth';
-import { SOCKET_EVENTS, SOCKET_ROOMS, SOSAlertPayload } from '../types';
+import { SOCKET_EVENTS, SOSAlertPayload, UserRole, sosRooms } from '../types';
+import { notifyAdmins, notifyUser } from '../utils/notifications';
+import {
+  OPEN_STATUSES,
+  SOS_TRAIL_MAX_POINTS,
+  broadcastAlertUpdate,
+  timelineEntry,
+} from '../utils/sosIncidents';
+import { MAX_EMERGENCY_CONTACTS, notifySOSContacts, parseEmergencyContacts } from '../utils/sosContacts';
+import { parseSOSSms } from '../utils/sosSms';
+import { phonesMatch } from '../utils/sms';
+import { isOptionalReading, speedToKmh } from '../utils/geo';
+import { CLIENT_ID_ERROR, SyncItemResult, isValidClientId, summarize } from '../utils/offlineSync';
 
 const router = Router();
 
+type SOSSender = { id: string; role: UserRole; name: string };
+
+interface SOSInput {
+  latitude: number;
+  longitude: number;
+  speed?: number;
+  heading?: number;
+  accuracy?: number;
+  message?: string;
+  vehicleId?: string;
+  clientId?: string;
+  pressedAt?: Date; // when the button was pressed, if it reached us late
+  source: 'app' | 'sms';
+  note?: string; // added to the timeline, e.g. an unexpected SMS number
+}
+
+// Accept a client-side "pressed at" time only if it's plausible
+function pressedAtOrNow(value: unknown): Date {
+  const date = value ? new Date(value as any) : null;
+  const now = Date.now();
+  if (!date || isNaN(date.getTime()) || date.getTime() > now + 60 * 1000 || date.getTime() < now - 24 * 60 * 60 * 1000) {
+    return new Date();
+  }
+  return date;
+}
+
+/**
+ * The second copy of an SOS (SMS then buffered sync, or the other way
+ * round): fill in what the first copy lacked and note it on the timeline
+ */
+async function mergeDuplicate(io: Server | undefined, existing: ISOSAlertDocument, input: SOSInput): Promise<void> {
+  if (existing.source === input.source) return; // a plain retry
+
+  if (input.message && input.message.length > (existing.message?.length || 0)) {
+    existing.message = input.message; // texts are cut short
+  }
+  if (!existing.vehicleId && input.vehicleId) {
+    existing.vehicleId = input.vehicleId as any;
+  }
+  existing.timeline.push(timelineEntry(
+    'note',
+    null,
+    `Also received ${input.source === 'sms' ? 'by SMS' : 'over the app'}`
+  ));
+  await existing.save();
+  await broadcastAlertUpdate(io, existing._id);
+}
+
+/**
+ * Create an SOS alert and tell everyone who should know: the fleet's
+ * dashboards, the admins' (and company's) inbox, the emergency contacts.
+ * With a clientId we have already seen, returns that alert instead.
+ */
+async function raiseAlert(
+  io: Server | undefined,
+  sender: SOSSender,
+  input: SOSInput
+): Promise<{ alert: ISOSAlertDocument; duplicate: boolean }> {
+  if (input.clientId) {
+    const existing = await SOSAlert.findOne({ senderId: sender.id, clientId: input.clientId });
+    if (existing) {
+      await mergeDuplicate(io, existing, input);
+      return { alert: existing, duplicate: true };
+    }
+  }
+
+  const { latitude, longitude, accuracy, message, vehicleId } = input;
+
+  // Get vehicle info if provided
+  let vehicle = null;
+  if (vehicleId) {
+    vehicle = await Vehicle.findById(vehicleId);
+  }
+
+  // The company whose fleet this belongs to
+  let companyId = vehicle?.companyId;
+  if (!companyId && sender.role === 'driver') {
+    companyId = (await User.findById(sender.id).select('companyId'))?.companyId;
+  }
+
+  const pressedAt = input.pressedAt || new Date();
+  const timeline = [timelineEntry('created', sender, message)];
+  if (input.source === 'sms') timeline.push(timelineEntry('note', null, 'Sent by SMS (no data connection)'));
+  if (input.note) timeline.push(timelineEntry('note', null, input.note));
+
+  // Create SOS alert
+  const alert = new SOSAlert({
+    senderId: sender.id,
+    senderRole: sender.role,
+    senderName: sender.name,
+    vehicleId: vehicleId || undefined,
+    companyId,
+    clientId: input.clientId,
+    source: input.source,
+    location: {
+      latitude,
+      longitude,
+      speed: input.speed || 0,
+      heading: input.heading || 0,
+      timestamp: pressedAt,
+      accuracy,
+    },
+    trail: [{ latitude, longitude, accuracy, timestamp: pressedAt }],
+    message,
+    status: 'active',
+    timeline,
+  });
+
+  try {
+    await alert.save();
+  } catch (error: any) {
+    // The other copy was saved between our check and now
+    if (error?.code === 11000 && input.clientId) {
+      const existing = await SOSAlert.findOne({ senderId: sender.id, clientId: input.clientId });
+      if (existing) {
+        await mergeDuplicate(io, existing, input);
+        return { alert: existing, duplicate: true };
+      }
+    }
+    throw error;
+  }
+
+  /**
+   * MENTOR NOTE: Broadcasting SOS to admins via Socket.io
+   * The io instance is attached to the Express app in server.ts
+   * We emit to the SOS room so only admins allowed to see SOS alerts
+   * (sos:view) receive it, plus the vehicle's company
+   */
+  if (io) {
+    const alertPayload: SOSAlertPayload = {
+      alertId: alert._id.toString(),
+      senderId: sender.id,
+      senderName: sender.name,
+      senderRole: sender.role,
+      vehicleId: vehicleId,
+      vehiclePlate: vehicle?.licensePlate,
+      location: alert.location,
+      message,
+      timestamp: alert.createdAt,
+    };
+
+    io.to(sosRooms(companyId)).emit(SOCKET_EVENTS.SOS_ALERT, alertPayload);
+    console.log('SOS alert broadcast to admins:', alertPayload.alertId);
+  }
+
+  // Also in every admin's (and the company's) inbox, for those who weren't online
+  const notification = {
+    type: 'sos' as const,
+    title: input.source === 'sms' ? '🚨 SOS alert (by SMS)' : '🚨 SOS alert',
+    message: `${sender.name} needs help${message ? `: ${message}` : ''}`,
+    data: { alertId: alert._id.toString() },
+  };
+  notifyAdmins(io, notification, 'sos:view');
+  if (companyId) notifyUser(io, companyId.toString(), notification);
+
+  // Text emergency contacts and the on-call admin (in the background)
+  notifySOSContacts(io, alert);
+
+  return { alert, duplicate: false };
+}
+
+/**
+ * Read an SOS sent by the app (a /send body or an item of /sync)
+ */
+function parseAppSOS(body: any): { input?: SOSInput; error?: string } {
+  const { latitude, longitude, speed, heading, accuracy, message, vehicleId, clientId, timestamp } = body || {};
+
+  if (latitude === undefined || longitude === undefined) {
+    return { error: 'Location (latitude, longitude) required' };
+  }
+  // Anything the database would refuse is answered here: in a /sync batch a
+  // save error would fail every alert in it, and the app would resend forever
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: 'Invalid location' };
+  }
+  if (!isOptionalReading(heading) || !isOptionalReading(accuracy)) {
+    return { error: 'Invalid heading or accuracy' };
+  }
+  if (message != null && typeof message !== 'string') {
+    return { error: 'Invalid message' };
+  }
+  if (vehicleId && !mongoose.isValidObjectId(vehicleId)) {
+    return { error: 'Invalid vehicleId' };
+  }
+  if (clientId !== undefined && !isValidClientId(clientId)) {
+    return { error: CLIENT_ID_ERROR };
+  }
+
+  return {
+    input: {
+      latitude: lat,
+      longitude: lng,
+      speed: speedToKmh(speed), // the phone reports m/s
+      heading: heading ?? undefined,
+      accuracy: accuracy ?? undefined,
+      message: message?.trim().slice(0, 1000) || undefined, // the model's maxlength
+      vehicleId: vehicleId || undefined,
+      clientId,
+      pressedAt: timestamp ? pressedAtOrNow(timestamp) : undefined,
+      source: 'app',
+    },
+  };
+}
+
 /**
  * POST /api/sos/send
  * Send an SOS alert (driver or student)
@@ -28,73 +266,199 @@ const router = Router();
  * 1. Creates the alert in the database
  * 2. Broadcasts via Socket.io to admins
  * 3. Returns confirmation to the sender
+ *
+ * Optional: `clientId` (the app's id for this button press, so a copy that
+ * already came in by SMS isn't raised twice) and `timestamp` (when it was
+ * pressed, for alerts buffered offline).
  */
 router.post('/send', authenticate, async (req: Request, res: Response): Promise<void> => {
   try {
-    const { latitude, longitude, speed, heading, accuracy, message, vehicleId } = req.body;
-
-    // Validate location
-    if (latitude === undefined || longitude === undefined) {
-      res.status(400).json({ error: 'Location (latitude, longitude) required' });
+    const { input, error } = parseAppSOS(req.body);
+    if (error) {
+      res.status(400).json({ error });
       return;
     }
 
-    // Get vehicle info if provided
-    let vehicle = null;
-    if (vehicleId) {
-      vehicle = await Vehicle.findById(vehicleId);
-    }
+    const { alert, duplicate } = await raiseAlert(req.app.get('io'), req.user!, input!);
 
-    // Create SOS alert
-    const alert = new SOSAlert({
-      senderId: req.user!.id,
-      senderRole: req.user!.role,
-      senderName: req.user!.name,
-      vehicleId: vehicleId || undefined,
-      location: {
-        latitude,
-        longitude,
-        speed: speed || 0,
-        heading: heading || 0,
-        timestamp: new Date(),
-        accuracy,
-      },
-      message,
-      status: 'active',
+    res.status(duplicate ? 200 : 201).json({
+      message: duplicate ? 'SOS alert already received' : 'SOS alert sent successfully',
+      alertId: alert._id,
+      duplicate,
     });
+  } catch (error) {
+    console.error('SOS send error:', error);
+    res.status(500).json({ error: 'Failed to send SOS alert' });
+  }
+});
 
-    await alert.save();
+// Most alerts one /sync request may carry
+const MAX_SYNC_ALERTS = 20;
+
+/**
+ * POST /api/sos/sync
+ * Send the SOS alerts the app buffered while offline
+ *
+ * MENTOR NOTE: Body { alerts: [<same fields as /send>] }. Each alert's
+ * `clientId` makes resending safe: one already received (by an earlier
+ * attempt or by SMS) comes back as a duplicate. `results` answers every
+ * alert in the order sent (utils/offlineSync.ts); the app keeps the ones
+ * it got no answer for.
+ */
+router.post('/sync', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { alerts } = req.body;
+
+    if (!Array.isArray(alerts) || alerts.length === 0) {
+      res.status(400).json({ error: 'No alerts to sync' });
+      return;
+    }
+    if (alerts.length > MAX_SYNC_ALERTS) {
+      res.status(400).json({ error: `At most ${MAX_SYNC_ALERTS} alerts per sync` });
+      return;
+    }
 
-    /**
-     * MENTOR NOTE: Broadcasting SOS to admins via Socket.io
-     * The io instance is attached to the Express app in server.ts
-     * We emit to the admin room so only admins receive the alert
-     */
     const io = req.app.get('io');
-    if (io) {
-      const alertPayload: SOSAlertPayload = {
-        alertId: alert._id.toString(),
-        senderId: req.user!.id,
-        senderName: req.user!.name,
-        senderRole: req.user!.role,
-        vehicleId: vehicleId,
-        vehiclePlate: vehicle?.licensePlate,
-        location: alert.location,
-        message,
-        timestamp: alert.createdAt,
-      };
+    const results: (SyncItemResult & { alertId?: string })[] = [];
+    for (const item of alerts) {
+      const id = typeof item?.clientId === 'string' ? item.clientId : null;
+      const { input, error } = parseAppSOS(item);
+      if (error) {
+        results.push({ id, status: 'rejected', error });
+        continue;
+      }
 
-      io.to(SOCKET_ROOMS.ADMIN).emit(SOCKET_EVENTS.SOS_ALERT, alertPayload);
-      console.log('SOS alert broadcast to admins:', alertPayload.alertId);
+      const { alert, duplicate } = await raiseAlert(io, req.user!, input!);
+      results.push({ id, status: duplicate ? 'duplicate' : 'accepted', alertId: alert._id.toString() });
     }
 
-    res.status(201).json({
-      message: 'SOS alert sent successfully',
-      alertId: alert._id,
-    });
+    res.json({ ...summarize(results), results });
   } catch (error) {
-    console.error('SOS send error:', error);
-    res.status(500).json({ error: 'Failed to send SOS alert' });
+    console.error('SOS sync error:', error);
+    res.status(500).json({ error: 'Failed to sync SOS alerts' });
+  }
+});
+
+/**
+ * POST /api/sos/sms/inbound
+ * Webhook for the SMS gateway: an SOS texted by the app without data
+ *
+ * MENTOR NOTE: There is no user token in a text, so the gateway proves it is
+ * the gateway with SMS_INBOUND_SECRET (`X-Webhook-Secret` header or
+ * `?secret=`). The user comes from the text itself (utils/sosSms.ts); if it
+ * came from a number other than theirs, the alert is still raised - better
+ * a false alarm than a missed one - with a note for the responder.
+ *
+ * Body: { from, text } (Twilio-style `From` / `Body` also work). Anything
+ * that isn't an SOS text gets 200 with `ignored`, so the gateway doesn't
+ * retry it.
+ */
+router.post('/sms/inbound', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const secret = process.env.SMS_INBOUND_SECRET;
+    if (!secret) {
+      res.status(503).json({ error: 'Inbound SMS is not configured' });
+      return;
+    }
+    const given = String(req.get('x-webhook-secret') || req.query.secret || '');
+    if (!secretsMatch(given, secret)) {
+      res.status(401).json({ error: 'Invalid webhook secret' });
+      return;
+    }
+
+    const from = req.body.from || req.body.From;
+    const text = req.body.text || req.body.Body || req.body.message;
+
+    const sms = parseSOSSms(text);
+    if (!sms) {
+      res.json({ ignored: true, reason: 'Not an SOS message' });
+      return;
+    }
+
+    const user = await User.findOne({ _id: sms.userId, isActive: true }).select('name role phone');
+    if (!user) {
+      console.warn(`Inbound SOS SMS from ${from} for unknown user ${sms.userId}`);
+      res.json({ ignored: true, reason: 'Unknown user' });
+      return;
+    }
+
+    const { alert, duplicate } = await raiseAlert(
+      req.app.get('io'),
+      { id: user._id.toString(), role: user.role, name: user.name },
+      {
+        latitude: sms.latitude,
+        longitude: sms.longitude,
+        accuracy: sms.accuracy,
+        message: sms.message,
+        clientId: sms.clientId,
+        pressedAt: sms.pressedAt ? pressedAtOrNow(sms.pressedAt) : undefined,
+        source: 'sms',
+        note: phonesMatch(from, user.phone)
+          ? undefined
+          : `Texted from ${from || 'an unknown number'}, not the number on the account (${user.phone})`,
+      }
+    );
+
+    res.status(duplicate ? 200 : 201).json({ alertId: alert._id, duplicate });
+  } catch (error) {
+    console.error('Inbound SOS SMS error:', error);
+    res.status(500).json({ error: 'Failed to process SMS' });
+  }
+});
+
+// Constant-time comparison, so the secret can't be guessed byte by byte
+function secretsMatch(given: string, expected: string): boolean {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * GET /api/sos/contacts
+ * My emergency contacts, texted when I send an SOS
+ */
+router.get('/contacts', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await User.findById(req.user!.id).select('emergencyContacts');
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json({ contacts: user.emergencyContacts, max: MAX_EMERGENCY_CONTACTS });
+  } catch (error) {
+    console.error('Get emergency contacts error:', error);
+    res.status(500).json({ error: 'Failed to get emergency contacts' });
+  }
+});
+
+/**
+ * PUT /api/sos/contacts
+ * Replace my emergency contacts
+ * Body: { contacts: [{ name, phone, relationship? }] }
+ */
+router.put('/contacts', authenticate, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const parsed = parseEmergencyContacts(req.body.contacts);
+    if ('error' in parsed) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user!.id,
+      { emergencyContacts: parsed.contacts },
+      { new: true, runValidators: true }
+    ).select('emergencyContacts');
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json({ message: 'Emergency contacts saved', contacts: user.emergencyContacts, max: MAX_EMERGENCY_CONTACTS });
+  } catch (error) {
+    console.error('Update emergency contacts error:', error);
+    res.status(500).json({ error: 'Failed to save emergency contacts' });
   }
 });
 
@@ -118,39 +482,61 @@ router.get('/my-alerts', authenticate, async (req: Request, res: Response): Prom
 /**
  * PUT /api/sos/:id/location
  * Update SOS alert location (for real-time tracking on admin map)
+ *
+ * MENTOR NOTE: The point is appended to the trail in the same update that
+ * moves `location`, and the trail is capped (oldest points dropped) so a
+ * phone left sending for hours can't grow the document without bound.
  */
 router.put('/:id/location', authenticate, async (req: Request, res: Response): Promise<void> => {
   try {
     const { latitude, longitude, speed, heading, accuracy } = req.body;
 
-    const alert = await SOSAlert.findOne({
-      _id: req.params.id,
-      senderId: req.user!.id,
-      status: 'active',
-    });
+    if (latitude === undefined || longitude === undefined) {
+      res.status(400).json({ error: 'Location (latitude, longitude) required' });
+      return;
+    }
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      res.status(400).json({ error: 'Invalid location' });
+      return;
+    }
+
+    const timestamp = new Date();
+    const point = { latitude: lat, longitude: lng, accuracy, timestamp };
+
+    const alert = await SOSAlert.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        senderId: req.user!.id,
+        status: { $in: OPEN_STATUSES },
+      },
+      {
+        location: {
+          latitude: lat,
+          longitude: lng,
+          speed: speedToKmh(speed),
+          heading: heading || 0,
+          timestamp,
+          accuracy,
+        },
+        $push: { trail: { $each: [point], $slice: -SOS_TRAIL_MAX_POINTS } },
+      },
+      { new: true }
+    ).select('companyId');
 
     if (!alert) {
       res.status(404).json({ error: 'Active alert not found' });
       return;
     }
 
-    // Update location
-    alert.location = {
-      latitude,
-      longitude,
-      speed: speed || 0,
-      heading: heading || 0,
-      timestamp: new Date(),
-      accuracy,
-    };
-    await alert.save();
-
     // Broadcast location update to admins
     const io = req.app.get('io');
     if (io) {
-      io.to(SOCKET_ROOMS.ADMIN).emit('sos:location', {
+      io.to(sosRooms(alert.companyId)).emit(SOCKET_EVENTS.SOS_LOCATION, {
         alertId: alert._id.toString(),
-        location: { latitude, longitude },
+        location: { latitude: lat, longitude: lng },
+        point,
       });
     }
 
@@ -170,7 +556,7 @@ router.put('/:id/cancel', authenticate, async (req: Request, res: Response): Pro
     const alert = await SOSAlert.findOne({
       _id: req.params.id,
       senderId: req.user!.id,
-      status: 'active',
+      status: { $in: OPEN_STATUSES },
     });
 
     if (!alert) {
@@ -180,16 +566,18 @@ router.put('/:id/cancel', authenticate, async (req: Request, res: Response): Pro
 
     alert.status = 'resolved';
     alert.resolvedAt = new Date();
+    alert.timeline.push(timelineEntry('cancelled', req.user, 'Cancelled by the sender'));
     await alert.save();
 
     // Notify admins that alert was cancelled
     const io = req.app.get('io');
     if (io) {
-      io.to(SOCKET_ROOMS.ADMIN).emit(SOCKET_EVENTS.SOS_RESOLVED, {
+      io.to(sosRooms(alert.companyId)).emit(SOCKET_EVENTS.SOS_RESOLVED, {
         alertId: alert._id.toString(),
         resolvedBy: 'sender',
       });
     }
+    await broadcastAlertUpdate(io, alert._id);
 
     res.json({
       message: 'SOS alert cancelled',
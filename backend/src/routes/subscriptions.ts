@@ -0,0 +1,291 @@
+/**
+ * =============================================================================
+ * STOP SUBSCRIPTION ROUTES
+ * =============================================================================
+ *
+ * Lets a user (usually a student) subscribe to a stop and be notified with a
+ * `stop:approaching` socket event when a vehicle is close. Mounted at
+ * /api/subscriptions.
+ *
+ * Request body:
+ * - geofenceId: the stop
+ * - routeId OR vehicleId: which vehicles to watch (a route's stops must
+ *   include the geofence)
+ * - minutesBefore (1-60) and/or metersBefore (50-10000); defaults to 5 min
+ * - label, isActive
+ *
+ * Quiet hours (no alerts) are set with PUT /api/subscriptions/settings.
+ */
+
+import { Router, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { User, Geofence, Route, Vehicle } from '../models';
+import { authenticate } from '../middleware/auth';
+import { isValidTime, validateSchedule } from '../utils/schedule';
+import { invalidateSubscriptionIndex } from '../socket/stopAlerts';
+
+const router = Router();
+
+const MAX_SUBSCRIPTIONS = 10;
+
+router.use(authenticate);
+
+/**
+ * GET /api/subscriptions
+ * Get my stop subscriptions and notification settings
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await User.findById(req.user!.id)
+      .select('stopSubscriptions notificationSettings')
+      .populate('stopSubscriptions.geofenceId', 'name center')
+      .populate('stopSubscriptions.routeId', 'name code color')
+      .populate('stopSubscriptions.vehicleId', 'vehicleNumber licensePlate type');
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json({
+      subscriptions: user.stopSubscriptions,
+      notificationSettings: user.notificationSettings,
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to get subscriptions' });
+  }
+});
+
+/**
+ * PUT /api/subscriptions/settings
+ * Update quiet hours: { quietHours: { enabled, start, end, timezone } }
+ */
+router.put('/settings', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const quietHours = req.body.quietHours;
+    if (typeof quietHours !== 'object' || quietHours === null) {
+      res.status(400).json({ error: 'quietHours is required' });
+      return;
+    }
+
+    const update: Record<string, any> = {};
+    if (quietHours.enabled !== undefined) {
+      update['notificationSettings.quietHours.enabled'] = !!quietHours.enabled;
+    }
+    for (const field of ['start', 'end']) {
+      if (quietHours[field] === undefined) continue;
+      if (!isValidTime(quietHours[field])) {
+        res.status(400).json({ error: `Quiet hours ${field} must be HH:mm` });
+        return;
+      }
+      update[`notificationSettings.quietHours.${field}`] = quietHours[field];
+    }
+    if (quietHours.timezone !== undefined) {
+      const error = validateSchedule({ timezone: quietHours.timezone });
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      update['notificationSettings.quietHours.timezone'] = quietHours.timezone;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user!.id, { $set: update }, { new: true })
+      .select('notificationSettings');
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    invalidateSubscriptionIndex();
+
+    res.json({
+      message: 'Notification settings updated',
+      notificationSettings: user.notificationSettings,
+    });
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(500).json({ error: 'Failed to update notification settings' });
+  }
+});
+
+/**
+ * POST /api/subscriptions
+ * Subscribe to a stop
+ */
+router.post('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { geofenceId, routeId, vehicleId } = req.body;
+
+    if (!mongoose.isValidObjectId(geofenceId)) {
+      res.status(400).json({ error: 'A valid geofenceId is required' });
+      return;
+    }
+    if (!routeId === !vehicleId) {
+      res.status(400).json({ error: 'Provide either routeId or vehicleId' });
+      return;
+    }
+
+    const geofence = await Geofence.findOne({ _id: geofenceId, isActive: true });
+    if (!geofence) {
+      res.status(404).json({ error: 'Stop not found' });
+      return;
+    }
+
+    if (routeId) {
+      const route = mongoose.isValidObjectId(routeId)
+        ? await Route.findOne({ _id: routeId, isActive: true })
+        : null;
+      if (!route) {
+        res.status(404).json({ error: 'Route not found' });
+        return;
+      }
+      if (!route.stops.some(stop => stop.geofenceId.toString() === geofenceId)) {
+        res.status(400).json({ error: 'This route does not stop there' });
+        return;
+      }
+    } else {
+      const vehicle = mongoose.isValidObjectId(vehicleId)
+        ? await Vehicle.findOne({ _id: vehicleId, verificationStatus: 'approved' })
+        : null;
+      if (!vehicle) {
+        res.status(404).json({ error: 'Vehicle not found' });
+        return;
+      }
+    }
+
+    const { data, error } = parseThresholds(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    if (data.minutesBefore === undefined && data.metersBefore === undefined) {
+      data.minutesBefore = 5;
+    }
+
+    const user = await User.findById(req.user!.id).select('stopSubscriptions');
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+    if (user.stopSubscriptions.length >= MAX_SUBSCRIPTIONS) {
+      res.status(400).json({ error: `You can have at most ${MAX_SUBSCRIPTIONS} subscriptions` });
+      return;
+    }
+
+    user.stopSubscriptions.push({
+      geofenceId,
+      routeId: routeId || undefined,
+      vehicleId: vehicleId || undefined,
+      label: req.body.label,
+      ...data,
+    } as any);
+    await user.save();
+
+    invalidateSubscriptionIndex();
+
+    res.status(201).json({
+      message: 'Subscribed',
+      subscription: user.stopSubscriptions[user.stopSubscriptions.length - 1],
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+/**
+ * PUT /api/subscriptions/:id
+ * Change thresholds, label or pause/resume (isActive)
+ */
+router.put('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const user = await User.findById(req.user!.id).select('stopSubscriptions');
+    const subscription = user?.stopSubscriptions.find(s => s._id.toString() === req.params.id);
+
+    if (!user || !subscription) {
+      res.status(404).json({ error: 'Subscription not found' });
+      return;
+    }
+
+    const { data, error } = parseThresholds(req.body);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    Object.assign(subscription, data);
+    if (req.body.label !== undefined) subscription.label = req.body.label;
+    if (req.body.isActive !== undefined) subscription.isActive = !!req.body.isActive;
+
+    if (subscription.minutesBefore == null && subscription.metersBefore == null) {
+      res.status(400).json({ error: 'Set minutesBefore or metersBefore' });
+      return;
+    }
+
+    await user.save();
+    invalidateSubscriptionIndex();
+
+    res.json({
+      message: 'Subscription updated',
+      subscription,
+    });
+  } catch (error) {
+    console.error('Update subscription error:', error);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:id
+ * Unsubscribe
+ */
+router.delete('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user!.id },
+      { $pull: { stopSubscriptions: { _id: req.params.id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      res.status(404).json({ error: 'Subscription not found' });
+      return;
+    }
+
+    invalidateSubscriptionIndex();
+
+    res.json({ message: 'Unsubscribed' });
+  } catch (error) {
+    console.error('Delete subscription error:', error);
+    res.status(500).json({ error: 'Failed to delete subscription' });
+  }
+});
+
+/**
+ * Validate minutesBefore/metersBefore from a request body.
+ * Only fields present are returned; null clears a threshold.
+ */
+function parseThresholds(body: any): { data: Record<string, any>; error?: string } {
+  const data: Record<string, any> = {};
+
+  if (body.minutesBefore !== undefined) {
+    const minutes = body.minutesBefore === null ? null : Number(body.minutesBefore);
+    if (minutes !== null && !(minutes >= 1 && minutes <= 60)) {
+      return { data, error: 'minutesBefore must be between 1 and 60' };
+    }
+    data.minutesBefore = minutes;
+  }
+
+  if (body.metersBefore !== undefined) {
+    const meters = body.metersBefore === null ? null : Number(body.metersBefore);
+    if (meters !== null && !(meters >= 50 && meters <= 10000)) {
+      return { data, error: 'metersBefore must be between 50 and 10000' };
+    }
+    data.metersBefore = meters;
+  }
+
+  return { data };
+}
+
+export default router;
@@ -0,0 +1,420 @@
+/**
+ * =============================================================================
+ * SCHEDULED ROUTE ROUTES
+ * =============================================================================
+ *
+ * API endpoints for scheduled routes (stops, planned path, timetables) and
+ * their on-time performance. Mounted at /api/routes.
+ *
+ * Request body:
+ * - name, code, description, color
+ * - stops: [{ geofenceId, name?, offsetMinutes }, ...] (2+, in order;
+ *   name defaults to the geofence name)
+ * - path: [{ latitude, longitude }, ...] (optional, for drawing)
+ * - timetables: [{ dayType: 'weekday'|'saturday'|'sunday'|'daily', departures: ['06:00', ...] }]
+ * - timezone, onTimeWindow: { earlyMinutes, lateMinutes }
+ *
+ * Vehicles are put on a route with PUT /api/vehicles/:id/route { routeId }.
+ * GET /api/routes/:id/etas gives the next arrivals at each stop.
+ */
+
+import { Router, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { Route, RouteStopEvent, Geofence, Vehicle } from '../models';
+import { authenticate, authorize, requirePermission } from '../middleware/auth';
+import { parsePoints } from '../utils/geo';
+import { isValidTime, validateSchedule } from '../utils/schedule';
+import { getVehicleEta, invalidateRouteCache } from '../utils/routeEta';
+
+const router = Router();
+
+const DAY_TYPES = ['weekday', 'saturday', 'sunday', 'daily'];
+
+const OFFLINE_THRESHOLD_MINUTES = parseInt(process.env.OFFLINE_THRESHOLD_MINUTES || '5');
+
+/**
+ * GET /api/routes
+ * Get all active routes (public - for map display)
+ */
+router.get('/', async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const routes = await Route.find({ isActive: true })
+      .select('-createdBy -travelStats')
+      .sort({ name: 1 });
+
+    res.json({ routes });
+  } catch (error) {
+    console.error('Get routes error:', error);
+    res.status(500).json({ error: 'Failed to get routes' });
+  }
+});
+
+/**
+ * GET /api/routes/:id
+ * Get single route with its stop geofences
+ */
+router.get('/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const route = await Route.findById(req.params.id)
+      .populate('stops.geofenceId', 'name type shape center radius color');
+
+    if (!route) {
+      res.status(404).json({ error: 'Route not found' });
+      return;
+    }
+
+    res.json({ route });
+  } catch (error) {
+    console.error('Get route error:', error);
+    res.status(500).json({ error: 'Failed to get route' });
+  }
+});
+
+/**
+ * POST /api/routes
+ * Create a scheduled route (admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('admin'),
+  requirePermission('routes:manage'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      if (!req.body.name) {
+        res.status(400).json({ error: 'Name is required' });
+        return;
+      }
+      if (!req.body.stops) {
+        res.status(400).json({ error: 'Stops are required' });
+        return;
+      }
+
+      const { data, error } = await parseRouteBody(req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const route = await Route.create({
+        ...data,
+        createdBy: req.user!.id,
+      });
+
+      res.status(201).json({
+        message: 'Route created successfully',
+        route,
+      });
+    } catch (error) {
+      console.error('Create route error:', error);
+      res.status(500).json({ error: 'Failed to create route' });
+    }
+  }
+);
+
+/**
+ * PUT /api/routes/:id
+ * Update a scheduled route (admin only). Only fields present are changed.
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  requirePermission('routes:manage'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const { data, error } = await parseRouteBody(req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      // Travel history was measured against the old stops/path
+      if (data.stops || data.path) {
+        data.travelStats = null;
+      }
+
+      const route = await Route.findByIdAndUpdate(req.params.id, data, { new: true });
+
+      if (!route) {
+        res.status(404).json({ error: 'Route not found' });
+        return;
+      }
+      invalidateRouteCache(route._id.toString());
+
+      // Keep the display name on assigned vehicles in sync
+      if (data.name) {
+        await Vehicle.updateMany({ routeId: route._id.toString() }, { routeName: route.name });
+      }
+
+      res.json({
+        message: 'Route updated successfully',
+        route,
+      });
+    } catch (error) {
+      console.error('Update route error:', error);
+      res.status(500).json({ error: 'Failed to update route' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/routes/:id
+ * Delete a route (admin only). Assigned vehicles are taken off the route.
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  requirePermission('routes:manage'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const route = await Route.findByIdAndDelete(req.params.id);
+
+      if (!route) {
+        res.status(404).json({ error: 'Route not found' });
+        return;
+      }
+
+      invalidateRouteCache(route._id.toString());
+
+      await Vehicle.updateMany(
+        { routeId: route._id.toString() },
+        { $unset: { routeId: 1, routeName: 1 }, routeProgress: null }
+      );
+
+      res.json({ message: 'Route deleted successfully' });
+    } catch (error) {
+      console.error('Delete route error:', error);
+      res.status(500).json({ error: 'Failed to delete route' });
+    }
+  }
+);
+
+/**
+ * GET /api/routes/:id/etas
+ * Next arrivals at each stop from the online vehicles on this route
+ * (public - for the passenger map)
+ */
+router.get('/:id/etas', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const route = await Route.findById(req.params.id).select('name code stops isActive');
+    if (!route || !route.isActive) {
+      res.status(404).json({ error: 'Route not found' });
+      return;
+    }
+
+    const vehicles = await Vehicle.find({
+      routeId: route._id.toString(),
+      verificationStatus: 'approved',
+      isActive: true,
+      lastSeen: { $gte: new Date(Date.now() - OFFLINE_THRESHOLD_MINUTES * 60 * 1000) },
+    }).select('vehicleNumber licensePlate type routeId routeProgress currentLocation');
+
+    const now = new Date();
+    const arrivals = new Map<number, any[]>();
+
+    for (const vehicle of vehicles) {
+      if (!vehicle.currentLocation) continue;
+      const eta = await getVehicleEta(vehicle, vehicle.currentLocation, now);
+
+      for (const stop of eta?.stops || []) {
+        if (!arrivals.has(stop.index)) arrivals.set(stop.index, []);
+        arrivals.get(stop.index)!.push({
+          vehicleId: vehicle._id.toString(),
+          vehicleNumber: vehicle.vehicleNumber,
+          licensePlate: vehicle.licensePlate,
+          type: vehicle.type,
+          minutes: stop.minutes,
+          at: stop.at,
+          isEstimate: eta!.isEstimate,
+        });
+      }
+    }
+
+    res.json({
+      route: { id: route._id, name: route.name, code: route.code },
+      stops: route.stops.map((stop, index) => ({
+        index,
+        name: stop.name,
+        geofenceId: stop.geofenceId,
+        arrivals: (arrivals.get(index) || []).sort((a, b) => a.minutes - b.minutes),
+      })),
+    });
+  } catch (error) {
+    console.error('Get route ETAs error:', error);
+    res.status(500).json({ error: 'Failed to get route ETAs' });
+  }
+});
+
+/**
+ * GET /api/routes/:id/performance
+ * On-time performance per stop over the last ?hours (default 168 = 7 days),
+ * plus the most recent stop events
+ */
+router.get(
+  '/:id/performance',
+  authenticate,
+  authorize('admin'),
+  requirePermission('fleet:view'),
+  async (req: Request, res: Response): Promise<void> => {
+    try {
+      const { hours = 24 * 7, limit = 20 } = req.query;
+
+      const route = await Route.findById(req.params.id);
+      if (!route) {
+        res.status(404).json({ error: 'Route not found' });
+        return;
+      }
+
+      const since = new Date(Date.now() - Number(hours) * 60 * 60 * 1000);
+      const match = { routeId: route._id, actualAt: { $gte: since } };
+
+      const [byStop, recentEvents] = await Promise.all([
+        RouteStopEvent.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: '$stopIndex',
+              total: { $sum: 1 },
+              onTime: { $sum: { $cond: [{ $eq: ['$status', 'on_time'] }, 1, 0] } },
+              early: { $sum: { $cond: [{ $eq: ['$status', 'early'] }, 1, 0] } },
+              late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+              averageDelay: { $avg: '$delayMinutes' },
+            },
+          },
+        ]),
+        RouteStopEvent.find(match)
+          .populate('vehicleId', 'vehicleNumber licensePlate')
+          .sort({ actualAt: -1 })
+          .limit(Number(limit)),
+      ]);
+
+      const statsByStop = new Map(byStop.map(s => [s._id, s]));
+      const round = (value: number) => Math.round(value * 10) / 10;
+
+      const stops = route.stops.map((stop, index) => {
+        const stats = statsByStop.get(index);
+        return {
+          index,
+          name: stop.name,
+          offsetMinutes: stop.offsetMinutes,
+          total: stats?.total || 0,
+          onTime: stats?.onTime || 0,
+          early: stats?.early || 0,
+          late: stats?.late || 0,
+          onTimePercent: stats?.total ? Math.round((stats.onTime / stats.total) * 100) : null,
+          averageDelayMinutes: stats ? round(stats.averageDelay) : null,
+        };
+      });
+
+      const total = stops.reduce((sum, s) => sum + s.total, 0);
+      const onTime = stops.reduce((sum, s) => sum + s.onTime, 0);
+
+      res.json({
+        route: { id: route._id, name: route.name, code: route.code },
+        period: { start: since, end: new Date() },
+        onTimeWindow: route.onTimeWindow,
+        overall: {
+          total,
+          onTimePercent: total ? Math.round((onTime / total) * 100) : null,
+        },
+        stops,
+        recentEvents,
+      });
+    } catch (error) {
+      console.error('Get route performance error:', error);
+      res.status(500).json({ error: 'Failed to get route performance' });
+    }
+  }
+);
+
+/**
+ * Validate and build route fields from a request body.
+ * Only fields present in the body are returned (for partial updates).
+ */
+async function parseRouteBody(body: any): Promise<{ data?: Record<string, any>; error?: string }> {
+  const data: Record<string, any> = {};
+
+  for (const field of ['name', 'code', 'description', 'color']) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (body.isActive !== undefined) data.isActive = !!body.isActive;
+
+  if (body.stops !== undefined) {
+    if (!Array.isArray(body.stops) || body.stops.length < 2) {
+      return { error: 'A route needs at least 2 stops' };
+    }
+
+    const geofenceIds = body.stops.map((stop: any) => stop?.geofenceId);
+    if (!geofenceIds.every((id: any) => mongoose.isValidObjectId(id))) {
+      return { error: 'Each stop needs a valid geofenceId' };
+    }
+
+    const geofences = await Geofence.find({ _id: { $in: geofenceIds } }).select('name');
+    const names = new Map(geofences.map(g => [g._id.toString(), g.name]));
+
+    const stops = [];
+    let previousOffset = -1;
+    for (const stop of body.stops) {
+      const geofenceName = names.get(String(stop.geofenceId));
+      if (!geofenceName) {
+        return { error: `Geofence ${stop.geofenceId} not found` };
+      }
+
+      const offsetMinutes = Number(stop.offsetMinutes ?? 0);
+      if (!(offsetMinutes >= 0) || offsetMinutes < previousOffset) {
+        return { error: 'Stop offsetMinutes must be 0 or more and never decrease along the route' };
+      }
+      previousOffset = offsetMinutes;
+
+      stops.push({ geofenceId: stop.geofenceId, name: stop.name || geofenceName, offsetMinutes });
+    }
+    data.stops = stops;
+  }
+
+  if (body.path !== undefined) {
+    const path = body.path === null ? [] : parsePoints(body.path);
+    if (!path) {
+      return { error: 'Path must be a list of valid { latitude, longitude } points' };
+    }
+    data.path = path;
+  }
+
+  if (body.timetables !== undefined) {
+    if (!Array.isArray(body.timetables)) {
+      return { error: 'Timetables must be an array' };
+    }
+    for (const timetable of body.timetables) {
+      if (!DAY_TYPES.includes(timetable?.dayType)) {
+        return { error: `Timetable dayType must be one of: ${DAY_TYPES.join(', ')}` };
+      }
+      if (!Array.isArray(timetable.departures) || !timetable.departures.every(isValidTime)) {
+        return { error: 'Timetable departures must be HH:mm times' };
+      }
+    }
+    data.timetables = body.timetables.map((t: any) => ({
+      dayType: t.dayType,
+      departures: [...new Set<string>(t.departures)].sort(),
+    }));
+  }
+
+  if (body.timezone !== undefined) {
+    const error = validateSchedule({ timezone: body.timezone });
+    if (error) return { error };
+    data.timezone = body.timezone;
+  }
+
+  if (body.onTimeWindow !== undefined) {
+    const earlyMinutes = Number(body.onTimeWindow?.earlyMinutes ?? 1);
+    const lateMinutes = Number(body.onTimeWindow?.lateMinutes ?? 5);
+    if (!(earlyMinutes >= 0) || !(lateMinutes >= 0)) {
+      return { error: 'onTimeWindow minutes must be 0 or more' };
+    }
+    data.onTimeWindow = { earlyMinutes, lateMinutes };
+  }
+
+  return { data };
+}
+
+export default router;
@@ -11,9 +11,21 @@
  */
 
 import { Router, Request, Response } from 'express';
-import { Vehicle, User, GPSHistory } from '../models';
-import { authenticate, authorize } from '../middleware/auth';
+import mongoose from 'mongoose';
+import { Vehicle, User, GPSHistory, Route } from '../models';
+import { authenticate, authorize, requirePermission, scopeCompany } from '../middleware/auth';
+import { companyFilter } from '../utils/companyScope';
+import { notifyUser } from '../utils/notifications';
 import { vehicleDocumentUpload } from '../middleware/upload';
+import { parseExpiryDate } from '../utils/documentExpiry';
+import { isOptionalReading, speedToKmh } from '../utils/geo';
+import {
+  CLIENT_ID_ERROR,
+  SyncItemResult,
+  duplicateKeyIndexes,
+  isValidClientId,
+  summarize,
+} from '../utils/offlineSync';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = Router();
@@ -30,6 +42,7 @@ router.post(
   async (req: Request, res: Response): Promise<void> => {
     try {
       const { licensePlate, type, routeName } = req.body;
+      const registrationExpiry = parseExpiryDate(req.body.registrationExpiresAt);
       const files = req.files as { [fieldname: string]: any[] };
 
       // Validate required fields
@@ -38,6 +51,11 @@ router.post(
         return;
       }
 
+      if (registrationExpiry.error) {
+        res.status(400).json({ error: `Registration expiry: ${registrationExpiry.error}` });
+        return;
+      }
+
       // Validate required documents
       if (!files.vehiclePhoto || !files.licensePlatePhoto) {
         res.status(400).json({ 
@@ -68,6 +86,7 @@ router.post(
         companyId: req.user!.id,
         verificationStatus: 'pending',
         routeName,
+        registrationExpiresAt: registrationExpiry.date || null,
       });
 
       await vehicle.save();
@@ -100,16 +119,21 @@ router.get('/', async (req: Request, res: Response): Promise<void> => {
   try {
     const { type, companyId } = req.query;
 
-    // Build query for verified, active vehicles
+    // Build query for verified, active vehicles (not suspended for expired documents)
     const query: any = {
       verificationStatus: 'approved',
       isActive: true,
+      trackingSuspended: null,
     };
 
     // Optional filters
     if (type) query.type = type;
     if (companyId) query.companyId = companyId;
 
+    // Leave out vehicles whose driver is suspended (expired license)
+    const suspendedDrivers = await User.distinct('_id', { role: 'driver', trackingSuspended: { $ne: null } });
+    if (suspendedDrivers.length > 0) query.driverId = { $nin: suspendedDrivers };
+
     const vehicles = await Vehicle.find(query)
       .populate('driverId', 'name phone')
       .populate('companyId', 'companyName')
@@ -146,37 +170,72 @@ router.get('/:id', async (req: Request, res: Response): Promise<void> => {
 
 /**
  * PUT /api/vehicles/:id/assign-driver
- * Assign a driver to a vehicle (company only)
+ * Assign a driver to a vehicle (companies for their own fleet, or admins)
+ * Body: { driverId } - null unassigns the current driver. Companies can only
+ * assign drivers of their company. The driver's previous vehicle, and the
+ * vehicle's previous driver, are unassigned.
  */
 router.put(
   '/:id/assign-driver',
   authenticate,
   authorize('company', 'admin'),
+  requirePermission('fleet:manage'),
+  scopeCompany,
   async (req: Request, res: Response): Promise<void> => {
     try {
       const { driverId } = req.body;
 
-      const vehicle = await Vehicle.findById(req.params.id);
+      const vehicle = mongoose.isValidObjectId(req.params.id)
+        ? await Vehicle.findOne({ _id: req.params.id, ...companyFilter(req) })
+        : null;
       if (!vehicle) {
         res.status(404).json({ error: 'Vehicle not found' });
         return;
       }
 
       // Verify driver exists and belongs to company (if company is assigning)
-      const driver = await User.findById(driverId);
-      if (!driver || driver.role !== 'driver') {
+      const driver = driverId && mongoose.isValidObjectId(driverId) ? await User.findById(driverId) : null;
+      if (driverId && (!driver || driver.role !== 'driver')) {
         res.status(400).json({ error: 'Invalid driver' });
         return;
       }
+      if (driver && req.companyId && driver.companyId?.toString() !== req.companyId) {
+        res.status(400).json({ error: 'Driver is not in your company' });
+        return;
+      }
+
+      // Free up the previous driver of this vehicle and the previous vehicle of this driver
+      if (vehicle.driverId && vehicle.driverId.toString() !== driver?._id.toString()) {
+        await User.updateOne(
+          { _id: vehicle.driverId, assignedVehicle: vehicle._id },
+          { $unset: { assignedVehicle: 1 } }
+        );
+      }
+      if (driver) {
+        await Vehicle.updateMany(
+          { driverId: driver._id, _id: { $ne: vehicle._id } },
+          { $unset: { driverId: 1 } }
+        );
+      }
 
       // Update vehicle and driver
-      vehicle.driverId = driverId;
+      vehicle.driverId = driver?._id;
       await vehicle.save();
 
-      await User.findByIdAndUpdate(driverId, { assignedVehicle: vehicle._id });
+      if (driver) {
+        driver.assignedVehicle = vehicle._id;
+        await driver.save();
+
+        await notifyUser(req.app.get('io'), driver._id.toString(), {
+          type: 'system',
+          title: 'Vehicle assigned',
+          message: `You now drive ${vehicle.vehicleNumber} (${vehicle.licensePlate}).`,
+          data: { vehicleId: vehicle._id.toString() },
+        });
+      }
 
       res.json({
-        message: 'Driver assigned successfully',
+        message: driver ? 'Driver assigned successfully' : 'Driver unassigned',
         vehicle: {
           id: vehicle._id,
           vehicleNumber: vehicle.vehicleNumber,
@@ -192,13 +251,21 @@ router.put(
 
 /**
  * GET /api/vehicles/company/:companyId
- * Get all vehicles for a company
+ * Get all vehicles for a company (that company, or admins)
  */
 router.get(
   '/company/:companyId',
   authenticate,
+  authorize('company', 'admin'),
+  requirePermission('fleet:view'),
+  scopeCompany,
   async (req: Request, res: Response): Promise<void> => {
     try {
+      if (req.companyId && req.companyId !== req.params.companyId) {
+        res.status(403).json({ error: 'You can only view your own vehicles' });
+        return;
+      }
+
       const vehicles = await Vehicle.find({ companyId: req.params.companyId })
         .populate('driverId', 'name phone verificationStatus');
 
@@ -212,15 +279,18 @@ router.get(
 
 /**
  * PUT /api/vehicles/:id/route
- * Update vehicle route name (driver only for their own vehicle)
+ * Set the vehicle's route (drivers for their own vehicle, or admins)
+ *
+ * Body: { routeId } to put the vehicle on a scheduled route (see
+ * /api/routes), or { routeName } for a free-text label. Empty values clear it.
  */
 router.put(
   '/:id/route',
   authenticate,
-  authorize('driver'),
+  authorize('driver', 'admin'),
   async (req: Request, res: Response): Promise<void> => {
     try {
-      const { routeName } = req.body;
+      const { routeId, routeName } = req.body;
 
       // Find vehicle and verify ownership
       const vehicle = await Vehicle.findById(req.params.id);
@@ -230,13 +300,25 @@ router.put(
       }
 
       // Verify driver owns this vehicle
-      if (vehicle.driverId?.toString() !== req.user!.id) {
+      if (req.user!.role === 'driver' && vehicle.driverId?.toString() !== req.user!.id) {
         res.status(403).json({ error: 'You can only update your own vehicle route' });
         return;
       }
 
-      // Update route name
-      vehicle.routeName = routeName || '';
+      if (routeId) {
+        // Scheduled route - the name comes from the route
+        const route = mongoose.isValidObjectId(routeId) ? await Route.findById(routeId) : null;
+        if (!route || !route.isActive) {
+          res.status(400).json({ error: 'Route not found' });
+          return;
+        }
+        vehicle.routeId = route._id.toString();
+        vehicle.routeName = route.name;
+      } else {
+        vehicle.routeId = undefined;
+        vehicle.routeName = routeName || '';
+      }
+      vehicle.routeProgress = undefined;
       await vehicle.save();
 
       res.json({
@@ -244,6 +326,7 @@ router.put(
         vehicle: {
           id: vehicle._id,
           vehicleNumber: vehicle.vehicleNumber,
+          routeId: vehicle.routeId,
           routeName: vehicle.routeName,
         },
       });
@@ -254,6 +337,63 @@ router.put(
   }
 );
 
+// Most points one sync request may carry (the app sends 50 at a time)
+const MAX_SYNC_LOCATIONS = 500;
+
+/**
+ * Check one buffered point; returns the GPS history entry, or why it can't
+ * be stored
+ */
+function parseBufferedLocation(loc: any, driverId: string): { entry?: any; error?: string } {
+  if (loc?.id !== undefined && !isValidClientId(loc.id)) return { error: CLIENT_ID_ERROR };
+  if (!mongoose.isValidObjectId(loc?.vehicleId)) return { error: 'Invalid vehicleId' };
+
+  const { latitude, longitude } = loc.location || {};
+  if (typeof latitude !== 'number' || typeof longitude !== 'number'
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { error: 'Invalid location' };
+  }
+  // insertMany({ ordered: false }) would skip the point without an error
+  if (!isOptionalReading(loc.location.heading) || !isOptionalReading(loc.location.accuracy)) {
+    return { error: 'Invalid heading or accuracy' };
+  }
+
+  const timestamp = new Date(loc.timestamp);
+  if (isNaN(timestamp.getTime()) || timestamp.getTime() > Date.now() + 60 * 1000) {
+    return { error: 'Invalid timestamp' };
+  }
+
+  return {
+    entry: {
+      vehicleId: loc.vehicleId,
+      driverId,
+      clientId: loc.id,
+      location: {
+        latitude,
+        longitude,
+        speed: speedToKmh(loc.location.speed), // the phone reports m/s
+        heading: loc.location.heading || 0,
+        accuracy: loc.location.accuracy,
+        timestamp,
+      },
+      createdAt: timestamp,
+    },
+  };
+}
+
+/**
+ * Why a driver's points for this vehicle can't be stored: the same rules as
+ * vehicle:update (socket/handlers.ts)
+ */
+function vehicleRejection(vehicle: any, driver: any): string | undefined {
+  if (!vehicle) return 'Vehicle not found or not assigned to you';
+  if (vehicle.verificationStatus !== 'approved' || !vehicle.isActive) return 'Vehicle is not approved or not active';
+
+  // Expired license or OR/CR (see utils/documentExpiry.ts)
+  const suspension = vehicle.trackingSuspended || driver?.trackingSuspended;
+  return suspension ? suspension.message : undefined;
+}
+
 /**
  * POST /api/vehicles/sync-locations
  * Sync buffered GPS locations from offline mode
@@ -261,6 +401,12 @@ router.put(
  * MENTOR NOTE: When drivers lose internet, the app buffers GPS locations locally.
  * When back online, this endpoint receives the batch of buffered locations
  * and stores them in GPS history for analytics/playback.
+ *
+ * Each point's `id` (made by the app) is stored with it, so a batch sent
+ * again after a timeout isn't stored twice. `results` answers every point
+ * as accepted, duplicate or rejected, in the order sent (utils/offlineSync.ts).
+ * Points for a vehicle not assigned to the driver, or while tracking is
+ * suspended, are rejected.
  */
 router.post(
   '/sync-locations',
@@ -274,45 +420,85 @@ router.post(
         res.status(400).json({ error: 'No locations to sync' });
         return;
       }
+      if (locations.length > MAX_SYNC_LOCATIONS) {
+        res.status(400).json({ error: `At most ${MAX_SYNC_LOCATIONS} locations per sync` });
+        return;
+      }
 
-      // Validate and prepare GPS history entries
-      const historyEntries = locations.map((loc: any) => ({
-        vehicleId: loc.vehicleId,
-        driverId: req.user!.id,
-        location: {
-          latitude: loc.location.latitude,
-          longitude: loc.location.longitude,
-          speed: loc.location.speed || 0,
-          heading: loc.location.heading || 0,
-          accuracy: loc.location.accuracy,
-          timestamp: new Date(loc.timestamp),
-        },
-        createdAt: new Date(loc.timestamp),
+      const driverId = req.user!.id;
+      const results: SyncItemResult[] = locations.map((loc: any) => ({
+        id: typeof loc?.id === 'string' ? loc.id : null,
+        status: 'accepted',
       }));
 
-      // Bulk insert for efficiency
-      await GPSHistory.insertMany(historyEntries, { ordered: false });
-
-      // Update vehicle's last known location with the most recent entry
-      const latestLocation = locations[locations.length - 1];
-      if (latestLocation) {
-        await Vehicle.findByIdAndUpdate(latestLocation.vehicleId, {
-          currentLocation: {
-            latitude: latestLocation.location.latitude,
-            longitude: latestLocation.location.longitude,
-            speed: latestLocation.location.speed || 0,
-            heading: latestLocation.location.heading || 0,
-            timestamp: new Date(latestLocation.timestamp),
+      // Points already stored by an earlier attempt, and the driver's vehicles
+      const clientIds = results.map(r => r.id).filter((id): id is string => !!id);
+      const [storedEntries, driver, vehicles] = await Promise.all([
+        GPSHistory.find({ driverId, clientId: { $in: clientIds } }).select('clientId'),
+        User.findById(driverId).select('trackingSuspended'),
+        Vehicle.find({ driverId }).select('verificationStatus isActive trackingSuspended'),
+      ]);
+      const stored = new Set(storedEntries.map(entry => entry.clientId));
+      const ownVehicles = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+      const historyEntries: any[] = [];
+      const entryResults: SyncItemResult[] = [];
+      locations.forEach((loc: any, i: number) => {
+        const { entry, error: invalid } = parseBufferedLocation(loc, driverId);
+        const error = invalid || vehicleRejection(ownVehicles.get(String(entry.vehicleId)), driver);
+        if (error) {
+          results[i] = { ...results[i], status: 'rejected', error };
+        } else if (entry.clientId && stored.has(entry.clientId)) {
+          results[i].status = 'duplicate';
+        } else {
+          if (entry.clientId) stored.add(entry.clientId); // the same point twice in this batch
+          historyEntries.push(entry);
+          entryResults.push(results[i]);
+        }
+      });
+
+      // Bulk insert for efficiency; a retry racing this one makes duplicates
+      if (historyEntries.length > 0) {
+        try {
+          await GPSHistory.insertMany(historyEntries, { ordered: false });
+        } catch (error) {
+          duplicateKeyIndexes(error).forEach(i => { entryResults[i].status = 'duplicate'; });
+        }
+      }
+
+      // Move each vehicle's last known location forward to its newest accepted point
+      const latest = new Map<string, any>();
+      historyEntries.forEach((entry, i) => {
+        const newest = latest.get(String(entry.vehicleId));
+        if (entryResults[i].status === 'accepted' && (!newest || entry.createdAt > newest.createdAt)) {
+          latest.set(String(entry.vehicleId), entry);
+        }
+      });
+      for (const [vehicleId, entry] of latest) {
+        await Vehicle.updateOne(
+          {
+            _id: vehicleId,
+            driverId,
+            $or: [
+              { currentLocation: null },
+              { 'currentLocation.timestamp': { $lt: entry.createdAt } },
+            ],
           },
-          lastUpdate: new Date(latestLocation.timestamp),
-        });
+          { currentLocation: entry.location }
+        );
       }
 
-      console.log(`📍 Synced ${locations.length} buffered locations for driver ${req.user!.id}`);
+      const counts = summarize(results);
+      console.log(
+        `📍 Synced buffered locations for driver ${driverId}: `
+        + `${counts.accepted} accepted, ${counts.duplicate} duplicate, ${counts.rejected} rejected`
+      );
 
       res.json({
         message: 'Locations synced successfully',
-        count: locations.length,
+        count: counts.accepted,
+        ...counts,
+        results,
       });
     } catch (error) {
       console.error('Sync locations error:', error);
@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * GEOFENCE CHECK BENCHMARK
+ * =============================================================================
+ *
+ * MENTOR NOTE: Measures how many vehicle positions per second we can test
+ * against the geofences, comparing the old approach (exact test against
+ * every geofence) with the spatial index. Runs entirely in memory - no
+ * database needed.
+ * Usage: npm run benchmark:geofences [-- <vehicles> <geofences> <rounds>]
+ *
+ * Defaults: 500 vehicles x 200 geofences, 20 rounds of updates, spread over
+ * Southern Leyte like the seed data.
+ */
+
+import mongoose from 'mongoose';
+import { IGeofenceDocument } from '../models';
+import { LatLng, getBoundsCenter, isInsideGeofence } from '../utils/geo';
+import { GeofenceIndex } from '../utils/geofenceIndex';
+
+const [VEHICLES = 500, GEOFENCES = 200, ROUNDS = 20] = process.argv.slice(2).map(Number);
+
+// Roughly Maasin City to Ormoc City
+const AREA = { minLat: 10.0, maxLat: 11.1, minLng: 124.5, maxLng: 125.1 };
+
+function randomPoint(): LatLng {
+  return {
+    latitude: AREA.minLat + Math.random() * (AREA.maxLat - AREA.minLat),
+    longitude: AREA.minLng + Math.random() * (AREA.maxLng - AREA.minLng),
+  };
+}
+
+// A point within ~`meters` of another point
+function nearby(point: LatLng, meters: number): LatLng {
+  const offset = meters / 111320;
+  return {
+    latitude: point.latitude + (Math.random() - 0.5) * 2 * offset,
+    longitude: point.longitude + (Math.random() - 0.5) * 2 * offset,
+  };
+}
+
+// Mix of terminals (circles), campuses (polygons) and road stretches (corridors)
+function createGeofences(count: number): IGeofenceDocument[] {
+  const geofences: any[] = [];
+
+  for (let i = 0; i < count; i++) {
+    const center = randomPoint();
+    const base = { _id: new mongoose.Types.ObjectId(), name: `Geofence ${i}`, isActive: true };
+
+    if (i % 3 === 0) {
+      geofences.push({ ...base, shape: 'circle', center, radius: 30 + Math.random() * 500 });
+    } else if (i % 3 === 1) {
+      const polygon = Array.from({ length: 6 }, (_, k) => {
+        const angle = (k / 6) * 2 * Math.PI;
+        const size = (100 + Math.random() * 400) / 111320;
+        return {
+          latitude: center.latitude + Math.sin(angle) * size,
+          longitude: center.longitude + Math.cos(angle) * size,
+        };
+      });
+      geofences.push({ ...base, shape: 'polygon', polygon, center: getBoundsCenter(polygon) });
+    } else {
+      const path = [center];
+      for (let k = 0; k < 10; k++) path.push(nearby(path[path.length - 1], 300));
+      geofences.push({ ...base, shape: 'corridor', path, width: 20 + Math.random() * 80, center: getBoundsCenter(path) });
+    }
+  }
+
+  return geofences;
+}
+
+function run(label: string, positions: LatLng[][], check: (point: LatLng) => number): void {
+  let inside = 0;
+  const started = process.hrtime.bigint();
+
+  for (const round of positions) {
+    for (const point of round) inside += check(point);
+  }
+
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const updates = positions.length * positions[0].length;
+
+  console.log(
+    `${label.padEnd(14)} ${Math.round(updates / (elapsedMs / 1000)).toLocaleString().padStart(12)} updates/s` +
+    `   ${((elapsedMs * 1000) / updates).toFixed(2).padStart(8)} µs/update   (${inside} inside hits)`
+  );
+}
+
+function benchmark(): void {
+  const geofences = createGeofences(GEOFENCES);
+
+  // Vehicles drive around, ~50 m per update. Half start near a geofence so
+  // there are entries/exits to find, like buses around terminals.
+  let vehicles = Array.from({ length: VEHICLES }, (_, i) =>
+    i % 2 === 0 ? nearby(geofences[i % geofences.length].center, 300) : randomPoint()
+  );
+  const positions: LatLng[][] = [];
+  for (let r = 0; r < ROUNDS; r++) {
+    vehicles = vehicles.map(point => nearby(point, 50));
+    positions.push(vehicles);
+  }
+
+  const buildStarted = process.hrtime.bigint();
+  const index = new GeofenceIndex(geofences);
+  const buildMs = Number(process.hrtime.bigint() - buildStarted) / 1e6;
+
+  console.log(`\n${VEHICLES} vehicles x ${GEOFENCES} geofences, ${ROUNDS} rounds`);
+  console.log(`Index built in ${buildMs.toFixed(1)} ms\n`);
+
+  run('All geofences', positions, point =>
+    geofences.filter(geofence => isInsideGeofence(geofence, point)).length
+  );
+  run('Spatial index', positions, point =>
+    index.query(point).filter(geofence => isInsideGeofence(geofence, point)).length
+  );
+
+  // At one update per vehicle every 5 seconds
+  console.log(`\nFleet load: ${Math.round(VEHICLES / 5)} updates/s\n`);
+}
+
+benchmark();
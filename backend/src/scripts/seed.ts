@@ -39,6 +39,7 @@ async function seed() {
     const admin = await User.create({
       email: 'admin@vehicletrack.com',
       password: 'admin123', // Change in production!
+      emailVerified: true,
       role: 'admin',
       name: 'System Admin',
       phone: '+1234567890',
@@ -52,6 +53,7 @@ async function seed() {
     const company = await User.create({
       email: 'company@test.com',
       password: 'company123',
+      emailVerified: true,
       role: 'company',
       name: 'Test Transport Co.',
       phone: '+1234567891',
@@ -67,6 +69,7 @@ async function seed() {
     const driver1 = await User.create({
       email: 'driver1@test.com',
       password: 'driver123',
+      emailVerified: true,
       role: 'driver',
       name: 'John Driver',
       phone: '+1234567892',
@@ -83,6 +86,7 @@ async function seed() {
     const driver2 = await User.create({
       email: 'driver2@test.com',
       password: 'driver123',
+      emailVerified: true,
       role: 'driver',
       name: 'Jane Driver',
       phone: '+1234567893',
@@ -143,6 +147,7 @@ async function seed() {
     const student = await User.create({
       email: 'student@test.com',
       password: 'student123',
+      emailVerified: true,
       role: 'student',
       name: 'Test Student',
       phone: '+1234567894',
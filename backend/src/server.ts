@@ -32,7 +32,17 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 // Import routes
-import { authRoutes, vehicleRoutes, adminRoutes, sosRoutes, geofenceRoutes } from './routes';
+import {
+  authRoutes,
+  vehicleRoutes,
+  adminRoutes,
+  sosRoutes,
+  geofenceRoutes,
+  transitRoutes,
+  subscriptionRoutes,
+  notificationRoutes,
+  companyRoutes,
+} from './routes';
 
 // Import socket handlers and cron tasks
 import { initializeSocketHandlers } from './socket/handlers';
@@ -104,6 +114,10 @@ app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/sos', sosRoutes);
 app.use('/api/geofences', geofenceRoutes);
+app.use('/api/routes', transitRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/company', companyRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -10,7 +10,16 @@
  * - Backend → Student/community apps (broadcasting vehicle locations)
  * 
  * KEY CONCEPTS:
- * 1. Rooms: We use rooms to organize clients (admin-room, public-map, drivers-room)
+ * 1. Rooms: We use rooms to organize clients (admin-room, public-map, drivers-room).
+ *    Every connection passes through `authenticateSocket` first, and rooms are
+ *    restricted by the role of the authenticated user (see ROOM_ROLES).
+ *    Authenticated sockets also join a private `user:<id>` room, used for
+ *    anything meant for one person (verification results, their vehicle's
+ *    geofence alerts, their SOS being resolved, stop alerts). Company users
+ *    also join `company:<id>`, which gets the admin-room events about their
+ *    own fleet (see `fleetRooms`). SOS events go to `sos-room` instead of
+ *    admin-room; the server puts admins holding `sos:view` in it (see
+ *    `sosRooms`, `updateSOSRoom`).
  * 2. Events: Named messages that carry data (vehicle:update, sos:alert, etc.)
  * 3. Broadcasting: Sending to all clients in a room except the sender
  * 
@@ -21,23 +30,82 @@
  */
 
 import { Server, Socket } from 'socket.io';
-import { Vehicle, GPSHistory, User, Geofence, GeofenceEvent } from '../models';
+import {
+  Vehicle,
+  GPSHistory,
+  User,
+  GeofenceEvent,
+  GeofenceEventType,
+  VehicleGeofenceState,
+} from '../models';
+import { authenticateSocket } from '../middleware/auth';
+import { isInsideGeofence, speedToKmh } from '../utils/geo';
+import { geofenceAppliesToVehicle, isGeofenceArmed } from '../utils/geofenceRules';
+import { getGeofenceIndex } from '../utils/geofenceIndex';
+import { getVehicleEta } from '../utils/routeEta';
+import { checkSpeed } from './speeding';
+import { checkHarshDriving } from './harshDriving';
+import { recordStopEvent } from './routeProgress';
+import { checkStopSubscriptions } from './stopAlerts';
+import { notifyAdmins, notifyUser } from '../utils/notifications';
+import { permissionsFor } from '../utils/permissions';
 import {
   SOCKET_EVENTS,
   SOCKET_ROOMS,
+  Permission,
+  UserRole,
   VehicleUpdatePayload,
   VehicleLocationBroadcast,
+  companyRoom,
+  fleetRooms,
+  userRoom,
+  sessionRoom,
 } from '../types';
 
-// Store vehicle's last known geofence status to detect entry/exit
-const vehicleGeofenceStatus: Map<string, Set<string>> = new Map();
+/**
+ * Roles allowed to join each room. `null` means anyone, including
+ * anonymous sockets, may join (the public map only carries data that
+ * GET /api/vehicles already exposes).
+ */
+const ROOM_ROLES: Record<string, UserRole[] | null> = {
+  [SOCKET_ROOMS.ADMIN]: ['admin'],
+  [SOCKET_ROOMS.DRIVERS]: ['driver'],
+  [SOCKET_ROOMS.PUBLIC_MAP]: null,
+};
 
 /**
  * Initialize Socket.io event handlers
  */
 export function initializeSocketHandlers(io: Server): void {
+  // Verify the JWT on every handshake before any event handler runs
+  io.use(authenticateSocket);
+
   io.on(SOCKET_EVENTS.CONNECT, (socket: Socket) => {
-    console.log(`Client connected: ${socket.id}`);
+    console.log(`Client connected: ${socket.id} (${socket.data.user?.role || 'anonymous'})`);
+
+    // Private room for notifications meant only for this user
+    if (socket.data.user) {
+      socket.join(userRoom(socket.data.user.id));
+    }
+
+    // Revoking the session disconnects this socket
+    if (socket.data.user?.sessionId) {
+      socket.join(sessionRoom(socket.data.user.sessionId));
+    }
+
+    // Company portal: live updates for the company's own vehicles
+    if (socket.data.user?.role === 'company') {
+      socket.join(companyRoom(socket.data.user.id));
+    }
+
+    // SOS alerts, for admins allowed to see them (the REST routes check the same)
+    if (socket.data.user?.role === 'admin') {
+      User.findById(socket.data.user.id).select('role adminRole permissions')
+        .then(user => {
+          if (user && permissionsFor(user).includes('sos:view')) socket.join(SOCKET_ROOMS.SOS);
+        })
+        .catch(err => console.error('SOS room join error:', err));
+    }
 
     /**
      * JOIN ROOM
@@ -45,30 +113,34 @@ export function initializeSocketHandlers(io: Server): void {
      * - Admins join 'admin-room' to receive all updates + SOS alerts
      * - Students/public join 'public-map' to receive vehicle locations
      * - Drivers join 'drivers-room' for driver-specific broadcasts
+     *
+     * The role comes from the verified token, never from the payload.
      */
-    socket.on(SOCKET_EVENTS.JOIN_ROOM, (data: { room: string; userId?: string }) => {
-      const { room, userId } = data;
-      
+    socket.on(SOCKET_EVENTS.JOIN_ROOM, (data: { room: string }) => {
+      const room = data?.room;
+
       // Validate room name
-      const validRooms = Object.values(SOCKET_ROOMS);
-      if (!validRooms.includes(room as any)) {
+      if (!room || !(room in ROOM_ROLES)) {
         socket.emit('error', { message: 'Invalid room' });
         return;
       }
 
+      const allowedRoles = ROOM_ROLES[room];
+      const user = socket.data.user;
+      if (allowedRoles && (!user || !allowedRoles.includes(user.role))) {
+        socket.emit('error', { message: 'Not allowed to join this room' });
+        return;
+      }
+
       socket.join(room);
       console.log(`Client ${socket.id} joined room: ${room}`);
-
-      // Store user info on socket for later use
-      if (userId) {
-        (socket as any).userId = userId;
-      }
     });
 
     /**
      * LEAVE ROOM
      */
     socket.on(SOCKET_EVENTS.LEAVE_ROOM, (data: { room: string }) => {
+      if (!data?.room || !(data.room in ROOM_ROLES)) return;
       socket.leave(data.room);
       console.log(`Client ${socket.id} left room: ${data.room}`);
     });
@@ -79,7 +151,8 @@ export function initializeSocketHandlers(io: Server): void {
      * MENTOR NOTE: This is the main GPS tracking event. Driver apps send this
      * every 5-10 seconds with their current location. The flow is:
      * 
-     * 1. Validate the incoming data
+     * 1. Validate the incoming data, that the sender drives this vehicle
+     *    and that the vehicle may be tracked (approved, not suspended)
      * 2. Update the vehicle's currentLocation in MongoDB
      * 3. Save to GPSHistory for analytics
      * 4. Broadcast to all clients watching the map
@@ -90,47 +163,75 @@ export function initializeSocketHandlers(io: Server): void {
       SOCKET_EVENTS.VEHICLE_UPDATE,
       async (payload: VehicleUpdatePayload) => {
         try {
-          const { vehicleId, driverId, location } = payload;
+          const user = socket.data.user;
+          if (!user || user.role !== 'driver') {
+            socket.emit('error', { message: 'Only drivers can send vehicle updates' });
+            return;
+          }
+
+          // The driver is whoever owns the token, not whatever the payload claims
+          const driverId = user.id;
+          const { vehicleId, location: reported } = payload || ({} as VehicleUpdatePayload);
 
           // Validate payload
-          if (!vehicleId || !location || !location.latitude || !location.longitude) {
+          if (!vehicleId || !reported || !reported.latitude || !reported.longitude) {
             socket.emit('error', { message: 'Invalid vehicle update payload' });
             return;
           }
 
-          // Update vehicle location in database
-          const vehicle = await Vehicle.findByIdAndUpdate(
-            vehicleId,
-            {
-              currentLocation: {
-                ...location,
-                timestamp: new Date(),
-              },
-              lastSeen: new Date(),
-            },
-            { new: true }
-          ).populate('driverId', 'name').populate('companyId', 'companyName');
+          // The phone's speed is m/s; speed limits, harsh driving and the maps use km/h
+          const location = { ...reported, speed: speedToKmh(reported.speed) };
+
+          // Load the vehicle (only if assigned to this driver) and decide
+          // whether it may be tracked before writing anything. The stored
+          // location is the previous GPS point for harsh driving detection.
+          const vehicle = await Vehicle.findOne({ _id: vehicleId, driverId })
+            .populate('driverId', 'name trackingSuspended')
+            .populate('companyId', 'companyName');
 
           if (!vehicle) {
-            socket.emit('error', { message: 'Vehicle not found' });
+            socket.emit('error', { message: 'Vehicle not found or not assigned to you' });
             return;
           }
 
-          // Only broadcast if vehicle is verified and active
+          // Only track if vehicle is verified and active
           if (vehicle.verificationStatus !== 'approved' || !vehicle.isActive) {
             return;
           }
 
+          // Expired license or OR/CR (see utils/documentExpiry.ts)
+          const suspension = vehicle.trackingSuspended || (vehicle.driverId as any)?.trackingSuspended;
+          if (suspension) {
+            socket.emit('error', { message: suspension.message });
+            return;
+          }
+
+          // Update vehicle location in database, then apply it to our copy
+          const now = new Date();
+          const currentLocation = { ...location, timestamp: now };
+          await Vehicle.updateOne(
+            { _id: vehicle._id, driverId },
+            { currentLocation, lastSeen: now }
+          );
+
+          const previousLocation = vehicle.currentLocation;
+          vehicle.currentLocation = currentLocation;
+          vehicle.lastSeen = now;
+
           // Save to GPS history (async, don't wait)
           GPSHistory.create({
             vehicleId,
             driverId,
-            location: {
-              ...location,
-              timestamp: new Date(),
-            },
+            location: currentLocation,
           }).catch(err => console.error('GPS history save error:', err));
 
+          // Stop ETAs for vehicles on a scheduled route (routes are cached,
+          // so this is normally just math)
+          const eta = await getVehicleEta(vehicle, currentLocation, now).catch(err => {
+            console.error('ETA error:', err);
+            return null;
+          });
+
           /**
            * MENTOR NOTE: Broadcast the location update to all connected clients.
            * We send to both admin-room and public-map so everyone sees the update.
@@ -144,22 +245,45 @@ export function initializeSocketHandlers(io: Server): void {
             driverName: (vehicle.driverId as any)?.name || 'Unknown',
             companyName: (vehicle.companyId as any)?.companyName,
             routeName: vehicle.routeName,
+            schedule: vehicle.routeProgress && vehicle.routeProgress.routeId === vehicle.routeId
+              ? {
+                  stopName: vehicle.routeProgress.stopName,
+                  delayMinutes: vehicle.routeProgress.delayMinutes,
+                  status: vehicle.routeProgress.status,
+                }
+              : undefined,
+            eta: eta || undefined,
             location: vehicle.currentLocation!,
             vehiclePhoto: vehicle.documents.vehiclePhoto,
             isOnline: true,
           };
 
-          // Broadcast to admin room
-          io.to(SOCKET_ROOMS.ADMIN).emit(SOCKET_EVENTS.VEHICLE_LOCATION, broadcast);
+          // Broadcast to admin room (and the vehicle's company)
+          io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.VEHICLE_LOCATION, broadcast);
           
           // Broadcast to public map
           io.to(SOCKET_ROOMS.PUBLIC_MAP).emit(SOCKET_EVENTS.VEHICLE_LOCATION, broadcast);
 
           // Check geofences (async, don't block the response)
-          checkGeofences(io, vehicleId, driverId, location).catch(err => 
+          checkGeofences(io, vehicle, driverId, location).catch(err => 
             console.error('Geofence check error:', err)
           );
 
+          // Check the speed limit for this vehicle type / zone
+          checkSpeed(io, vehicle, driverId, location).catch(err =>
+            console.error('Speed check error:', err)
+          );
+
+          // Tell students subscribed to the stops ahead
+          checkStopSubscriptions(io, vehicle, currentLocation, eta).catch(err =>
+            console.error('Stop subscription check error:', err)
+          );
+
+          // Compare with the previous point for harsh acceleration/braking/cornering
+          checkHarshDriving(io, vehicle, driverId, previousLocation, currentLocation).catch(err =>
+            console.error('Harsh driving check error:', err)
+          );
+
         } catch (error) {
           console.error('Vehicle update error:', error);
           socket.emit('error', { message: 'Failed to process vehicle update' });
@@ -177,6 +301,20 @@ export function initializeSocketHandlers(io: Server): void {
   });
 }
 
+/**
+ * Move a user's open sockets in or out of the SOS room after their
+ * permissions changed
+ */
+export function updateSOSRoom(io: Server | undefined, userId: string, permissions: Permission[]): void {
+  if (!io) return;
+  const sockets = io.in(userRoom(userId));
+  if (permissions.includes('sos:view')) {
+    sockets.socketsJoin(SOCKET_ROOMS.SOS);
+  } else {
+    sockets.socketsLeave(SOCKET_ROOMS.SOS);
+  }
+}
+
 /**
  * Mark vehicle as offline and broadcast
  * Called by cron job when vehicle hasn't sent updates
@@ -193,105 +331,165 @@ export async function markVehicleOffline(io: Server, vehicleId: string): Promise
       isOnline: false,
     };
 
-    io.to(SOCKET_ROOMS.ADMIN).emit(SOCKET_EVENTS.VEHICLE_OFFLINE, broadcast);
+    io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.VEHICLE_OFFLINE, broadcast);
     io.to(SOCKET_ROOMS.PUBLIC_MAP).emit(SOCKET_EVENTS.VEHICLE_OFFLINE, broadcast);
   } catch (error) {
     console.error('Mark offline error:', error);
   }
 }
 
-/**
- * Calculate distance between two points using Haversine formula
- * Returns distance in meters
- */
-function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
-  const R = 6371000; // Earth's radius in meters
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-function toRad(deg: number): number {
-  return deg * (Math.PI / 180);
-}
-
 /**
  * Check if vehicle entered or exited any geofences
  * Broadcasts alerts to admin room when events occur
+ * Only geofences armed at this time and scoped to this vehicle are checked
+ *
+ * MENTOR NOTE: This runs on every GPS update, so it avoids per-update
+ * geofence/vehicle queries: candidates come from the in-memory spatial index
+ * and the vehicle is the one vehicle:update already loaded.
+ *
+ * Exported for tests.
  */
-async function checkGeofences(
+export async function checkGeofences(
   io: Server,
-  vehicleId: string,
+  vehicle: any,
   driverId: string | undefined,
   location: { latitude: number; longitude: number; speed?: number }
 ): Promise<void> {
   try {
-    // Get all active geofences
-    const geofences = await Geofence.find({ isActive: true });
-    if (geofences.length === 0) return;
-
-    // Get vehicle info for alerts
-    const vehicle = await Vehicle.findById(vehicleId)
-      .populate('driverId', 'name')
-      .select('vehicleNumber licensePlate type');
-    
-    if (!vehicle) return;
+    const vehicleId = vehicle._id.toString();
+
+    // Geofences near this point, and the geofences this vehicle was inside
+    // as of its last update (stored in MongoDB, so it survives restarts)
+    const [index, previousStates] = await Promise.all([
+      getGeofenceIndex(),
+      VehicleGeofenceState.find({ vehicleId }).select('geofenceId enteredAt dwellAlertedAt'),
+    ]);
+    const previousGeofences = new Map(previousStates.map(state => [state.geofenceId.toString(), state]));
+
+    // Candidates: geofences whose bounds contain the point, plus any the
+    // vehicle was inside (it may have just driven out of their bounds)
+    const candidates = new Map(index.query(location).map(geofence => [geofence._id.toString(), geofence]));
+    for (const geofenceId of previousGeofences.keys()) {
+      const geofence = index.get(geofenceId);
+      if (geofence) candidates.set(geofenceId, geofence);
+    }
 
-    // Get previous geofence status for this vehicle
-    const previousGeofences = vehicleGeofenceStatus.get(vehicleId) || new Set<string>();
-    const currentGeofences = new Set<string>();
+    // Only evaluate geofences that are armed right now and scoped to this vehicle
+    const now = new Date();
+    const relevantGeofences = [...candidates.values()].filter(geofence =>
+      isGeofenceArmed(geofence, now) && geofenceAppliesToVehicle(geofence, vehicle)
+    );
 
-    // Check each geofence
-    for (const geofence of geofences) {
-      const distance = calculateDistance(
-        location.latitude,
-        location.longitude,
-        geofence.center.latitude,
-        geofence.center.longitude
-      );
+    // Forget geofences that were deleted, deactivated or disarmed while the
+    // vehicle was inside. If the geofence re-arms with the vehicle still
+    // inside, that counts as a fresh entry.
+    const relevantIds = new Set(relevantGeofences.map(geofence => geofence._id.toString()));
+    const staleIds = [...previousGeofences.keys()].filter(id => !relevantIds.has(id));
+    if (staleIds.length > 0) {
+      await VehicleGeofenceState.deleteMany({ vehicleId, geofenceId: { $in: staleIds } });
+    }
 
-      const isInside = distance <= geofence.radius;
+    // Check each geofence (circle, polygon or corridor)
+    for (const geofence of relevantGeofences) {
+      const isInside = isInsideGeofence(geofence, location);
       const geofenceId = geofence._id.toString();
 
-      if (isInside) {
-        currentGeofences.add(geofenceId);
-
-        // Check for ENTRY event
-        if (!previousGeofences.has(geofenceId) && geofence.alertOnEntry) {
-          // Vehicle just entered this geofence
+      if (isInside && !previousGeofences.has(geofenceId)) {
+        // Vehicle just entered this geofence. Only the update that actually
+        // records the entry emits the event (another instance may have won).
+        const entered = await recordGeofenceEntry(vehicleId, geofenceId, driverId);
+        if (entered && geofence.alertOnEntry) {
           await createGeofenceEvent(io, 'entry', geofence, vehicle, driverId, location);
         }
-      } else {
-        // Check for EXIT event
-        if (previousGeofences.has(geofenceId) && geofence.alertOnExit) {
-          // Vehicle just exited this geofence
-          await createGeofenceEvent(io, 'exit', geofence, vehicle, driverId, location);
+        if (entered) {
+          await recordStopEvent(io, vehicle, driverId, geofenceId, 'arrival');
+        }
+      } else if (isInside && geofence.dwellAlertMinutes) {
+        // Still inside - check the dwell rule against the stored entry time
+        const state = previousGeofences.get(geofenceId)!;
+        const dwellSeconds = Math.round((Date.now() - state.enteredAt.getTime()) / 1000);
+
+        if (!state.dwellAlertedAt && dwellSeconds > geofence.dwellAlertMinutes * 60) {
+          const claimed = await claimDwellAlert(vehicleId, geofenceId);
+          if (claimed) {
+            await createGeofenceEvent(io, 'dwell', geofence, vehicle, driverId, location, dwellSeconds);
+          }
+        }
+      } else if (!isInside && previousGeofences.has(geofenceId)) {
+        // Vehicle just exited this geofence
+        const exited = await recordGeofenceExit(vehicleId, geofenceId);
+        if (exited && geofence.alertOnExit) {
+          // Include how long the vehicle stayed, for average wait time reports
+          const dwellSeconds = Math.round((Date.now() - exited.enteredAt.getTime()) / 1000);
+          await createGeofenceEvent(io, 'exit', geofence, vehicle, driverId, location, dwellSeconds);
+        }
+        if (exited) {
+          await recordStopEvent(io, vehicle, driverId, geofenceId, 'departure');
         }
       }
     }
 
-    // Update vehicle's geofence status
-    vehicleGeofenceStatus.set(vehicleId, currentGeofences);
-
   } catch (error) {
     console.error('Geofence check error:', error);
   }
 }
 
+/**
+ * Record that a vehicle is inside a geofence.
+ * Returns false if it was already recorded (duplicate key on the unique
+ * vehicleId + geofenceId index), e.g. by a concurrent update or another
+ * backend instance.
+ */
+async function recordGeofenceEntry(
+  vehicleId: string,
+  geofenceId: string,
+  driverId: string | undefined
+): Promise<boolean> {
+  try {
+    await VehicleGeofenceState.create({
+      vehicleId,
+      geofenceId,
+      driverId,
+      enteredAt: new Date(),
+    });
+    return true;
+  } catch (error: any) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Remove a vehicle's inside-geofence record.
+ * Returns the removed record, or null if someone else already removed it.
+ */
+async function recordGeofenceExit(vehicleId: string, geofenceId: string) {
+  return VehicleGeofenceState.findOneAndDelete({ vehicleId, geofenceId });
+}
+
+/**
+ * Mark the dwell alert for the current stay as sent.
+ * Returns false if it was already marked, so each stay alerts only once.
+ */
+async function claimDwellAlert(vehicleId: string, geofenceId: string): Promise<boolean> {
+  const state = await VehicleGeofenceState.findOneAndUpdate(
+    { vehicleId, geofenceId, dwellAlertedAt: null },
+    { dwellAlertedAt: new Date() }
+  );
+  return !!state;
+}
+
 /**
  * Create geofence event and broadcast alert
  */
 async function createGeofenceEvent(
   io: Server,
-  eventType: 'entry' | 'exit',
+  eventType: GeofenceEventType,
   geofence: any,
   vehicle: any,
   driverId: string | undefined,
-  location: { latitude: number; longitude: number; speed?: number }
+  location: { latitude: number; longitude: number; speed?: number },
+  dwellSeconds?: number
 ): Promise<void> {
   try {
     // Save event to database
@@ -300,6 +498,7 @@ async function createGeofenceEvent(
       vehicleId: vehicle._id,
       driverId,
       eventType,
+      dwellSeconds,
       location: {
         latitude: location.latitude,
         longitude: location.longitude,
@@ -308,6 +507,13 @@ async function createGeofenceEvent(
       timestamp: new Date(),
     });
 
+    const dwellMinutes = Math.round((dwellSeconds || 0) / 60);
+    const messages: Record<GeofenceEventType, string> = {
+      entry: `${vehicle.vehicleNumber} entered ${geofence.name}`,
+      exit: `${vehicle.vehicleNumber} exited ${geofence.name}`,
+      dwell: `${vehicle.vehicleNumber} has been in ${geofence.name} for ${dwellMinutes} min`,
+    };
+
     const alertData = {
       eventId: event._id.toString(),
       eventType,
@@ -315,6 +521,7 @@ async function createGeofenceEvent(
         id: geofence._id.toString(),
         name: geofence.name,
         type: geofence.type,
+        shape: geofence.shape || 'circle',
         color: geofence.color,
       },
       vehicle: {
@@ -325,21 +532,31 @@ async function createGeofenceEvent(
         driverName: vehicle.driverId?.name || 'Unknown',
       },
       location,
+      dwellSeconds,
       timestamp: new Date().toISOString(),
-      message: `${vehicle.vehicleNumber} ${eventType === 'entry' ? 'entered' : 'exited'} ${geofence.name}`,
+      message: messages[eventType],
+    };
+
+    const notification = {
+      type: 'geofence' as const,
+      title: geofence.name,
+      message: messages[eventType],
+      data: { eventId: alertData.eventId, geofenceId: alertData.geofence.id, vehicleId: alertData.vehicle.id },
     };
 
-    // Broadcast to admin room
+    // Broadcast to admin room (and the vehicle's company)
     if (geofence.notifyAdmin) {
-      io.to(SOCKET_ROOMS.ADMIN).emit('geofence:alert', alertData);
+      io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.GEOFENCE_ALERT, alertData);
+      await notifyAdmins(io, notification, 'fleet:view');
     }
 
-    // Broadcast to driver if enabled
+    // Tell the vehicle's driver only (not every driver)
     if (geofence.notifyDriver && driverId) {
-      io.to('drivers-room').emit('geofence:alert', alertData);
+      io.to(userRoom(driverId)).emit(SOCKET_EVENTS.GEOFENCE_ALERT, alertData);
+      await notifyUser(io, driverId, notification);
     }
 
-    console.log(`📍 Geofence ${eventType}: ${vehicle.vehicleNumber} ${eventType === 'entry' ? '→' : '←'} ${geofence.name}`);
+    console.log(`📍 Geofence ${eventType}: ${messages[eventType]}`);
 
   } catch (error) {
     console.error('Create geofence event error:', error);
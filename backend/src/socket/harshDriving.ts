@@ -0,0 +1,188 @@
+/**
+ * =============================================================================
+ * HARSH DRIVING DETECTION
+ * =============================================================================
+ *
+ * MENTOR NOTE: Called for every GPS update with the vehicle's previous and
+ * new point (the same consecutive points stored in GPSHistory):
+ * - harsh acceleration / braking: speed change over time, in m/s²
+ * - sharp cornering: lateral acceleration, speed × heading change rate
+ *
+ * Speeds are km/h (vehicle:update converts the phone's m/s on the way in)
+ * and are turned back into m/s here for the accelerations.
+ *
+ * Phones report speed and heading only every few seconds, so we skip pairs
+ * that are too close together or too far apart to say anything reliable,
+ * and cornering at walking pace (tight turns in a terminal are fine).
+ *
+ * Thresholds are per vehicle type (a loaded bus should brake gentler than a
+ * motorcycle) and can be overridden with HARSH_DRIVING_THRESHOLDS, a JSON
+ * object like {"bus": {"braking": 2.2}}.
+ */
+
+import { Server } from 'socket.io';
+import { HarshDrivingEvent, HarshDrivingEventType } from '../models';
+import { GPSLocation, SOCKET_EVENTS, VehicleType, fleetRooms } from '../types';
+
+export interface HarshDrivingThresholds {
+  acceleration: number; // m/s²
+  braking: number; // m/s², as a positive number
+  cornering: number; // lateral m/s²
+}
+
+const DEFAULT_THRESHOLDS: Record<VehicleType, HarshDrivingThresholds> = {
+  bus: { acceleration: 2.0, braking: 2.5, cornering: 2.5 },
+  van: { acceleration: 2.5, braking: 3.0, cornering: 3.0 },
+  multicab: { acceleration: 2.5, braking: 3.0, cornering: 2.8 },
+  car: { acceleration: 3.0, braking: 3.5, cornering: 3.5 },
+  motorcycle: { acceleration: 3.5, braking: 4.0, cornering: 4.0 },
+};
+
+// Usable gap between two GPS points
+const MIN_INTERVAL_SECONDS = 1;
+const MAX_INTERVAL_SECONDS = 15;
+
+// Below this speed heading changes are ignored (km/h)
+const MIN_CORNERING_SPEED = 15;
+
+function loadThresholds(): Record<VehicleType, HarshDrivingThresholds> {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  if (!process.env.HARSH_DRIVING_THRESHOLDS) return thresholds;
+
+  try {
+    const overrides = JSON.parse(process.env.HARSH_DRIVING_THRESHOLDS);
+    for (const type of Object.keys(thresholds) as VehicleType[]) {
+      thresholds[type] = { ...thresholds[type], ...overrides[type] };
+    }
+  } catch (error) {
+    console.error('Invalid HARSH_DRIVING_THRESHOLDS, using defaults:', error);
+  }
+  return thresholds;
+}
+
+export const HARSH_DRIVING_THRESHOLDS = loadThresholds();
+
+/**
+ * Smallest signed difference between two headings, in degrees (-180..180)
+ */
+function headingDifference(from: number, to: number): number {
+  return ((to - from + 540) % 360) - 180;
+}
+
+/**
+ * Compare two consecutive GPS points and store/broadcast any harsh events
+ */
+export async function checkHarshDriving(
+  io: Server,
+  vehicle: any,
+  driverId: string | undefined,
+  previous: GPSLocation | undefined,
+  current: GPSLocation
+): Promise<void> {
+  try {
+    if (!previous?.timestamp) return;
+
+    const intervalSeconds = (new Date(current.timestamp).getTime() - new Date(previous.timestamp).getTime()) / 1000;
+    if (intervalSeconds < MIN_INTERVAL_SECONDS || intervalSeconds > MAX_INTERVAL_SECONDS) return;
+
+    const thresholds = HARSH_DRIVING_THRESHOLDS[vehicle.type as VehicleType] || HARSH_DRIVING_THRESHOLDS.car;
+    const speedBefore = previous.speed || 0;
+    const speedAfter = current.speed || 0;
+
+    const detected: { eventType: HarshDrivingEventType; value: number; threshold: number; headingChange?: number }[] = [];
+
+    // Longitudinal: km/h difference -> m/s, over the interval
+    const acceleration = (speedAfter - speedBefore) / 3.6 / intervalSeconds;
+    if (acceleration >= thresholds.acceleration) {
+      detected.push({ eventType: 'harsh_acceleration', value: acceleration, threshold: thresholds.acceleration });
+    } else if (-acceleration >= thresholds.braking) {
+      detected.push({ eventType: 'harsh_braking', value: -acceleration, threshold: thresholds.braking });
+    }
+
+    // Lateral: v × ω. The app sends heading 0 when the GPS has none, so a 0
+    // on either side means "unknown" rather than due north.
+    const averageSpeed = (speedBefore + speedAfter) / 2;
+    if (previous.heading && current.heading && averageSpeed >= MIN_CORNERING_SPEED) {
+      const headingChange = headingDifference(previous.heading, current.heading);
+      const turnRate = (Math.abs(headingChange) * Math.PI) / 180 / intervalSeconds;
+      const lateral = (averageSpeed / 3.6) * turnRate;
+
+      if (lateral >= thresholds.cornering) {
+        detected.push({ eventType: 'sharp_cornering', value: lateral, threshold: thresholds.cornering, headingChange });
+      }
+    }
+
+    for (const event of detected) {
+      await createHarshDrivingEvent(io, vehicle, driverId, current, {
+        ...event,
+        value: Math.round(event.value * 100) / 100,
+        speedBefore,
+        speedAfter,
+        intervalSeconds,
+      });
+    }
+  } catch (error) {
+    console.error('Harsh driving check error:', error);
+  }
+}
+
+/**
+ * Save a harsh driving event and broadcast it to admins
+ */
+async function createHarshDrivingEvent(
+  io: Server,
+  vehicle: any,
+  driverId: string | undefined,
+  location: GPSLocation,
+  data: {
+    eventType: HarshDrivingEventType;
+    value: number;
+    threshold: number;
+    headingChange?: number;
+    speedBefore: number;
+    speedAfter: number;
+    intervalSeconds: number;
+  }
+): Promise<void> {
+  const event = await HarshDrivingEvent.create({
+    vehicleId: vehicle._id,
+    driverId,
+    ...data,
+    location: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      speed: location.speed || 0,
+    },
+    timestamp: location.timestamp,
+  });
+
+  const labels: Record<HarshDrivingEventType, string> = {
+    harsh_acceleration: 'Harsh acceleration',
+    harsh_braking: 'Harsh braking',
+    sharp_cornering: 'Sharp cornering',
+  };
+  const message = `${labels[data.eventType]} by ${vehicle.vehicleNumber} (${data.value} m/s², ` +
+    `${Math.round(data.speedBefore)} → ${Math.round(data.speedAfter)} km/h)`;
+
+  io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.HARSH_DRIVING, {
+    eventId: event._id.toString(),
+    eventType: data.eventType,
+    vehicle: {
+      id: vehicle._id.toString(),
+      vehicleNumber: vehicle.vehicleNumber,
+      licensePlate: vehicle.licensePlate,
+      type: vehicle.type,
+      driverName: vehicle.driverId?.name || 'Unknown',
+    },
+    value: data.value,
+    threshold: data.threshold,
+    speedBefore: data.speedBefore,
+    speedAfter: data.speedAfter,
+    headingChange: data.headingChange,
+    location,
+    timestamp: new Date(location.timestamp).toISOString(),
+    message,
+  });
+
+  console.log(`⚠️ ${message}`);
+}
@@ -0,0 +1,131 @@
+/**
+ * =============================================================================
+ * ROUTE PROGRESS / ON-TIME TRACKING
+ * =============================================================================
+ *
+ * MENTOR NOTE: Called from the geofence check when a vehicle enters or leaves
+ * a geofence. If the vehicle is assigned to a scheduled Route and the
+ * geofence is one of its stops, we compare against the timetable:
+ * - leaving the first stop is the run's departure
+ * - entering any later stop is an arrival
+ *
+ * A departure is matched to the nearest timetable departure. Arrivals reuse
+ * the run the vehicle is already on (stored in `vehicle.routeProgress`), so a
+ * bus running 20 minutes late on a 15-minute timetable is reported late
+ * instead of early for the next run.
+ */
+
+import mongoose from 'mongoose';
+import { Server } from 'socket.io';
+import { Vehicle, Route, RouteStopEvent } from '../models';
+import { getCurrentRun, getRecentDepartures, getScheduleStatus } from '../utils/timetable';
+import { SOCKET_EVENTS, fleetRooms } from '../types';
+
+/**
+ * Record a stop departure/arrival for a vehicle on a scheduled route.
+ * Does nothing for vehicles without a route or geofences that aren't stops.
+ */
+export async function recordStopEvent(
+  io: Server,
+  vehicle: any,
+  driverId: string | undefined,
+  geofenceId: string,
+  eventType: 'departure' | 'arrival'
+): Promise<void> {
+  try {
+    if (!vehicle.routeId || !mongoose.isValidObjectId(vehicle.routeId)) return;
+
+    const route = await Route.findById(vehicle.routeId);
+    if (!route || !route.isActive) return;
+
+    const now = new Date();
+    const currentRun = getCurrentRun(vehicle.routeProgress, route._id.toString(), now);
+
+    // Which stop this is. Routes may visit the same geofence twice (loops),
+    // so arrivals take the first matching stop after the last one reached.
+    let stopIndex = -1;
+    if (eventType === 'departure') {
+      if (route.stops[0]?.geofenceId.toString() === geofenceId) stopIndex = 0;
+    } else {
+      const matches = route.stops
+        .map((stop, index) => (index > 0 && stop.geofenceId.toString() === geofenceId ? index : -1))
+        .filter(index => index > 0);
+      stopIndex = matches.find(index => index > (currentRun?.stopIndex ?? 0)) ?? matches[0] ?? -1;
+    }
+    if (stopIndex < 0) return;
+
+    const stop = route.stops[stopIndex];
+
+    // Which timetable run this is
+    let run: { departure: string; scheduledDeparture: Date } | undefined;
+    if (eventType === 'arrival' && currentRun && currentRun.stopIndex < stopIndex) {
+      run = { departure: currentRun.departure, scheduledDeparture: new Date(currentRun.scheduledDeparture) };
+    } else {
+      const distance = (d: { scheduledDeparture: Date }) =>
+        Math.abs(now.getTime() - (d.scheduledDeparture.getTime() + stop.offsetMinutes * 60 * 1000));
+      run = getRecentDepartures(route, now).sort((a, b) => distance(a) - distance(b))[0];
+    }
+    if (!run) return; // no timetable for today
+
+    const scheduledAt = new Date(run.scheduledDeparture.getTime() + stop.offsetMinutes * 60 * 1000);
+    const delayMinutes = Math.round(((now.getTime() - scheduledAt.getTime()) / 60000) * 10) / 10;
+    const status = getScheduleStatus(delayMinutes, route);
+
+    const event = await RouteStopEvent.create({
+      routeId: route._id,
+      vehicleId: vehicle._id,
+      driverId,
+      geofenceId: stop.geofenceId,
+      stopIndex,
+      stopName: stop.name,
+      eventType,
+      departure: run.departure,
+      scheduledDeparture: run.scheduledDeparture,
+      scheduledAt,
+      actualAt: now,
+      delayMinutes,
+      status,
+    });
+
+    const routeProgress = {
+      routeId: route._id.toString(),
+      stopIndex,
+      stopName: stop.name,
+      departure: run.departure,
+      scheduledDeparture: run.scheduledDeparture,
+      delayMinutes,
+      status,
+      updatedAt: now,
+    };
+    await Vehicle.updateOne({ _id: vehicle._id }, { routeProgress });
+    vehicle.routeProgress = routeProgress;
+
+    const verb = eventType === 'departure' ? 'departed' : 'arrived at';
+    const timing = status === 'on_time'
+      ? 'on time'
+      : `${Math.abs(Math.round(delayMinutes))} min ${status}`;
+    const message = `${vehicle.vehicleNumber} ${verb} ${stop.name} ${timing} (${route.name}, ${run.departure} run)`;
+
+    io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.ROUTE_STOP, {
+      eventId: event._id.toString(),
+      eventType,
+      route: { id: route._id.toString(), name: route.name, code: route.code },
+      vehicle: {
+        id: vehicle._id.toString(),
+        vehicleNumber: vehicle.vehicleNumber,
+        licensePlate: vehicle.licensePlate,
+      },
+      stop: { index: stopIndex, name: stop.name, geofenceId: stop.geofenceId.toString() },
+      departure: run.departure,
+      scheduledAt,
+      actualAt: now,
+      delayMinutes,
+      status,
+      message,
+    });
+
+    console.log(`🕒 ${message}`);
+  } catch (error) {
+    console.error('Route stop event error:', error);
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * =============================================================================
+ * SPEEDING DETECTION
+ * =============================================================================
+ *
+ * MENTOR NOTE: Called for every GPS update, next to the geofence checks.
+ *
+ * The limit for a vehicle is its type's default (DEFAULT_SPEED_LIMITS), or the
+ * lowest `speedLimitKmh` of any armed geofence it is inside (school zone 20).
+ * `location.speed` is km/h: vehicle:update converts the phone's m/s first.
+ *
+ * GPS speed is noisy, so a single fast reading is not a violation:
+ * 1. The first reading above limit + tolerance starts tracking on the
+ *    Vehicle document (`vehicle.speeding`)
+ * 2. Once it has stayed above for SPEED_VIOLATION_MIN_SECONDS, a
+ *    SpeedViolation record is created and `speed:violation` (ongoing) is
+ *    sent to admin-room
+ * 3. The first reading back under the limit (or the vehicle going offline)
+ *    ends the episode: the record gets its end location, peak speed and
+ *    duration, and `speed:violation` (ended) is sent. Episodes that never
+ *    lasted long enough are simply dropped.
+ *
+ * Keeping the tracking state on the Vehicle (which vehicle:update already
+ * loads) costs no extra query per update, and survives restarts.
+ */
+
+import { Server } from 'socket.io';
+import { Vehicle, SpeedViolation, IGeofenceDocument } from '../models';
+import { isInsideGeofence } from '../utils/geo';
+import { geofenceAppliesToVehicle, isGeofenceArmed } from '../utils/geofenceRules';
+import { getGeofenceIndex } from '../utils/geofenceIndex';
+import { SOCKET_EVENTS, VehicleType, fleetRooms } from '../types';
+
+// Default limits in km/h when no geofence sets one
+export const DEFAULT_SPEED_LIMITS: Record<VehicleType, number> = {
+  bus: 60,
+  van: 60,
+  multicab: 40,
+  car: 80,
+  motorcycle: 60,
+};
+
+const TOLERANCE_KMH = Number(process.env.SPEED_LIMIT_TOLERANCE_KMH || 5);
+const MIN_DURATION_SECONDS = Number(process.env.SPEED_VIOLATION_MIN_SECONDS || 10);
+
+type Location = { latitude: number; longitude: number; speed?: number };
+
+/**
+ * Speed limit for a vehicle at a location, and the geofence that set it (if any)
+ */
+export async function getSpeedLimit(
+  vehicle: any,
+  location: Location
+): Promise<{ limitKmh: number; geofence?: IGeofenceDocument }> {
+  const index = await getGeofenceIndex();
+  const now = new Date();
+
+  const zones = index.query(location).filter(geofence =>
+    geofence.speedLimitKmh &&
+    isGeofenceArmed(geofence, now) &&
+    geofenceAppliesToVehicle(geofence, vehicle) &&
+    isInsideGeofence(geofence, location)
+  );
+
+  let limitKmh = DEFAULT_SPEED_LIMITS[vehicle.type as VehicleType] || DEFAULT_SPEED_LIMITS.car;
+  let geofence: IGeofenceDocument | undefined;
+
+  for (const zone of zones) {
+    if (zone.speedLimitKmh! < limitKmh) {
+      limitKmh = zone.speedLimitKmh!;
+      geofence = zone;
+    }
+  }
+
+  return { limitKmh, geofence };
+}
+
+/**
+ * Track speeding for a vehicle that just sent a GPS update.
+ * `vehicle` is the document from vehicle:update, with `speeding` as it was
+ * before this update.
+ */
+export async function checkSpeed(
+  io: Server,
+  vehicle: any,
+  driverId: string | undefined,
+  location: Location
+): Promise<void> {
+  try {
+    const speed = location.speed || 0;
+    const { limitKmh, geofence } = await getSpeedLimit(vehicle, location);
+    const speeding = vehicle.speeding;
+    const now = new Date();
+    const point = { latitude: location.latitude, longitude: location.longitude, speed };
+
+    if (speed > limitKmh + TOLERANCE_KMH) {
+      if (!speeding) {
+        // Start tracking. The condition makes concurrent updates start it once.
+        await Vehicle.updateOne(
+          { _id: vehicle._id, speeding: null },
+          {
+            speeding: {
+              since: now,
+              limitKmh,
+              geofenceId: geofence?._id,
+              peakSpeed: speed,
+              startLocation: point,
+            },
+          }
+        );
+        return;
+      }
+
+      const peakSpeed = Math.max(speeding.peakSpeed, speed);
+      const durationSeconds = Math.round((now.getTime() - speeding.since.getTime()) / 1000);
+
+      if (!speeding.violationId && durationSeconds >= MIN_DURATION_SECONDS) {
+        // Lasted long enough to count. Claim it on the vehicle first so only
+        // one update creates the record.
+        const violation = new SpeedViolation({
+          vehicleId: vehicle._id,
+          driverId,
+          geofenceId: speeding.geofenceId,
+          limitKmh: speeding.limitKmh,
+          peakSpeed,
+          startLocation: speeding.startLocation,
+          startedAt: speeding.since,
+          status: 'ongoing',
+        });
+
+        const claimed = await Vehicle.updateOne(
+          { _id: vehicle._id, 'speeding.since': speeding.since, 'speeding.violationId': null },
+          { 'speeding.violationId': violation._id, 'speeding.peakSpeed': peakSpeed }
+        );
+
+        if (claimed.modifiedCount > 0) {
+          await violation.save();
+          await emitSpeedViolation(io, violation, vehicle, point);
+        }
+      } else if (speed > speeding.peakSpeed) {
+        await Vehicle.updateOne(
+          { _id: vehicle._id, 'speeding.since': speeding.since },
+          { $max: { 'speeding.peakSpeed': speed } }
+        );
+        if (speeding.violationId) {
+          await SpeedViolation.updateOne({ _id: speeding.violationId }, { $max: { peakSpeed: speed } });
+        }
+      }
+      return;
+    }
+
+    if (speeding) {
+      await endSpeeding(io, vehicle, point);
+    }
+  } catch (error) {
+    console.error('Speed check error:', error);
+  }
+}
+
+/**
+ * End a vehicle's speeding episode: back under the limit, or gone offline
+ * (called from the offline detection cron). Does nothing if the vehicle is
+ * not speeding or another update already ended it.
+ */
+export async function endSpeeding(io: Server, vehicle: any, location: Location): Promise<void> {
+  const speeding = vehicle.speeding;
+  if (!speeding) return;
+
+  const cleared = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, 'speeding.since': speeding.since },
+    { speeding: null }
+  );
+  if (!cleared || !speeding.violationId) return; // too short to count
+
+  const now = new Date();
+  const violation = await SpeedViolation.findByIdAndUpdate(
+    speeding.violationId,
+    {
+      status: 'ended',
+      endLocation: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        speed: location.speed || 0,
+      },
+      endedAt: now,
+      durationSeconds: Math.round((now.getTime() - speeding.since.getTime()) / 1000),
+      $max: { peakSpeed: speeding.peakSpeed },
+    },
+    { new: true }
+  );
+
+  if (violation) {
+    await emitSpeedViolation(io, violation, vehicle, location);
+  }
+}
+
+/**
+ * Broadcast a violation to admins when it starts and when it ends
+ */
+async function emitSpeedViolation(io: Server, violation: any, vehicle: any, location: Location): Promise<void> {
+  const index = await getGeofenceIndex();
+  const zone = violation.geofenceId ? index.get(violation.geofenceId.toString()) : undefined;
+
+  const where = zone ? ` in ${zone.name}` : '';
+  const message = violation.status === 'ended'
+    ? `${vehicle.vehicleNumber} was speeding${where} for ${violation.durationSeconds}s (peak ${Math.round(violation.peakSpeed)} km/h, limit ${violation.limitKmh} km/h)`
+    : `${vehicle.vehicleNumber} is speeding${where}: ${Math.round(location.speed || 0)} km/h in a ${violation.limitKmh} km/h limit`;
+
+  io.to(fleetRooms(vehicle.companyId)).emit(SOCKET_EVENTS.SPEED_VIOLATION, {
+    violationId: violation._id.toString(),
+    status: violation.status,
+    vehicle: {
+      id: vehicle._id.toString(),
+      vehicleNumber: vehicle.vehicleNumber,
+      licensePlate: vehicle.licensePlate,
+      type: vehicle.type,
+      driverName: vehicle.driverId?.name || 'Unknown',
+    },
+    zone: zone ? { id: zone._id.toString(), name: zone.name } : null,
+    limitKmh: violation.limitKmh,
+    peakSpeed: violation.peakSpeed,
+    durationSeconds: violation.durationSeconds,
+    startLocation: violation.startLocation,
+    location,
+    startedAt: violation.startedAt,
+    timestamp: new Date().toISOString(),
+    message,
+  });
+
+  console.log(`🚨 Speeding: ${message}`);
+}
@@ -0,0 +1,249 @@
+/**
+ * =============================================================================
+ * STOP SUBSCRIPTION ALERTS
+ * =============================================================================
+ *
+ * MENTOR NOTE: Students subscribe to a stop (a geofence) for a route or one
+ * vehicle, and get a `stop:approaching` event in their private `user:<id>`
+ * room when a matching vehicle is `minutesBefore` minutes or `metersBefore`
+ * meters away.
+ *
+ * - Vehicles on a scheduled route use the route ETAs (utils/routeEta.ts),
+ *   so both time and distance follow the road.
+ * - Vehicle subscriptions for vehicles without a route fall back to the
+ *   straight-line distance to the stop (meters only).
+ *
+ * Subscriptions are read from an in-memory index (refreshed every minute and
+ * after any change through the API), so GPS updates don't query users.
+ * Each approaching vehicle is announced once per subscription: the claim is
+ * an atomic update on the subscription, so several backend instances can't
+ * send it twice.
+ */
+
+import { Server } from 'socket.io';
+import { User, IStopSubscription, INotificationSettings } from '../models';
+import { calculateDistance, LatLng } from '../utils/geo';
+import { isWithinSchedule } from '../utils/schedule';
+import { SOCKET_EVENTS, VehicleEta, userRoom } from '../types';
+import { notifyUser } from '../utils/notifications';
+
+const INDEX_TTL_MS = 60 * 1000;
+
+// The same vehicle isn't announced again for a subscription within this time
+const NOTIFY_COOLDOWN_MS = 30 * 60 * 1000;
+
+interface SubscriptionEntry {
+  userId: string;
+  subscription: IStopSubscription;
+  stop: { id: string; name: string; center: LatLng };
+  settings?: INotificationSettings;
+}
+
+interface SubscriptionIndex {
+  byStop: Map<string, SubscriptionEntry[]>;
+  byVehicle: Map<string, SubscriptionEntry[]>;
+}
+
+let index: SubscriptionIndex | null = null;
+let loadedAt = 0;
+let loading: Promise<SubscriptionIndex> | null = null;
+
+// Recently sent alerts on this instance, to skip the database claim
+const recentlyNotified = new Map<string, number>();
+
+/**
+ * Forget alerts whose cooldown has passed, so the map only holds
+ * subscription/vehicle pairs that could still be skipped
+ */
+function pruneRecentlyNotified(now: number): void {
+  for (const [key, time] of recentlyNotified) {
+    if (now - time >= NOTIFY_COOLDOWN_MS) recentlyNotified.delete(key);
+  }
+}
+
+async function loadIndex(): Promise<SubscriptionIndex> {
+  const users = await User.find({
+    isActive: true,
+    stopSubscriptions: { $elemMatch: { isActive: true } },
+  })
+    .select('stopSubscriptions notificationSettings')
+    .populate('stopSubscriptions.geofenceId', 'name center');
+
+  const byStop = new Map<string, SubscriptionEntry[]>();
+  const byVehicle = new Map<string, SubscriptionEntry[]>();
+
+  for (const user of users) {
+    for (const subscription of user.stopSubscriptions) {
+      const geofence = subscription.geofenceId as any;
+      if (!subscription.isActive || !geofence?.center) continue;
+
+      const entry: SubscriptionEntry = {
+        userId: user._id.toString(),
+        subscription,
+        stop: { id: geofence._id.toString(), name: geofence.name, center: geofence.center },
+        settings: user.notificationSettings,
+      };
+
+      if (!byStop.has(entry.stop.id)) byStop.set(entry.stop.id, []);
+      byStop.get(entry.stop.id)!.push(entry);
+
+      if (subscription.vehicleId) {
+        const vehicleId = subscription.vehicleId.toString();
+        if (!byVehicle.has(vehicleId)) byVehicle.set(vehicleId, []);
+        byVehicle.get(vehicleId)!.push(entry);
+      }
+    }
+  }
+
+  return { byStop, byVehicle };
+}
+
+async function getSubscriptionIndex(): Promise<SubscriptionIndex> {
+  if (index && Date.now() - loadedAt < INDEX_TTL_MS) return index;
+
+  if (!loading) {
+    const load = loadIndex()
+      .then(loaded => {
+        index = loaded;
+        loadedAt = Date.now();
+        pruneRecentlyNotified(loadedAt);
+        return loaded;
+      })
+      .finally(() => {
+        if (loading === load) loading = null;
+      });
+    loading = load;
+  }
+
+  return loading;
+}
+
+/**
+ * Reload subscriptions on the next GPS update (after API changes)
+ */
+export function invalidateSubscriptionIndex(): void {
+  loadedAt = 0;
+}
+
+/**
+ * Whether a user's quiet hours cover a moment
+ */
+export function isQuietTime(settings: INotificationSettings | undefined, date: Date = new Date()): boolean {
+  const quietHours = settings?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  return isWithinSchedule(
+    {
+      timezone: quietHours.timezone,
+      windows: [{ days: [0, 1, 2, 3, 4, 5, 6], start: quietHours.start, end: quietHours.end }],
+    },
+    date
+  );
+}
+
+/**
+ * Check a vehicle's position against stop subscriptions and notify the
+ * subscribers it is approaching
+ */
+export async function checkStopSubscriptions(
+  io: Server,
+  vehicle: any,
+  location: LatLng,
+  eta: VehicleEta | null
+): Promise<void> {
+  const { byStop, byVehicle } = await getSubscriptionIndex();
+  if (byStop.size === 0) return;
+
+  const vehicleId = vehicle._id.toString();
+  const matches: { entry: SubscriptionEntry; minutes?: number; meters: number }[] = [];
+  const matched = new Set<SubscriptionEntry>();
+
+  // Stops ahead on the vehicle's route
+  for (const stop of eta?.stops || []) {
+    for (const entry of byStop.get(stop.geofenceId) || []) {
+      const { subscription } = entry;
+      const applies = subscription.vehicleId
+        ? subscription.vehicleId.toString() === vehicleId
+        : subscription.routeId?.toString() === eta!.routeId;
+      if (!applies || matched.has(entry)) continue;
+
+      matched.add(entry);
+      matches.push({ entry, minutes: stop.minutes, meters: stop.meters });
+    }
+  }
+
+  // Subscriptions to this vehicle at stops not on (or without) a route
+  for (const entry of byVehicle.get(vehicleId) || []) {
+    if (matched.has(entry)) continue;
+    const meters = calculateDistance(
+      location.latitude,
+      location.longitude,
+      entry.stop.center.latitude,
+      entry.stop.center.longitude
+    );
+    matches.push({ entry, meters: Math.round(meters) });
+  }
+
+  const now = new Date();
+
+  for (const { entry, minutes, meters } of matches) {
+    const { subscription } = entry;
+    const withinTime = subscription.minutesBefore != null && minutes != null && minutes <= subscription.minutesBefore;
+    const withinDistance = subscription.metersBefore != null && meters <= subscription.metersBefore;
+    if (!withinTime && !withinDistance) continue;
+    if (isQuietTime(entry.settings, now)) continue;
+
+    const key = `${subscription._id}:${vehicleId}`;
+    if (now.getTime() - (recentlyNotified.get(key) || 0) < NOTIFY_COOLDOWN_MS) continue;
+    recentlyNotified.set(key, now.getTime());
+
+    // Claim the alert - fails if this vehicle was already announced recently
+    const claimed = await User.updateOne(
+      {
+        _id: entry.userId,
+        stopSubscriptions: {
+          $elemMatch: {
+            _id: subscription._id,
+            $or: [
+              { lastVehicleId: { $ne: vehicle._id } },
+              { lastNotifiedAt: { $lt: new Date(now.getTime() - NOTIFY_COOLDOWN_MS) } },
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          'stopSubscriptions.$.lastNotifiedAt': now,
+          'stopSubscriptions.$.lastVehicleId': vehicle._id,
+        },
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const distance = meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`;
+    const away = minutes != null ? `about ${Math.max(1, minutes)} min (${distance})` : distance;
+    const message = `${vehicle.vehicleNumber} is ${away} from ${entry.stop.name}`;
+
+    io.to(userRoom(entry.userId)).emit(SOCKET_EVENTS.STOP_APPROACHING, {
+      subscriptionId: subscription._id.toString(),
+      stop: { geofenceId: entry.stop.id, name: entry.stop.name },
+      route: eta ? { id: eta.routeId, name: eta.routeName } : undefined,
+      vehicle: {
+        id: vehicleId,
+        vehicleNumber: vehicle.vehicleNumber,
+        licensePlate: vehicle.licensePlate,
+        type: vehicle.type,
+      },
+      minutes,
+      meters,
+      message,
+      timestamp: now,
+    });
+    await notifyUser(io, entry.userId, {
+      type: 'stop_approaching',
+      title: `🚏 ${entry.stop.name}`,
+      message,
+      data: { subscriptionId: subscription._id.toString(), vehicleId, geofenceId: entry.stop.id },
+    });
+  }
+}
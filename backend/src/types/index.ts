@@ -14,6 +14,22 @@ export type VehicleType = 'bus' | 'van' | 'multicab' | 'car' | 'motorcycle';
 // User roles for access control
 export type UserRole = 'driver' | 'company' | 'admin' | 'student';
 
+// What a signed-in user may do in the dashboard (see utils/permissions.ts)
+export type Permission =
+  | 'fleet:view'
+  | 'fleet:manage'
+  | 'verifications:view'
+  | 'verifications:review'
+  | 'sos:view'
+  | 'sos:respond'
+  | 'geofences:manage'
+  | 'routes:manage'
+  | 'users:manage'
+  | 'staff:manage';
+
+// Preset permission sets for admin users
+export type AdminRole = 'super_admin' | 'verifier' | 'dispatcher' | 'safety_officer' | 'auditor';
+
 // Verification status workflow: pending → approved/rejected
 export type VerificationStatus = 'pending' | 'approved' | 'rejected';
 
@@ -89,12 +105,27 @@ export interface ISOSAlert {
   senderRole: UserRole;
   senderName: string;
   vehicleId?: string;
+  source?: 'app' | 'sms';
   location: GPSLocation;
+  trail?: { latitude: number; longitude: number; accuracy?: number; timestamp: Date }[];
   message?: string;
   status: 'active' | 'acknowledged' | 'resolved';
   createdAt: Date;
+  acknowledgedAt?: Date;
+  assignedTo?: string;
+  escalatedAt?: Date;
   resolvedAt?: Date;
   resolvedBy?: string;
+  resolutionCategory?: 'false_alarm' | 'medical' | 'breakdown' | 'security' | 'other';
+  // Texts to the sender's emergency contacts and the on-call admin
+  deliveries?: {
+    recipient: 'contact' | 'on_call';
+    name: string;
+    to: string;
+    channel: 'sms' | 'voice';
+    status: 'pending' | 'sent' | 'failed';
+    error?: string;
+  }[];
 }
 
 // GPS History for analytics
@@ -118,8 +149,8 @@ export interface IGPSHistory {
 // Payload sent by driver app every 5-10 seconds
 export interface VehicleUpdatePayload {
   vehicleId: string;
-  driverId: string;
-  location: GPSLocation;
+  driverId?: string; // ignored - the server uses the authenticated socket user
+  location: GPSLocation; // speed in m/s as the phone reports it, stored as km/h
 }
 
 // Broadcast to all clients watching the map
@@ -131,11 +162,35 @@ export interface VehicleLocationBroadcast {
   driverName: string;
   companyName?: string;
   routeName?: string;
+  // Timetable status at the last stop, for vehicles on a scheduled route
+  schedule?: {
+    stopName: string;
+    delayMinutes: number;
+    status: 'early' | 'on_time' | 'late';
+  };
+  // Predicted arrival at the stops still ahead, for vehicles on a scheduled route
+  eta?: VehicleEta;
   location: GPSLocation;
   vehiclePhoto: string;
   isOnline: boolean;
 }
 
+export interface StopEta {
+  index: number;
+  name: string;
+  geofenceId: string;
+  minutes: number;
+  meters: number; // remaining distance along the route
+  at: Date;
+}
+
+export interface VehicleEta {
+  routeId: string;
+  routeName: string;
+  stops: StopEta[];
+  isEstimate: boolean; // true when there was no travel history to base it on
+}
+
 // SOS alert payload
 export interface SOSAlertPayload {
   alertId: string;
@@ -147,6 +202,17 @@ export interface SOSAlertPayload {
   location: GPSLocation;
   message?: string;
   timestamp: Date;
+  escalated?: boolean; // sent again because nobody acknowledged it
+}
+
+// Sent to a driver asked to go to an SOS
+export interface SOSDispatchPayload {
+  alertId: string;
+  senderName: string;
+  message?: string;
+  location: GPSLocation;
+  distanceMeters: number;
+  dispatchedBy: string;
 }
 
 // Socket event names as constants for type safety
@@ -162,6 +228,20 @@ export const SOCKET_EVENTS = {
   VEHICLE_OFFLINE: 'vehicle:offline',
   SOS_ALERT: 'sos:alert',
   SOS_RESOLVED: 'sos:resolved',
+  SOS_UPDATED: 'sos:updated',
+  SOS_ACKNOWLEDGED: 'sos:acknowledged',
+  SOS_LOCATION: 'sos:location',
+  SOS_DISPATCH: 'sos:dispatch',
+  USER_VERIFIED: 'user:verified',
+  VEHICLE_VERIFIED: 'vehicle:verified',
+  GEOFENCE_ALERT: 'geofence:alert',
+  SPEED_VIOLATION: 'speed:violation',
+  HARSH_DRIVING: 'driving:harsh',
+  ROUTE_STOP: 'route:stop',
+  STOP_APPROACHING: 'stop:approaching',
+  NOTIFICATION: 'notification:new',
+  TRACKING_SUSPENDED: 'tracking:suspended',
+  SESSION_REVOKED: 'session:revoked',
   
   // Connection events
   CONNECT: 'connection',
@@ -173,4 +253,29 @@ export const SOCKET_ROOMS = {
   ADMIN: 'admin-room',
   PUBLIC_MAP: 'public-map',
   DRIVERS: 'drivers-room',
+  // Admins holding sos:view; joined by the server, never on request
+  SOS: 'sos-room',
 } as const;
+
+// Private room every authenticated socket joins, for notifications meant
+// for one user only
+export const userRoom = (userId: string): string => `user:${userId}`;
+
+// Sockets of one signed-in device, so revoking the session disconnects them
+export const sessionRoom = (sessionId: string): string => `session:${sessionId}`;
+
+// Room of a company's portal users (company sockets join it automatically)
+export const companyRoom = (companyId: string): string => `company:${companyId}`;
+
+// Admins plus the company owning a vehicle, for fleet events. Takes the
+// companyId as stored or populated.
+export const fleetRooms = (companyId?: any): string[] => {
+  const id = companyId?._id || companyId;
+  return id ? [SOCKET_ROOMS.ADMIN, companyRoom(id.toString())] : [SOCKET_ROOMS.ADMIN];
+};
+
+// Same for SOS events, but only admins allowed to see SOS alerts
+export const sosRooms = (companyId?: any): string[] => {
+  const id = companyId?._id || companyId;
+  return id ? [SOCKET_ROOMS.SOS, companyRoom(id.toString())] : [SOCKET_ROOMS.SOS];
+};
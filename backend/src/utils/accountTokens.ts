@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * PASSWORD RESET & EMAIL VERIFICATION
+ * =============================================================================
+ *
+ * MENTOR NOTE: Both flows email the user a link with a one-time token:
+ * - Email verification: sent at registration (and on request). Opening it
+ *   sets `emailVerified`.
+ * - Password reset: requested with the email address. Opening it lets the
+ *   user choose a new password; that also signs out every device.
+ *
+ * Links point at the web app (APP_URL), which posts the token back to
+ * /api/auth/verify-email or /api/auth/reset-password. A new link replaces
+ * the previous one, and a new one is sent at most once per
+ * RESEND_INTERVAL_SECONDS so the endpoints can't be used to spam someone.
+ */
+
+import crypto from 'crypto';
+import { AccountToken, AccountTokenPurpose, IAccountTokenDocument, IUserDocument } from '../models';
+import { sendMail } from './mail';
+
+export const PASSWORD_RESET_TTL_MINUTES = 60;
+export const EMAIL_VERIFICATION_TTL_HOURS = 48;
+export const RESEND_INTERVAL_SECONDS = 60;
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const TTL_MS: Record<AccountTokenPurpose, number> = {
+  password_reset: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+  email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+};
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new token, invalidating unused ones for the same purpose.
+ * Returns null if one was issued less than RESEND_INTERVAL_SECONDS ago.
+ */
+async function issueToken(user: IUserDocument, purpose: AccountTokenPurpose): Promise<string | null> {
+  const recent = await AccountToken.exists({
+    userId: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) },
+  });
+  if (recent) return null;
+
+  await AccountToken.updateMany({ userId: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TTL_MS[purpose]),
+  });
+  return token;
+}
+
+/**
+ * Use up a token. Returns it, or null if it is unknown, used or expired.
+ * Claimed atomically so a link can't be used twice at the same time.
+ */
+export function consumeToken(token: string, purpose: AccountTokenPurpose): Promise<IAccountTokenDocument | null> {
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+/**
+ * Email a verification link. Returns false if one was sent a moment ago or
+ * the mail could not be sent.
+ */
+export async function sendVerificationEmail(user: IUserDocument): Promise<boolean> {
+  const token = await issueToken(user, 'email_verification');
+  if (!token) return false;
+
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\n`
+      + `Please confirm your email address by opening this link:\n${link}\n\n`
+      + `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. `
+      + 'If you did not create an account, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>`
+      + `<p>Please confirm your email address:</p><p><a href="${link}">Confirm email</a></p>`
+      + `<p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. `
+      + 'If you did not create an account, you can ignore this email.</p>',
+  });
+}
+
+/**
+ * Email a password reset link. Returns false if one was sent a moment ago
+ * or the mail could not be sent.
+ */
+export async function sendPasswordResetEmail(user: IUserDocument): Promise<boolean> {
+  const token = await issueToken(user, 'password_reset');
+  if (!token) return false;
+
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n`
+      + `Open this link to choose a new password:\n${link}\n\n`
+      + `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+      + 'If you did not ask for a new password, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>`
+      + `<p>Choose a new password:</p><p><a href="${link}">Reset password</a></p>`
+      + `<p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+      + 'If you did not ask for a new password, you can ignore this email.</p>',
+  });
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
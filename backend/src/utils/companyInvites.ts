@@ -0,0 +1,109 @@
+/**
+ * =============================================================================
+ * COMPANY INVITES
+ * =============================================================================
+ *
+ * MENTOR NOTE: A company creates an invite (POST /api/company/invites) and
+ * shares the code with a driver. The driver enters it when registering or
+ * later (POST /api/auth/join-company). Redeeming it puts the driver - and
+ * their own vehicle, if it isn't in a fleet yet - into the company.
+ *
+ * Codes are single use and expire after INVITE_TTL_DAYS. An invite created
+ * for an email only works for the driver with that email.
+ */
+
+import crypto from 'crypto';
+import { CompanyInvite, ICompanyInviteDocument, User, Vehicle } from '../models';
+
+export const INVITE_TTL_DAYS = 7;
+
+// No 0/O or 1/I, so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateCode(): string {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Create an invite with a fresh code
+ */
+export async function createInvite(companyId: string, email?: string): Promise<ICompanyInviteDocument> {
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  // Retry on the (unlikely) duplicate code
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await CompanyInvite.create({ companyId, code: generateCode(), email: email || undefined, expiresAt });
+    } catch (error: any) {
+      if (error?.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+}
+
+const normalizeCode = (code: any): string => String(code || '').trim().toUpperCase();
+
+/**
+ * Query for an unused, unexpired invite usable by this email
+ */
+function validInviteQuery(code: any, email: string): Record<string, any> {
+  return {
+    code: normalizeCode(code),
+    usedBy: null,
+    expiresAt: { $gt: new Date() },
+    email: { $in: [null, email.toLowerCase()] },
+  };
+}
+
+/**
+ * Check an invite code without using it up (e.g. before registering)
+ * Returns an error message, or null if it can be redeemed.
+ */
+export async function checkInvite(code: any, email: string): Promise<string | null> {
+  const invite = await CompanyInvite.findOne(validInviteQuery(code, email));
+  if (!invite) return 'Invalid or expired invite code';
+
+  const company = await User.findOne({ _id: invite.companyId, role: 'company' }).select('isActive verificationStatus');
+  if (!company?.isActive || company.verificationStatus !== 'approved') {
+    return 'This company cannot accept drivers right now';
+  }
+  return null;
+}
+
+/**
+ * Redeem an invite for a driver (saves the driver and their vehicle)
+ * Returns the company name, or an error message.
+ */
+export async function redeemInvite(
+  code: any,
+  driver: any
+): Promise<{ companyId?: string; companyName?: string; error?: string }> {
+  if (driver.companyId) {
+    return { error: 'You already belong to a company' };
+  }
+
+  const checkError = await checkInvite(code, driver.email);
+  if (checkError) return { error: checkError };
+
+  // Claim the code - fails if someone else used it in the meantime
+  const invite = await CompanyInvite.findOneAndUpdate(
+    validInviteQuery(code, driver.email),
+    { usedBy: driver._id, usedAt: new Date() },
+    { new: true }
+  );
+  if (!invite) return { error: 'Invalid or expired invite code' };
+
+  driver.companyId = invite.companyId;
+  await driver.save();
+
+  if (driver.assignedVehicle) {
+    await Vehicle.updateOne(
+      { _id: driver.assignedVehicle, driverId: driver._id, companyId: null },
+      { companyId: invite.companyId }
+    );
+  }
+
+  const company = await User.findById(invite.companyId).select('companyName');
+  return { companyId: invite.companyId.toString(), companyName: company?.companyName };
+}
@@ -0,0 +1,46 @@
+/**
+ * =============================================================================
+ * COMPANY SCOPE HELPERS
+ * =============================================================================
+ *
+ * MENTOR NOTE: Query filters for routes shared by admins and company users.
+ * `req.companyId` is set by the scopeCompany middleware for company users
+ * only, so every helper returns "no restriction" for admins:
+ *
+ *   Vehicle.find({ ...query, ...companyFilter(req) })
+ *   SpeedViolation.find({ ...query, ...(await companyVehicleFilter(req)) })
+ *
+ * Records without a companyId of their own (GPS history, violations...) are
+ * scoped through the company's vehicles.
+ */
+
+import { Request } from 'express';
+import mongoose from 'mongoose';
+import { Vehicle } from '../models';
+
+/**
+ * { companyId } for company users, {} for admins
+ */
+export function companyFilter(req: Request, field = 'companyId'): Record<string, any> {
+  return req.companyId ? { [field]: req.companyId } : {};
+}
+
+/**
+ * { vehicleId: { $in: <company vehicles> } } for company users, {} for admins
+ */
+export async function companyVehicleFilter(req: Request): Promise<Record<string, any>> {
+  if (!req.companyId) return {};
+
+  const vehicleIds: mongoose.Types.ObjectId[] = await Vehicle.find({ companyId: req.companyId }).distinct('_id');
+  return { vehicleId: { $in: vehicleIds } };
+}
+
+/**
+ * Whether the user may see a vehicle (always true for admins)
+ */
+export async function canAccessVehicle(req: Request, vehicleId: string): Promise<boolean> {
+  if (!req.companyId) return true;
+  if (!mongoose.isValidObjectId(vehicleId)) return false;
+
+  return (await Vehicle.exists({ _id: vehicleId, companyId: req.companyId })) !== null;
+}
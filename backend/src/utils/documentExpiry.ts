@@ -0,0 +1,199 @@
+/**
+ * =============================================================================
+ * DOCUMENT EXPIRY
+ * =============================================================================
+ *
+ * MENTOR NOTE: Driver licenses and vehicle registrations (OR/CR) expire.
+ * The dates are captured at registration and editable by admins. A daily
+ * cron job (cron/tasks.ts) then:
+ *
+ * - warns the driver (and their company) 30, 7 and 1 days before, once
+ *   per threshold - the last one sent is stored on the document;
+ * - suspends tracking (`trackingSuspended`) once the date has passed. GPS
+ *   updates from suspended drivers/vehicles are ignored.
+ *
+ * The suspension is lifted when an admin sets a future expiry date, either
+ * directly or while approving renewed documents the driver resubmitted.
+ *
+ * Warnings and suspensions are claimed with an atomic update, so several
+ * backend instances don't send them twice.
+ */
+
+import { Server } from 'socket.io';
+import { User, Vehicle } from '../models';
+import { SOCKET_EVENTS, userRoom } from '../types';
+import { notifyAdmins, notifyUsers } from './notifications';
+
+export const EXPIRY_WARNING_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export type ExpirySubject = 'driver' | 'vehicle';
+
+interface ExpiryTarget {
+  model: any;
+  filter: Record<string, any>;
+  dateField: 'licenseExpiresAt' | 'registrationExpiresAt';
+  warnedField: 'licenseExpiryWarnedDays' | 'registrationExpiryWarnedDays';
+  label: string;
+  // Documents to upload again once it expired
+  documents: string[];
+  describe: (doc: any) => string;
+  recipients: (doc: any) => string[];
+}
+
+export const EXPIRY_TARGETS: Record<ExpirySubject, ExpiryTarget> = {
+  driver: {
+    model: User,
+    filter: { role: 'driver', verificationStatus: 'approved', isActive: true },
+    dateField: 'licenseExpiresAt',
+    warnedField: 'licenseExpiryWarnedDays',
+    label: "driver's license",
+    documents: ['licenseFront', 'licenseBack'],
+    describe: doc => doc.name,
+    recipients: doc => [doc._id, doc.companyId],
+  },
+  vehicle: {
+    model: Vehicle,
+    filter: { verificationStatus: 'approved', isActive: true },
+    dateField: 'registrationExpiresAt',
+    warnedField: 'registrationExpiryWarnedDays',
+    label: 'vehicle registration (OR/CR)',
+    documents: ['orCrPhoto'],
+    describe: doc => doc.licensePlate,
+    recipients: doc => [doc.driverId, doc.companyId],
+  },
+};
+
+/**
+ * Parse an expiry date from a request body.
+ * Missing/empty -> {} (not given), null -> { date: null } (clear it).
+ */
+export function parseExpiryDate(
+  value: any,
+  { allowPast = false }: { allowPast?: boolean } = {}
+): { date?: Date | null; error?: string } {
+  if (value === undefined || value === '') return {};
+  if (value === null) return { date: null };
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: 'Invalid expiry date' };
+  }
+  if (!allowPast && date.getTime() <= Date.now()) {
+    return { error: 'Document has already expired' };
+  }
+  return { date };
+}
+
+/**
+ * Whole days left until an expiry date (0 or less once expired)
+ */
+export function daysUntil(date: Date, now: Date = new Date()): number {
+  return Math.ceil((date.getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Set an expiry date (not saved yet). A new date resets the warnings, and a
+ * future date lifts an expiry suspension.
+ * Returns true if the suspension was lifted.
+ */
+export function setExpiryDate(subject: any, type: ExpirySubject, date: Date | null): boolean {
+  const target = EXPIRY_TARGETS[type];
+  const previous: Date | null = subject[target.dateField];
+  if (previous?.getTime() !== date?.getTime()) {
+    subject[target.warnedField] = null;
+  }
+  subject[target.dateField] = date;
+
+  if (date && date.getTime() > Date.now() && subject.trackingSuspended?.reason === 'document_expired') {
+    subject.trackingSuspended = null;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Warn about documents expiring soon and suspend tracking where they lapsed
+ */
+export async function checkDocumentExpiry(
+  io: Server,
+  now: Date = new Date()
+): Promise<{ warned: number; suspended: number }> {
+  let warned = 0;
+  const suspended: string[] = [];
+  const horizon = new Date(now.getTime() + Math.max(...EXPIRY_WARNING_DAYS) * DAY_MS);
+
+  for (const [type, target] of Object.entries(EXPIRY_TARGETS) as [ExpirySubject, ExpiryTarget][]) {
+    const documents = await target.model.find({
+      ...target.filter,
+      [target.dateField]: { $ne: null, $lte: horizon },
+    });
+
+    for (const doc of documents) {
+      const expiresAt: Date = doc[target.dateField];
+      const days = daysUntil(expiresAt, now);
+      const recipients = target.recipients(doc).filter(Boolean).map((id: any) => id.toString());
+      const dateText = expiresAt.toISOString().slice(0, 10);
+
+      if (days <= 0) {
+        if (doc.trackingSuspended) continue;
+
+        const message = `The ${target.label} of ${target.describe(doc)} expired on ${dateText}. ` +
+          'Tracking is suspended until renewed documents are approved.';
+        const claimed = await target.model.updateOne(
+          { _id: doc._id, trackingSuspended: null },
+          { trackingSuspended: { reason: 'document_expired', message, since: now } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        for (const userId of recipients) {
+          io.to(userRoom(userId)).emit(SOCKET_EVENTS.TRACKING_SUSPENDED, {
+            subjectType: type,
+            subjectId: doc._id.toString(),
+            message,
+          });
+        }
+        await notifyUsers(io, recipients, {
+          type: 'document_expiry',
+          title: 'Tracking suspended',
+          message,
+          data: { subjectType: type, subjectId: doc._id.toString(), documents: target.documents },
+        });
+        suspended.push(`${target.describe(doc)} (${type})`);
+        continue;
+      }
+
+      // Smallest threshold reached, e.g. 7 when 5 days are left
+      const threshold = [...EXPIRY_WARNING_DAYS].sort((a, b) => a - b).find(limit => days <= limit)!;
+      const claimed = await target.model.updateOne(
+        {
+          _id: doc._id,
+          [target.dateField]: expiresAt,
+          $or: [{ [target.warnedField]: null }, { [target.warnedField]: { $gt: threshold } }],
+        },
+        { [target.warnedField]: threshold }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notifyUsers(io, recipients, {
+        type: 'document_expiry',
+        title: days === 1 ? 'Document expires tomorrow' : `Document expires in ${days} days`,
+        message: `The ${target.label} of ${target.describe(doc)} expires on ${dateText}. ` +
+          'Upload the renewed document before then to keep tracking.',
+        data: { subjectType: type, subjectId: doc._id.toString(), expiresAt, days },
+      });
+      warned++;
+    }
+  }
+
+  if (suspended.length > 0) {
+    await notifyAdmins(io, {
+      type: 'document_expiry',
+      title: 'Tracking suspended',
+      message: `Expired documents: ${suspended.join(', ')}`,
+    }, 'verifications:review');
+  }
+
+  return { warned, suspended: suspended.length };
+}
@@ -0,0 +1,251 @@
+/**
+ * =============================================================================
+ * GEOMETRY UTILITIES
+ * =============================================================================
+ *
+ * MENTOR NOTE: Distance and point-in-shape helpers shared by the socket
+ * handlers and the geofence routes. Geofences are small (a campus, a
+ * terminal, a few km of highway), so for polygon and corridor tests we
+ * project points onto a flat plane around the shape (equirectangular
+ * projection). The error is well under a meter at these sizes and it keeps
+ * the math simple.
+ */
+
+export interface LatLng {
+  latitude: number;
+  longitude: number;
+}
+
+export type GeofenceShape = 'circle' | 'polygon' | 'corridor';
+
+// The geometry fields of a Geofence document
+export interface GeofenceGeometry {
+  shape?: GeofenceShape;
+  center?: LatLng;
+  radius?: number; // circle only, meters
+  polygon?: LatLng[]; // polygon only
+  path?: LatLng[]; // corridor only
+  width?: number; // corridor only, total width in meters
+}
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(deg: number): number {
+  return deg * (Math.PI / 180);
+}
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * Returns distance in meters
+ */
+export function calculateDistance(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_M * c;
+}
+
+/**
+ * Phones report GPS speed in m/s; the server stores and shows km/h. Every
+ * speed the app sends is converted once, where it comes in. Unknown speeds
+ * (missing, or -1 on iOS) become 0.
+ */
+export function speedToKmh(metersPerSecond: number | null | undefined): number {
+  if (typeof metersPerSecond !== 'number' || !(metersPerSecond > 0)) return 0;
+  return Math.round(metersPerSecond * 36) / 10;
+}
+
+/**
+ * Whether an optional GPS reading (heading, accuracy) is left out or a
+ * usable number
+ */
+export function isOptionalReading(value: unknown): boolean {
+  return value === undefined || value === null || Number.isFinite(value);
+}
+
+/**
+ * Project a point to x/y meters relative to an origin (equirectangular)
+ */
+function project(point: LatLng, origin: LatLng): { x: number; y: number } {
+  return {
+    x: toRad(point.longitude - origin.longitude) * Math.cos(toRad(origin.latitude)) * EARTH_RADIUS_M,
+    y: toRad(point.latitude - origin.latitude) * EARTH_RADIUS_M,
+  };
+}
+
+/**
+ * Ray-casting point-in-polygon test. The polygon does not need to be closed
+ * (first point repeated at the end).
+ */
+export function isPointInPolygon(point: LatLng, polygon: LatLng[]): boolean {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const crosses =
+      yi > point.latitude !== yj > point.latitude &&
+      point.longitude < ((xj - xi) * (point.latitude - yi)) / (yj - yi) + xi;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Shortest distance in meters from a point to a polyline
+ */
+export function distanceToPolyline(point: LatLng, path: LatLng[]): number {
+  if (path.length === 0) return Infinity;
+  if (path.length === 1) {
+    return calculateDistance(point.latitude, point.longitude, path[0].latitude, path[0].longitude);
+  }
+
+  // Project everything around the point itself so it sits at (0, 0)
+  const projected = path.map(p => project(p, point));
+  let minDistance = Infinity;
+
+  for (let i = 0; i < projected.length - 1; i++) {
+    const a = projected[i];
+    const b = projected[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+
+    // Position of the closest point along the segment, clamped to its ends
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+    if (distance < minDistance) minDistance = distance;
+  }
+
+  return minDistance;
+}
+
+// A polyline with the distance along it to each vertex, in meters
+export interface MeasuredPolyline {
+  points: LatLng[];
+  cumulative: number[];
+  length: number;
+}
+
+export function measurePolyline(points: LatLng[]): MeasuredPolyline {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    cumulative.push(cumulative[i - 1] + calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude));
+  }
+  return { points, cumulative, length: cumulative[cumulative.length - 1] || 0 };
+}
+
+/**
+ * Snap a point onto a polyline. Returns how far along the line the closest
+ * point is (`along`) and how far the point is from the line (`offset`), both
+ * in meters.
+ *
+ * Only the part of the line from `fromMeters` onwards is considered, so a
+ * route that passes the same street twice can be disambiguated by where the
+ * vehicle was last known to be.
+ */
+export function locateOnPolyline(
+  line: MeasuredPolyline,
+  point: LatLng,
+  fromMeters = 0
+): { along: number; offset: number } | null {
+  const { points, cumulative } = line;
+  if (points.length === 0) return null;
+  if (points.length === 1) {
+    return {
+      along: 0,
+      offset: calculateDistance(point.latitude, point.longitude, points[0].latitude, points[0].longitude),
+    };
+  }
+
+  let best: { along: number; offset: number } | null = null;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    if (cumulative[i + 1] < fromMeters) continue;
+
+    const a = project(points[i], point);
+    const b = project(points[i + 1], point);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    const offset = Math.hypot(a.x + t * dx, a.y + t * dy);
+    const along = Math.max(fromMeters, cumulative[i] + t * (cumulative[i + 1] - cumulative[i]));
+
+    // Strictly closer only, so the earliest of two equally close passes wins
+    if (!best || offset < best.offset) best = { along, offset };
+  }
+
+  return best;
+}
+
+/**
+ * Parse a list of { latitude, longitude } points from a request body.
+ * Returns null if the list is missing or any point is out of range.
+ */
+export function parsePoints(points: any): LatLng[] | null {
+  if (!Array.isArray(points)) return null;
+
+  const parsed = points.map((p: any) => ({
+    latitude: Number(p?.latitude),
+    longitude: Number(p?.longitude),
+  }));
+
+  const valid = parsed.every(p =>
+    Number.isFinite(p.latitude) && Number.isFinite(p.longitude) &&
+    p.latitude >= -90 && p.latitude <= 90 &&
+    p.longitude >= -180 && p.longitude <= 180
+  );
+
+  return valid ? parsed : null;
+}
+
+/**
+ * Center of a list of points (average of the bounding box).
+ * Used as the label/marker position for polygon and corridor geofences.
+ */
+export function getBoundsCenter(points: LatLng[]): LatLng {
+  const lats = points.map(p => p.latitude);
+  const lngs = points.map(p => p.longitude);
+  return {
+    latitude: (Math.min(...lats) + Math.max(...lats)) / 2,
+    longitude: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+  };
+}
+
+/**
+ * Check whether a point lies inside a geofence of any shape.
+ * Geofences created before shapes existed have no `shape` and are circles.
+ */
+export function isInsideGeofence(geofence: GeofenceGeometry, point: LatLng): boolean {
+  switch (geofence.shape || 'circle') {
+    case 'polygon':
+      return !!geofence.polygon && geofence.polygon.length >= 3 && isPointInPolygon(point, geofence.polygon);
+
+    case 'corridor':
+      return !!geofence.path && geofence.path.length >= 2 &&
+        distanceToPolyline(point, geofence.path) <= (geofence.width || 0) / 2;
+
+    case 'circle':
+    default:
+      if (!geofence.center || !geofence.radius) return false;
+      return calculateDistance(
+        point.latitude,
+        point.longitude,
+        geofence.center.latitude,
+        geofence.center.longitude
+      ) <= geofence.radius;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * =============================================================================
+ * GEOFENCE SPATIAL INDEX
+ * =============================================================================
+ *
+ * MENTOR NOTE: Every GPS update used to load every active geofence from
+ * MongoDB and run the exact shape test against all of them. Instead we keep
+ * the active geofences in memory, bucketed into a lat/lng grid by their
+ * bounding box. A lookup only returns the geofences whose box covers the
+ * point's grid cell, and only those get the (more expensive) exact test.
+ *
+ * The index is loaded lazily and:
+ * - rebuilt immediately after a geofence is created/updated/deleted through
+ *   the API (`invalidateGeofenceIndex`)
+ * - refreshed every GEOFENCE_INDEX_TTL_SECONDS, so changes made through
+ *   another backend instance are picked up shortly after
+ */
+
+import { Geofence, IGeofenceDocument } from '../models';
+import { LatLng } from './geo';
+
+// ~1.1 km at the equator. Small enough that a city's worth of geofences
+// spreads over many cells, big enough that a circle covers only a few.
+const CELL_SIZE_DEG = 0.01;
+const METERS_PER_DEG_LAT = 111320;
+
+const INDEX_TTL_MS = parseInt(process.env.GEOFENCE_INDEX_TTL_SECONDS || '60') * 1000;
+
+interface Bounds {
+  minLat: number;
+  maxLat: number;
+  minLng: number;
+  maxLng: number;
+}
+
+interface IndexEntry {
+  geofence: IGeofenceDocument;
+  bounds: Bounds;
+}
+
+/**
+ * Bounding box of a geofence of any shape, in degrees
+ */
+export function getGeofenceBounds(geofence: IGeofenceDocument): Bounds {
+  let points: LatLng[];
+  let marginMeters = 0;
+
+  switch (geofence.shape || 'circle') {
+    case 'polygon':
+      points = geofence.polygon || [];
+      break;
+    case 'corridor':
+      points = geofence.path || [];
+      marginMeters = (geofence.width || 0) / 2;
+      break;
+    default:
+      points = [geofence.center];
+      marginMeters = geofence.radius || 0;
+  }
+
+  const lats = points.map(p => p.latitude);
+  const lngs = points.map(p => p.longitude);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+
+  // A degree of longitude shrinks towards the poles; use the widest latitude
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const latMargin = marginMeters / METERS_PER_DEG_LAT;
+  const lngMargin = marginMeters / (METERS_PER_DEG_LAT * Math.cos((widestLat * Math.PI) / 180));
+
+  return {
+    minLat: minLat - latMargin,
+    maxLat: maxLat + latMargin,
+    minLng: Math.min(...lngs) - lngMargin,
+    maxLng: Math.max(...lngs) + lngMargin,
+  };
+}
+
+function toCell(value: number): number {
+  return Math.floor(value / CELL_SIZE_DEG);
+}
+
+function cellKey(latCell: number, lngCell: number): string {
+  return `${latCell}:${lngCell}`;
+}
+
+/**
+ * Grid index over a fixed set of geofences
+ */
+export class GeofenceIndex {
+  private cells = new Map<string, IndexEntry[]>();
+  private byId = new Map<string, IGeofenceDocument>();
+
+  constructor(geofences: IGeofenceDocument[]) {
+    for (const geofence of geofences) {
+      const bounds = getGeofenceBounds(geofence);
+      if (!Number.isFinite(bounds.minLat) || !Number.isFinite(bounds.minLng)) continue;
+
+      const entry = { geofence, bounds };
+      this.byId.set(geofence._id.toString(), geofence);
+
+      for (let lat = toCell(bounds.minLat); lat <= toCell(bounds.maxLat); lat++) {
+        for (let lng = toCell(bounds.minLng); lng <= toCell(bounds.maxLng); lng++) {
+          const key = cellKey(lat, lng);
+          const bucket = this.cells.get(key);
+          if (bucket) bucket.push(entry);
+          else this.cells.set(key, [entry]);
+        }
+      }
+    }
+  }
+
+  get size(): number {
+    return this.byId.size;
+  }
+
+  /**
+   * Look up an indexed geofence by ID
+   */
+  get(geofenceId: string): IGeofenceDocument | undefined {
+    return this.byId.get(geofenceId);
+  }
+
+  /**
+   * Geofences whose bounding box contains the point.
+   * Candidates still need the exact isInsideGeofence test.
+   */
+  query(point: LatLng): IGeofenceDocument[] {
+    const bucket = this.cells.get(cellKey(toCell(point.latitude), toCell(point.longitude)));
+    if (!bucket) return [];
+
+    return bucket
+      .filter(({ bounds }) =>
+        point.latitude >= bounds.minLat && point.latitude <= bounds.maxLat &&
+        point.longitude >= bounds.minLng && point.longitude <= bounds.maxLng
+      )
+      .map(({ geofence }) => geofence);
+  }
+}
+
+let currentIndex: GeofenceIndex | null = null;
+let loadedAt = 0;
+let loading: Promise<GeofenceIndex> | null = null;
+let generation = 0;
+
+/**
+ * Get the index of active geofences, loading it if missing or expired
+ */
+export async function getGeofenceIndex(): Promise<GeofenceIndex> {
+  if (currentIndex && Date.now() - loadedAt < INDEX_TTL_MS) {
+    return currentIndex;
+  }
+
+  if (!loading) {
+    const loadGeneration = generation;
+
+    const load: Promise<GeofenceIndex> = Geofence.find({ isActive: true })
+      .lean<IGeofenceDocument[]>()
+      .then(geofences => {
+        const index = new GeofenceIndex(geofences);
+        // Don't cache a result that was invalidated while it was loading
+        if (loadGeneration === generation) {
+          currentIndex = index;
+          loadedAt = Date.now();
+        }
+        return index;
+      })
+      .finally(() => {
+        if (loading === load) loading = null;
+      });
+    loading = load;
+  }
+
+  return loading;
+}
+
+/**
+ * Drop the cached index so the next lookup reloads it.
+ * Call after any geofence create/update/delete.
+ */
+export function invalidateGeofenceIndex(): void {
+  generation++;
+  currentIndex = null;
+  loading = null;
+}
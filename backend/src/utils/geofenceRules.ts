@@ -0,0 +1,66 @@
+/**
+ * =============================================================================
+ * GEOFENCE RULES
+ * =============================================================================
+ *
+ * MENTOR NOTE: Decides whether a geofence should be evaluated at all for a
+ * given vehicle and moment, before any geometry is tested:
+ * - armed: the geofence is active and the time falls in one of its schedule
+ *   windows (no windows = always armed)
+ * - applies: the vehicle matches the geofence's scope (type, company and/or
+ *   specific vehicles). Every non-empty list must match.
+ */
+
+import { Schedule, isWithinSchedule } from './schedule';
+
+interface GeofenceRules {
+  isActive?: boolean;
+  schedule?: Schedule;
+  appliesTo?: {
+    vehicleTypes?: string[];
+    companyIds?: any[];
+    vehicleIds?: any[];
+  };
+}
+
+interface VehicleScope {
+  _id: any;
+  type: string;
+  companyId?: any;
+}
+
+// Works for ObjectIds, populated documents and plain strings
+function toId(value: any): string | undefined {
+  if (!value) return undefined;
+  return (value._id || value).toString();
+}
+
+/**
+ * Check whether a geofence is armed at a given time
+ */
+export function isGeofenceArmed(geofence: GeofenceRules, date: Date = new Date()): boolean {
+  return geofence.isActive !== false && isWithinSchedule(geofence.schedule, date);
+}
+
+/**
+ * Check whether a geofence applies to a vehicle
+ */
+export function geofenceAppliesToVehicle(geofence: GeofenceRules, vehicle: VehicleScope): boolean {
+  const { vehicleTypes, companyIds, vehicleIds } = geofence.appliesTo || {};
+
+  if (vehicleTypes?.length && !vehicleTypes.includes(vehicle.type)) {
+    return false;
+  }
+
+  if (companyIds?.length) {
+    const companyId = toId(vehicle.companyId);
+    if (!companyId || !companyIds.some(id => toId(id) === companyId)) return false;
+  }
+
+  if (vehicleIds?.length) {
+    const vehicleId = toId(vehicle._id);
+    if (!vehicleIds.some(id => toId(id) === vehicleId)) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,108 @@
+/**
+ * =============================================================================
+ * MAIL
+ * =============================================================================
+ *
+ * MENTOR NOTE: Everything that sends email goes through `sendMail`, which
+ * hands the message to the configured transport (MAIL_TRANSPORT):
+ * - smtp: a real mail server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - file: writes each message as JSON to MAIL_DIR, for development and tests
+ * - console: prints each message to the server log
+ *
+ * Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set and the console
+ * otherwise, so a fresh checkout works without a mail server.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+export interface MailTransport {
+  send(message: MailMessage & { from: string }): Promise<void>;
+}
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'Vehicle Tracking <no-reply@vehicletrack.local>';
+
+export class SmtpTransport implements MailTransport {
+  private transporter: nodemailer.Transporter;
+
+  constructor() {
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    await this.transporter.sendMail(message);
+  }
+}
+
+export class FileTransport implements MailTransport {
+  constructor(private dir: string = process.env.MAIL_DIR || 'mail-outbox') {}
+
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    console.log(`✉️  Mail to ${message.to} saved to ${file}`);
+  }
+}
+
+export class ConsoleTransport implements MailTransport {
+  async send(message: MailMessage & { from: string }): Promise<void> {
+    console.log(`✉️  Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+function createTransport(): MailTransport {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport();
+    case 'file':
+      return new FileTransport();
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      console.warn(`Unknown MAIL_TRANSPORT "${name}", printing mail to the console`);
+      return new ConsoleTransport();
+  }
+}
+
+let transport: MailTransport | null = null;
+
+/**
+ * Replace the transport (e.g. with one that records messages in tests)
+ */
+export function setMailTransport(next: MailTransport): void {
+  transport = next;
+}
+
+/**
+ * Send an email. Returns false instead of throwing when it could not be
+ * sent, so a mail outage doesn't fail the request that triggered it.
+ */
+export async function sendMail(message: MailMessage): Promise<boolean> {
+  if (!transport) transport = createTransport();
+
+  try {
+    await transport.send({ from: MAIL_FROM, ...message });
+    return true;
+  } catch (error) {
+    console.error('Send mail error:', error);
+    return false;
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * =============================================================================
+ * NOTIFICATION DELIVERY
+ * =============================================================================
+ *
+ * MENTOR NOTE: Use these instead of a bare socket emit for anything a user
+ * should still see later. The notification is saved to their inbox first,
+ * then pushed as `notification:new` to their private `user:<id>` room in
+ * case they are online right now.
+ *
+ * Failures are logged, not thrown: a missed inbox entry should never break
+ * the request or GPS update that triggered it.
+ */
+
+import { Server } from 'socket.io';
+import { Notification, NotificationType, User } from '../models';
+import { Permission, SOCKET_EVENTS, userRoom } from '../types';
+import { adminsWithPermission } from './permissions';
+
+export interface NotificationInput {
+  type: NotificationType;
+  title: string;
+  message: string;
+  data?: Record<string, any>;
+}
+
+/**
+ * Save and deliver notifications to a list of users
+ */
+export async function notifyUsers(
+  io: Server | undefined,
+  userIds: string[],
+  input: NotificationInput
+): Promise<void> {
+  if (userIds.length === 0) return;
+
+  try {
+    const notifications = await Notification.insertMany(
+      userIds.map(userId => ({ ...input, userId }))
+    );
+
+    for (const notification of notifications) {
+      io?.to(userRoom(notification.userId.toString())).emit(SOCKET_EVENTS.NOTIFICATION, notification);
+    }
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+}
+
+/**
+ * Save and deliver a notification to one user
+ */
+export function notifyUser(io: Server | undefined, userId: string, input: NotificationInput): Promise<void> {
+  return notifyUsers(io, [userId], input);
+}
+
+/**
+ * Save and deliver a notification to every active admin, or only to those
+ * holding `permission` (e.g. verifiers for new registrations)
+ */
+export async function notifyAdmins(
+  io: Server | undefined,
+  input: NotificationInput,
+  permission?: Permission
+): Promise<void> {
+  try {
+    const query = permission ? adminsWithPermission(permission) : { role: 'admin' };
+    const admins = await User.find({ ...query, isActive: true }).distinct('_id');
+    await notifyUsers(io, admins.map(id => id.toString()), input);
+  } catch (error) {
+    console.error('Admin notification error:', error);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * =============================================================================
+ * OFFLINE SYNC RESULTS
+ * =============================================================================
+ *
+ * MENTOR NOTE: The app buffers GPS points and SOS alerts while offline and
+ * syncs them later in batches. If a batch times out after the server saved
+ * it, the app sends it again, so every buffered item carries an id the app
+ * made (`id` for GPS points, `clientId` for SOS) and the server keeps it
+ * under a unique index. Each item is then answered on its own:
+ *
+ * - accepted:  saved now
+ * - duplicate: saved by an earlier attempt
+ * - rejected:  invalid, sending it again won't help
+ *
+ * The app removes an item from its buffer only once it has one of these.
+ * A server error fails the whole request instead, and everything is retried.
+ */
+
+export type SyncItemStatus = 'accepted' | 'duplicate' | 'rejected';
+
+export interface SyncItemResult {
+  id: string | null; // the client's id, null if it sent none
+  status: SyncItemStatus;
+  error?: string; // why it was rejected
+}
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+
+export const CLIENT_ID_ERROR = 'clientId must be 6-64 letters, digits, - or _';
+
+export function isValidClientId(value: unknown): value is string {
+  return typeof value === 'string' && CLIENT_ID_PATTERN.test(value);
+}
+
+/**
+ * Positions in an `insertMany(docs, { ordered: false })` batch that failed
+ * only because the client id was already stored. Rethrows any other error.
+ */
+export function duplicateKeyIndexes(error: any): Set<number> {
+  const writeErrors: any[] = error?.writeErrors || [];
+  // Mongoose copies the driver's write errors, leaving the code on `err`
+  const isDuplicate = (writeError: any) => (writeError.err?.code ?? writeError.code) === 11000;
+  if (writeErrors.length === 0 || !writeErrors.every(isDuplicate)) throw error;
+
+  return new Set(writeErrors.map(writeError => writeError.index as number));
+}
+
+export function summarize(results: SyncItemResult[]): Record<SyncItemStatus, number> {
+  const counts = { accepted: 0, duplicate: 0, rejected: 0 };
+  for (const result of results) counts[result.status]++;
+  return counts;
+}
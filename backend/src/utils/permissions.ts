@@ -0,0 +1,89 @@
+/**
+ * =============================================================================
+ * PERMISSIONS
+ * =============================================================================
+ *
+ * MENTOR NOTE: Roles say who someone is, permissions say what they may do.
+ * Admin users get a preset (`adminRole`, e.g. verifier or dispatcher) plus
+ * any extra `permissions` granted one by one. Admins without an adminRole
+ * (created before permissions existed) are super admins.
+ *
+ * Company users have a fixed set for their own fleet; drivers and students
+ * have none - their routes check the role, not permissions.
+ *
+ * Routes check them with `requirePermission` (middleware/auth.ts).
+ */
+
+import { AdminRole, Permission } from '../types';
+
+export const PERMISSIONS: Record<Permission, string> = {
+  'fleet:view': 'Live map, vehicles, drivers, analytics and history',
+  'fleet:manage': 'Assign drivers to vehicles',
+  'verifications:view': 'Pending verifications and verification history',
+  'verifications:review': 'Approve or reject drivers, vehicles and companies; edit document expiry dates',
+  'sos:view': 'SOS alerts',
+  'sos:respond': 'Acknowledge, assign, add notes to and resolve SOS alerts',
+  'geofences:manage': 'Create, edit and delete geofences',
+  'routes:manage': 'Create, edit and delete transit routes',
+  'users:manage': 'Deactivate users and sign them out of their devices',
+  'staff:manage': 'Assign admin roles and permissions',
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS) as Permission[];
+
+export const ADMIN_ROLES: Record<AdminRole, { label: string; permissions: Permission[] }> = {
+  super_admin: {
+    label: 'Super admin',
+    permissions: ALL_PERMISSIONS,
+  },
+  verifier: {
+    label: 'Verifier',
+    permissions: ['fleet:view', 'verifications:view', 'verifications:review'],
+  },
+  dispatcher: {
+    label: 'Dispatcher',
+    permissions: ['fleet:view', 'fleet:manage', 'sos:view', 'sos:respond', 'geofences:manage', 'routes:manage'],
+  },
+  safety_officer: {
+    label: 'Safety officer',
+    permissions: ['fleet:view', 'sos:view', 'sos:respond'],
+  },
+  auditor: {
+    label: 'Read-only auditor',
+    permissions: ['fleet:view', 'verifications:view', 'sos:view'],
+  },
+};
+
+export const ADMIN_ROLE_NAMES = Object.keys(ADMIN_ROLES) as AdminRole[];
+
+// Company portal: their own fleet only (routes add the company scope)
+export const COMPANY_PERMISSIONS: Permission[] = ['fleet:view', 'fleet:manage', 'sos:view', 'sos:respond'];
+
+/**
+ * Effective permissions of a user document
+ */
+export function permissionsFor(user: { role: string; adminRole?: AdminRole | null; permissions?: string[] }): Permission[] {
+  if (user.role === 'company') return [...COMPANY_PERMISSIONS];
+  if (user.role !== 'admin') return [];
+
+  const preset = ADMIN_ROLES[user.adminRole || 'super_admin']?.permissions || [];
+  const extra = (user.permissions || []).filter((p): p is Permission => p in PERMISSIONS);
+  return Array.from(new Set([...preset, ...extra]));
+}
+
+/**
+ * Mongo filter for the admins holding a permission, e.g. to notify only
+ * verifiers about new registrations
+ */
+export function adminsWithPermission(permission: Permission): Record<string, any> {
+  const roles: (AdminRole | null)[] = ADMIN_ROLE_NAMES.filter(name =>
+    ADMIN_ROLES[name].permissions.includes(permission)
+  );
+  // No adminRole means super admin
+  roles.push(null);
+
+  return {
+    role: 'admin',
+    $or: [{ adminRole: { $in: roles } }, { permissions: permission }],
+  };
+}
@@ -0,0 +1,327 @@
+/**
+ * =============================================================================
+ * ROUTE ETA SERVICE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Predicts when a vehicle on a scheduled route will reach each
+ * stop still ahead of it. Straight-line distance divided by speed is badly
+ * wrong around corners and while the vehicle is stopped, so instead:
+ *
+ * 1. The vehicle is snapped onto the route's path (or straight lines between
+ *    the stops if no path was drawn) to get how far along the route it is.
+ * 2. The remaining distance to each stop is converted to time using the
+ *    historical pace of each stop-to-stop segment at that hour of day
+ *    (`Route.travelStats`, rebuilt hourly from GPS history). The pace
+ *    includes time spent at intermediate stops and in traffic.
+ * 3. Segments without enough history fall back to ETA_DEFAULT_SPEED_KMH.
+ *
+ * Routes and their layout (stop positions along the path) are cached in
+ * memory for a minute, since this runs on every GPS update.
+ */
+
+import mongoose from 'mongoose';
+import { Route, Geofence, GPSHistory, Vehicle, RouteStopEvent, IRouteDocument, IRouteSegmentStats } from '../models';
+import { LatLng, MeasuredPolyline, measurePolyline, locateOnPolyline } from './geo';
+import { getCurrentRun } from './timetable';
+import { StopEta, VehicleEta } from '../types';
+
+const ROUTE_CACHE_TTL_MS = 60 * 1000;
+
+// Further than this from the route, the vehicle is off route and gets no ETA
+const MAX_OFF_ROUTE_METERS = parseInt(process.env.ETA_MAX_OFF_ROUTE_METERS || '300');
+export const DEFAULT_SPEED_KMH = parseFloat(process.env.ETA_DEFAULT_SPEED_KMH || '25');
+const HISTORY_DAYS = parseInt(process.env.ETA_HISTORY_DAYS || '14');
+
+// GPS noise can make a stopped vehicle appear to move back a little
+const BACKTRACK_TOLERANCE_METERS = 30;
+// Consecutive GPS points further apart than this are not one continuous drive
+const MAX_SAMPLE_GAP_SECONDS = 120;
+// Standing still longer than this is a break, not part of the trip
+const MAX_DWELL_SECONDS = 10 * 60;
+// Time spent this close to either terminal is waiting, not travelling
+const TERMINAL_MARGIN_METERS = 100;
+// A segment needs this much driven distance in history (or its full length) to be trusted
+const MIN_SAMPLE_METERS = 500;
+
+interface RouteLayout {
+  line: MeasuredPolyline;
+  stopsAlong: number[]; // distance along the line to each stop, in meters
+}
+
+interface CachedRoute {
+  route: IRouteDocument;
+  layout: RouteLayout | null;
+}
+
+const routeCache = new Map<string, { loadedAt: number; promise: Promise<CachedRoute | null> }>();
+
+/**
+ * Work out where each stop sits along the route. Stops are located in
+ * order, each one after the previous, so loops are handled.
+ * Returns null if a stop's geofence no longer exists.
+ */
+async function buildRouteLayout(route: IRouteDocument): Promise<RouteLayout | null> {
+  const geofences = await Geofence.find({
+    _id: { $in: route.stops.map(stop => stop.geofenceId) },
+  }).select('center');
+  const centers = new Map(geofences.map(g => [g._id.toString(), g.center as LatLng]));
+
+  const stopPoints = route.stops.map(stop => centers.get(stop.geofenceId.toString()));
+  if (stopPoints.some(point => !point)) return null;
+
+  const line = measurePolyline(route.path && route.path.length >= 2 ? route.path : (stopPoints as LatLng[]));
+
+  const stopsAlong: number[] = [];
+  let from = 0;
+  for (const point of stopPoints as LatLng[]) {
+    const along = locateOnPolyline(line, point, from)?.along ?? from;
+    stopsAlong.push(along);
+    from = along;
+  }
+
+  return { line, stopsAlong };
+}
+
+async function loadRoute(routeId: string): Promise<CachedRoute | null> {
+  const route = await Route.findById(routeId);
+  if (!route || !route.isActive) return null;
+  return { route, layout: await buildRouteLayout(route) };
+}
+
+function getCachedRoute(routeId: string): Promise<CachedRoute | null> {
+  const cached = routeCache.get(routeId);
+  if (cached && Date.now() - cached.loadedAt < ROUTE_CACHE_TTL_MS) {
+    return cached.promise;
+  }
+
+  const promise = loadRoute(routeId).catch(error => {
+    routeCache.delete(routeId);
+    throw error;
+  });
+  routeCache.set(routeId, { loadedAt: Date.now(), promise });
+  return promise;
+}
+
+/**
+ * Drop cached routes after they are changed through the API
+ * (or all of them if no id is given)
+ */
+export function invalidateRouteCache(routeId?: string): void {
+  if (routeId) {
+    routeCache.delete(routeId);
+  } else {
+    routeCache.clear();
+  }
+}
+
+/**
+ * Index of the stop-to-stop segment containing a distance along the route
+ */
+function getSegmentAt(stopsAlong: number[], along: number): number {
+  let segment = 0;
+  while (segment < stopsAlong.length - 2 && along >= stopsAlong[segment + 1]) {
+    segment++;
+  }
+  return segment;
+}
+
+function hourFormatter(timezone: string): Intl.DateTimeFormat {
+  return new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' });
+}
+
+/**
+ * Travel stats that still match the route's stops (they are cleared when
+ * the stops or path change, but may also predate that)
+ */
+function getSegmentStats(route: IRouteDocument): IRouteSegmentStats[] | null {
+  const segments = route.travelStats?.segments;
+  return segments && segments.length === route.stops.length - 1 ? segments : null;
+}
+
+/**
+ * Predict arrival at each stop still ahead of a vehicle on a route.
+ * Returns null if the vehicle is off the route or past the last stop.
+ */
+export function estimateStopEtas(
+  route: IRouteDocument,
+  layout: RouteLayout,
+  location: LatLng,
+  routeProgress: any,
+  now: Date = new Date()
+): VehicleEta | null {
+  const routeId = route._id.toString();
+
+  // Only search ahead of the last stop reached on the current run, so a
+  // route that uses the same street in both directions isn't confused
+  const run = getCurrentRun(routeProgress, routeId, now);
+  const lastStop = run ? run.stopIndex : 0;
+  const from = run ? Math.max(0, layout.stopsAlong[lastStop] - BACKTRACK_TOLERANCE_METERS) : 0;
+
+  const position = locateOnPolyline(layout.line, location, from);
+  if (!position || position.offset > MAX_OFF_ROUTE_METERS) return null;
+
+  const segments = getSegmentStats(route);
+  const hours = hourFormatter(route.timezone);
+  const defaultPace = 3.6 / DEFAULT_SPEED_KMH; // seconds per meter
+
+  let along = position.along;
+  let clock = now.getTime();
+  let isEstimate = false;
+  const stops: StopEta[] = [];
+
+  for (let index = Math.max(1, lastStop + 1); index < route.stops.length; index++) {
+    const target = layout.stopsAlong[index];
+    if (target < along) continue; // already passed
+
+    // Walk segment by segment, using the pace for the hour we'd be there
+    while (along < target) {
+      const segment = getSegmentAt(layout.stopsAlong, along);
+      let end = Math.min(target, layout.stopsAlong[segment + 1]);
+      if (end <= along) end = target;
+
+      const stats = segments?.[segment];
+      const hour = Number(hours.format(new Date(clock)));
+      let pace = stats?.hourly?.[hour] ?? stats?.overall;
+      if (!pace) {
+        pace = defaultPace;
+        isEstimate = true;
+      }
+
+      clock += (end - along) * pace * 1000;
+      along = end;
+    }
+
+    const stop = route.stops[index];
+    stops.push({
+      index,
+      name: stop.name,
+      geofenceId: stop.geofenceId.toString(),
+      minutes: Math.round((clock - now.getTime()) / 60000),
+      meters: Math.round(target - position.along),
+      at: new Date(clock),
+    });
+  }
+
+  if (stops.length === 0) return null;
+
+  return { routeId, routeName: route.name, stops, isEstimate };
+}
+
+/**
+ * ETAs for a vehicle at a location, if it is assigned to a scheduled route
+ */
+export async function getVehicleEta(vehicle: any, location: LatLng, now: Date = new Date()): Promise<VehicleEta | null> {
+  if (!vehicle.routeId || !mongoose.isValidObjectId(vehicle.routeId)) return null;
+
+  const cached = await getCachedRoute(vehicle.routeId);
+  if (!cached || !cached.layout) return null;
+
+  return estimateStopEtas(cached.route, cached.layout, location, vehicle.routeProgress, now);
+}
+
+/**
+ * Rebuild a route's per-segment, per-hour travel pace from the last
+ * ETA_HISTORY_DAYS of GPS history of the vehicles that ran it.
+ *
+ * Each pair of consecutive on-route GPS points adds its elapsed time and
+ * the distance gained along the route to the segment the vehicle was in,
+ * bucketed by the local hour. Waiting at the terminals, long breaks and
+ * driving the route backwards are left out.
+ */
+export async function updateRouteTravelStats(route: IRouteDocument): Promise<void> {
+  const layout = await buildRouteLayout(route);
+  if (!layout) return;
+
+  const routeId = route._id.toString();
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  // Vehicles on the route now, plus any that ran it recently
+  const [assigned, recent] = await Promise.all([
+    Vehicle.find({ routeId }).distinct('_id'),
+    RouteStopEvent.distinct('vehicleId', { routeId: route._id, actualAt: { $gte: since } }),
+  ]);
+  const vehicleIds = [...new Set([...assigned, ...recent].map(id => id.toString()))];
+
+  const segmentCount = route.stops.length - 1;
+  const seconds = Array.from({ length: segmentCount }, () => new Array(24).fill(0));
+  const meters = Array.from({ length: segmentCount }, () => new Array(24).fill(0));
+
+  const hours = hourFormatter(route.timezone);
+  const firstStop = layout.stopsAlong[0] + TERMINAL_MARGIN_METERS;
+  const lastStop = layout.stopsAlong[segmentCount] - TERMINAL_MARGIN_METERS;
+
+  for (const vehicleId of vehicleIds) {
+    const cursor = GPSHistory.find({ vehicleId, createdAt: { $gte: since } })
+      .select('location createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    let previous: { along: number; time: number } | null = null;
+    let stoppedSeconds = 0;
+
+    for await (const point of cursor) {
+      const time = new Date(point.createdAt).getTime();
+      const gap = previous ? (time - previous.time) / 1000 : Infinity;
+      const continuous = previous && gap <= MAX_SAMPLE_GAP_SECONDS;
+
+      const from = continuous ? Math.max(0, previous!.along - BACKTRACK_TOLERANCE_METERS) : 0;
+      const position = locateOnPolyline(layout.line, point.location, from);
+
+      // Off route, or pinned to the search start because it's going backwards
+      if (!position || position.offset > MAX_OFF_ROUTE_METERS || (from > 0 && position.along <= from)) {
+        previous = null;
+        stoppedSeconds = 0;
+        continue;
+      }
+
+      if (continuous) {
+        const gained = Math.max(0, position.along - previous!.along);
+        stoppedSeconds = gained < 5 ? stoppedSeconds + gap : 0;
+
+        const atTerminal = previous!.along < firstStop || previous!.along > lastStop;
+        if (!atTerminal && stoppedSeconds <= MAX_DWELL_SECONDS) {
+          const segment = getSegmentAt(layout.stopsAlong, previous!.along);
+          const hour = Number(hours.format(new Date(previous!.time)));
+          seconds[segment][hour] += gap;
+          meters[segment][hour] += gained;
+        }
+      }
+
+      previous = { along: position.along, time };
+    }
+  }
+
+  const sum = (values: number[]) => values.reduce((total, value) => total + value, 0);
+
+  const segments: IRouteSegmentStats[] = seconds.map((byHour, segment) => {
+    const length = layout.stopsAlong[segment + 1] - layout.stopsAlong[segment];
+    const minMeters = Math.max(1, Math.min(MIN_SAMPLE_METERS, length));
+    const totalMeters = sum(meters[segment]);
+
+    return {
+      overall: totalMeters >= minMeters ? sum(byHour) / totalMeters : null,
+      hourly: byHour.map((s, hour) => (meters[segment][hour] >= minMeters ? s / meters[segment][hour] : null)),
+    };
+  });
+
+  await Route.updateOne({ _id: route._id }, { travelStats: { updatedAt: new Date(), segments } });
+  invalidateRouteCache(routeId);
+}
+
+/**
+ * Rebuild travel stats for every active route (hourly cron)
+ */
+export async function updateAllRouteTravelStats(): Promise<number> {
+  const routes = await Route.find({ isActive: true });
+
+  for (const route of routes) {
+    try {
+      await updateRouteTravelStats(route);
+    } catch (error) {
+      console.error(`Travel stats error for route ${route.name}:`, error);
+    }
+  }
+
+  return routes.length;
+}
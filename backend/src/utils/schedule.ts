@@ -0,0 +1,143 @@
+/**
+ * =============================================================================
+ * SCHEDULE UTILITIES
+ * =============================================================================
+ *
+ * MENTOR NOTE: Weekly time windows like "weekdays 06:00-09:00 and 15:00-18:00
+ * in Asia/Manila". Times are evaluated in the schedule's own timezone (not the
+ * server's - Render runs in UTC), using the Intl API built into Node.
+ *
+ * A window whose end is before its start runs past midnight: 22:00-02:00 on
+ * Friday covers Friday 22:00 to Saturday 02:00.
+ */
+
+export interface ScheduleWindow {
+  days: number[]; // 0 = Sunday ... 6 = Saturday
+  start: string; // "HH:mm"
+  end: string; // "HH:mm"
+}
+
+export interface Schedule {
+  timezone?: string; // IANA name, e.g. "Asia/Manila"
+  windows?: ScheduleWindow[];
+}
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Manila';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time: string): number {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Day of week (0-6) and minutes since midnight of a date in a timezone
+ */
+export function getLocalTime(date: Date, timezone: string): { day: number; minutes: number } {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type: string) => parts.find(p => p.type === type)?.value || '';
+
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  };
+}
+
+/**
+ * The moment a local "HH:mm" happens in a timezone, on the same local day as
+ * `reference` (shifted by `dayOffset` days). Used to turn timetable entries
+ * into real timestamps.
+ */
+export function localTimeToDate(reference: Date, time: string, timezone: string, dayOffset = 0): Date {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(reference);
+
+  const get = (type: string) => Number(parts.find(p => p.type === type)?.value);
+
+  // How far the timezone is ahead of UTC at the reference moment
+  const localAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  const offsetMs = localAsUtc - Math.floor(reference.getTime() / 1000) * 1000;
+
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day') + dayOffset, hours, minutes) - offsetMs);
+}
+
+export function isValidTime(time: any): boolean {
+  return typeof time === 'string' && TIME_PATTERN.test(time);
+}
+
+/**
+ * Check whether a date falls inside any window of a schedule.
+ * A schedule with no windows is always on.
+ */
+export function isWithinSchedule(schedule: Schedule | undefined, date: Date = new Date()): boolean {
+  if (!schedule?.windows || schedule.windows.length === 0) return true;
+
+  const { day, minutes } = getLocalTime(date, schedule.timezone || DEFAULT_TIMEZONE);
+  const previousDay = (day + 6) % 7;
+
+  return schedule.windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start <= end) {
+      return window.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window: the late part of a listed day, or the early part of the next one
+    return (window.days.includes(day) && minutes >= start) ||
+      (window.days.includes(previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Validate a schedule from a request body.
+ * Returns an error message, or null if the schedule is valid.
+ */
+export function validateSchedule(schedule: any): string | null {
+  if (typeof schedule !== 'object' || schedule === null) {
+    return 'Schedule must be an object';
+  }
+
+  if (schedule.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch {
+      return `Unknown timezone: ${schedule.timezone}`;
+    }
+  }
+
+  if (schedule.windows !== undefined && !Array.isArray(schedule.windows)) {
+    return 'Schedule windows must be an array';
+  }
+
+  for (const window of schedule.windows || []) {
+    const validDays = Array.isArray(window?.days) && window.days.length > 0 &&
+      window.days.every((d: any) => Number.isInteger(d) && d >= 0 && d <= 6);
+    if (!validDays) {
+      return 'Each schedule window needs days between 0 (Sunday) and 6 (Saturday)';
+    }
+    if (!isValidTime(window.start) || !isValidTime(window.end)) {
+      return 'Schedule window start/end must be HH:mm times';
+    }
+  }
+
+  return null;
+}
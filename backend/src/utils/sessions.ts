@@ -0,0 +1,147 @@
+/**
+ * =============================================================================
+ * SESSIONS & REFRESH TOKENS
+ * =============================================================================
+ *
+ * MENTOR NOTE: Signing in creates a Session (one per device) and returns a
+ * short-lived access token (ACCESS_TOKEN_TTL_MINUTES, default 15) plus a
+ * refresh token (REFRESH_TOKEN_TTL_DAYS, default 30). POST /api/auth/refresh
+ * swaps the refresh token for a new pair; the old refresh token stops
+ * working (rotation).
+ *
+ * Revoking a session also disconnects its sockets, after telling them why
+ * (`session:revoked`), so a revoked phone stops sending GPS right away.
+ */
+
+import crypto from 'crypto';
+import { Request } from 'express';
+import { Server } from 'socket.io';
+import { Session, ISessionDocument, SessionRevokeReason, User } from '../models';
+import { SOCKET_EVENTS, sessionRoom } from '../types';
+
+export const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15');
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = (): string => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = (): Date => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a session for a user signing in on this device
+ * Body may include `device: { name, platform }`.
+ */
+export async function createSession(
+  userId: any,
+  req: Request
+): Promise<{ session: ISessionDocument; refreshToken: string }> {
+  const refreshToken = newRefreshToken();
+  const device = req.body?.device || {};
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    device: {
+      name: typeof device.name === 'string' ? device.name.slice(0, 100) : undefined,
+      platform: typeof device.platform === 'string' ? device.platform.slice(0, 20) : undefined,
+      userAgent: req.get('user-agent')?.slice(0, 200),
+      ip: req.ip,
+    },
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new one
+ * Returns the session and the new refresh token, or an error message.
+ */
+export async function rotateSession(
+  io: Server | undefined,
+  refreshToken: string
+): Promise<{ session?: ISessionDocument; refreshToken?: string; error?: string }> {
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+
+  // Claim the token - only one refresh can win
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { tokenHash: hashToken(next), previousTokenHash: hash, lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+    { new: true }
+  );
+
+  if (!session) {
+    // An already rotated token came back: someone has a copy of it
+    const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null }).select('_id');
+    if (reused) {
+      await revokeSessions(io, { _id: reused._id }, 'refresh_token_reused');
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(session.userId).select('isActive');
+  if (!user?.isActive) {
+    await revokeSessions(io, { _id: session._id }, 'deactivated');
+    return { error: 'Account is deactivated' };
+  }
+
+  return { session, refreshToken: next };
+}
+
+/**
+ * Why an access token's session can't be used, or null if it can
+ */
+export async function validateSession(userId: string, sessionId?: string): Promise<string | null> {
+  // Tokens from before sessions existed
+  if (!sessionId) return 'Session expired, please sign in again';
+
+  const [session, user] = await Promise.all([
+    Session.findOne({ _id: sessionId, userId }).select('revokedAt expiresAt'),
+    User.findById(userId).select('isActive'),
+  ]);
+
+  if (!user?.isActive) return 'Account is deactivated';
+  if (!session || session.revokedAt || session.expiresAt.getTime() <= Date.now()) {
+    return 'Session has been signed out';
+  }
+  return null;
+}
+
+/**
+ * Revoke matching sessions and disconnect their sockets
+ * Returns how many were revoked.
+ */
+export async function revokeSessions(
+  io: Server | undefined,
+  filter: Record<string, any>,
+  reason: SessionRevokeReason
+): Promise<number> {
+  const sessionIds: string[] = (await Session.find({ ...filter, revokedAt: null }).distinct('_id'))
+    .map(id => id.toString());
+  if (sessionIds.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (io) {
+    for (const sessionId of sessionIds) {
+      io.to(sessionRoom(sessionId)).emit(SOCKET_EVENTS.SESSION_REVOKED, { reason });
+      io.in(sessionRoom(sessionId)).disconnectSockets(true);
+    }
+  }
+
+  return sessionIds.length;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+export function listSessions(userId: string) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+}
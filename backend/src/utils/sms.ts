@@ -0,0 +1,142 @@
+/**
+ * =============================================================================
+ * SMS / VOICE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Everything that texts (or calls) a phone goes through
+ * `sendSms`, which hands the message to the configured gateway (SMS_GATEWAY):
+ * - http: POSTs { from, to, text, channel } as JSON to SMS_GATEWAY_URL, with
+ *   SMS_GATEWAY_TOKEN as a bearer token. Most SMS providers (or a small
+ *   adapter in front of them) can take this; `channel: 'voice'` asks the
+ *   gateway to read the text out in a call instead.
+ * - fake: keeps messages in memory and prints them, for development and tests
+ *
+ * Without SMS_GATEWAY, http is used when SMS_GATEWAY_URL is set and the fake
+ * gateway otherwise, so a fresh checkout works without a provider.
+ */
+
+export type SmsChannel = 'sms' | 'voice';
+
+export interface SmsMessage {
+  to: string;
+  text: string;
+  channel?: SmsChannel; // default sms
+}
+
+export interface SmsResult {
+  ok: boolean;
+  providerId?: string; // when ok
+  error?: string; // when not
+}
+
+export interface SmsGateway {
+  // Resolves with the provider's message id, if it gives one; throws on failure
+  send(message: Required<SmsMessage> & { from: string }): Promise<string | undefined>;
+}
+
+export const SMS_FROM = process.env.SMS_FROM || 'VehicleTrack';
+
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS || '10000');
+
+export class HttpSmsGateway implements SmsGateway {
+  constructor(
+    private url: string = process.env.SMS_GATEWAY_URL || '',
+    private token: string = process.env.SMS_GATEWAY_TOKEN || ''
+  ) {}
+
+  async send(message: Required<SmsMessage> & { from: string }): Promise<string | undefined> {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(SMS_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gateway responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+
+    const data: any = await response.json().catch(() => ({}));
+    return data.id || data.messageId || undefined;
+  }
+}
+
+export class FakeSmsGateway implements SmsGateway {
+  // Everything "sent", newest last
+  readonly outbox: (Required<SmsMessage> & { from: string; id: string; sentAt: Date })[] = [];
+
+  // Numbers that fail, to try out error handling
+  constructor(private failFor: string[] = []) {}
+
+  async send(message: Required<SmsMessage> & { from: string }): Promise<string | undefined> {
+    if (this.failFor.includes(message.to)) {
+      throw new Error(`Fake gateway: ${message.to} is unreachable`);
+    }
+
+    const id = `fake-${Date.now()}-${this.outbox.length + 1}`;
+    this.outbox.push({ ...message, id, sentAt: new Date() });
+    console.log(`${message.channel === 'voice' ? '📞 Call' : '💬 SMS'} to ${message.to}: ${message.text}`);
+    return id;
+  }
+}
+
+function createGateway(): SmsGateway {
+  const name = process.env.SMS_GATEWAY || (process.env.SMS_GATEWAY_URL ? 'http' : 'fake');
+  switch (name) {
+    case 'http':
+      return new HttpSmsGateway();
+    case 'fake':
+      return new FakeSmsGateway();
+    default:
+      console.warn(`Unknown SMS_GATEWAY "${name}", using the fake gateway`);
+      return new FakeSmsGateway();
+  }
+}
+
+let gateway: SmsGateway | null = null;
+
+/**
+ * Replace the gateway (e.g. with a FakeSmsGateway to inspect in tests)
+ */
+export function setSmsGateway(next: SmsGateway): void {
+  gateway = next;
+}
+
+/**
+ * Send a text (or voice call). Never throws: the result says whether the
+ * gateway took it, so callers can record delivery per recipient.
+ */
+export async function sendSms(message: SmsMessage): Promise<SmsResult> {
+  if (!gateway) gateway = createGateway();
+
+  try {
+    const providerId = await gateway.send({ from: SMS_FROM, ...message, channel: message.channel || 'sms' });
+    return { ok: true, providerId };
+  } catch (error: any) {
+    console.error('Send SMS error:', error);
+    return { ok: false, error: error?.message || 'Failed to send' };
+  }
+}
+
+/**
+ * A phone number as gateways expect it: digits with an optional leading +
+ * (spaces, dashes, dots and brackets removed). Null when it isn't one.
+ */
+export function normalizePhone(phone: unknown): string | null {
+  if (typeof phone !== 'string') return null;
+  const cleaned = phone.replace(/[\s\-().]/g, '');
+  return /^\+?\d{7,15}$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Whether two numbers are the same phone, e.g. "+63 917 123 4567" and
+ * "09171234567" (compares the last 10 digits, ignoring country prefixes)
+ */
+export function phonesMatch(a: unknown, b: unknown): boolean {
+  const digits = (phone: unknown) => (normalizePhone(phone) || '').replace(/\D/g, '').slice(-10);
+  const left = digits(a);
+  return left.length >= 7 && left === digits(b);
+}
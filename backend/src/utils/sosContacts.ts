@@ -0,0 +1,122 @@
+/**
+ * =============================================================================
+ * SOS EMERGENCY CONTACTS
+ * =============================================================================
+ *
+ * MENTOR NOTE: The dashboard only helps if someone is watching it. When an
+ * SOS is sent we also text, through the SMS gateway (utils/sms.ts):
+ * - the sender's emergency contacts (up to MAX_EMERGENCY_CONTACTS, managed
+ *   with GET/PUT /api/sos/contacts)
+ * - the on-call admin numbers in SOS_ONCALL_PHONES, by SOS_ONCALL_CHANNEL
+ *   (sms, or voice to have the gateway call and read it out)
+ *
+ * Every message is recorded in the alert's `deliveries` as pending first,
+ * then sent or failed with the gateway's answer, and the dashboards get the
+ * result with `sos:updated`.
+ */
+
+import mongoose from 'mongoose';
+import { Server } from 'socket.io';
+import { ISOSAlertDocument, ISOSDelivery, SOSAlert, User } from '../models';
+import { SmsChannel, normalizePhone, sendSms } from './sms';
+import { broadcastAlertUpdate } from './sosIncidents';
+
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+const ONCALL_PHONES = (process.env.SOS_ONCALL_PHONES || '')
+  .split(',')
+  .map(phone => normalizePhone(phone.trim()))
+  .filter((phone): phone is string => !!phone);
+
+const ONCALL_CHANNEL: SmsChannel = process.env.SOS_ONCALL_CHANNEL === 'voice' ? 'voice' : 'sms';
+
+/**
+ * Validate the list sent to PUT /api/sos/contacts
+ * Returns the cleaned contacts, or an error message.
+ */
+export function parseEmergencyContacts(
+  input: unknown
+): { contacts: { name: string; phone: string; relationship?: string }[] } | { error: string } {
+  if (!Array.isArray(input)) return { error: 'contacts must be a list' };
+  if (input.length > MAX_EMERGENCY_CONTACTS) {
+    return { error: `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts` };
+  }
+
+  const contacts = [];
+  const seen = new Set<string>();
+  for (const item of input) {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    if (!name) return { error: 'Every contact needs a name' };
+
+    const phone = normalizePhone(item.phone);
+    if (!phone) return { error: `"${item.phone}" is not a valid phone number for ${name}` };
+    if (seen.has(phone)) return { error: `${phone} is listed twice` };
+    seen.add(phone);
+
+    const relationship = typeof item.relationship === 'string' ? item.relationship.trim() : '';
+    contacts.push({ name: name.slice(0, 100), phone, relationship: relationship.slice(0, 50) || undefined });
+  }
+
+  return { contacts };
+}
+
+/**
+ * The text sent for an alert: who, what and a map link
+ */
+function sosText(alert: ISOSAlertDocument): string {
+  const { latitude, longitude } = alert.location;
+  return `SOS from ${alert.senderName}`
+    + `${alert.message ? `: "${alert.message.slice(0, 120)}"` : ''}`
+    + `. Location: https://www.google.com/maps?q=${latitude},${longitude}`
+    + ' - VehicleTrack';
+}
+
+/**
+ * Text the sender's emergency contacts and the on-call admin about a new
+ * alert, recording each delivery on the alert. Never throws.
+ */
+export async function notifySOSContacts(io: Server | undefined, alert: ISOSAlertDocument): Promise<void> {
+  try {
+    const sender = await User.findById(alert.senderId).select('emergencyContacts');
+
+    const recipients: Pick<ISOSDelivery, 'recipient' | 'name' | 'to' | 'channel'>[] = [
+      ...(sender?.emergencyContacts || []).map(contact => ({
+        recipient: 'contact' as const,
+        name: contact.name,
+        to: contact.phone,
+        channel: 'sms' as const,
+      })),
+      ...ONCALL_PHONES.map(to => ({ recipient: 'on_call' as const, name: 'On-call admin', to, channel: ONCALL_CHANNEL })),
+    ];
+    if (recipients.length === 0) return;
+
+    const deliveries = recipients.map(r => ({
+      ...r,
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending' as const,
+      updatedAt: new Date(),
+    }));
+    await SOSAlert.updateOne({ _id: alert._id }, { $push: { deliveries: { $each: deliveries } } });
+
+    const text = sosText(alert);
+    await Promise.all(deliveries.map(async delivery => {
+      const result = await sendSms({ to: delivery.to, text, channel: delivery.channel });
+      await SOSAlert.updateOne(
+        { _id: alert._id, 'deliveries._id': delivery._id },
+        {
+          $set: {
+            'deliveries.$.status': result.ok ? 'sent' : 'failed',
+            'deliveries.$.updatedAt': new Date(),
+            ...(result.ok
+              ? (result.providerId ? { 'deliveries.$.providerId': result.providerId } : {})
+              : { 'deliveries.$.error': result.error }),
+          },
+        }
+      );
+    }));
+
+    await broadcastAlertUpdate(io, alert._id);
+  } catch (error) {
+    console.error('Notify SOS contacts error:', error);
+  }
+}
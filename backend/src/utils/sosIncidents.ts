@@ -0,0 +1,272 @@
+/**
+ * =============================================================================
+ * SOS INCIDENTS
+ * =============================================================================
+ *
+ * MENTOR NOTE: An SOS alert is handled as an incident:
+ * 1. active        - just sent, everyone who can see it is alerted
+ * 2. acknowledged  - a responder is on it; the sender's phone is told
+ * 3. resolved      - closed with a category (false alarm, medical, ...)
+ * It can be assigned to a responder at any point, and responders add
+ * notes. Every step lands in the alert's `timeline`.
+ *
+ * An alert nobody acknowledged within SOS_ESCALATION_SECONDS is escalated
+ * once: broadcast again as `sos:alert` (with `escalated: true`) and sent to
+ * the fallback list (SOS_FALLBACK_EMAILS) by inbox and email.
+ *
+ * Every change is pushed as `sos:updated` with the whole alert, so open
+ * dashboards show the same timeline.
+ *
+ * Dispatch: the dispatcher asks for the nearest available vehicles (online,
+ * approved, with a driver, not suspended, not already sent to another open
+ * alert) ranked by straight-line distance from the alert's latest location,
+ * then sends one. Its driver gets `sos:dispatch` and an inbox entry.
+ */
+
+import { Server } from 'socket.io';
+import {
+  ISOSAlertDocument,
+  ISOSTimelineEntry,
+  SOSAlert,
+  SOSResolutionCategory,
+  SOSTimelineEntryType,
+  User,
+  Vehicle,
+} from '../models';
+import { SOCKET_EVENTS, SOSAlertPayload, sosRooms } from '../types';
+import { notifyUsers } from './notifications';
+import { permissionsFor } from './permissions';
+import { sendMail } from './mail';
+import { calculateDistance } from './geo';
+import { DEFAULT_SPEED_KMH } from './routeEta';
+
+export const SOS_ESCALATION_SECONDS = parseInt(process.env.SOS_ESCALATION_SECONDS || '120');
+
+// Location updates kept per alert; older points are dropped
+export const SOS_TRAIL_MAX_POINTS = parseInt(process.env.SOS_TRAIL_MAX_POINTS || '500');
+
+const OFFLINE_THRESHOLD_MINUTES = parseInt(process.env.OFFLINE_THRESHOLD_MINUTES || '5');
+
+// Who hears about escalated alerts: accounts get an inbox entry, every
+// address gets an email (it may be someone without an account)
+const FALLBACK_EMAILS = (process.env.SOS_FALLBACK_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+export const RESOLUTION_CATEGORIES: Record<SOSResolutionCategory, string> = {
+  false_alarm: 'False alarm',
+  medical: 'Medical',
+  breakdown: 'Vehicle breakdown',
+  security: 'Security',
+  other: 'Other',
+};
+
+// Alerts still being handled
+export const OPEN_STATUSES = ['active', 'acknowledged'];
+
+/**
+ * A timeline entry; without an actor it is a system entry
+ */
+export function timelineEntry(
+  type: SOSTimelineEntryType,
+  actor?: { id: string; name: string } | null,
+  message?: string
+): ISOSTimelineEntry {
+  // _id is added by Mongoose
+  return {
+    type,
+    at: new Date(),
+    by: (actor?.id as any) || null,
+    byName: actor?.name || 'System',
+    message,
+  } as ISOSTimelineEntry;
+}
+
+/**
+ * An alert as the dashboards show it: sender, vehicle and responder filled in
+ */
+export function loadAlert(alertId: any) {
+  return SOSAlert.findById(alertId)
+    .populate('senderId', 'name email phone')
+    .populate('vehicleId', 'vehicleNumber licensePlate')
+    .populate('assignedTo', 'name email');
+}
+
+/**
+ * Push the current state of an alert to everyone watching its fleet
+ */
+export async function broadcastAlertUpdate(io: Server | undefined, alertId: any): Promise<void> {
+  if (!io) return;
+  const alert = await loadAlert(alertId);
+  if (alert) {
+    io.to(sosRooms(alert.companyId)).emit(SOCKET_EVENTS.SOS_UPDATED, alert.toObject());
+  }
+}
+
+/**
+ * Whether a user may be assigned an alert: an active admin with
+ * sos:respond, or the user of the company the alert belongs to
+ */
+export async function canBeAssigned(userId: string, alert: ISOSAlertDocument): Promise<boolean> {
+  const user = await User.findOne({ _id: userId, isActive: true }).select('role adminRole permissions');
+  if (!user || !permissionsFor(user).includes('sos:respond')) return false;
+  return user.role === 'admin' || (user.role === 'company' && alert.companyId?.toString() === userId);
+}
+
+export interface NearbyVehicle {
+  vehicleId: string;
+  vehicleNumber: string;
+  licensePlate: string;
+  type: string;
+  driverId: string;
+  driverName?: string;
+  driverPhone?: string;
+  location: { latitude: number; longitude: number };
+  lastSeen: Date;
+  distanceMeters: number;
+  etaMinutes: number; // straight line at the default speed - a rough guide
+  dispatched: boolean; // already sent to this alert
+}
+
+/**
+ * The vehicles closest to an alert that could go and help, nearest first
+ *
+ * `scope` narrows the candidates (e.g. companyFilter(req) for a company
+ * dispatcher). The sender's own vehicle and vehicles already sent to another
+ * open alert are left out.
+ */
+export async function findNearestVehicles(
+  alert: ISOSAlertDocument,
+  scope: Record<string, any> = {},
+  limit = 5
+): Promise<NearbyVehicle[]> {
+  const busy: any[] = await SOSAlert.find({
+    _id: { $ne: alert._id },
+    status: { $in: OPEN_STATUSES },
+    'dispatches.0': { $exists: true },
+  }).distinct('dispatches.vehicleId');
+
+  const excluded = [...busy];
+  if (alert.vehicleId) excluded.push((alert.vehicleId as any)._id || alert.vehicleId);
+
+  const vehicles = await Vehicle.find({
+    ...scope,
+    $and: [{ _id: { $nin: excluded } }], // scope may pick one _id itself
+    verificationStatus: 'approved',
+    isActive: true,
+    driverId: { $ne: null },
+    trackingSuspended: null,
+    'currentLocation.latitude': { $exists: true },
+    lastSeen: { $gte: new Date(Date.now() - OFFLINE_THRESHOLD_MINUTES * 60 * 1000) },
+  })
+    .select('vehicleNumber licensePlate type driverId currentLocation lastSeen')
+    .populate('driverId', 'name phone');
+
+  const { latitude, longitude } = alert.location;
+  const dispatched = new Set(alert.dispatches.map(d => d.vehicleId.toString()));
+
+  return vehicles
+    .map(vehicle => {
+      const driver = vehicle.driverId as any;
+      const distanceMeters = Math.round(calculateDistance(
+        latitude,
+        longitude,
+        vehicle.currentLocation!.latitude,
+        vehicle.currentLocation!.longitude
+      ));
+      return {
+        vehicleId: vehicle._id.toString(),
+        vehicleNumber: vehicle.vehicleNumber,
+        licensePlate: vehicle.licensePlate,
+        type: vehicle.type,
+        driverId: driver?._id?.toString() || driver?.toString(),
+        driverName: driver?.name,
+        driverPhone: driver?.phone,
+        location: {
+          latitude: vehicle.currentLocation!.latitude,
+          longitude: vehicle.currentLocation!.longitude,
+        },
+        lastSeen: vehicle.lastSeen!,
+        distanceMeters,
+        etaMinutes: Math.max(1, Math.round(distanceMeters / 1000 / DEFAULT_SPEED_KMH * 60)),
+        dispatched: dispatched.has(vehicle._id.toString()),
+      };
+    })
+    .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    .slice(0, limit);
+}
+
+/**
+ * Escalate alerts nobody acknowledged in time (run by cron)
+ * Returns how many were escalated.
+ */
+export async function escalateOverdueAlerts(io: Server | undefined): Promise<number> {
+  const cutoff = new Date(Date.now() - SOS_ESCALATION_SECONDS * 1000);
+  let escalated = 0;
+
+  const overdue = await SOSAlert.find({ status: 'active', escalatedAt: null, createdAt: { $lte: cutoff } })
+    .select('_id')
+    .limit(50);
+
+  for (const { _id } of overdue) {
+    // Claim it, so two server instances don't both escalate
+    const alert = await SOSAlert.findOneAndUpdate(
+      { _id, status: 'active', escalatedAt: null },
+      {
+        escalatedAt: new Date(),
+        $push: {
+          timeline: timelineEntry(
+            'escalated',
+            null,
+            `Not acknowledged within ${SOS_ESCALATION_SECONDS} seconds`
+          ),
+        },
+      },
+      { new: true }
+    ).populate('vehicleId', 'licensePlate');
+    if (!alert) continue;
+    escalated++;
+
+    const vehicle = alert.vehicleId as any;
+    const payload: SOSAlertPayload = {
+      alertId: alert._id.toString(),
+      senderId: alert.senderId.toString(),
+      senderName: alert.senderName,
+      senderRole: alert.senderRole,
+      vehicleId: vehicle?._id?.toString(),
+      vehiclePlate: vehicle?.licensePlate,
+      location: alert.location,
+      message: alert.message,
+      timestamp: alert.createdAt,
+      escalated: true,
+    };
+    io?.to(sosRooms(alert.companyId)).emit(SOCKET_EVENTS.SOS_ALERT, payload);
+    await broadcastAlertUpdate(io, alert._id);
+
+    await notifyFallbackList(io, alert);
+  }
+
+  return escalated;
+}
+
+async function notifyFallbackList(io: Server | undefined, alert: ISOSAlertDocument): Promise<void> {
+  if (FALLBACK_EMAILS.length === 0) return;
+
+  const minutes = Math.round((Date.now() - alert.createdAt.getTime()) / 60000);
+  const text = `${alert.senderName} sent an SOS ${minutes} minute(s) ago and nobody has acknowledged it yet.`
+    + `${alert.message ? `\nMessage: ${alert.message}` : ''}`
+    + `\nLocation: https://www.google.com/maps?q=${alert.location.latitude},${alert.location.longitude}`;
+
+  const users = await User.find({ email: { $in: FALLBACK_EMAILS }, isActive: true }).distinct('_id');
+  await notifyUsers(io, users.map(id => id.toString()), {
+    type: 'sos',
+    title: '🚨 Unanswered SOS alert',
+    message: `${alert.senderName} is still waiting for help`,
+    data: { alertId: alert._id.toString() },
+  });
+
+  for (const to of FALLBACK_EMAILS) {
+    await sendMail({ to, subject: `🚨 Unanswered SOS alert from ${alert.senderName}`, text });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * SOS OVER SMS
+ * =============================================================================
+ *
+ * MENTOR NOTE: With no data connection the app can still send a text. It
+ * composes one in this format to the gateway number (see
+ * mobile-android/src/utils/sosSms.js, which must stay in step):
+ *
+ *   SOS1 c=<clientId> u=<userId> p=<lat>,<lng> [a=<accuracy m>] [t=<unix s>] [m=<message>]
+ *
+ * - c: id the app made when the button was pressed; the buffered copy synced
+ *      later carries it too, so the two become one alert
+ * - u: the sender's user id (there is no token in a text)
+ * - t: when the button was pressed
+ * - m: the rest of the text is the message
+ *
+ * The gateway forwards it to POST /api/sos/sms/inbound (routes/sos.ts).
+ */
+
+import mongoose from 'mongoose';
+
+export const SOS_SMS_PREFIX = 'SOS1';
+
+export interface ParsedSOSSms {
+  clientId: string;
+  userId: string;
+  latitude: number;
+  longitude: number;
+  accuracy?: number;
+  pressedAt?: Date;
+  message?: string;
+}
+
+const SOS_SMS_PATTERN = new RegExp(
+  `^${SOS_SMS_PREFIX}\\s+c=([A-Za-z0-9_-]{6,64})\\s+u=(\\S+)\\s+p=(-?\\d+(?:\\.\\d+)?),(-?\\d+(?:\\.\\d+)?)`
+  + '(?:\\s+a=(\\d+(?:\\.\\d+)?))?(?:\\s+t=(\\d{9,11}))?(?:\\s+m=([\\s\\S]*))?$'
+);
+
+/**
+ * Read an SOS text. Null when it isn't one, or the values are impossible.
+ */
+export function parseSOSSms(text: unknown): ParsedSOSSms | null {
+  if (typeof text !== 'string') return null;
+
+  const match = SOS_SMS_PATTERN.exec(text.trim());
+  if (!match) return null;
+
+  const [, clientId, userId, lat, lng, accuracy, pressed, message] = match;
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!mongoose.isValidObjectId(userId) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return {
+    clientId,
+    userId,
+    latitude,
+    longitude,
+    accuracy: accuracy ? parseFloat(accuracy) : undefined,
+    pressedAt: pressed ? new Date(parseInt(pressed) * 1000) : undefined,
+    message: message?.trim() || undefined,
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * =============================================================================
+ * TIMETABLE UTILITIES
+ * =============================================================================
+ *
+ * MENTOR NOTE: Turns a route's timetables ("weekday departures 06:00, 06:30")
+ * into real timestamps and classifies how early/late a vehicle was.
+ * All times are local to the route's timezone.
+ */
+
+import { IRouteDocument, RouteDayType, ScheduleStatus } from '../models';
+import { getLocalTime, localTimeToDate } from './schedule';
+
+// A run older than this is over, even if the last stop was never reached
+const MAX_RUN_HOURS = 4;
+
+/**
+ * The run a vehicle is currently on (its `routeProgress`), or null if it
+ * belongs to another route or is too old to still be going
+ */
+export function getCurrentRun(progress: any, routeId: string, now: Date = new Date()): any | null {
+  if (!progress || progress.routeId !== routeId) return null;
+  const age = now.getTime() - new Date(progress.updatedAt).getTime();
+  return age < MAX_RUN_HOURS * 60 * 60 * 1000 ? progress : null;
+}
+
+export interface ScheduledDeparture {
+  departure: string; // "HH:mm"
+  scheduledDeparture: Date;
+}
+
+/**
+ * Day type of a local day of week (0 = Sunday)
+ */
+export function getDayType(day: number): Exclude<RouteDayType, 'daily'> {
+  if (day === 0) return 'sunday';
+  if (day === 6) return 'saturday';
+  return 'weekday';
+}
+
+/**
+ * Departure times that apply on a given local day of week.
+ * A timetable for the specific day type wins over a 'daily' one.
+ */
+export function getDeparturesForDay(route: IRouteDocument, day: number): string[] {
+  const dayType = getDayType(day);
+  const timetable =
+    route.timetables.find(t => t.dayType === dayType) ||
+    route.timetables.find(t => t.dayType === 'daily');
+  return timetable ? [...timetable.departures].sort() : [];
+}
+
+/**
+ * All scheduled departures from yesterday and today (local time), so a run
+ * that departed late in the evening can still be matched after midnight.
+ */
+export function getRecentDepartures(route: IRouteDocument, now: Date = new Date()): ScheduledDeparture[] {
+  const results: ScheduledDeparture[] = [];
+
+  for (const dayOffset of [-1, 0]) {
+    const { day } = getLocalTime(new Date(now.getTime() + dayOffset * 24 * 60 * 60 * 1000), route.timezone);
+
+    for (const departure of getDeparturesForDay(route, day)) {
+      results.push({
+        departure,
+        scheduledDeparture: localTimeToDate(now, departure, route.timezone, dayOffset),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Early/on time/late for a delay in minutes (negative = early)
+ */
+export function getScheduleStatus(delayMinutes: number, route: IRouteDocument): ScheduleStatus {
+  if (delayMinutes < -route.onTimeWindow.earlyMinutes) return 'early';
+  if (delayMinutes > route.onTimeWindow.lateMinutes) return 'late';
+  return 'on_time';
+}
@@ -0,0 +1,195 @@
+/**
+ * =============================================================================
+ * TRIP SEGMENTATION
+ * =============================================================================
+ *
+ * MENTOR NOTE: Turns a vehicle's raw GPS history into trips and stops.
+ *
+ * A point is "idle" when its speed is at or below `idleSpeedKmh`. A run of
+ * idle points (or a gap with no points at all, e.g. the app was closed) is a
+ * stop once it lasts `minStopMinutes` - stops end one trip and start the
+ * next. Shorter idle runs of at least `minBriefStopSeconds` (picking up
+ * passengers, a long red light) are listed as stops within the trip.
+ *
+ * Trips are computed on request rather than stored, so the thresholds can be
+ * tuned per query without reprocessing anything.
+ */
+
+import { LatLng, calculateDistance } from './geo';
+
+export interface TripPoint extends LatLng {
+  speed: number; // km/h
+  timestamp: Date;
+}
+
+export interface TripPlace {
+  id: string;
+  name: string;
+}
+
+export interface TripStop {
+  start: Date;
+  end: Date;
+  durationSeconds: number;
+  location: LatLng;
+  geofence: TripPlace | null;
+}
+
+export interface Trip {
+  startTime: Date;
+  endTime: Date;
+  durationSeconds: number;
+  distanceKm: number;
+  averageSpeed: number; // km/h over the whole trip
+  maxSpeed: number; // km/h
+  startLocation: LatLng;
+  endLocation: LatLng;
+  startGeofence: TripPlace | null;
+  endGeofence: TripPlace | null;
+  stops: TripStop[];
+  pointCount: number;
+}
+
+export interface TripOptions {
+  idleSpeedKmh: number;
+  minStopMinutes: number;
+  minBriefStopSeconds: number;
+}
+
+export const DEFAULT_TRIP_OPTIONS: TripOptions = {
+  idleSpeedKmh: 3,
+  minStopMinutes: 5,
+  minBriefStopSeconds: 60,
+};
+
+interface IdleRun {
+  start: Date;
+  end: Date;
+  location: LatLng;
+}
+
+/**
+ * Split time-ordered GPS points into trips.
+ * `findGeofence` names the place a point is in (terminal, school...), if any.
+ */
+export function segmentTrips(
+  points: TripPoint[],
+  options: TripOptions = DEFAULT_TRIP_OPTIONS,
+  findGeofence: (point: LatLng) => TripPlace | null = () => null
+): { trips: Trip[]; stops: TripStop[] } {
+  const minStopMs = options.minStopMinutes * 60 * 1000;
+  const minBriefStopMs = options.minBriefStopSeconds * 1000;
+
+  const trips: Trip[] = [];
+  const stops: TripStop[] = [];
+
+  let tripPoints: TripPoint[] = [];
+  let briefStops: TripStop[] = [];
+  let idle: IdleRun | null = null;
+
+  const toStop = (run: IdleRun): TripStop => ({
+    start: run.start,
+    end: run.end,
+    durationSeconds: Math.round((run.end.getTime() - run.start.getTime()) / 1000),
+    location: run.location,
+    geofence: findGeofence(run.location),
+  });
+
+  const closeTrip = () => {
+    const trip = buildTrip(tripPoints, briefStops, findGeofence);
+    if (trip) trips.push(trip);
+    tripPoints = [];
+    briefStops = [];
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    const previous = points[i - 1];
+
+    // No data for longer than a stop: the vehicle was parked with the app off
+    if (previous && point.timestamp.getTime() - previous.timestamp.getTime() >= minStopMs) {
+      if (idle) idle.end = point.timestamp;
+      else idle = { start: previous.timestamp, end: point.timestamp, location: previous };
+    }
+
+    if (point.speed <= options.idleSpeedKmh) {
+      if (idle) idle.end = point.timestamp;
+      else idle = { start: point.timestamp, end: point.timestamp, location: point };
+      tripPoints.push(point);
+      continue;
+    }
+
+    // Moving again - decide what the idle run before this point was
+    if (idle) {
+      const idleMs = idle.end.getTime() - idle.start.getTime();
+
+      if (idleMs >= minStopMs) {
+        // Long stop: the trip ended where the idle run began
+        tripPoints = tripPoints.filter(p => p.timestamp <= idle!.start);
+        closeTrip();
+        stops.push(toStop(idle));
+      } else if (idleMs >= minBriefStopMs) {
+        briefStops.push(toStop(idle));
+      }
+      idle = null;
+    }
+
+    tripPoints.push(point);
+  }
+
+  // A trailing idle run long enough to be a stop is not part of the last trip
+  if (idle && idle.end.getTime() - idle.start.getTime() >= minStopMs) {
+    tripPoints = tripPoints.filter(p => p.timestamp <= idle!.start);
+    stops.push(toStop(idle));
+  }
+  closeTrip();
+
+  return { trips, stops };
+}
+
+/**
+ * Summarize the points of one trip. Returns null if the vehicle never moved.
+ */
+function buildTrip(
+  points: TripPoint[],
+  stops: TripStop[],
+  findGeofence: (point: LatLng) => TripPlace | null
+): Trip | null {
+  if (points.length < 2) return null;
+
+  let distanceKm = 0;
+  let maxSpeed = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    if (points[i].speed > maxSpeed) maxSpeed = points[i].speed;
+    if (i > 0) {
+      distanceKm += calculateDistance(
+        points[i - 1].latitude,
+        points[i - 1].longitude,
+        points[i].latitude,
+        points[i].longitude
+      ) / 1000;
+    }
+  }
+
+  if (maxSpeed === 0 && distanceKm < 0.05) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const durationSeconds = Math.round((last.timestamp.getTime() - first.timestamp.getTime()) / 1000);
+
+  return {
+    startTime: first.timestamp,
+    endTime: last.timestamp,
+    durationSeconds,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    averageSpeed: durationSeconds > 0 ? Math.round((distanceKm / (durationSeconds / 3600)) * 10) / 10 : 0,
+    maxSpeed: Math.round(maxSpeed),
+    startLocation: { latitude: first.latitude, longitude: first.longitude },
+    endLocation: { latitude: last.latitude, longitude: last.longitude },
+    startGeofence: findGeofence(first),
+    endGeofence: findGeofence(last),
+    stops,
+    pointCount: points.length,
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * VERIFICATION HELPERS
+ * =============================================================================
+ *
+ * MENTOR NOTE: Admins review each document on its own. A rejection can flag
+ * just the bad ones:
+ *
+ *   { status: 'rejected', reason: 'Please retake',
+ *     documents: { licenseBack: { status: 'rejected', reason: 'Unreadable' } } }
+ *
+ * Documents not flagged in that case count as approved, so the driver only
+ * re-uploads the flagged ones (POST /api/auth/resubmit). A rejection without
+ * any flagged document (e.g. wrong company) leaves the documents as they are.
+ *
+ * Every decision and resubmission is written to the VerificationLog.
+ */
+
+import mongoose from 'mongoose';
+import { VerificationLog, VerificationSubject, VerificationAction, DocumentStatus } from '../models';
+
+export const DRIVER_DOCUMENTS = ['licenseFront', 'licenseBack', 'selfie'];
+export const VEHICLE_DOCUMENTS = ['vehiclePhoto', 'licensePlatePhoto', 'orCrPhoto'];
+
+// Labels for messages shown to drivers
+const DOCUMENT_LABELS: Record<string, string> = {
+  licenseFront: 'License front',
+  licenseBack: 'License back',
+  selfie: 'Selfie',
+  vehiclePhoto: 'Vehicle photo',
+  licensePlatePhoto: 'License plate photo',
+  orCrPhoto: 'OR/CR',
+};
+
+export type DocumentReviews = Record<string, { status: 'approved' | 'rejected'; reason?: string }>;
+
+export interface LogDocument {
+  name: string;
+  status: DocumentStatus;
+  reason?: string;
+  file?: string;
+}
+
+/**
+ * Validate an admin decision. Returns an error message, or null if valid.
+ */
+export function validateReview(
+  status: any,
+  reason: any,
+  documents: any,
+  allowed: string[]
+): string | null {
+  if (!['approved', 'rejected'].includes(status)) {
+    return 'Invalid status';
+  }
+
+  if (reason !== undefined && typeof reason !== 'string') {
+    return 'Reason must be a string';
+  }
+
+  if (documents === undefined) {
+    return status === 'rejected' && !reason?.trim()
+      ? 'A reason is required when rejecting'
+      : null;
+  }
+
+  if (typeof documents !== 'object' || documents === null || Array.isArray(documents)) {
+    return 'documents must be an object keyed by document name';
+  }
+
+  let anyRejected = false;
+  for (const [name, review] of Object.entries<any>(documents)) {
+    if (!allowed.includes(name)) {
+      return `Unknown document: ${name}. Expected one of: ${allowed.join(', ')}`;
+    }
+    if (!review || !['approved', 'rejected'].includes(review.status)) {
+      return `Invalid status for ${name}`;
+    }
+    if (review.status === 'rejected') {
+      if (status === 'approved') return `Cannot approve with ${name} rejected`;
+      if (!review.reason?.trim()) return `A reason is required for ${name}`;
+      anyRejected = true;
+    }
+  }
+
+  if (status === 'rejected' && !anyRejected && !reason?.trim()) {
+    return 'A reason or a rejected document is required when rejecting';
+  }
+
+  return null;
+}
+
+/**
+ * Apply an admin decision to a user or vehicle (not saved yet).
+ * Returns the document reviews for the log.
+ */
+export function applyReview(
+  subject: any,
+  names: string[],
+  status: 'approved' | 'rejected',
+  reason?: string,
+  reviews: DocumentReviews = {}
+): LogDocument[] {
+  const now = new Date();
+  const anyRejected = Object.values(reviews).some(review => review.status === 'rejected');
+  const logged: LogDocument[] = [];
+
+  for (const name of names) {
+    const review = reviews[name];
+    if (!subject.documents?.[name] && !review) continue; // not uploaded (can still be requested)
+
+    let documentStatus: DocumentStatus;
+    if (status === 'approved') {
+      documentStatus = 'approved';
+    } else if (review) {
+      documentStatus = review.status;
+    } else if (anyRejected) {
+      documentStatus = 'approved';
+    } else {
+      continue;
+    }
+
+    const documentReason = documentStatus === 'rejected' ? review?.reason?.trim() : undefined;
+    subject.set(`documentStatus.${name}`, { status: documentStatus, reason: documentReason, updatedAt: now });
+    logged.push({ name, status: documentStatus, reason: documentReason });
+  }
+
+  subject.verificationStatus = status;
+  subject.rejectionReason = status === 'rejected' ? describeRejection(subject, names, reason) : undefined;
+
+  return logged;
+}
+
+/**
+ * Put re-uploaded documents back up for review (not saved yet).
+ * `files` maps document names to uploaded paths.
+ */
+export function applyResubmission(subject: any, files: Record<string, string>): LogDocument[] {
+  const now = new Date();
+  const logged: LogDocument[] = [];
+
+  for (const [name, file] of Object.entries(files)) {
+    subject.set(`documents.${name}`, file);
+    subject.set(`documentStatus.${name}`, { status: 'pending', updatedAt: now });
+    logged.push({ name, status: 'pending', file });
+  }
+
+  subject.verificationStatus = 'pending';
+  subject.rejectionReason = undefined;
+
+  return logged;
+}
+
+/**
+ * Documents the admin rejected, which must be uploaded again
+ */
+export function getRejectedDocuments(subject: any, names: string[]): string[] {
+  return names.filter(name => subject.documentStatus?.[name]?.status === 'rejected');
+}
+
+/**
+ * "Unreadable photo. License back: blurry" - the reason shown to the driver
+ */
+export function describeRejection(subject: any, names: string[], reason?: string): string {
+  const parts = reason?.trim() ? [reason.trim()] : [];
+  for (const name of getRejectedDocuments(subject, names)) {
+    parts.push(`${DOCUMENT_LABELS[name] || name}: ${subject.documentStatus[name].reason}`);
+  }
+  return parts.join('. ');
+}
+
+/**
+ * Write an entry to the verification audit trail
+ */
+export async function logVerification(entry: {
+  subjectType: VerificationSubject;
+  subjectId: mongoose.Types.ObjectId | string;
+  subjectName: string;
+  ownerId?: mongoose.Types.ObjectId | string;
+  action: VerificationAction;
+  reason?: string;
+  documents?: LogDocument[];
+  actor: { id: string; name: string; role: string };
+}): Promise<void> {
+  await VerificationLog.create({
+    subjectType: entry.subjectType,
+    subjectId: entry.subjectId,
+    subjectName: entry.subjectName,
+    ownerId: entry.ownerId,
+    action: entry.action,
+    reason: entry.reason?.trim() || undefined,
+    documents: entry.documents || [],
+    actorId: entry.actor.id,
+    actorName: entry.actor.name,
+    actorRole: entry.actor.role,
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * Company scope of the fleet reports (routes/admin.ts)
+ *
+ * The handlers are called directly, after authentication and scopeCompany,
+ * with the models they read replaced by in-memory stand-ins.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { HarshDrivingEvent, SpeedViolation, Vehicle } from '../src/models';
+import adminRoutes from '../src/routes/admin';
+
+const companyId = new mongoose.Types.ObjectId().toString();
+const ownVehicleId = new mongoose.Types.ObjectId().toString();
+const otherVehicleId = new mongoose.Types.ObjectId().toString();
+
+const handler = (path: string) => (adminRoutes as any).stack
+  .find((layer: any) => layer.route?.path === path)
+  .route.stack.at(-1).handle;
+
+let queries: any[];
+
+// Stand-in for Model.find(...).populate(...).sort(...).limit(...)
+const chain = (filter: any): any => {
+  queries.push(filter);
+  const result: any = {
+    populate: () => result,
+    sort: () => result,
+    limit: async () => [],
+  };
+  return result;
+};
+
+async function get(path: string, query: Record<string, string>, scope: string | undefined = companyId) {
+  const req: any = { query, companyId: scope, user: { id: companyId, role: 'company' } };
+  const res: any = {
+    statusCode: 200,
+    status(code: number) { this.statusCode = code; return this; },
+    json(body: any) { this.body = body; return this; },
+  };
+  await handler(path)(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  queries = [];
+  mock.method(Vehicle, 'exists', async (filter: any) =>
+    filter._id === ownVehicleId && filter.companyId === companyId ? { _id: ownVehicleId } : null
+  );
+  mock.method(Vehicle, 'find', () => ({ distinct: async () => [new mongoose.Types.ObjectId(ownVehicleId)] }));
+  mock.method(SpeedViolation, 'find', chain);
+  mock.method(HarshDrivingEvent, 'find', chain);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+for (const path of ['/speed-violations', '/harsh-events']) {
+  describe(`GET /api/admin${path}`, () => {
+    it('answers 404 when a company asks for another company\'s vehicle', async () => {
+      const res = await get(path, { vehicleId: otherVehicleId });
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(queries.length, 0);
+    });
+
+    it('filters by the company\'s own vehicle', async () => {
+      const res = await get(path, { vehicleId: ownVehicleId });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(queries[0].vehicleId, ownVehicleId);
+    });
+
+    it('answers 404 for a malformed vehicleId', async () => {
+      const res = await get(path, { vehicleId: 'not-an-id' }, undefined);
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(queries.length, 0);
+    });
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * SOS alert routes with a malformed :id (routes/admin.ts)
+ *
+ * The handlers are called directly, after authentication, with the SOSAlert
+ * lookups replaced by stand-ins that fail the way mongoose does on an id that
+ * isn't an ObjectId.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { SOSAlert } from '../src/models';
+import { RESOLUTION_CATEGORIES } from '../src/utils/sosIncidents';
+import adminRoutes from '../src/routes/admin';
+
+const castError = (): never => {
+  throw new mongoose.Error.CastError('ObjectId', 'not-an-id', '_id');
+};
+
+const handler = (method: string, path: string) => (adminRoutes as any).stack
+  .find((layer: any) => layer.route?.path === path && layer.route.methods[method])
+  .route.stack.at(-1).handle;
+
+beforeEach(() => {
+  mock.method(SOSAlert, 'findOne', castError);
+  mock.method(SOSAlert, 'findOneAndUpdate', castError);
+  mock.method(SOSAlert, 'findById', castError);
+  mock.method(console, 'error', () => undefined);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const routes: [string, string, Record<string, any>][] = [
+  ['get', '/alerts/:id', {}],
+  ['put', '/alerts/:id/acknowledge', {}],
+  ['put', '/alerts/:id/assign', { assigneeId: null }],
+  ['post', '/alerts/:id/notes', { text: 'Called the driver' }],
+  ['get', '/alerts/:id/nearest-vehicles', {}],
+  ['post', '/alerts/:id/dispatch', { vehicleId: new mongoose.Types.ObjectId().toString() }],
+  ['put', '/alerts/:id/resolve', { category: Object.keys(RESOLUTION_CATEGORIES)[0] }],
+];
+
+describe('SOS alert routes', () => {
+  for (const [method, path, body] of routes) {
+    it(`${method.toUpperCase()} ${path} answers 404 for a malformed id`, async () => {
+      const req: any = {
+        params: { id: 'not-an-id' },
+        query: {},
+        body,
+        user: { id: new mongoose.Types.ObjectId().toString(), role: 'admin', name: 'Admin' },
+        app: { get: () => undefined },
+      };
+      const res: any = {
+        statusCode: 200,
+        status(code: number) { this.statusCode = code; return this; },
+        json(payload: any) { this.body = payload; return this; },
+      };
+      await handler(method, path)(req, res);
+
+      assert.equal(res.statusCode, 404);
+    });
+  }
+});
@@ -0,0 +1,51 @@
+/**
+ * Public geofence reads (routes/geofence.ts)
+ *
+ * The handler is called directly with Geofence.find replaced by an
+ * in-memory stand-in.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Geofence } from '../src/models';
+import geofenceRoutes from '../src/routes/geofence';
+
+const listGeofences = (geofenceRoutes as any).stack
+  .find((layer: any) => layer.route?.path === '/' && layer.route.methods.get)
+  .route.stack.at(-1).handle;
+
+const fields = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Fleet Depot',
+  shape: 'circle',
+  center: { latitude: 14.5995, longitude: 120.9842 },
+  radius: 200,
+  isActive: true,
+  appliesTo: {
+    vehicleTypes: ['bus'],
+    companyIds: [new mongoose.Types.ObjectId()],
+    vehicleIds: [new mongoose.Types.ObjectId()],
+  },
+};
+const geofence = { ...fields, toObject: () => ({ ...fields }) };
+
+beforeEach(() => {
+  mock.method(Geofence, 'find', () => ({ select: () => ({ sort: async () => [geofence] }) }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('GET /api/geofences', () => {
+  it('leaves out appliesTo for anonymous clients', async () => {
+    const res: any = { json(body: any) { this.body = body; return this; } };
+    await listGeofences({ query: {} }, res);
+
+    assert.equal(res.body.geofences.length, 1);
+    assert.equal(res.body.geofences[0].name, 'Fleet Depot');
+    assert.equal(res.body.geofences[0].isArmed, true);
+    assert.equal('appliesTo' in res.body.geofences[0], false);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Geofence entry state survives a restart (socket/handlers.ts checkGeofences)
+ *
+ * The VehicleGeofenceState collection is replaced by an in-memory array that
+ * keeps the unique (vehicleId, geofenceId) rule, so no database is needed.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { GeofenceEvent, VehicleGeofenceState } from '../src/models';
+import * as geofenceIndex from '../src/utils/geofenceIndex';
+import * as notifications from '../src/utils/notifications';
+import { checkGeofences } from '../src/socket/handlers';
+
+const vehicleId = new mongoose.Types.ObjectId();
+const geofenceId = new mongoose.Types.ObjectId();
+const driverId = new mongoose.Types.ObjectId().toString();
+
+const geofence = {
+  _id: geofenceId,
+  name: 'Central Terminal',
+  type: 'terminal',
+  shape: 'circle',
+  center: { latitude: 14.5995, longitude: 120.9842 },
+  radius: 200,
+  isActive: true,
+  alertOnEntry: true,
+  alertOnExit: true,
+  notifyAdmin: true,
+  notifyDriver: false,
+};
+
+const vehicle = { _id: vehicleId, vehicleNumber: 'BUS-001', licensePlate: 'ABC 123', type: 'bus' };
+const inside = { latitude: 14.5996, longitude: 120.9843, speed: 10 };
+
+let states: any[];
+let storedEvents: any[];
+let emitted: { event: string; data: any }[];
+
+const io: any = {
+  to: () => ({ emit: (event: string, data: any) => emitted.push({ event, data }) }),
+};
+
+const sameIds = (state: any, filter: any) =>
+  state.vehicleId.toString() === filter.vehicleId.toString()
+  && (!filter.geofenceId || state.geofenceId.toString() === filter.geofenceId.toString());
+
+beforeEach(() => {
+  states = [];
+  storedEvents = [];
+  emitted = [];
+
+  mock.method(geofenceIndex, 'getGeofenceIndex', async () => ({
+    query: () => [geofence],
+    get: (id: string) => (id === geofenceId.toString() ? geofence : undefined),
+  }));
+  mock.method(notifications, 'notifyAdmins', async () => undefined);
+
+  mock.method(VehicleGeofenceState, 'find', (filter: any) => ({
+    select: async () => states.filter(state => sameIds(state, filter)),
+  }));
+  mock.method(VehicleGeofenceState, 'create', async (doc: any) => {
+    if (states.some(state => sameIds(state, doc))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    states.push(doc);
+    return doc;
+  });
+  mock.method(VehicleGeofenceState, 'deleteMany', async () => ({ deletedCount: 0 }));
+  mock.method(GeofenceEvent, 'create', async (doc: any) => {
+    storedEvents.push(doc);
+    return { _id: new mongoose.Types.ObjectId(), ...doc };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const entryEvents = () => storedEvents.filter(event => event.eventType === 'entry');
+const entryAlerts = () => emitted.filter(({ data }) => data.eventType === 'entry');
+
+describe('checkGeofences', () => {
+  it('records an entry the first time a vehicle is inside', async () => {
+    await checkGeofences(io, vehicle, driverId, inside);
+
+    assert.equal(states.length, 1);
+    assert.equal(entryEvents().length, 1);
+    assert.equal(entryAlerts().length, 1);
+  });
+
+  it('does not fire a second entry after a restart', async () => {
+    // What the previous server process left in MongoDB before it stopped
+    states.push({
+      vehicleId,
+      geofenceId,
+      driverId,
+      enteredAt: new Date(Date.now() - 5 * 60 * 1000),
+      dwellAlertedAt: null,
+    });
+
+    // First update the new process handles, still inside the geofence
+    await checkGeofences(io, vehicle, driverId, inside);
+
+    assert.equal(entryEvents().length, 0);
+    assert.equal(entryAlerts().length, 0);
+    assert.equal(states.length, 1);
+  });
+
+  it('does not fire when another instance recorded the entry first', async () => {
+    // Nothing stored when this update read the state, stored before its insert
+    mock.method(VehicleGeofenceState, 'find', () => ({ select: async () => [] }));
+    states.push({ vehicleId, geofenceId, driverId, enteredAt: new Date() });
+
+    await checkGeofences(io, vehicle, driverId, inside);
+
+    assert.equal(entryEvents().length, 0);
+    assert.equal(entryAlerts().length, 0);
+  });
+});
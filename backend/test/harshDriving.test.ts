@@ -0,0 +1,80 @@
+/**
+ * Harsh driving detection with speeds as the phone reports them (m/s)
+ *
+ * Each sample is converted with speedToKmh, as vehicle:update does, before
+ * checkHarshDriving compares consecutive points.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { HarshDrivingEvent } from '../src/models';
+import { speedToKmh } from '../src/utils/geo';
+import { checkHarshDriving } from '../src/socket/harshDriving';
+
+const io: any = { to: () => ({ emit: () => undefined }) };
+const bus = { _id: new mongoose.Types.ObjectId(), vehicleNumber: 'BUS-001', type: 'bus' };
+const start = new Date('2026-01-05T08:00:00Z').getTime();
+
+let events: any[];
+
+// A GPS point `seconds` into the drive, after the handler's conversion
+const sample = (seconds: number, metersPerSecond: number, heading = 90): any => ({
+  latitude: 14.5995,
+  longitude: 120.9842,
+  speed: speedToKmh(metersPerSecond),
+  heading,
+  timestamp: new Date(start + seconds * 1000),
+});
+
+beforeEach(() => {
+  events = [];
+  mock.method(HarshDrivingEvent, 'create', async (doc: any) => {
+    events.push(doc);
+    return { _id: new mongoose.Types.ObjectId(), ...doc };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('checkHarshDriving', () => {
+  it('flags braking from 20 to 12 m/s in 3 s (2.67 m/s²)', async () => {
+    await checkHarshDriving(io, bus, undefined, sample(0, 20), sample(3, 12));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].eventType, 'harsh_braking');
+    assert.equal(events[0].value, 2.67);
+    assert.equal(events[0].speedBefore, 72);
+    assert.equal(events[0].speedAfter, 43.2);
+  });
+
+  it('flags accelerating from 5 to 12 m/s in 3 s (2.33 m/s²)', async () => {
+    await checkHarshDriving(io, bus, undefined, sample(0, 5), sample(3, 12));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].eventType, 'harsh_acceleration');
+    assert.equal(events[0].value, 2.33);
+  });
+
+  it('ignores a gentle slowdown from 15 to 14 m/s in 3 s', async () => {
+    await checkHarshDriving(io, bus, undefined, sample(0, 15), sample(3, 14));
+
+    assert.equal(events.length, 0);
+  });
+
+  it('flags a 60° turn in 2 s at 5 m/s (18 km/h)', async () => {
+    await checkHarshDriving(io, bus, undefined, sample(0, 5, 90), sample(2, 5, 150));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].eventType, 'sharp_cornering');
+    assert.equal(events[0].headingChange, 60);
+  });
+
+  it('ignores the same turn at walking pace (3 m/s)', async () => {
+    await checkHarshDriving(io, bus, undefined, sample(0, 3, 90), sample(2, 3, 150));
+
+    assert.equal(events.length, 0);
+  });
+});
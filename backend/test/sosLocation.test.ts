@@ -0,0 +1,66 @@
+/**
+ * PUT /api/sos/:id/location (routes/sos.ts)
+ *
+ * The handler is called directly, after authentication, with the alert
+ * update replaced by an in-memory stand-in.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { SOSAlert } from '../src/models';
+import sosRoutes from '../src/routes/sos';
+
+const updateLocation = (sosRoutes as any).stack
+  .find((layer: any) => layer.route?.path === '/:id/location')
+  .route.stack.at(-1).handle;
+
+let updates: any[];
+
+async function put(body: Record<string, any>) {
+  const req: any = {
+    params: { id: new mongoose.Types.ObjectId().toString() },
+    body,
+    user: { id: new mongoose.Types.ObjectId().toString(), role: 'student', name: 'Student' },
+    app: { get: () => undefined },
+  };
+  const res: any = {
+    statusCode: 200,
+    status(code: number) { this.statusCode = code; return this; },
+    json(payload: any) { this.body = payload; return this; },
+  };
+  await updateLocation(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  updates = [];
+  mock.method(SOSAlert, 'findOneAndUpdate', (filter: any, update: any) => {
+    updates.push(update);
+    return { select: async () => ({ _id: filter._id, companyId: null }) };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('PUT /api/sos/:id/location', () => {
+  it('stores the location as numbers', async () => {
+    const res = await put({ latitude: '14.5995', longitude: '120.9842', speed: 0 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(updates[0].location.latitude, 14.5995);
+    assert.equal(updates[0].location.longitude, 120.9842);
+  });
+
+  it('rejects an impossible location without touching the alert', async () => {
+    for (const body of [{ latitude: 'north', longitude: 120 }, { latitude: 14, longitude: 500 }, { latitude: null, longitude: 120 }]) {
+      const res = await put(body);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'Invalid location');
+    }
+    assert.equal(updates.length, 0);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * POST /api/sos/sync (routes/sos.ts)
+ *
+ * The handler is called directly, after authentication, with the models and
+ * notifications it uses replaced by in-memory stand-ins.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { SOSAlert, User, Vehicle } from '../src/models';
+import * as notifications from '../src/utils/notifications';
+import * as sosContacts from '../src/utils/sosContacts';
+import sosRoutes from '../src/routes/sos';
+
+const senderId = new mongoose.Types.ObjectId().toString();
+
+const syncAlerts = (sosRoutes as any).stack
+  .find((layer: any) => layer.route?.path === '/sync')
+  .route.stack.at(-1).handle;
+
+let saved: any[];
+
+const alert = (clientId: string, extra: Record<string, any> = {}) => ({
+  clientId,
+  latitude: 14.5995,
+  longitude: 120.9842,
+  speed: 0,
+  message: 'Help',
+  timestamp: new Date().toISOString(),
+  ...extra,
+});
+
+async function sync(alerts: any[]) {
+  const req: any = {
+    body: { alerts },
+    user: { id: senderId, role: 'student', name: 'Student' },
+    app: { get: () => undefined },
+  };
+  const res: any = {
+    statusCode: 200,
+    status(code: number) { this.statusCode = code; return this; },
+    json(body: any) { this.body = body; return this; },
+  };
+  await syncAlerts(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  saved = [];
+  mock.method(SOSAlert, 'findOne', async () => null);
+  mock.method(SOSAlert.prototype, 'save', async function (this: any) {
+    saved.push(this);
+    return this;
+  });
+  mock.method(Vehicle, 'findById', async (id: any) => {
+    // What mongoose does with an id that isn't an ObjectId
+    if (!mongoose.isValidObjectId(id)) throw new mongoose.Error.CastError('ObjectId', id, '_id');
+    return null;
+  });
+  mock.method(User, 'findById', () => ({ select: async () => null }));
+  mock.method(notifications, 'notifyAdmins', async () => undefined);
+  mock.method(notifications, 'notifyUser', async () => undefined);
+  mock.method(sosContacts, 'notifySOSContacts', async () => undefined);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('POST /api/sos/sync', () => {
+  it('rejects an alert with a malformed vehicleId and still raises the others', async () => {
+    const res = await sync([alert('sos-000001'), alert('sos-000002', { vehicleId: 'not-an-id' })]);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      res.body.results.map((r: any) => [r.id, r.status]),
+      [['sos-000001', 'accepted'], ['sos-000002', 'rejected']]
+    );
+    assert.equal(res.body.results[1].error, 'Invalid vehicleId');
+    assert.equal(saved.length, 1);
+  });
+
+  it('rejects an alert with an impossible location', async () => {
+    const res = await sync([alert('sos-000003', { latitude: 'north', longitude: 500 })]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results[0].status, 'rejected');
+    assert.equal(res.body.results[0].error, 'Invalid location');
+    assert.equal(saved.length, 0);
+  });
+
+  it('rejects alerts with a heading, accuracy or message the database would refuse', async () => {
+    const res = await sync([
+      alert('sos-000004', { heading: 'north' }),
+      alert('sos-000005', { accuracy: { meters: 5 } }),
+      alert('sos-000006', { message: ['Help'] }),
+      alert('sos-000007', { heading: null, accuracy: 12.5 }),
+    ]);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      res.body.results.map((r: any) => [r.status, r.error]),
+      [
+        ['rejected', 'Invalid heading or accuracy'],
+        ['rejected', 'Invalid heading or accuracy'],
+        ['rejected', 'Invalid message'],
+        ['accepted', undefined],
+      ]
+    );
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].location.accuracy, 12.5);
+  });
+
+  it('cuts a message down to the 1000 characters the model allows', async () => {
+    await sync([alert('sos-000008', { message: 'x'.repeat(1500) })]);
+
+    assert.equal(saved[0].message.length, 1000);
+  });
+});
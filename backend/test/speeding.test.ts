@@ -0,0 +1,93 @@
+/**
+ * Speeding detection with speeds as the phone reports them (m/s)
+ *
+ * vehicle:update converts the reading with speedToKmh before checkSpeed sees
+ * it; these tests do the same, so a regression in either shows up here.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Vehicle } from '../src/models';
+import * as geofenceIndex from '../src/utils/geofenceIndex';
+import { speedToKmh } from '../src/utils/geo';
+import { checkSpeed } from '../src/socket/speeding';
+
+const io: any = { to: () => ({ emit: () => undefined }) };
+const bus = { _id: new mongoose.Types.ObjectId(), vehicleNumber: 'BUS-001', type: 'bus', speeding: null };
+
+const schoolZone = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'School Zone',
+  shape: 'circle',
+  center: { latitude: 14.5995, longitude: 120.9842 },
+  radius: 300,
+  isActive: true,
+  speedLimitKmh: 20,
+};
+
+let zones: any[];
+let updates: any[];
+
+// A GPS reading as the app sends it, after the handler's conversion
+const reading = (metersPerSecond: number) => ({
+  latitude: 14.5996,
+  longitude: 120.9843,
+  speed: speedToKmh(metersPerSecond),
+});
+
+beforeEach(() => {
+  zones = [];
+  updates = [];
+  mock.method(geofenceIndex, 'getGeofenceIndex', async () => ({
+    query: () => zones,
+    get: () => undefined,
+  }));
+  mock.method(Vehicle, 'updateOne', async (filter: any, update: any) => {
+    updates.push(update);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('speedToKmh', () => {
+  it('converts m/s to km/h', () => {
+    assert.equal(speedToKmh(10), 36);
+    assert.equal(speedToKmh(16.7), 60.1);
+  });
+
+  it('treats a missing or negative speed as 0', () => {
+    assert.equal(speedToKmh(undefined), 0);
+    assert.equal(speedToKmh(null), 0);
+    assert.equal(speedToKmh(-1), 0);
+  });
+});
+
+describe('checkSpeed', () => {
+  it('starts tracking a bus doing 72 km/h (20 m/s) in a 60 km/h limit', async () => {
+    await checkSpeed(io, bus, undefined, reading(20));
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].speeding.limitKmh, 60);
+    assert.equal(updates[0].speeding.peakSpeed, 72);
+  });
+
+  it('leaves a bus doing 54 km/h (15 m/s) alone', async () => {
+    await checkSpeed(io, bus, undefined, reading(15));
+
+    assert.equal(updates.length, 0);
+  });
+
+  it('applies a 20 km/h school zone to a bus doing 36 km/h (10 m/s)', async () => {
+    zones = [schoolZone];
+
+    await checkSpeed(io, bus, undefined, reading(10));
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].speeding.limitKmh, 20);
+    assert.equal(updates[0].speeding.peakSpeed, 36);
+  });
+});
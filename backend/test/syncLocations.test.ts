@@ -0,0 +1,148 @@
+/**
+ * POST /api/vehicles/sync-locations (routes/vehicles.ts)
+ *
+ * The handler is called directly, after authentication, with the models it
+ * reads and writes replaced by in-memory stand-ins.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { GPSHistory, User, Vehicle } from '../src/models';
+import vehicleRoutes from '../src/routes/vehicles';
+
+const driverId = new mongoose.Types.ObjectId().toString();
+const ownVehicleId = new mongoose.Types.ObjectId().toString();
+const otherVehicleId = new mongoose.Types.ObjectId().toString();
+
+const syncLocations = (vehicleRoutes as any).stack
+  .find((layer: any) => layer.route?.path === '/sync-locations')
+  .route.stack.at(-1).handle;
+
+let ownVehicle: any;
+let driver: any;
+let inserted: any[];
+let locationUpdates: { filter: any; update: any }[];
+
+const selectable = (value: any) => ({ select: async () => value });
+
+const point = (id: string, vehicleId: string, minutesAgo: number, speed = 10) => ({
+  id,
+  vehicleId,
+  location: { latitude: 14.5995, longitude: 120.9842, speed, heading: 90, accuracy: 5 },
+  timestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+});
+
+async function sync(locations: any[]) {
+  const req: any = { body: { locations }, user: { id: driverId, role: 'driver', name: 'Driver' } };
+  const res: any = {
+    statusCode: 200,
+    status(code: number) { this.statusCode = code; return this; },
+    json(body: any) { this.body = body; return this; },
+  };
+  await syncLocations(req, res);
+  return res;
+}
+
+beforeEach(() => {
+  ownVehicle = {
+    _id: new mongoose.Types.ObjectId(ownVehicleId),
+    verificationStatus: 'approved',
+    isActive: true,
+    trackingSuspended: null,
+  };
+  driver = { _id: driverId, trackingSuspended: null };
+  inserted = [];
+  locationUpdates = [];
+
+  mock.method(GPSHistory, 'find', () => selectable(inserted.filter(entry => entry.clientId)));
+  mock.method(GPSHistory, 'insertMany', async (docs: any[]) => {
+    inserted.push(...docs);
+    return docs;
+  });
+  mock.method(User, 'findById', () => selectable(driver));
+  mock.method(Vehicle, 'find', () => selectable([ownVehicle]));
+  mock.method(Vehicle, 'updateOne', async (filter: any, update: any) => {
+    locationUpdates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('POST /api/vehicles/sync-locations', () => {
+  it('accepts points for the driver\'s own vehicle and stores speed in km/h', async () => {
+    const res = await sync([point('p-000001', ownVehicleId, 5), point('p-000002', ownVehicleId, 4, 20)]);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.map((r: any) => r.status), ['accepted', 'accepted']);
+    assert.deepEqual(inserted.map(entry => entry.location.speed), [36, 72]);
+
+    // The newest point becomes the vehicle's last known location
+    assert.equal(locationUpdates.length, 1);
+    assert.equal(locationUpdates[0].filter._id, ownVehicleId);
+    assert.equal(locationUpdates[0].filter.driverId, driverId);
+    assert.equal(locationUpdates[0].update.currentLocation.speed, 72);
+  });
+
+  it('rejects points for a vehicle not assigned to the driver', async () => {
+    const res = await sync([point('p-000003', otherVehicleId, 5)]);
+
+    assert.equal(res.body.results[0].status, 'rejected');
+    assert.match(res.body.results[0].error, /not assigned to you/);
+    assert.equal(inserted.length, 0);
+    assert.equal(locationUpdates.length, 0);
+  });
+
+  it('rejects points while the driver\'s tracking is suspended', async () => {
+    driver.trackingSuspended = { reason: 'document_expired', message: 'Your license expired', since: new Date() };
+
+    const res = await sync([point('p-000004', ownVehicleId, 5)]);
+
+    assert.equal(res.body.results[0].status, 'rejected');
+    assert.equal(res.body.results[0].error, 'Your license expired');
+    assert.equal(inserted.length, 0);
+    assert.equal(locationUpdates.length, 0);
+  });
+
+  it('rejects points while the vehicle\'s tracking is suspended', async () => {
+    ownVehicle.trackingSuspended = { reason: 'document_expired', message: 'OR/CR expired', since: new Date() };
+
+    const res = await sync([point('p-000005', ownVehicleId, 5)]);
+
+    assert.equal(res.body.results[0].error, 'OR/CR expired');
+    assert.equal(inserted.length, 0);
+  });
+
+  it('rejects a point with a heading or accuracy that isn\'t a number', async () => {
+    const badHeading = point('p-000007', ownVehicleId, 5);
+    badHeading.location.heading = 'east' as any;
+    const badAccuracy = point('p-000008', ownVehicleId, 4);
+    badAccuracy.location.accuracy = NaN;
+
+    const res = await sync([badHeading, badAccuracy, point('p-000009', ownVehicleId, 3)]);
+
+    assert.deepEqual(
+      res.body.results.map((r: any) => [r.status, r.error]),
+      [
+        ['rejected', 'Invalid heading or accuracy'],
+        ['rejected', 'Invalid heading or accuracy'],
+        ['accepted', undefined],
+      ]
+    );
+    assert.deepEqual(inserted.map(entry => entry.clientId), ['p-000009']);
+  });
+
+  it('answers a resent point as a duplicate without storing it again', async () => {
+    await sync([point('p-000006', ownVehicleId, 5)]);
+    locationUpdates = [];
+
+    const res = await sync([point('p-000006', ownVehicleId, 5)]);
+
+    assert.equal(res.body.results[0].status, 'duplicate');
+    assert.equal(inserted.length, 1);
+    assert.equal(locationUpdates.length, 0);
+  });
+});
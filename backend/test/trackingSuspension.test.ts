@@ -0,0 +1,117 @@
+/**
+ * Suspended tracking (expired license or OR/CR, see utils/documentExpiry.ts)
+ *
+ * The vehicle:update socket handler and the public vehicle list are called
+ * directly, with the models they read and write replaced by in-memory
+ * stand-ins.
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { User, Vehicle } from '../src/models';
+import { initializeSocketHandlers } from '../src/socket/handlers';
+import vehicleRoutes from '../src/routes/vehicles';
+
+const driverId = new mongoose.Types.ObjectId().toString();
+const vehicleId = new mongoose.Types.ObjectId().toString();
+const since = new Date();
+
+const listVehicles = (vehicleRoutes as any).stack
+  .find((layer: any) => layer.route?.path === '/' && layer.route.methods.get)
+  .route.stack.at(-1).handle;
+
+let vehicle: any;
+let writes: any[];
+let socketErrors: string[];
+
+// Connect a driver socket and return its vehicle:update handler
+function connectDriver() {
+  const handlers: Record<string, (...args: any[]) => any> = {};
+  const socket: any = {
+    id: 'socket-1',
+    data: { user: { id: driverId, role: 'driver', name: 'Driver' } },
+    join: () => undefined,
+    on: (event: string, handler: any) => { handlers[event] = handler; },
+    emit: (event: string, body: any) => { if (event === 'error') socketErrors.push(body.message); },
+  };
+  const io: any = {
+    use: () => undefined,
+    on: (_event: string, onConnect: any) => onConnect(socket),
+    to: () => ({ emit: () => undefined }),
+  };
+  mock.method(console, 'log', () => undefined);
+  initializeSocketHandlers(io);
+  return handlers['vehicle:update'];
+}
+
+beforeEach(() => {
+  vehicle = {
+    _id: new mongoose.Types.ObjectId(vehicleId),
+    verificationStatus: 'approved',
+    isActive: true,
+    trackingSuspended: null,
+    driverId: { _id: driverId, name: 'Driver', trackingSuspended: null },
+  };
+  writes = [];
+  socketErrors = [];
+
+  mock.method(Vehicle, 'findOne', () => ({ populate: () => ({ populate: async () => vehicle }) }));
+  mock.method(Vehicle, 'updateOne', async (filter: any, update: any) => {
+    writes.push(update);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('vehicle:update', () => {
+  const update = { vehicleId, location: { latitude: 14.5995, longitude: 120.9842, speed: 10 } };
+
+  it('does not store the location while the driver is suspended', async () => {
+    vehicle.driverId.trackingSuspended = { reason: 'document_expired', message: 'Your license expired', since };
+
+    await connectDriver()(update);
+
+    assert.deepEqual(socketErrors, ['Your license expired']);
+    assert.equal(writes.length, 0);
+  });
+
+  it('does not store the location while the vehicle is suspended', async () => {
+    vehicle.trackingSuspended = { reason: 'document_expired', message: 'OR/CR expired', since };
+
+    await connectDriver()(update);
+
+    assert.deepEqual(socketErrors, ['OR/CR expired']);
+    assert.equal(writes.length, 0);
+  });
+
+  it('does not store the location of a vehicle awaiting approval', async () => {
+    vehicle.verificationStatus = 'pending';
+
+    await connectDriver()(update);
+
+    assert.equal(writes.length, 0);
+  });
+});
+
+describe('GET /api/vehicles', () => {
+  it('leaves out vehicles whose driver is suspended', async () => {
+    const suspendedDriverId = new mongoose.Types.ObjectId();
+    let query: any;
+    mock.method(User, 'distinct', async () => [suspendedDriverId]);
+    mock.method(Vehicle, 'find', (filter: any) => {
+      query = filter;
+      return { populate: () => ({ populate: () => ({ select: async () => [] }) }) };
+    });
+
+    const res: any = { json(body: any) { this.body = body; return this; } };
+    await listVehicles({ query: {} }, res);
+
+    assert.equal(query.trackingSuspended, null);
+    assert.deepEqual(query.driverId, { $nin: [suspendedDriverId] });
+    assert.deepEqual(res.body.vehicles, []);
+  });
+});
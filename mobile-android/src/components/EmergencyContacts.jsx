@@ -0,0 +1,245 @@
+/**
+ * =============================================================================
+ * EMERGENCY CONTACTS COMPONENT
+ * =============================================================================
+ *
+ * Lets the user list who gets a text with their location when they send
+ * an SOS. Edits are local until "Save".
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import { useEmergencyContactStore } from '../store/emergencyContactStore';
+import { colors } from '../styles';
+
+const EMPTY_CONTACT = { name: '', phone: '', relationship: '' };
+
+export default function EmergencyContacts({ visible, onClose }) {
+  const { contacts, max, isLoading, fetchContacts, saveContacts } = useEmergencyContactStore();
+  const [draft, setDraft] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) fetchContacts();
+  }, [visible]);
+
+  // Start editing from what the server has
+  useEffect(() => {
+    setDraft(contacts.map(({ name, phone, relationship }) => ({ name, phone, relationship: relationship || '' })));
+  }, [contacts]);
+
+  const updateField = (index, field, value) => {
+    setDraft((prev) => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const removeContact = (index) => {
+    setDraft((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    // Ignore rows left completely empty
+    const toSave = draft.filter((c) => c.name.trim() || c.phone.trim());
+    setIsSaving(true);
+    try {
+      await saveContacts(toSave);
+      Alert.alert('✅ Saved', 'These contacts will get a text with your location if you send an SOS.');
+      onClose();
+    } catch (error) {
+      Alert.alert('Could not save', error.response?.data?.error || 'Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>📇 Emergency Contacts</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.description}>
+              When you send an SOS, up to {max} people are texted your name, your message and a map link.
+            </Text>
+
+            {isLoading && draft.length === 0 ? (
+              <ActivityIndicator color={colors.primary} style={{ marginVertical: 24 }} />
+            ) : (
+              draft.map((contact, index) => (
+                <View key={index} style={styles.contactCard}>
+                  <View style={styles.contactHeader}>
+                    <Text style={styles.contactNumber}>Contact {index + 1}</Text>
+                    <TouchableOpacity onPress={() => removeContact(index)}>
+                      <Text style={styles.removeText}>Remove</Text>
+                    </TouchableOpacity>
+                  </View>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Name"
+                    placeholderTextColor={colors.textHint}
+                    value={contact.name}
+                    onChangeText={(value) => updateField(index, 'name', value)}
+                    maxLength={100}
+                  />
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Phone (e.g. +63 917 123 4567)"
+                    placeholderTextColor={colors.textHint}
+                    value={contact.phone}
+                    onChangeText={(value) => updateField(index, 'phone', value)}
+                    keyboardType="phone-pad"
+                  />
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Relationship (optional)"
+                    placeholderTextColor={colors.textHint}
+                    value={contact.relationship}
+                    onChangeText={(value) => updateField(index, 'relationship', value)}
+                    maxLength={50}
+                  />
+                </View>
+              ))
+            )}
+
+            {draft.length < max && (
+              <TouchableOpacity
+                style={styles.addButton}
+                onPress={() => setDraft((prev) => [...prev, { ...EMPTY_CONTACT }])}
+              >
+                <Text style={styles.addText}>＋ Add contact</Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              style={[styles.saveButton, isSaving && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator color={colors.white} size="small" />
+              ) : (
+                <Text style={styles.saveText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.gray[200],
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.gray[800],
+  },
+  closeButton: {
+    padding: 8,
+  },
+  closeText: {
+    fontSize: 20,
+    color: colors.gray[500],
+  },
+  content: {
+    padding: 16,
+  },
+  description: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 16,
+  },
+  contactCard: {
+    backgroundColor: colors.gray[50],
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  contactHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  contactNumber: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.gray[800],
+  },
+  removeText: {
+    fontSize: 14,
+    color: colors.danger,
+  },
+  input: {
+    backgroundColor: colors.white,
+    borderWidth: 1,
+    borderColor: colors.gray[300],
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: colors.textPrimary,
+    marginBottom: 8,
+  },
+  addButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  addText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  saveButtonDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    color: colors.white,
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
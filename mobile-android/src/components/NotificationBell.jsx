@@ -0,0 +1,224 @@
+/**
+ * =============================================================================
+ * NOTIFICATION BELL COMPONENT
+ * =============================================================================
+ * 
+ * Bell button with an unread badge that opens the notification inbox
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuthStore } from '../store/authStore';
+import { useNotificationStore } from '../store/notificationStore';
+import { colors } from '../styles';
+
+const TYPE_ICONS = {
+  verification: '✅',
+  pending_verification: '⏳',
+  geofence: '📍',
+  sos: '🚨',
+  stop_approaching: '🚏',
+  document_expiry: '📅',
+  company_invite: '🤝',
+  system: 'ℹ️',
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+export default function NotificationBell({ style }) {
+  const { token } = useAuthStore();
+  const {
+    notifications,
+    unreadCount,
+    isLoading,
+    fetchNotifications,
+    markRead,
+    markAllRead,
+    clear,
+  } = useNotificationStore();
+  const [visible, setVisible] = useState(false);
+
+  // Load the inbox for whoever is signed in
+  useEffect(() => {
+    if (token) {
+      fetchNotifications();
+    } else {
+      clear();
+    }
+  }, [token, fetchNotifications, clear]);
+
+  const open = () => {
+    setVisible(true);
+    fetchNotifications();
+  };
+
+  return (
+    <>
+      <TouchableOpacity style={[styles.bell, style]} onPress={open}>
+        <Text style={styles.bellIcon}>🔔</Text>
+        {unreadCount > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+
+      <Modal
+        visible={visible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setVisible(false)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.container}>
+            <View style={styles.header}>
+              <Text style={styles.title}>🔔 Notifications</Text>
+              <TouchableOpacity onPress={() => setVisible(false)}>
+                <Text style={styles.closeText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            {unreadCount > 0 && (
+              <TouchableOpacity onPress={markAllRead}>
+                <Text style={styles.markAll}>Mark all as read</Text>
+              </TouchableOpacity>
+            )}
+
+            {isLoading && notifications.length === 0 ? (
+              <ActivityIndicator style={{ padding: 20 }} color={colors.primary} />
+            ) : notifications.length === 0 ? (
+              <Text style={styles.empty}>No notifications yet</Text>
+            ) : (
+              <ScrollView>
+                {notifications.map((notification) => (
+                  <TouchableOpacity
+                    key={notification._id}
+                    style={[styles.row, !notification.readAt && styles.rowUnread]}
+                    onPress={() => !notification.readAt && markRead(notification._id)}
+                  >
+                    <Text style={styles.rowIcon}>{TYPE_ICONS[notification.type] || 'ℹ️'}</Text>
+                    <View style={{ flex: 1 }}>
+                      <Text style={[styles.rowTitle, !notification.readAt && styles.rowTitleUnread]}>
+                        {notification.title}
+                      </Text>
+                      <Text style={styles.rowMessage}>{notification.message}</Text>
+                      <Text style={styles.rowTime}>{timeAgo(notification.createdAt)}</Text>
+                    </View>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            )}
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+}
+
+const styles = {
+  bell: {
+    padding: 8,
+  },
+  bellIcon: {
+    fontSize: 20,
+  },
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: colors.danger,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeText: {
+    color: colors.white,
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.textPrimary,
+  },
+  closeText: {
+    fontSize: 20,
+    color: colors.textSecondary,
+  },
+  markAll: {
+    color: colors.primary,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  empty: {
+    textAlign: 'center',
+    color: colors.textHint,
+    padding: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.gray[200],
+  },
+  rowUnread: {
+    backgroundColor: colors.primaryLight,
+  },
+  rowIcon: {
+    fontSize: 18,
+    marginRight: 12,
+  },
+  rowTitle: {
+    fontSize: 15,
+    color: colors.textPrimary,
+  },
+  rowTitleUnread: {
+    fontWeight: 'bold',
+  },
+  rowMessage: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  rowTime: {
+    fontSize: 11,
+    color: colors.textHint,
+    marginTop: 4,
+  },
+};
@@ -11,3 +11,8 @@ export const SOCKET_URL = 'https://vehicle-tracking-ap-production.up.railway.app
 // DEVELOPMENT - Uncomment for local testing (update IP when WiFi changes)
 // export const API_URL = 'http://192.168.5.27:3001/api';
 // export const SOCKET_URL = 'http://192.168.5.27:3001';
+
+// SMS gateway number the app texts an SOS to when there is no data
+// connection (the gateway forwards it to /api/sos/sms/inbound). Empty
+// disables the SMS fallback.
+export const SOS_SMS_NUMBER = '';
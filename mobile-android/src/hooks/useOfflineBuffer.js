@@ -14,6 +14,11 @@
  * 1. Driver loses internet → locations stored in AsyncStorage with priority
  * 2. Driver regains internet → high priority items synced first
  * 3. Server processes batch of locations for GPS history
+ *
+ * Every buffered item has an id (`id` for locations, `clientId` for SOS)
+ * that the server stores, so resending after a timeout doesn't save it
+ * twice. The server answers each item as accepted, duplicate or rejected,
+ * and only answered items leave the buffer.
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
@@ -22,6 +27,7 @@ import NetInfo from '@react-native-community/netinfo';
 import axios from 'axios';
 import { API_URL } from '../config/api';
 import { useAuthStore } from '../store/authStore';
+import { createSOSClientId } from '../utils/sosSms';
 
 // Storage keys
 const BUFFER_KEY = 'gps_buffer_v2';
@@ -31,6 +37,7 @@ const SOS_BUFFER_KEY = 'sos_buffer';
 // Configuration
 const MAX_BUFFER_SIZE = 1000; // Max locations to store offline
 const SYNC_BATCH_SIZE = 50; // Send in batches
+const SOS_SYNC_BATCH_SIZE = 20; // Server takes at most 20 alerts per sync
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_BASE = 2000; // Base delay for exponential backoff
 const NETWORK_CHECK_INTERVAL = 15000; // Check network every 15 seconds
@@ -44,6 +51,22 @@ const PRIORITY = {
   LOW: 4,      // Very old locations (> 24 hours)
 };
 
+/**
+ * Ids of the items the server answered in a sync response; anything else
+ * stays buffered for the next sync
+ */
+function answeredIds(results, label) {
+  const answered = new Set();
+  for (const result of results || []) {
+    if (!result.id) continue;
+    answered.add(result.id);
+    if (result.status === 'rejected') {
+      console.warn(`⚠️ Server rejected buffered ${label} ${result.id}: ${result.error}`);
+    }
+  }
+  return answered;
+}
+
 export function useOfflineBuffer() {
   const [isOnline, setIsOnline] = useState(true);
   const [bufferCount, setBufferCount] = useState(0);
@@ -203,6 +226,9 @@ export function useOfflineBuffer() {
 
   /**
    * Buffer SOS alert for offline sync
+   * sosData is the POST /sos/send body; its clientId lets the server match
+   * it to the same SOS texted by SMS meanwhile, and timestamp is when the
+   * button was pressed.
    */
   const bufferSOS = useCallback(async (sosData) => {
     try {
@@ -211,7 +237,7 @@ export function useOfflineBuffer() {
       
       sosBuffer.push({
         ...sosData,
-        timestamp: new Date().toISOString(),
+        timestamp: sosData.timestamp || new Date().toISOString(),
         priority: PRIORITY.CRITICAL,
       });
 
@@ -232,28 +258,37 @@ export function useOfflineBuffer() {
       const data = await AsyncStorage.getItem(SOS_BUFFER_KEY);
       if (!data) return;
 
-      const sosBuffer = JSON.parse(data);
+      // Alerts buffered without a clientId get one now, kept for every retry
+      let sosBuffer = JSON.parse(data).map(sos => ({ ...sos, clientId: sos.clientId || createSOSClientId() }));
       if (sosBuffer.length === 0) return;
+      await AsyncStorage.setItem(SOS_BUFFER_KEY, JSON.stringify(sosBuffer));
 
       console.log(`🚨 Syncing ${sosBuffer.length} buffered SOS alerts...`);
 
-      for (const sos of sosBuffer) {
+      const pending = [...sosBuffer];
+      for (let i = 0; i < pending.length; i += SOS_SYNC_BATCH_SIZE) {
+        const batch = pending.slice(i, i + SOS_SYNC_BATCH_SIZE);
         try {
-          await axios.post(
-            `${API_URL}/sos/send`,
-            sos,
+          const response = await axios.post(
+            `${API_URL}/sos/sync`,
+            { alerts: batch },
             { headers: { Authorization: `Bearer ${token}` } }
           );
+
+          const answered = answeredIds(response.data.results, 'SOS');
+          sosBuffer = sosBuffer.filter(sos => !answered.has(sos.clientId));
+          await AsyncStorage.setItem(SOS_BUFFER_KEY, JSON.stringify(sosBuffer));
         } catch (error) {
           console.error('Failed to sync SOS:', error.message);
-          // Keep failed SOS in buffer
+          // Keep unsynced SOS in buffer
           return;
         }
       }
 
-      // Clear SOS buffer after successful sync
-      await AsyncStorage.removeItem(SOS_BUFFER_KEY);
-      console.log('✅ All SOS alerts synced');
+      if (sosBuffer.length === 0) {
+        await AsyncStorage.removeItem(SOS_BUFFER_KEY);
+        console.log('✅ All SOS alerts synced');
+      }
     } catch (error) {
       console.error('SOS sync failed:', error);
     }
@@ -296,14 +331,14 @@ export function useOfflineBuffer() {
       setSyncProgress({ synced: 0, total: buffer.length });
 
       let syncedCount = 0;
-      let failedBatches = [];
+      let unanswered = []; // sent, but missing from the server's answer
 
       // Send in batches
       while (buffer.length > 0) {
         const batch = buffer.splice(0, SYNC_BATCH_SIZE);
         
         try {
-          await axios.post(
+          const response = await axios.post(
             `${API_URL}/vehicles/sync-locations`,
             { locations: batch },
             { 
@@ -312,12 +347,15 @@ export function useOfflineBuffer() {
             }
           );
           
-          syncedCount += batch.length;
+          // Drop only what the server answered for
+          const answered = answeredIds(response.data.results, 'location');
+          unanswered = [...unanswered, ...batch.filter(item => !answered.has(item.id))];
+          syncedCount += answered.size;
           setSyncProgress({ synced: syncedCount, total: syncedCount + buffer.length });
           
           // Update storage after each successful batch
-          await AsyncStorage.setItem(BUFFER_KEY, JSON.stringify(buffer));
-          setBufferCount(buffer.length);
+          await AsyncStorage.setItem(BUFFER_KEY, JSON.stringify([...unanswered, ...buffer]));
+          setBufferCount(unanswered.length + buffer.length);
           
           // Reset retry count on success
           retryCount.current = 0;
@@ -332,18 +370,11 @@ export function useOfflineBuffer() {
             retryCount: (item.retryCount || 0) + 1,
           }));
           
-          // Filter out items that exceeded max retries
-          const retryable = retriedBatch.filter(item => item.retryCount < MAX_RETRY_ATTEMPTS);
-          const dropped = retriedBatch.filter(item => item.retryCount >= MAX_RETRY_ATTEMPTS);
-          
-          if (dropped.length > 0) {
-            console.warn(`⚠️ Dropped ${dropped.length} items after max retries`);
-          }
-          
-          // Put retryable items back
-          buffer = [...retryable, ...buffer];
-          await AsyncStorage.setItem(BUFFER_KEY, JSON.stringify(buffer));
-          setBufferCount(buffer.length);
+          // Put the batch back - the server may have stored it before the
+          // error, and will answer "duplicate" next time
+          buffer = [...retriedBatch, ...buffer];
+          await AsyncStorage.setItem(BUFFER_KEY, JSON.stringify([...unanswered, ...buffer]));
+          setBufferCount(unanswered.length + buffer.length);
           
           // Exponential backoff
           retryCount.current++;
@@ -359,13 +390,14 @@ export function useOfflineBuffer() {
       }
 
       // Update stats
+      const remaining = unanswered.length + buffer.length;
       await saveBufferStats({
         totalSynced: bufferStats.totalSynced + syncedCount,
         lastSyncTime: new Date().toISOString(),
-        failedAttempts: buffer.length > 0 ? bufferStats.failedAttempts + 1 : 0,
+        failedAttempts: remaining > 0 ? bufferStats.failedAttempts + 1 : 0,
       });
 
-      if (buffer.length === 0) {
+      if (remaining === 0) {
         console.log('✅ All buffered locations synced!');
       }
     } catch (error) {
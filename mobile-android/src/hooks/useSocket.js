@@ -14,22 +14,31 @@
  * - Sending/receiving events
  * - Auto-reconnection
  * - Real-time verification notifications
+ * - "Vehicle approaching your stop" alerts for stop subscriptions
+ * - Tracking suspended because the license or OR/CR expired
+ * - Our SOS being acknowledged and resolved; drivers sent to someone else's SOS
+ * - New notification inbox entries
+ * - Expired access tokens (refresh and reconnect) and revoked sessions
  * - Enhanced offline GPS buffering with priority sync
+ * - Sending SOS, by SMS as well when there is no data connection
  */
 
 import { useEffect, useRef, useCallback } from 'react';
-import { Alert, Vibration } from 'react-native';
+import { Alert, Linking, Vibration } from 'react-native';
 import { io } from 'socket.io-client';
-import { SOCKET_URL } from '../config/api';
+import axios from 'axios';
+import { API_URL, SOCKET_URL } from '../config/api';
 import { useVehicleStore } from '../store/vehicleStore';
 import { useAuthStore } from '../store/authStore';
 import { useGeofenceStore } from '../store/geofenceStore';
+import { useNotificationStore } from '../store/notificationStore';
 import { useOfflineBuffer } from './useOfflineBuffer';
+import { composeSOSSms, createSOSClientId, openSOSSms } from '../utils/sosSms';
 
 export function useSocket() {
   const socketRef = useRef(null);
   const { updateVehicle, markOffline } = useVehicleStore();
-  const { user, refreshUser } = useAuthStore();
+  const { user, token, refreshUser } = useAuthStore();
   const { handleEntry, handleExit } = useGeofenceStore();
   const { 
     isOnline, 
@@ -49,7 +58,11 @@ export function useSocket() {
 
     console.log('Connecting to Socket.io...');
 
+    // The server verifies this JWT on connect and uses it to decide which
+    // rooms we may join and which vehicle we may send updates for.
+    // A function so reconnects pick up the latest (refreshed) token.
     socketRef.current = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: useAuthStore.getState().token }),
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: 10,
@@ -57,9 +70,11 @@ export function useSocket() {
     });
 
     const socket = socketRef.current;
+    let retriedWithFreshToken = false;
 
     socket.on('connect', () => {
       console.log('Socket connected:', socket.id);
+      retriedWithFreshToken = false;
       setOnlineStatus(true); // Update online status
       
       // Sync any buffered locations when reconnecting
@@ -70,10 +85,10 @@ export function useSocket() {
       
       // Join appropriate room based on user role
       if (user?.role === 'driver') {
-        socket.emit('join:room', { room: 'drivers-room', userId: user.id || user._id });
+        socket.emit('join:room', { room: 'drivers-room' });
       } else {
         // Students/community join public map room
-        socket.emit('join:room', { room: 'public-map', userId: user?.id || user?._id });
+        socket.emit('join:room', { room: 'public-map' });
       }
     });
 
@@ -82,6 +97,31 @@ export function useSocket() {
       setOnlineStatus(false); // Update online status
     });
 
+    socket.on('connect_error', async (error) => {
+      console.error('Socket connection rejected:', error.message);
+
+      // Rejected by the server (not a network error) - usually an expired
+      // access token. Refresh once and reconnect, otherwise log out.
+      if (socket.active) return;
+      const freshToken = retriedWithFreshToken ? null : await useAuthStore.getState().refreshSession();
+      if (freshToken) {
+        retriedWithFreshToken = true;
+        socket.connect();
+      } else {
+        useAuthStore.getState().logout();
+      }
+    });
+
+    // This device was signed out (from another device, by an admin, or the
+    // account was deactivated). The server disconnects us right after.
+    socket.on('session:revoked', (data) => {
+      const message = data.reason === 'deactivated'
+        ? 'Your account has been deactivated.'
+        : 'You have been signed out of this device.';
+      Alert.alert('🔒 Signed Out', message, [{ text: 'OK' }]);
+      useAuthStore.getState().logout();
+    });
+
     // Receive vehicle location updates
     socket.on('vehicle:location', (data) => {
       updateVehicle(data);
@@ -92,6 +132,9 @@ export function useSocket() {
       markOffline(data.vehicleId);
     });
 
+    // The server sends these to our private user:<id> room only, which the
+    // socket joins automatically because it connects with our token.
+
     // Listen for user verification (driver approved/rejected)
     socket.on('user:verified', (data) => {
       const currentUserId = user?.id || user?._id;
@@ -116,10 +159,56 @@ export function useSocket() {
       }
     });
 
-    // Listen for geofence alerts (entry/exit notifications)
+    // Our license or OR/CR expired - the server ignores our GPS updates
+    // until renewed documents are approved
+    socket.on('tracking:suspended', (data) => {
+      Alert.alert(
+        '⛔ Tracking Suspended',
+        data.message,
+        [{ text: 'OK', onPress: () => refreshUser && refreshUser() }]
+      );
+    });
+
+    // Someone saw our SOS alert and is responding
+    socket.on('sos:acknowledged', (data) => {
+      Vibration.vibrate([0, 200, 100, 200]);
+      Alert.alert('👀 Help Is Coming', data.message, [{ text: 'OK' }]);
+    });
+
+    // A dispatcher sent us (the nearest vehicle) to someone's SOS
+    socket.on('sos:dispatch', (data) => {
+      const { latitude, longitude } = data.location;
+      const km = (data.distanceMeters / 1000).toFixed(1);
+      Vibration.vibrate([0, 500, 200, 500, 200, 500]);
+      Alert.alert(
+        '🚨 Go to SOS',
+        `${data.senderName} needs help ${km} km from you.${data.message ? `\n"${data.message}"` : ''}`
+          + `\nSent by ${data.dispatchedBy}.`,
+        [
+          { text: 'Later', style: 'cancel' },
+          {
+            text: 'Navigate',
+            onPress: () => Linking.openURL(
+              `https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}&travelmode=driving`
+            ),
+          },
+        ]
+      );
+    });
+
+    // Our SOS alert was closed by an administrator
+    socket.on('sos:resolved', (data) => {
+      Alert.alert('✅ SOS Resolved', data.message, [{ text: 'OK' }]);
+    });
+
+    // Listen for geofence alerts for our vehicle (entry/exit/dwell notifications)
     socket.on('geofence:alert', (data) => {
       // Only show to drivers
-      if (user?.role === 'driver') {
+      if (user?.role === 'driver' && data.eventType === 'dwell') {
+        // Overstay warning - the vehicle is still inside, so the store is unchanged
+        Vibration.vibrate([0, 300, 100, 300]);
+        Alert.alert(`⏱️ Long stop at ${data.geofence?.name || 'Zone'}`, data.message, [{ text: 'OK' }]);
+      } else if (user?.role === 'driver') {
         const isEntry = data.eventType === 'entry';
         const icon = isEntry ? '📍' : '🚗';
         const action = isEntry ? 'Arrived at' : 'Left';
@@ -145,10 +234,21 @@ export function useSocket() {
       }
     });
 
+    // A vehicle is about to reach a stop we subscribed to (sent only to us)
+    socket.on('stop:approaching', (data) => {
+      Vibration.vibrate([0, 300, 150, 300]);
+      Alert.alert(`🚏 ${data.stop?.name || 'Your stop'}`, data.message, [{ text: 'OK' }]);
+    });
+
+    // A new entry in our notification inbox (alerts above are saved there too)
+    socket.on('notification:new', (data) => {
+      useNotificationStore.getState().addNotification(data);
+    });
+
     socket.on('error', (error) => {
       console.error('Socket error:', error);
     });
-  }, [user, updateVehicle, markOffline, refreshUser]);
+  }, [user, token, updateVehicle, markOffline, refreshUser]);
 
   const disconnect = useCallback(() => {
     if (socketRef.current) {
@@ -177,7 +277,6 @@ export function useSocket() {
 
     socketRef.current.emit('vehicle:update', {
       vehicleId,
-      driverId: user?._id,
       location: {
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
@@ -191,35 +290,41 @@ export function useSocket() {
 
   /**
    * MENTOR NOTE: Send SOS alert
-   * Triggered when user presses the emergency button
-   * If offline, buffers the SOS for priority sync when back online
+   * Triggered when user presses the emergency button.
+   * Without a data connection it is buffered for priority sync when back
+   * online AND texted to the SMS gateway number, so help doesn't wait for
+   * the network. Both carry the same clientId, so the server raises it once.
+   *
+   * @returns {Promise<'sent'|'sms'|'buffered'>}
    */
-  const sendSOS = useCallback((location, message, vehicleId) => {
+  const sendSOS = useCallback(async (location, message, vehicleId) => {
     const sosData = {
-      senderId: user?._id,
-      senderName: user?.name,
-      senderRole: user?.role,
-      vehicleId,
-      location: {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
-        speed: location.coords.speed || 0,
-        heading: location.coords.heading || 0,
-        timestamp: new Date(),
-      },
+      clientId: createSOSClientId(),
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      speed: location.coords.speed || 0,
+      heading: location.coords.heading || 0,
+      accuracy: location.coords.accuracy,
       message,
+      vehicleId,
+      timestamp: new Date().toISOString(),
     };
 
-    // If offline, buffer the SOS for priority sync
-    if (!socketRef.current?.connected) {
-      console.warn('Socket not connected - buffering SOS for priority sync');
-      bufferSOS(sosData);
-      return 'buffered';
+    if (isOnline) {
+      try {
+        await axios.post(`${API_URL}/sos/send`, sosData, { timeout: 15000 });
+        return 'sent';
+      } catch (error) {
+        // The server answered (e.g. 400) - the network is fine, let the caller show it
+        if (error.response) throw error;
+        console.warn('SOS request failed without a response - falling back');
+      }
     }
 
-    socketRef.current.emit('sos:send', sosData);
-    return true;
-  }, [user, bufferSOS]);
+    await bufferSOS(sosData);
+    const texted = await openSOSSms(composeSOSSms({ ...sosData, userId: user?.id || user?._id }));
+    return texted ? 'sms' : 'buffered';
+  }, [user, isOnline, bufferSOS]);
 
   useEffect(() => {
     return () => {
@@ -16,7 +16,7 @@ import {
   RefreshControl,
   Dimensions,
 } from 'react-native';
-import MapView, { Marker, Circle, Polyline } from 'react-native-maps';
+import MapView, { Marker, Circle, Polygon, Polyline } from 'react-native-maps';
 import { useAuthStore } from '../store/authStore';
 import { useGeofenceStore } from '../store/geofenceStore';
 import { useRouteStore } from '../store/routeStore';
@@ -24,6 +24,7 @@ import { useLocation } from '../hooks/useLocation';
 import { useSocket } from '../hooks/useSocket';
 import OfflineMapManager from '../components/OfflineMapManager';
 import RouteSelector from '../components/RouteSelector';
+import NotificationBell from '../components/NotificationBell';
 import axios from 'axios';
 import { API_URL } from '../config/api';
 import { driverHomeStyles as styles } from './styles/driverHomeStyles';
@@ -32,7 +33,7 @@ import { colors } from '../styles';
 const { width } = Dimensions.get('window');
 
 export default function DriverHomeScreen({ navigation }) {
-  const { user, token, logout, refreshUser } = useAuthStore();
+  const { user, token, logout, refreshUser, joinCompany } = useAuthStore();
   const { insideGeofences, recentEvents, geofences, setGeofences } = useGeofenceStore();
   const { 
     startTerminal, 
@@ -51,6 +52,8 @@ export default function DriverHomeScreen({ navigation }) {
   const [showFullMap, setShowFullMap] = useState(false);
   const [routeName, setRouteName] = useState('');
   const [isSavingRoute, setIsSavingRoute] = useState(false);
+  const [inviteCode, setInviteCode] = useState('');
+  const [isJoiningCompany, setIsJoiningCompany] = useState(false);
   const { location, startTracking, stopTracking, hasPermission, isBackgroundTracking, trackingStats = { totalDistance: 0, duration: 0, updateCount: 0 } } = useLocation(
     vehicle?._id,
     false // Don't auto-start, we control it manually
@@ -121,6 +124,14 @@ export default function DriverHomeScreen({ navigation }) {
     fetchVehicle();
   }, [user, token]);
 
+  const handleJoinCompany = async () => {
+    setIsJoiningCompany(true);
+    const result = await joinCompany(inviteCode.trim().toUpperCase());
+    setIsJoiningCompany(false);
+    if (result.success) setInviteCode('');
+    Alert.alert(result.success ? 'Joined Company' : 'Could Not Join', result.message);
+  };
+
   const handleSaveRoute = async () => {
     if (!vehicle) return;
     setIsSavingRoute(true);
@@ -162,10 +173,22 @@ export default function DriverHomeScreen({ navigation }) {
     connect();
   }, [connect]);
 
+  // Set by the server when the license or OR/CR expired
+  const suspension = user?.trackingSuspended || vehicle?.trackingSuspended;
+
+  // Stop sending updates the server would ignore
+  useEffect(() => {
+    if (suspension && isTracking) {
+      stopTracking();
+      setIsTracking(false);
+    }
+  }, [suspension, isTracking, stopTracking]);
+
   const canStartTracking = () => {
     if (user?.verificationStatus !== 'approved') return false;
     if (!vehicle) return false;
     if (vehicle.verificationStatus !== 'approved') return false;
+    if (suspension) return false;
     if (!hasPermission) return false;
     return true;
   };
@@ -179,6 +202,10 @@ export default function DriverHomeScreen({ navigation }) {
       Alert.alert('Pending Verification', 'Your vehicle is not yet verified');
       return;
     }
+    if (suspension && !isTracking) {
+      Alert.alert('Tracking Suspended', suspension.message);
+      return;
+    }
     if (!hasPermission) {
       Alert.alert('Permission Required', 'Location permission is needed for tracking');
       return;
@@ -274,6 +301,7 @@ export default function DriverHomeScreen({ navigation }) {
               <Text style={{ color: '#374151', fontSize: 13 }}>Refresh</Text>
             </TouchableOpacity>
           )}
+          <NotificationBell />
           <TouchableOpacity onPress={logout} style={styles.logoutButton}>
             <Text style={styles.logoutText}>Logout</Text>
           </TouchableOpacity>
@@ -304,20 +332,49 @@ export default function DriverHomeScreen({ navigation }) {
                   lineDashPattern={[0]}
                 />
               )}
-              {/* Geofence circles */}
-              {geofences.map((geofence) => (
-                <Circle
-                  key={geofence._id || geofence.id}
-                  center={{
-                    latitude: geofence.center.latitude,
-                    longitude: geofence.center.longitude,
-                  }}
-                  radius={geofence.radius}
-                  fillColor={`${geofence.color || '#3B82F6'}30`}
-                  strokeColor={geofence.color || '#3B82F6'}
-                  strokeWidth={2}
-                />
-              ))}
+              {/* Geofence shapes (circle, polygon or corridor) */}
+              {geofences.map((geofence) => {
+                const key = geofence._id || geofence.id;
+                const color = geofence.color || '#3B82F6';
+
+                if (geofence.shape === 'polygon') {
+                  return (
+                    <Polygon
+                      key={key}
+                      coordinates={geofence.polygon}
+                      fillColor={`${color}30`}
+                      strokeColor={color}
+                      strokeWidth={2}
+                    />
+                  );
+                }
+
+                if (geofence.shape === 'corridor') {
+                  // Drawn as its centerline - the corridor width is enforced server-side
+                  return (
+                    <Polyline
+                      key={key}
+                      coordinates={geofence.path}
+                      strokeColor={`${color}80`}
+                      strokeWidth={8}
+                    />
+                  );
+                }
+
+                return (
+                  <Circle
+                    key={key}
+                    center={{
+                      latitude: geofence.center.latitude,
+                      longitude: geofence.center.longitude,
+                    }}
+                    radius={geofence.radius}
+                    fillColor={`${color}30`}
+                    strokeColor={color}
+                    strokeWidth={2}
+                  />
+                );
+              })}
               {/* Geofence markers */}
               {geofences.map((geofence) => (
                 <Marker
@@ -420,6 +477,9 @@ export default function DriverHomeScreen({ navigation }) {
           <View style={[styles.statusDot, { backgroundColor: getStatusColor(user?.verificationStatus) }]} />
           <Text style={styles.statusText}>{user?.verificationStatus?.toUpperCase()}</Text>
         </View>
+        {user?.verificationStatus === 'rejected' && user?.rejectionReason && (
+          <Text style={styles.statusHint}>Reason: {user.rejectionReason}</Text>
+        )}
       </View>
 
       {/* Vehicle Info */}
@@ -472,6 +532,9 @@ export default function DriverHomeScreen({ navigation }) {
             <View style={[styles.statusDot, { backgroundColor: getStatusColor(vehicle.verificationStatus) }]} />
             <Text style={styles.statusText}>Vehicle: {vehicle.verificationStatus?.toUpperCase()}</Text>
           </View>
+          {vehicle.verificationStatus === 'rejected' && vehicle.rejectionReason && (
+            <Text style={styles.statusHint}>Reason: {vehicle.rejectionReason}</Text>
+          )}
         </View>
       ) : (
         <View style={styles.vehicleCard}>
@@ -484,6 +547,34 @@ export default function DriverHomeScreen({ navigation }) {
         </View>
       )}
 
+      {/* Company */}
+      <View style={styles.vehicleCard}>
+        <Text style={styles.cardTitle}>Company</Text>
+        {user?.companyId ? (
+          <Text style={styles.vehicleType}>🏢 {user.companyId.companyName || 'Company fleet'}</Text>
+        ) : (
+          <>
+            <Text style={styles.statusHint}>Drive for a company? Enter the invite code they gave you.</Text>
+            <TextInput
+              style={styles.routeInput}
+              placeholder="Invite code"
+              value={inviteCode}
+              onChangeText={setInviteCode}
+              autoCapitalize="characters"
+            />
+            <TouchableOpacity
+              style={styles.registerVehicleButton}
+              onPress={handleJoinCompany}
+              disabled={isJoiningCompany || !inviteCode.trim()}
+            >
+              <Text style={styles.registerVehicleText}>
+                {isJoiningCompany ? 'Joining...' : 'Join Company'}
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+
       {/* GPS Tracking */}
       <View style={styles.trackingCard}>
         <Text style={styles.cardTitle}>GPS Tracking</Text>
@@ -500,6 +591,9 @@ export default function DriverHomeScreen({ navigation }) {
             {vehicle && vehicle.verificationStatus !== 'approved' && (
               <Text style={styles.requirementItem}>❌ Vehicle must be approved</Text>
             )}
+            {suspension && (
+              <Text style={styles.requirementItem}>❌ {suspension.message}</Text>
+            )}
           </View>
         )}
 
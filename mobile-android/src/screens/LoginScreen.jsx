@@ -5,6 +5,7 @@
  * 
  * MENTOR NOTE: Entry point for existing users.
  * Supports both driver and student login.
+ * "Forgot password?" emails a reset link to the address typed above.
  */
 
 import { useState } from 'react';
@@ -25,7 +26,7 @@ export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
-  const { login, isLoading, error, clearError } = useAuthStore();
+  const { login, forgotPassword, isLoading, error, clearError } = useAuthStore();
 
   const handleLogin = async () => {
     if (!email || !password) {
@@ -45,6 +46,16 @@ export default function LoginScreen({ navigation }) {
     }
   };
 
+  const handleForgotPassword = async () => {
+    if (!email) {
+      Alert.alert('Forgot Password', 'Enter your email above, then tap "Forgot password?" again.');
+      return;
+    }
+
+    const result = await forgotPassword(email);
+    Alert.alert(result.success ? '📧 Check Your Email' : 'Error', result.message);
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -86,6 +97,10 @@ export default function LoginScreen({ navigation }) {
             </TouchableOpacity>
           </View>
 
+          <TouchableOpacity style={styles.forgotButton} onPress={handleForgotPassword}>
+            <Text style={styles.forgotText}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.button, isLoading && styles.buttonDisabled]}
             onPress={handleLogin}
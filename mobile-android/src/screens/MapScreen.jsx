@@ -11,7 +11,9 @@
  * - Smooth marker animations
  * - Vehicle details on tap
  * - Filter by vehicle type
- * - SOS emergency button
+ * - Next arrival at each stop for vehicles on scheduled routes
+ * - Subscribe to a stop to be alerted when a vehicle is close
+ * - SOS emergency button, plus emergency contacts texted when it's used
  */
 
 import { useEffect, useState, useRef, useMemo } from 'react';
@@ -24,18 +26,21 @@ import {
   Alert,
   TextInput,
   ActivityIndicator,
+  ScrollView,
 } from 'react-native';
 import MapView, { Marker } from 'react-native-maps';
-import axios from 'axios';
 import { useSocket } from '../hooks/useSocket';
 import { useLocation } from '../hooks/useLocation';
 import { useVehicleStore } from '../store/vehicleStore';
 import { useAuthStore } from '../store/authStore';
-import { getVehicleETA } from '../utils/eta';
+import { useSubscriptionStore } from '../store/subscriptionStore';
+import { getVehicleETA, getNextArrivals, formatETA } from '../utils/eta';
 import { API_URL } from '../config/api';
 import { mapStyles as styles } from './styles/mapStyles';
 import { colors } from '../styles';
 import OfflineMapManager from '../components/OfflineMapManager';
+import NotificationBell from '../components/NotificationBell';
+import EmergencyContacts from '../components/EmergencyContacts';
 
 // Vehicle type icons and colors
 const VEHICLE_CONFIG = {
@@ -62,19 +67,42 @@ export default function MapScreen() {
   const [showMenu, setShowMenu] = useState(false);
   const [showSOSModal, setShowSOSModal] = useState(false);
   const [showOfflineMapManager, setShowOfflineMapManager] = useState(false);
+  const [showEmergencyContacts, setShowEmergencyContacts] = useState(false);
+  const [showStops, setShowStops] = useState(false);
   const [sosReason, setSOSReason] = useState('');
   const [isSendingSOS, setIsSendingSOS] = useState(false);
   const { token } = useAuthStore();
-
-  // Calculate ETA when a vehicle is selected
+  const {
+    notificationSettings,
+    fetchSubscriptions,
+    subscribe,
+    updateSubscription,
+    unsubscribe,
+    updateQuietHours,
+    findSubscription,
+  } = useSubscriptionStore();
+
+  // The selection is a snapshot; follow the live updates for its ETAs
+  const liveSelectedVehicle = selectedVehicle
+    ? vehicles.get(selectedVehicle.vehicleId) || selectedVehicle
+    : null;
+
+  // Calculate ETA when a vehicle is selected. Vehicles on a scheduled route
+  // come with per-stop ETAs from the server, which are far more accurate.
   const etaInfo = useMemo(() => {
-    if (!selectedVehicle || !location) return null;
+    if (!liveSelectedVehicle || !location || liveSelectedVehicle.eta) return null;
     
     return getVehicleETA(
       { latitude: location.coords.latitude, longitude: location.coords.longitude },
-      selectedVehicle.location
+      liveSelectedVehicle.location
     );
-  }, [selectedVehicle, location]);
+  }, [liveSelectedVehicle, location]);
+
+  // Next vehicle to each stop, e.g. "next bus to Main Gate in 7 min"
+  const nextArrivals = useMemo(
+    () => getNextArrivals(Array.from(vehicles.values())),
+    [vehicles]
+  );
 
   // Connect to Socket.io and get location on mount
   useEffect(() => {
@@ -97,6 +125,43 @@ export default function MapScreen() {
     init();
   }, [connect, getCurrentLocation]);
 
+  // Load stop subscriptions
+  useEffect(() => {
+    if (token) fetchSubscriptions();
+  }, [token, fetchSubscriptions]);
+
+  // Bell on a stop: subscribe, or change/cancel an existing subscription
+  const handleStopBell = async (arrival) => {
+    const routeId = arrival.vehicle.eta?.routeId;
+    const existing = findSubscription(arrival.geofenceId, routeId);
+
+    try {
+      if (!existing) {
+        await subscribe(arrival.geofenceId, { routeId });
+        Alert.alert('🔔 Subscribed', `We'll tell you when a vehicle is 5 min from ${arrival.name}.`);
+        return;
+      }
+
+      Alert.alert(`🔔 ${arrival.name}`, 'Notify me when a vehicle is...', [
+        { text: '5 min away', onPress: () => updateSubscription(existing._id, { minutesBefore: 5 }) },
+        { text: '10 min away', onPress: () => updateSubscription(existing._id, { minutesBefore: 10 }) },
+        { text: 'Unsubscribe', style: 'destructive', onPress: () => unsubscribe(existing._id) },
+        { text: 'Cancel', style: 'cancel' },
+      ]);
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to update subscription');
+    }
+  };
+
+  const quietHours = notificationSettings?.quietHours;
+  const toggleQuietHours = async () => {
+    try {
+      await updateQuietHours({ enabled: !quietHours?.enabled });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update quiet hours');
+    }
+  };
+
   // Get filtered vehicles
   const filteredVehicles = Array.from(vehicles.values()).filter((v) => {
     if (activeFilter && v.type !== activeFilter) return false;
@@ -123,25 +188,26 @@ export default function MapScreen() {
 
     setIsSendingSOS(true);
     try {
-      await axios.post(
-        `${API_URL}/sos/send`,
-        {
-          latitude: currentLocation.coords.latitude,
-          longitude: currentLocation.coords.longitude,
-          speed: 0,
-          heading: 0,
-          message: sosReason.trim(),
-        },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      const result = await sendSOS(currentLocation, sosReason.trim());
       
       setShowSOSModal(false);
       setSOSReason('');
-      Alert.alert(
-        '✅ SOS Sent',
-        'Your emergency alert has been sent to administrators. Help is on the way. Stay calm and stay safe.',
-        [{ text: 'OK' }]
-      );
+      if (result === 'sent') {
+        Alert.alert(
+          '✅ SOS Sent',
+          'Your emergency alert has been sent to administrators and your emergency contacts. Help is on the way. Stay calm and stay safe.',
+          [{ text: 'OK' }]
+        );
+      } else {
+        Alert.alert(
+          '📵 No Internet Connection',
+          (result === 'sms'
+            ? 'Press send in your messages app to text your SOS and location. '
+            : 'Your SOS could not be texted either. Please call emergency services. ')
+            + 'It will also be sent automatically as soon as you are back online.',
+          [{ text: 'OK' }]
+        );
+      }
     } catch (error) {
       Alert.alert('Error', 'Failed to send SOS. Please try again or call emergency services.');
     } finally {
@@ -221,6 +287,7 @@ export default function MapScreen() {
         <Text style={styles.headerTitle}>
           {filteredVehicles.length} vehicles nearby
         </Text>
+        <NotificationBell style={{ marginRight: 8 }} />
         <TouchableOpacity
           style={styles.filterButton}
           onPress={() => setShowFilters(!showFilters)}
@@ -238,6 +305,12 @@ export default function MapScreen() {
             <Text style={styles.userName}>👤 {user?.name}</Text>
             <Text style={styles.userEmail}>{user?.email}</Text>
           </View>
+          <TouchableOpacity
+            style={styles.logoutButton}
+            onPress={() => { setShowMenu(false); setShowEmergencyContacts(true); }}
+          >
+            <Text style={styles.menuItemText}>📇 Emergency contacts</Text>
+          </TouchableOpacity>
           <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
             <Text style={styles.logoutText}>🚪 Logout</Text>
           </TouchableOpacity>
@@ -281,6 +354,16 @@ export default function MapScreen() {
         <Text style={styles.centerButtonText}>📦</Text>
       </TouchableOpacity>
 
+      {/* Stops / next arrivals button */}
+      {nextArrivals.length > 0 && (
+        <TouchableOpacity
+          style={[styles.centerButton, { bottom: 240 }]}
+          onPress={() => setShowStops(true)}
+        >
+          <Text style={styles.centerButtonText}>🚏</Text>
+        </TouchableOpacity>
+      )}
+
       {/* SOS Button */}
       <TouchableOpacity style={styles.sosButton} onPress={handleSOSPress}>
         <Text style={styles.sosButtonText}>🚨 SOS</Text>
@@ -348,6 +431,69 @@ export default function MapScreen() {
         </View>
       </Modal>
 
+      {/* Next Arrivals Modal */}
+      <Modal
+        visible={showStops}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowStops(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <TouchableOpacity style={styles.modalClose} onPress={() => setShowStops(false)}>
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+
+            <Text style={styles.stopsTitle}>🚏 Next Arrivals</Text>
+
+            <ScrollView>
+              {nextArrivals.map((arrival) => (
+                <TouchableOpacity
+                  key={arrival.geofenceId}
+                  style={styles.stopRow}
+                  onPress={() => {
+                    setShowStops(false);
+                    selectVehicle(arrival.vehicle);
+                  }}
+                >
+                  <View style={styles.stopRowInfo}>
+                    <Text style={styles.stopName}>{arrival.name}</Text>
+                    <Text style={styles.stopVehicle}>
+                      {VEHICLE_CONFIG[arrival.vehicle.type]?.icon} {arrival.vehicle.vehicleNumber}
+                      {arrival.routeName ? ` • ${arrival.routeName}` : ''}
+                      {arrival.count > 1 ? ` (+${arrival.count - 1} more)` : ''}
+                    </Text>
+                  </View>
+                  <Text style={styles.stopEta}>
+                    {arrival.formatted}{arrival.isEstimate ? '*' : ''}
+                  </Text>
+                  <TouchableOpacity style={styles.stopBell} onPress={() => handleStopBell(arrival)}>
+                    <Text style={styles.stopBellText}>
+                      {findSubscription(arrival.geofenceId, arrival.vehicle.eta?.routeId) ? '🔔' : '🔕'}
+                    </Text>
+                  </TouchableOpacity>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            {nextArrivals.some((arrival) => arrival.isEstimate) && (
+              <Text style={styles.etaNote}>
+                * Not enough travel history yet, based on average traffic speed
+              </Text>
+            )}
+
+            {quietHours && (
+              <TouchableOpacity style={styles.quietHoursRow} onPress={toggleQuietHours}>
+                <Text style={styles.quietHoursText}>
+                  🌙 No alerts {quietHours.start} - {quietHours.end}
+                </Text>
+                <Text style={styles.quietHoursToggle}>{quietHours.enabled ? 'On' : 'Off'}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </Modal>
+
       {/* Vehicle Details Modal */}
       <Modal
         visible={!!selectedVehicle}
@@ -425,6 +571,24 @@ export default function MapScreen() {
                     </Text>
                   </View>
 
+                  {/* Route ETAs (vehicles on a scheduled route) */}
+                  {liveSelectedVehicle?.eta && (
+                    <View style={styles.etaContainer}>
+                      <Text style={styles.etaLabel}>Next stops</Text>
+                      {liveSelectedVehicle.eta.stops.slice(0, 4).map((stop) => (
+                        <View key={stop.index} style={styles.stopEtaRow}>
+                          <Text style={styles.stopEtaName}>🚏 {stop.name}</Text>
+                          <Text style={styles.stopEtaTime}>{formatETA(stop.minutes)}</Text>
+                        </View>
+                      ))}
+                      {liveSelectedVehicle.eta.isEstimate && (
+                        <Text style={styles.etaNote}>
+                          * Partly based on average traffic speed
+                        </Text>
+                      )}
+                    </View>
+                  )}
+
                   {/* ETA Display */}
                   {etaInfo && (
                     <View style={styles.etaContainer}>
@@ -467,6 +631,11 @@ export default function MapScreen() {
         onClose={() => setShowOfflineMapManager(false)}
         currentLocation={location}
       />
+
+      <EmergencyContacts
+        visible={showEmergencyContacts}
+        onClose={() => setShowEmergencyContacts(false)}
+      />
     </View>
   );
 }
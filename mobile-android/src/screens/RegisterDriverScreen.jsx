@@ -27,6 +27,7 @@ import {
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import { useAuthStore } from '../store/authStore';
+import { validateExpiryDate } from '../utils/documentExpiry';
 import { registerDriverStyles as styles } from './styles/registerDriverStyles';
 
 const VEHICLE_TYPES = [
@@ -50,6 +51,7 @@ export default function RegisterDriverScreen({ navigation }) {
     phone: '',
     password: '',
     confirmPassword: '',
+    inviteCode: '', // Optional: from the company the driver works for
   });
   const [documents, setDocuments] = useState({
     licenseFront: null,
@@ -61,7 +63,9 @@ export default function RegisterDriverScreen({ navigation }) {
     licensePlate: '',
     type: '',
     routeName: '',
+    registrationExpiresAt: '', // OR/CR expiry, YYYY-MM-DD
   });
+  const [licenseExpiresAt, setLicenseExpiresAt] = useState(''); // YYYY-MM-DD
   const [vehicleDocuments, setVehicleDocuments] = useState({
     vehiclePhoto: null,
     licensePlatePhoto: null,
@@ -145,6 +149,11 @@ export default function RegisterDriverScreen({ navigation }) {
       Alert.alert('Error', 'Please upload all required documents');
       return false;
     }
+    const expiryError = validateExpiryDate(licenseExpiresAt, 'License');
+    if (expiryError) {
+      Alert.alert('Error', expiryError);
+      return false;
+    }
     return true;
   };
 
@@ -158,6 +167,11 @@ export default function RegisterDriverScreen({ navigation }) {
       Alert.alert('Error', 'Please upload all vehicle documents including OR/CR (ownership proof)');
       return false;
     }
+    const expiryError = validateExpiryDate(vehicleData.registrationExpiresAt, 'OR/CR');
+    if (expiryError) {
+      Alert.alert('Error', expiryError);
+      return false;
+    }
     return true;
   };
 
@@ -196,6 +210,10 @@ export default function RegisterDriverScreen({ navigation }) {
     data.append('email', formData.email);
     data.append('phone', formData.phone);
     data.append('password', formData.password);
+    data.append('licenseExpiresAt', licenseExpiresAt.trim());
+    if (formData.inviteCode.trim()) {
+      data.append('inviteCode', formData.inviteCode.trim().toUpperCase());
+    }
 
     // Driver documents
     data.append('licenseFront', {
@@ -218,6 +236,7 @@ export default function RegisterDriverScreen({ navigation }) {
     data.append('vehicleLicensePlate', vehicleData.licensePlate.toUpperCase());
     data.append('vehicleType', vehicleData.type);
     data.append('vehicleRouteName', vehicleData.routeName);
+    data.append('vehicleRegistrationExpiresAt', vehicleData.registrationExpiresAt.trim());
 
     // Vehicle documents
     data.append('vehiclePhoto', {
@@ -236,12 +255,15 @@ export default function RegisterDriverScreen({ navigation }) {
       name: 'or_cr.jpg',
     });
 
-    const success = await registerDriver(data);
+    const result = await registerDriver(data);
 
-    if (success) {
+    if (result) {
       Alert.alert(
         'Registration Successful',
-        'Your account and vehicle are pending verification. You will be notified once approved.',
+        'Your account and vehicle are pending verification. You will be notified once approved.' +
+          (result.inviteError
+            ? `\n\nThe company invite code was not accepted (${result.inviteError}). You can enter a new code from the home screen.`
+            : ''),
         [{ text: 'OK' }]
       );
     } else if (error) {
@@ -380,6 +402,14 @@ export default function RegisterDriverScreen({ navigation }) {
               </TouchableOpacity>
             </View>
 
+            <TextInput
+              style={styles.input}
+              placeholder="Company Invite Code (optional)"
+              value={formData.inviteCode}
+              onChangeText={(text) => setFormData({ ...formData, inviteCode: text })}
+              autoCapitalize="characters"
+            />
+
             <TouchableOpacity style={styles.button} onPress={handleNext}>
               <Text style={styles.buttonText}>Next →</Text>
             </TouchableOpacity>
@@ -412,6 +442,16 @@ export default function RegisterDriverScreen({ navigation }) {
               document={documents.selfie}
             />
 
+            <Text style={styles.inputLabel}>License Expiry Date *</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="YYYY-MM-DD"
+              value={licenseExpiresAt}
+              onChangeText={setLicenseExpiresAt}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+            />
+
             <View style={styles.buttonRow}>
               <TouchableOpacity
                 style={[styles.button, styles.buttonSecondary]}
@@ -503,6 +543,16 @@ export default function RegisterDriverScreen({ navigation }) {
               📋 OR/CR = Official Receipt / Certificate of Registration. This proves you own the vehicle.
             </Text>
 
+            <Text style={styles.inputLabel}>OR/CR Registration Expiry *</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="YYYY-MM-DD"
+              value={vehicleData.registrationExpiresAt}
+              onChangeText={(text) => setVehicleData({ ...vehicleData, registrationExpiresAt: text })}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+            />
+
             <View style={styles.buttonRow}>
               <TouchableOpacity
                 style={[styles.button, styles.buttonSecondary]}
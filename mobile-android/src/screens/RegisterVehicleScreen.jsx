@@ -22,6 +22,7 @@ import * as ImagePicker from 'expo-image-picker';
 import axios from 'axios';
 import { API_URL } from '../config/api';
 import { useAuthStore } from '../store/authStore';
+import { validateExpiryDate } from '../utils/documentExpiry';
 import { registerVehicleStyles as styles } from './styles/registerVehicleStyles';
 
 const VEHICLE_TYPES = [
@@ -39,6 +40,7 @@ export default function RegisterVehicleScreen({ navigation }) {
     licensePlate: '',
     type: '',
     routeName: '',
+    registrationExpiresAt: '', // OR/CR expiry, YYYY-MM-DD (optional)
   });
   const [photos, setPhotos] = useState({
     vehiclePhoto: null,
@@ -97,6 +99,14 @@ export default function RegisterVehicleScreen({ navigation }) {
       return;
     }
 
+    const expiryError = formData.registrationExpiresAt.trim()
+      ? validateExpiryDate(formData.registrationExpiresAt, 'OR/CR')
+      : null;
+    if (expiryError) {
+      Alert.alert('Error', expiryError);
+      return;
+    }
+
     setIsLoading(true);
 
     try {
@@ -104,6 +114,7 @@ export default function RegisterVehicleScreen({ navigation }) {
       data.append('licensePlate', formData.licensePlate);
       data.append('type', formData.type);
       data.append('routeName', formData.routeName);
+      data.append('registrationExpiresAt', formData.registrationExpiresAt.trim());
 
       data.append('vehiclePhoto', {
         uri: photos.vehiclePhoto.uri,
@@ -201,6 +212,16 @@ export default function RegisterVehicleScreen({ navigation }) {
             onChangeText={(text) => setFormData({ ...formData, routeName: text })}
           />
 
+          <Text style={styles.label}>OR/CR Registration Expiry (Optional)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="YYYY-MM-DD"
+            value={formData.registrationExpiresAt}
+            onChangeText={(text) => setFormData({ ...formData, registrationExpiresAt: text })}
+            keyboardType="numbers-and-punctuation"
+            maxLength={10}
+          />
+
           {/* Photos */}
           <PhotoUpload
             label="Vehicle Photo"
@@ -73,6 +73,14 @@ export const loginStyles = StyleSheet.create({
   eyeIcon: {
     fontSize: 20,
   },
+  forgotButton: {
+    alignSelf: 'flex-end',
+    marginBottom: spacing.lg,
+  },
+  forgotText: {
+    color: colors.primary,
+    fontSize: fontSize.sm,
+  },
   button: {
     backgroundColor: colors.primary,
     borderRadius: borderRadius.md,
@@ -86,6 +86,11 @@ export const mapStyles = StyleSheet.create({
     color: colors.danger,
     fontWeight: '500',
   },
+  menuItemText: {
+    fontSize: fontSize.md,
+    color: colors.textPrimary,
+    fontWeight: '500',
+  },
 
   // Filter
   filterButton: {
@@ -353,6 +358,22 @@ export const mapStyles = StyleSheet.create({
     marginTop: spacing.sm,
     fontStyle: 'italic',
   },
+  stopEtaRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  stopEtaName: {
+    fontSize: fontSize.md,
+    color: colors.textPrimary,
+    flex: 1,
+  },
+  stopEtaTime: {
+    fontSize: fontSize.md,
+    fontWeight: 'bold',
+    color: colors.success,
+  },
   etaUnavailable: {
     backgroundColor: colors.gray[100],
     borderRadius: borderRadius.md,
@@ -365,6 +386,63 @@ export const mapStyles = StyleSheet.create({
     color: colors.textSecondary,
   },
 
+  // Next arrivals modal
+  stopsTitle: {
+    fontSize: fontSize.xl,
+    fontWeight: 'bold',
+    color: colors.textPrimary,
+    marginBottom: spacing.md,
+  },
+  stopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.gray[100],
+  },
+  stopRowInfo: {
+    flex: 1,
+  },
+  stopName: {
+    fontSize: fontSize.md,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  stopVehicle: {
+    fontSize: fontSize.sm,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  stopEta: {
+    fontSize: fontSize.lg,
+    fontWeight: 'bold',
+    color: colors.success,
+  },
+  stopBell: {
+    paddingLeft: spacing.md,
+  },
+  stopBellText: {
+    fontSize: 22,
+  },
+  quietHoursRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: spacing.lg,
+    padding: spacing.md,
+    backgroundColor: colors.gray[100],
+    borderRadius: borderRadius.md,
+  },
+  quietHoursText: {
+    fontSize: fontSize.md,
+    color: colors.textPrimary,
+  },
+  quietHoursToggle: {
+    fontSize: fontSize.md,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+
   // SOS Modal
   sosModalOverlay: {
     flex: 1,
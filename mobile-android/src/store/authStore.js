@@ -5,15 +5,39 @@
  * 
  * MENTOR NOTE: Zustand store for managing authentication state.
  * Handles login, logout, and token persistence.
+ *
+ * The access token expires after a few minutes. The refresh token swaps it
+ * for a new one (and is itself replaced each time); a 401 triggers one
+ * refresh and a retry of the request. If the session was signed out from
+ * another device or by an admin, the refresh fails and we log out.
  */
 
 import { create } from 'zustand';
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
 import { API_URL } from '../config/api';
 
-export const useAuthStore = create((set) => ({
+// Shown in "signed in devices" lists
+const DEVICE = {
+  name: Platform.constants?.Model || `${Platform.OS} phone`,
+  platform: Platform.OS,
+};
+
+// The old refresh token only works once, so concurrent refreshes share one request
+let refreshInFlight = null;
+
+// Persist the tokens and user from a login/registration response
+const saveSession = async ({ token, refreshToken, user }) => {
+  await AsyncStorage.setItem('token', token);
+  await AsyncStorage.setItem('refreshToken', refreshToken);
+  await AsyncStorage.setItem('user', JSON.stringify(user));
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+export const useAuthStore = create((set, get) => ({
   token: null,
+  refreshToken: null,
   user: null,
   isAuthenticated: false,
   isLoading: false,
@@ -23,12 +47,13 @@ export const useAuthStore = create((set) => ({
   initialize: async () => {
     try {
       const token = await AsyncStorage.getItem('token');
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
       const userStr = await AsyncStorage.getItem('user');
       
       if (token && userStr) {
         const user = JSON.parse(userStr);
         axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-        set({ token, user, isAuthenticated: true });
+        set({ token, refreshToken, user, isAuthenticated: true });
       }
     } catch (error) {
       console.error('Auth init error:', error);
@@ -44,19 +69,17 @@ export const useAuthStore = create((set) => ({
       const response = await axios.post(`${API_URL}/auth/login`, {
         email,
         password,
+        device: DEVICE,
       });
 
-      const { token, user } = response.data;
-
-      // Save to storage
-      await AsyncStorage.setItem('token', token);
-      await AsyncStorage.setItem('user', JSON.stringify(user));
+      const { token, refreshToken, user } = response.data;
 
-      // Set axios header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      // Save to storage and set axios header
+      await saveSession(response.data);
 
       set({
         token,
+        refreshToken,
         user,
         isAuthenticated: true,
         isLoading: false,
@@ -74,6 +97,7 @@ export const useAuthStore = create((set) => ({
   },
 
   // Register driver
+  // Returns the response (with `inviteError` if the invite code was rejected) or false
   registerDriver: async (formData) => {
     set({ isLoading: true, error: null });
     
@@ -86,20 +110,19 @@ export const useAuthStore = create((set) => ({
         }
       );
 
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
-      await AsyncStorage.setItem('token', token);
-      await AsyncStorage.setItem('user', JSON.stringify(user));
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      await saveSession(response.data);
 
       set({
         token,
+        refreshToken,
         user,
         isAuthenticated: true,
         isLoading: false,
       });
 
-      return true;
+      return response.data;
     } catch (error) {
       const message = error.response?.data?.error || 'Registration failed';
       set({ isLoading: false, error: message });
@@ -107,6 +130,27 @@ export const useAuthStore = create((set) => ({
     }
   },
 
+  // Join a company's fleet with an invite code
+  joinCompany: async (code) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/join-company`, { code });
+      await get().refreshUser();
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: error.response?.data?.error || 'Failed to join company' };
+    }
+  },
+
+  // Email a password reset link (the link opens the web app)
+  forgotPassword: async (email) => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/forgot-password`, { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: error.response?.data?.error || 'Failed to send the email' };
+    }
+  },
+
   // Register student
   registerStudent: async (data) => {
     set({ isLoading: true, error: null });
@@ -115,16 +159,16 @@ export const useAuthStore = create((set) => ({
       const response = await axios.post(`${API_URL}/auth/register`, {
         ...data,
         role: 'student',
+        device: DEVICE,
       });
 
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
-      await AsyncStorage.setItem('token', token);
-      await AsyncStorage.setItem('user', JSON.stringify(user));
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      await saveSession(response.data);
 
       set({
         token,
+        refreshToken,
         user,
         isAuthenticated: true,
         isLoading: false,
@@ -138,18 +182,55 @@ export const useAuthStore = create((set) => ({
     }
   },
 
-  // Logout
+  // Logout - ends this device's session on the server too (best effort,
+  // we're logged out locally even when offline)
   logout: async () => {
+    const { token } = get();
+
     await AsyncStorage.removeItem('token');
+    await AsyncStorage.removeItem('refreshToken');
     await AsyncStorage.removeItem('user');
     delete axios.defaults.headers.common['Authorization'];
     
     set({
       token: null,
+      refreshToken: null,
       user: null,
       isAuthenticated: false,
       error: null,
     });
+
+    if (token) {
+      axios.post(`${API_URL}/auth/logout`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      }).catch(() => {});
+    }
+  },
+
+  // Get a new access token with the refresh token
+  // Returns the token, or null if the session is gone
+  refreshSession: () => {
+    if (!refreshInFlight) {
+      refreshInFlight = (async () => {
+        const { refreshToken } = get();
+        if (!refreshToken) return null;
+        try {
+          const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+          const { token, refreshToken: nextRefreshToken } = response.data;
+          await AsyncStorage.setItem('token', token);
+          await AsyncStorage.setItem('refreshToken', nextRefreshToken);
+          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          set({ token, refreshToken: nextRefreshToken });
+          return token;
+        } catch (error) {
+          console.log('Session refresh failed:', error.response?.data?.error || error.message);
+          return null;
+        } finally {
+          refreshInFlight = null;
+        }
+      })();
+    }
+    return refreshInFlight;
   },
 
   // Refresh user data from server
@@ -166,22 +247,40 @@ export const useAuthStore = create((set) => ({
       await AsyncStorage.setItem('user', JSON.stringify(user));
       set({ user });
     } catch (error) {
+      // A 401 was already retried with a fresh token and logged out by the
+      // interceptor below
       console.error('Failed to refresh user:', error);
-      // If 401 (unauthorized), token is invalid - logout
-      if (error.response?.status === 401) {
-        console.log('Token expired or invalid, logging out...');
-        await AsyncStorage.removeItem('token');
-        await AsyncStorage.removeItem('user');
-        delete axios.defaults.headers.common['Authorization'];
-        set({
-          token: null,
-          user: null,
-          isAuthenticated: false,
-          error: null,
-        });
-      }
     }
   },
 
   clearError: () => set({ error: null }),
 }));
+
+// Handle expired access tokens: refresh once and retry, otherwise log out.
+// Screens pass their own Authorization header, so the retry replaces it.
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status !== 401 || !request) {
+      return Promise.reject(error);
+    }
+
+    if (!request._retried && !NO_REFRESH_URLS.some((url) => request.url?.includes(url))) {
+      request._retried = true;
+      const token = await useAuthStore.getState().refreshSession();
+      if (token) {
+        request.headers = { ...request.headers, Authorization: `Bearer ${token}` };
+        return axios(request);
+      }
+    }
+
+    if (useAuthStore.getState().isAuthenticated && !request.url?.includes('/auth/login')) {
+      console.log('Session expired or signed out, logging out...');
+      await useAuthStore.getState().logout();
+    }
+    return Promise.reject(error);
+  }
+);
@@ -0,0 +1,40 @@
+/**
+ * =============================================================================
+ * EMERGENCY CONTACT STORE
+ * =============================================================================
+ *
+ * MENTOR NOTE: People the server texts (with a map link) when this user
+ * sends an SOS. The list lives on the server and is saved as a whole.
+ *
+ * The auth header is set on axios defaults by the auth store.
+ */
+
+import { create } from 'zustand';
+import axios from 'axios';
+import { API_URL } from '../config/api';
+
+export const useEmergencyContactStore = create((set) => ({
+  contacts: [],
+  max: 5,
+  isLoading: false,
+
+  fetchContacts: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await axios.get(`${API_URL}/sos/contacts`);
+      set({ contacts: response.data.contacts, max: response.data.max });
+    } catch (error) {
+      console.error('Failed to load emergency contacts:', error);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  // contacts: [{ name, phone, relationship? }] - replaces the saved list.
+  // Throws with the server's message (invalid number...) so the form can show it.
+  saveContacts: async (contacts) => {
+    const response = await axios.put(`${API_URL}/sos/contacts`, { contacts });
+    set({ contacts: response.data.contacts });
+    return response.data.contacts;
+  },
+}));
@@ -0,0 +1,75 @@
+/**
+ * =============================================================================
+ * NOTIFICATION INBOX STORE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Everything the server wants us to see later (approvals,
+ * geofence alerts, "bus approaching", SOS updates) is saved in our inbox,
+ * so nothing is lost while the app is closed. useSocket adds new ones live
+ * from the `notification:new` event.
+ *
+ * The auth header is set on axios defaults by the auth store.
+ */
+
+import { create } from 'zustand';
+import axios from 'axios';
+import { API_URL } from '../config/api';
+
+export const useNotificationStore = create((set, get) => ({
+  notifications: [],
+  unreadCount: 0,
+  isLoading: false,
+
+  fetchNotifications: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await axios.get(`${API_URL}/notifications`);
+      set({
+        notifications: response.data.notifications,
+        unreadCount: response.data.unreadCount,
+      });
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  // From the socket - may already be in the list after a refetch
+  addNotification: (notification) => {
+    if (get().notifications.some((n) => n._id === notification._id)) return;
+    set((state) => ({
+      notifications: [notification, ...state.notifications].slice(0, 100),
+      unreadCount: state.unreadCount + (notification.readAt ? 0 : 1),
+    }));
+  },
+
+  markRead: async (notificationId) => {
+    try {
+      const response = await axios.put(`${API_URL}/notifications/${notificationId}/read`);
+      set((state) => ({
+        notifications: state.notifications.map((n) =>
+          n._id === notificationId ? response.data.notification : n
+        ),
+        unreadCount: response.data.unreadCount,
+      }));
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+  },
+
+  markAllRead: async () => {
+    try {
+      await axios.put(`${API_URL}/notifications/read-all`);
+      const readAt = new Date().toISOString();
+      set((state) => ({
+        notifications: state.notifications.map((n) => (n.readAt ? n : { ...n, readAt })),
+        unreadCount: 0,
+      }));
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  },
+
+  clear: () => set({ notifications: [], unreadCount: 0 }),
+}));
@@ -0,0 +1,79 @@
+/**
+ * =============================================================================
+ * STOP SUBSCRIPTION STORE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Stops the student wants to be told about ("bus is 5 min from
+ * Main Gate"). Subscriptions and quiet hours live on the server, which
+ * sends a `stop:approaching` socket event - the app doesn't need to be on
+ * the map screen for it to work.
+ *
+ * The auth header is set on axios defaults by the auth store.
+ */
+
+import { create } from 'zustand';
+import axios from 'axios';
+import { API_URL } from '../config/api';
+
+export const useSubscriptionStore = create((set, get) => ({
+  subscriptions: [],
+  notificationSettings: null,
+  isLoading: false,
+
+  // Load subscriptions and quiet hours
+  fetchSubscriptions: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await axios.get(`${API_URL}/subscriptions`);
+      set({
+        subscriptions: response.data.subscriptions,
+        notificationSettings: response.data.notificationSettings,
+      });
+    } catch (error) {
+      console.error('Failed to load subscriptions:', error);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  // Subscribe to a stop for a route (or { vehicleId }), default 5 min before
+  subscribe: async (geofenceId, { routeId, vehicleId, minutesBefore = 5, metersBefore, label } = {}) => {
+    const response = await axios.post(`${API_URL}/subscriptions`, {
+      geofenceId,
+      routeId,
+      vehicleId,
+      minutesBefore,
+      metersBefore,
+      label,
+    });
+    await get().fetchSubscriptions();
+    return response.data.subscription;
+  },
+
+  // Change thresholds / pause (isActive: false)
+  updateSubscription: async (subscriptionId, changes) => {
+    await axios.put(`${API_URL}/subscriptions/${subscriptionId}`, changes);
+    await get().fetchSubscriptions();
+  },
+
+  unsubscribe: async (subscriptionId) => {
+    await axios.delete(`${API_URL}/subscriptions/${subscriptionId}`);
+    set((state) => ({
+      subscriptions: state.subscriptions.filter((s) => s._id !== subscriptionId),
+    }));
+  },
+
+  // quietHours: { enabled, start: 'HH:mm', end: 'HH:mm' }
+  updateQuietHours: async (quietHours) => {
+    const response = await axios.put(`${API_URL}/subscriptions/settings`, { quietHours });
+    set({ notificationSettings: response.data.notificationSettings });
+  },
+
+  // Subscription for a stop on a route, if any (geofenceId/routeId may be populated)
+  findSubscription: (geofenceId, routeId) => {
+    const idOf = (value) => (value && typeof value === 'object' ? value._id : value);
+    return get().subscriptions.find(
+      (s) => idOf(s.geofenceId) === geofenceId && idOf(s.routeId) === routeId
+    );
+  },
+}));
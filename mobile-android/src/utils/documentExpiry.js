@@ -0,0 +1,33 @@
+/**
+ * =============================================================================
+ * DOCUMENT EXPIRY UTILITIES
+ * =============================================================================
+ *
+ * Drivers enter the expiry date printed on their license and OR/CR as
+ * YYYY-MM-DD. The backend warns them before it passes and suspends tracking
+ * once it does.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check an expiry date typed by the driver
+ * @param {string} text - YYYY-MM-DD
+ * @param {string} label - Document name for the message, e.g. "License"
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateExpiryDate(text, label) {
+  const value = text.trim();
+  if (!value) {
+    return `${label} expiry date is required`;
+  }
+
+  const date = new Date(value);
+  if (!DATE_PATTERN.test(value) || isNaN(date.getTime())) {
+    return `${label} expiry date must be YYYY-MM-DD`;
+  }
+  if (date.getTime() <= Date.now()) {
+    return `${label} has already expired. Please renew it first.`;
+  }
+  return null;
+}
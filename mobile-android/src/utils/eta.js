@@ -5,6 +5,10 @@
  * 
  * Calculates distance and estimated arrival time between two points.
  * Uses Haversine formula for accurate distance on Earth's surface.
+ *
+ * Vehicles on a scheduled route also carry server-side stop ETAs
+ * (`vehicle.eta`), which follow the route and historical travel times.
+ * Prefer those when present; the straight-line ETA is only a fallback.
  */
 
 /**
@@ -67,7 +71,7 @@ export function calculateETA(distanceKm, speedKmh) {
  * @param {number} minutes - Time in minutes
  * @returns {string} Formatted time string
  */
-function formatETA(minutes) {
+export function formatETA(minutes) {
   if (minutes < 1) {
     return 'Less than 1 min';
   } else if (minutes < 60) {
@@ -87,7 +91,7 @@ function formatETA(minutes) {
  * @param {number} km - Distance in kilometers
  * @returns {string} Formatted distance string
  */
-function formatDistance(km) {
+export function formatDistance(km) {
   if (km < 1) {
     const meters = Math.round(km * 1000);
     return `${meters} m`;
@@ -120,3 +124,37 @@ export function getVehicleETA(userLocation, vehicleLocation) {
   
   return calculateETA(distance, speedKmh);
 }
+
+/**
+ * Next arrival at each stop, from the route ETAs of all vehicles
+ * @param {Array} vehicles - Vehicles from the store (with optional `eta`)
+ * @returns {Array} [{ geofenceId, name, minutes, formatted, isEstimate, vehicle, routeName, count }]
+ *   sorted by soonest arrival. `count` is how many vehicles are heading there.
+ */
+export function getNextArrivals(vehicles) {
+  const byStop = new Map();
+
+  for (const vehicle of vehicles) {
+    if (!vehicle.isOnline || !vehicle.eta) continue;
+
+    for (const stop of vehicle.eta.stops) {
+      const existing = byStop.get(stop.geofenceId);
+      if (existing) existing.count += 1;
+
+      if (!existing || stop.minutes < existing.minutes) {
+        byStop.set(stop.geofenceId, {
+          geofenceId: stop.geofenceId,
+          name: stop.name,
+          minutes: stop.minutes,
+          formatted: formatETA(stop.minutes),
+          isEstimate: vehicle.eta.isEstimate,
+          vehicle,
+          routeName: vehicle.eta.routeName,
+          count: existing ? existing.count : 1,
+        });
+      }
+    }
+  }
+
+  return Array.from(byStop.values()).sort((a, b) => a.minutes - b.minutes);
+}
@@ -2,5 +2,5 @@
  * Utils index - export all utility functions
  */
 
-export { getVehicleETA, calculateDistance, formatDistance, formatDuration } from './eta';
+export { getVehicleETA, getNextArrivals, calculateDistance, formatDistance, formatETA, formatDuration } from './eta';
 export { mapCache, latLngToTile, getTilesForBounds, getRouteBounds } from './offlineMapCache';
@@ -0,0 +1,63 @@
+/**
+ * =============================================================================
+ * SOS OVER SMS
+ * =============================================================================
+ *
+ * With no data connection an SOS is buffered for later AND texted to the
+ * SMS gateway number (SOS_SMS_NUMBER), which forwards it to the backend.
+ * The text format must match backend/src/utils/sosSms.ts:
+ *
+ *   SOS1 c=<clientId> u=<userId> p=<lat>,<lng> [a=<accuracy m>] [t=<unix s>] [m=<message>]
+ *
+ * Both copies carry the same clientId, so the backend raises one alert.
+ */
+
+import { Linking, Platform } from 'react-native';
+import { SOS_SMS_NUMBER } from '../config/api';
+
+// Keep the whole text in one SMS
+const MAX_SMS_LENGTH = 160;
+
+/**
+ * Id for one press of the SOS button
+ * @returns {string}
+ */
+export function createSOSClientId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * The SMS body for an SOS
+ * @param {object} sos - { clientId, userId, latitude, longitude, accuracy?, timestamp?, message? }
+ * @returns {string}
+ */
+export function composeSOSSms({ clientId, userId, latitude, longitude, accuracy, timestamp, message }) {
+  let text = `SOS1 c=${clientId} u=${userId} p=${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+  if (accuracy) text += ` a=${Math.round(accuracy)}`;
+  text += ` t=${Math.floor(new Date(timestamp || Date.now()).getTime() / 1000)}`;
+
+  const room = MAX_SMS_LENGTH - text.length - 3; // " m="
+  const trimmed = (message || '').replace(/\s+/g, ' ').trim();
+  if (trimmed && room > 0) text += ` m=${trimmed.slice(0, room)}`;
+  return text;
+}
+
+/**
+ * Open the SMS app with the SOS text to the gateway number; the user only
+ * has to press send.
+ * @returns {Promise<boolean>} false when there is no number or no SMS app
+ */
+export async function openSOSSms(body) {
+  if (!SOS_SMS_NUMBER) return false;
+
+  // iOS takes "&body=", Android "?body="
+  const url = `sms:${SOS_SMS_NUMBER}${Platform.OS === 'ios' ? '&' : '?'}body=${encodeURIComponent(body)}`;
+  try {
+    if (!(await Linking.canOpenURL(url))) return false;
+    await Linking.openURL(url);
+    return true;
+  } catch (error) {
+    console.error('Failed to open SMS app:', error);
+    return false;
+  }
+}
@@ -4,16 +4,21 @@
  * =============================================================================
  * 
  * MENTOR NOTE: This is the root component that sets up routing and layout.
- * Protected routes require authentication (admin role).
+ * Protected routes require authentication (admin or company role) and
+ * usually a permission; users without it are sent to the dashboard.
  */
 
 import React, { useEffect } from 'react';
 import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './hooks/useAuth';
+import { Permission } from './types';
 import { useSocket } from './hooks/useSocket';
 import { Sidebar } from './components/Sidebar';
 import { AlertPanel } from './components/AlertPanel';
 import { Login } from './pages/Login';
+import { ForgotPassword } from './pages/ForgotPassword';
+import { ResetPassword } from './pages/ResetPassword';
+import { VerifyEmail } from './pages/VerifyEmail';
 import { Dashboard } from './pages/Dashboard';
 import { LiveMap } from './pages/LiveMap';
 import { Verifications } from './pages/Verifications';
@@ -22,28 +27,39 @@ import { Drivers } from './pages/Drivers';
 import { Companies } from './pages/Companies';
 import { Alerts } from './pages/Alerts';
 import { Analytics } from './pages/Analytics';
+import { Team } from './pages/Team';
 
 // Protected route wrapper
-const ProtectedRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
-  const { isAuthenticated } = useAuth();
+const ProtectedRoute: React.FC<{ children: React.ReactNode; permission?: Permission }> = ({ children, permission }) => {
+  const { isAuthenticated, user } = useAuth();
   const location = useLocation();
 
   if (!isAuthenticated) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (permission && !user?.permissions?.includes(permission)) {
+    return <Navigate to="/" replace />;
+  }
+
   return <>{children}</>;
 };
 
 // Layout with sidebar
 const DashboardLayout: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const { connect } = useSocket();
+  const refreshUser = useAuth((state) => state.refreshUser);
 
   // Connect to Socket.io when authenticated
   useEffect(() => {
     connect();
   }, [connect]);
 
+  // Pick up permission changes made since signing in
+  useEffect(() => {
+    refreshUser();
+  }, [refreshUser]);
+
   return (
     <div className="flex h-screen bg-gray-100">
       <Sidebar />
@@ -58,8 +74,11 @@ const DashboardLayout: React.FC<{ children: React.ReactNode }> = ({ children })
 const App: React.FC = () => {
   return (
     <Routes>
-      {/* Public route */}
+      {/* Public routes (reset and verification links are emailed to every role) */}
       <Route path="/login" element={<Login />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
 
       {/* Protected routes */}
       <Route
@@ -75,7 +94,7 @@ const App: React.FC = () => {
       <Route
         path="/map"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="fleet:view">
             <LiveMap />
           </ProtectedRoute>
         }
@@ -83,7 +102,7 @@ const App: React.FC = () => {
       <Route
         path="/vehicles"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="fleet:view">
             <DashboardLayout>
               <Vehicles />
             </DashboardLayout>
@@ -93,7 +112,7 @@ const App: React.FC = () => {
       <Route
         path="/drivers"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="fleet:view">
             <DashboardLayout>
               <Drivers />
             </DashboardLayout>
@@ -103,7 +122,7 @@ const App: React.FC = () => {
       <Route
         path="/companies"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="verifications:view">
             <DashboardLayout>
               <Companies />
             </DashboardLayout>
@@ -113,7 +132,7 @@ const App: React.FC = () => {
       <Route
         path="/verifications"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="verifications:view">
             <DashboardLayout>
               <Verifications />
             </DashboardLayout>
@@ -123,7 +142,7 @@ const App: React.FC = () => {
       <Route
         path="/alerts"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="sos:view">
             <DashboardLayout>
               <Alerts />
             </DashboardLayout>
@@ -133,13 +152,23 @@ const App: React.FC = () => {
       <Route
         path="/analytics"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="fleet:view">
             <DashboardLayout>
               <Analytics />
             </DashboardLayout>
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/team"
+        element={
+          <ProtectedRoute permission="staff:manage">
+            <DashboardLayout>
+              <Team />
+            </DashboardLayout>
+          </ProtectedRoute>
+        }
+      />
 
       {/* Catch all */}
       <Route path="*" element={<Navigate to="/" replace />} />
@@ -5,27 +5,44 @@
  * 
  * MENTOR NOTE: Displays active SOS alerts with real-time updates.
  * When a new alert comes in via Socket.io, it appears here immediately.
- * Admins can acknowledge and resolve alerts from this panel.
+ * Admins can acknowledge and resolve alerts from this panel (with the
+ * sos:respond permission).
  * 
  * "View on Map" centers the map on the alert location (live tracking).
- * "Resolve" marks the alert as resolved and removes it from the map.
+ * "Acknowledge" tells the sender help has seen it; "Resolve" (with a
+ * category) closes it and removes it from the map. The latest timeline
+ * entries show what other responders did; the Alerts page has the rest.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { useVehicleStore } from '../hooks/useSocket';
 import { useAlerts } from '../hooks/useApi';
+import { useCan } from '../hooks/useAuth';
+import { RESOLUTION_CATEGORIES, SOSTimeline } from './SOSTimeline';
+import { SOSResolutionCategory } from '../types';
 
 export const AlertPanel: React.FC = () => {
   const realtimeAlerts = useVehicleStore((state) => state.alerts);
-  const removeAlert = useVehicleStore((state) => state.removeAlert);
+  const updateAlert = useVehicleStore((state) => state.updateAlert);
   const selectAlert = useVehicleStore((state) => state.selectAlert);
   const selectedAlertId = useVehicleStore((state) => state.selectedAlertId);
-  const { resolveAlert } = useAlerts();
+  const { acknowledgeAlert, resolveAlert } = useAlerts();
+  const canRespond = useCan('sos:respond');
+  const [categories, setCategories] = useState<Record<string, SOSResolutionCategory | ''>>({});
+
+  const handleAcknowledge = async (alertId: string) => {
+    try {
+      updateAlert(await acknowledgeAlert(alertId));
+    } catch (error) {
+      console.error('Failed to acknowledge alert:', error);
+    }
+  };
 
   const handleResolve = async (alertId: string) => {
+    const category = categories[alertId];
+    if (!category) return;
     try {
-      await resolveAlert(alertId);
-      removeAlert(alertId);
+      updateAlert(await resolveAlert(alertId, category));
     } catch (error) {
       console.error('Failed to resolve alert:', error);
     }
@@ -45,10 +62,12 @@ export const AlertPanel: React.FC = () => {
       {realtimeAlerts.map((alert) => (
         <div
           key={alert._id}
-          className={`border-l-4 border-red-500 p-4 mb-2 rounded-r-lg shadow-lg pointer-events-auto transition-all ${
+          className={`border-l-4 p-4 mb-2 rounded-r-lg shadow-lg pointer-events-auto transition-all ${
+            alert.status === 'acknowledged' ? 'border-yellow-500' : 'border-red-500'
+          } ${
             selectedAlertId === alert._id 
               ? 'bg-red-100 ring-2 ring-red-500' 
-              : 'bg-red-50 animate-pulse'
+              : alert.status === 'active' ? 'bg-red-50 animate-pulse' : 'bg-red-50'
           }`}
         >
           <div className="flex items-start">
@@ -58,6 +77,12 @@ export const AlertPanel: React.FC = () => {
             <div className="ml-3 flex-1">
               <h3 className="text-sm font-bold text-red-800">
                 SOS Alert!
+                {alert.status === 'acknowledged' && (
+                  <span className="ml-2 px-2 py-0.5 text-xs font-normal rounded bg-yellow-100 text-yellow-800">acknowledged</span>
+                )}
+                {alert.escalatedAt && (
+                  <span className="ml-2 px-2 py-0.5 text-xs font-normal rounded bg-red-600 text-white">escalated</span>
+                )}
               </h3>
               <p className="text-sm text-red-700 mt-1">
                 <strong>{alert.senderName}</strong> ({alert.senderRole})
@@ -73,14 +98,45 @@ export const AlertPanel: React.FC = () => {
               <p className="text-xs text-red-400">
                 {new Date(alert.createdAt).toLocaleString()}
               </p>
-              
-              <div className="mt-3 flex gap-2">
-                <button
-                  onClick={() => handleResolve(alert._id)}
-                  className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600"
-                >
-                  ✓ Resolve
-                </button>
+              {alert.assignedTo && (
+                <p className="text-xs text-red-700 mt-1">👤 {alert.assignedTo.name}</p>
+              )}
+
+              <div className="mt-2">
+                <SOSTimeline entries={alert.timeline} latest={2} compact />
+              </div>
+
+              {canRespond && (
+                <div className="mt-3 flex gap-2">
+                  <select
+                    value={categories[alert._id] || ''}
+                    onChange={(e) => setCategories((prev) => ({ ...prev, [alert._id]: e.target.value as SOSResolutionCategory | '' }))}
+                    className="flex-1 px-2 py-1 border rounded text-sm bg-white"
+                  >
+                    <option value="">Resolve as...</option>
+                    {(Object.keys(RESOLUTION_CATEGORIES) as SOSResolutionCategory[]).map((key) => (
+                      <option key={key} value={key}>{RESOLUTION_CATEGORIES[key]}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleResolve(alert._id)}
+                    disabled={!categories[alert._id]}
+                    className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600 disabled:opacity-50"
+                  >
+                    ✓ Resolve
+                  </button>
+                </div>
+              )}
+
+              <div className="mt-2 flex gap-2">
+                {canRespond && alert.status === 'active' && (
+                  <button
+                    onClick={() => handleAcknowledge(alert._id)}
+                    className="px-3 py-1 bg-yellow-500 text-white text-sm rounded hover:bg-yellow-600"
+                  >
+                    👀 Acknowledge
+                  </button>
+                )}
                 <button
                   onClick={() => handleViewOnMap(alert._id)}
                   className={`px-3 py-1 text-white text-sm rounded ${
@@ -8,7 +8,7 @@
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { useVehicleStore } from '../hooks/useSocket';
-import { VehicleLocationUpdate } from '../types';
+import { VehicleLocationUpdate, Geofence, LatLng } from '../types';
 
 // Vehicle type icons
 const VEHICLE_ICONS: Record<string, string> = {
@@ -28,16 +28,64 @@ const VEHICLE_COLORS: Record<string, string> = {
   motorcycle: '#DDA0DD',
 };
 
-// Geofence type
-interface Geofence {
-  _id: string;
-  name: string;
-  type: string;
-  center: { latitude: number; longitude: number };
-  radius: number;
-  color: string;
-  isActive: boolean;
-}
+const toLatLngLiteral = (point: LatLng) => ({ lat: point.latitude, lng: point.longitude });
+
+/**
+ * Outline of a corridor geofence: the path offset by half the width on
+ * each side, joined into one polygon. Corners use a miter join (clamped so
+ * hairpin turns don't spike out).
+ */
+const buildCorridorOutline = (path: LatLng[], width: number) => {
+  const origin = path[0];
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos((origin.latitude * Math.PI) / 180);
+  const points = path.map((p) => ({
+    x: (p.longitude - origin.longitude) * metersPerDegLng,
+    y: (p.latitude - origin.latitude) * metersPerDegLat,
+  }));
+
+  // Unit normal (pointing left) of the segment a → b
+  const normal = (a: { x: number; y: number }, b: { x: number; y: number }) => {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+  };
+
+  const half = width / 2;
+  const left: { x: number; y: number }[] = [];
+  const right: { x: number; y: number }[] = [];
+
+  points.forEach((p, i) => {
+    const before = i > 0 ? normal(points[i - 1], p) : null;
+    const after = i < points.length - 1 ? normal(p, points[i + 1]) : null;
+    const n1 = before || after!;
+    const n2 = after || before!;
+
+    const sum = { x: n1.x + n2.x, y: n1.y + n2.y };
+    const sumLength = Math.hypot(sum.x, sum.y) || 1;
+    const miter = { x: sum.x / sumLength, y: sum.y / sumLength };
+    const scale = half / Math.max(miter.x * n1.x + miter.y * n1.y, 0.5);
+
+    left.push({ x: p.x + miter.x * scale, y: p.y + miter.y * scale });
+    right.push({ x: p.x - miter.x * scale, y: p.y - miter.y * scale });
+  });
+
+  return [...left, ...right.reverse()].map((p) => ({
+    lat: origin.latitude + p.y / metersPerDegLat,
+    lng: origin.longitude + p.x / metersPerDegLng,
+  }));
+};
+
+// Human-readable size of a geofence for info windows
+const describeGeofenceSize = (geofence: Geofence): string => {
+  switch (geofence.shape) {
+    case 'polygon':
+      return `Polygon (${geofence.polygon?.length || 0} points)`;
+    case 'corridor':
+      return `Corridor, ${geofence.width}m wide`;
+    default:
+      return `${geofence.radius}m radius`;
+  }
+};
 
 interface MapProps {
   onVehicleSelect?: (vehicle: VehicleLocationUpdate) => void;
@@ -60,7 +108,8 @@ export const Map: React.FC<MapProps> = ({
   const googleMapRef = useRef<any>(null);
   const markersRef = useRef<Record<string, any>>({});
   const sosMarkersRef = useRef<Record<string, any>>({});
-  const geofenceCirclesRef = useRef<Record<string, any>>({});
+  const sosTrailsRef = useRef<Record<string, any>>({});
+  const geofenceShapesRef = useRef<Record<string, any>>({});
   const geofenceMarkersRef = useRef<Record<string, any>>({});
   const infoWindowRef = useRef<any>(null);
   
@@ -184,13 +233,19 @@ export const Map: React.FC<MapProps> = ({
     const google = (window as any).google;
     const currentAlertIds = new Set(alerts.map(a => a._id));
 
-    // Remove markers for resolved alerts
+    // Remove markers and trails for resolved alerts
     Object.keys(sosMarkersRef.current).forEach(alertId => {
       if (!currentAlertIds.has(alertId)) {
         sosMarkersRef.current[alertId].setMap(null);
         delete sosMarkersRef.current[alertId];
       }
     });
+    Object.keys(sosTrailsRef.current).forEach(alertId => {
+      if (!currentAlertIds.has(alertId)) {
+        sosTrailsRef.current[alertId].setMap(null);
+        delete sosTrailsRef.current[alertId];
+      }
+    });
 
     // Add/update markers for active alerts
     alerts.forEach((alert) => {
@@ -199,6 +254,29 @@ export const Map: React.FC<MapProps> = ({
         lng: alert.location.longitude,
       };
 
+      // Where the sender has been, as a dashed red line ending at the marker
+      const path = (alert.trail || []).map(p => ({ lat: p.latitude, lng: p.longitude }));
+      let trail = sosTrailsRef.current[alert._id];
+      if (path.length > 1) {
+        if (!trail) {
+          trail = new google.maps.Polyline({
+            map: googleMapRef.current,
+            strokeOpacity: 0,
+            icons: [{
+              icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.9, strokeColor: '#DC2626', scale: 3 },
+              offset: '0',
+              repeat: '12px',
+            }],
+            zIndex: 900,
+          });
+          sosTrailsRef.current[alert._id] = trail;
+        }
+        trail.setPath(path);
+      } else if (trail) {
+        trail.setMap(null);
+        delete sosTrailsRef.current[alert._id];
+      }
+
       let marker = sosMarkersRef.current[alert._id];
 
       if (!marker) {
@@ -255,18 +333,18 @@ export const Map: React.FC<MapProps> = ({
     });
   }, [alerts, mapLoaded, selectedAlertId]);
 
-  // Update geofence circles
+  // Update geofence overlays (circles, polygons and corridors)
   useEffect(() => {
     if (!googleMapRef.current || !mapLoaded) return;
 
     const google = (window as any).google;
     const currentGeofenceIds = new Set(geofences.map(g => g._id));
 
-    // Remove circles for deleted geofences
-    Object.keys(geofenceCirclesRef.current).forEach(geofenceId => {
+    // Remove overlays for deleted geofences
+    Object.keys(geofenceShapesRef.current).forEach(geofenceId => {
       if (!currentGeofenceIds.has(geofenceId)) {
-        geofenceCirclesRef.current[geofenceId].setMap(null);
-        delete geofenceCirclesRef.current[geofenceId];
+        geofenceShapesRef.current[geofenceId].setMap(null);
+        delete geofenceShapesRef.current[geofenceId];
       }
     });
     Object.keys(geofenceMarkersRef.current).forEach(geofenceId => {
@@ -278,38 +356,45 @@ export const Map: React.FC<MapProps> = ({
 
     if (!showGeofences) {
       // Hide all geofences
-      Object.values(geofenceCirclesRef.current).forEach((circle: any) => circle.setMap(null));
+      Object.values(geofenceShapesRef.current).forEach((shape: any) => shape.setMap(null));
       Object.values(geofenceMarkersRef.current).forEach((marker: any) => marker.setMap(null));
       return;
     }
 
-    // Add/update geofence circles
+    // Add/update geofence overlays
     geofences.forEach((geofence) => {
       if (!geofence.isActive) return;
 
-      const position = {
-        lat: geofence.center.latitude,
-        lng: geofence.center.longitude,
+      const position = toLatLngLiteral(geofence.center);
+
+      // Redraw the overlay - the shape type itself may have changed
+      geofenceShapesRef.current[geofence._id]?.setMap(null);
+
+      const style = {
+        map: googleMapRef.current,
+        fillColor: geofence.color || '#3B82F6',
+        fillOpacity: 0.2,
+        strokeColor: geofence.color || '#3B82F6',
+        strokeOpacity: 0.8,
+        strokeWeight: 2,
       };
 
-      // Create or update circle
-      let circle = geofenceCirclesRef.current[geofence._id];
-      if (!circle) {
-        circle = new google.maps.Circle({
-          map: googleMapRef.current,
+      if (geofence.shape === 'polygon' && geofence.polygon?.length) {
+        geofenceShapesRef.current[geofence._id] = new google.maps.Polygon({
+          ...style,
+          paths: geofence.polygon.map(toLatLngLiteral),
+        });
+      } else if (geofence.shape === 'corridor' && geofence.path?.length) {
+        geofenceShapesRef.current[geofence._id] = new google.maps.Polygon({
+          ...style,
+          paths: buildCorridorOutline(geofence.path, geofence.width || 0),
+        });
+      } else {
+        geofenceShapesRef.current[geofence._id] = new google.maps.Circle({
+          ...style,
           center: position,
           radius: geofence.radius,
-          fillColor: geofence.color || '#3B82F6',
-          fillOpacity: 0.2,
-          strokeColor: geofence.color || '#3B82F6',
-          strokeOpacity: 0.8,
-          strokeWeight: 2,
         });
-        geofenceCirclesRef.current[geofence._id] = circle;
-      } else {
-        circle.setCenter(position);
-        circle.setRadius(geofence.radius);
-        circle.setMap(googleMapRef.current);
       }
 
       // Create or update marker
@@ -356,7 +441,7 @@ export const Map: React.FC<MapProps> = ({
           ${geofence.type === 'terminal' ? '🚏' : '📍'} ${geofence.name}
         </h3>
         <p style="margin: 4px 0;"><strong>Type:</strong> ${geofence.type}</p>
-        <p style="margin: 4px 0;"><strong>Radius:</strong> ${geofence.radius}m</p>
+        <p style="margin: 4px 0;"><strong>Size:</strong> ${describeGeofenceSize(geofence)}</p>
         <p style="margin: 4px 0; font-size: 12px; color: #888;">
           📍 ${geofence.center.latitude.toFixed(4)}, ${geofence.center.longitude.toFixed(4)}
         </p>
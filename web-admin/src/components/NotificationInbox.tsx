@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * NOTIFICATION INBOX
+ * =============================================================================
+ *
+ * MENTOR NOTE: Bell button with an unread badge for the sidebar. The panel
+ * opens beside the sidebar; clicking a notification marks it read and
+ * jumps to the page it is about.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useNotifications } from '../hooks/useNotifications';
+import { AppNotification, NotificationType } from '../types';
+
+const TYPE_ICONS: Record<NotificationType, string> = {
+  verification: '✅',
+  pending_verification: '⏳',
+  geofence: '📍',
+  sos: '🚨',
+  stop_approaching: '🚏',
+  document_expiry: '📅',
+  company_invite: '🤝',
+  system: 'ℹ️',
+};
+
+const TYPE_PAGES: Partial<Record<NotificationType, string>> = {
+  verification: '/verifications',
+  pending_verification: '/verifications',
+  geofence: '/map',
+  sos: '/alerts',
+  document_expiry: '/verifications',
+  company_invite: '/drivers',
+};
+
+function timeAgo(date: string): string {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(date).toLocaleDateString();
+}
+
+export const NotificationInbox: React.FC = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const { notifications, unreadCount, isLoading, fetchNotifications, markRead, markAllRead } =
+    useNotifications();
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  const handleClick = (notification: AppNotification) => {
+    if (!notification.readAt) markRead(notification._id);
+    const page = TYPE_PAGES[notification.type];
+    if (page) {
+      setOpen(false);
+      navigate(page);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center gap-3 px-4 py-2 rounded-lg text-gray-300 hover:bg-gray-800 transition"
+      >
+        <span>🔔</span>
+        <span className="flex-1 text-left">Notifications</span>
+        {unreadCount > 0 && (
+          <span className="px-2 py-0.5 bg-red-600 text-white text-xs rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute left-full top-0 ml-2 w-96 max-h-[32rem] bg-white text-gray-900 rounded-lg shadow-xl z-[1000] flex flex-col">
+          <div className="flex items-center justify-between p-3 border-b">
+            <h3 className="font-semibold">Notifications</h3>
+            <div className="flex items-center gap-3">
+              {unreadCount > 0 && (
+                <button
+                  onClick={markAllRead}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Mark all read
+                </button>
+              )}
+              <button
+                onClick={() => setOpen(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-y-auto flex-1">
+            {isLoading && notifications.length === 0 ? (
+              <p className="p-4 text-center text-gray-500">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="p-4 text-center text-gray-500">No notifications</p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification._id}
+                  onClick={() => handleClick(notification)}
+                  className={`w-full text-left flex gap-3 p-3 border-b hover:bg-gray-50 ${
+                    notification.readAt ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  <span>{TYPE_ICONS[notification.type] || 'ℹ️'}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className={`truncate ${notification.readAt ? '' : 'font-semibold'}`}>
+                        {notification.title}
+                      </p>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">
+                        {timeAgo(notification.createdAt)}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600">{notification.message}</p>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,74 @@
+/**
+ * =============================================================================
+ * SOS TIMELINE
+ * =============================================================================
+ *
+ * MENTOR NOTE: What happened to an SOS alert, oldest first: sent,
+ * acknowledged, assigned, notes, vehicles dispatched, escalated, resolved. Used by the Alerts
+ * page (full history) and the alert panel (latest entries only).
+ */
+
+import React from 'react';
+import { SOSResolutionCategory, SOSTimelineEntry } from '../types';
+
+export const RESOLUTION_CATEGORIES: Record<SOSResolutionCategory, string> = {
+  false_alarm: 'False alarm',
+  medical: 'Medical',
+  breakdown: 'Vehicle breakdown',
+  security: 'Security',
+  other: 'Other',
+};
+
+const ENTRY_ICONS: Record<SOSTimelineEntry['type'], string> = {
+  created: '🚨',
+  acknowledged: '👀',
+  assigned: '👤',
+  unassigned: '👤',
+  note: '📝',
+  dispatched: '🚗',
+  escalated: '⏫',
+  resolved: '✅',
+  cancelled: '✖️',
+};
+
+const ENTRY_LABELS: Record<SOSTimelineEntry['type'], string> = {
+  created: 'SOS sent',
+  acknowledged: 'Acknowledged',
+  assigned: 'Assigned',
+  unassigned: 'Unassigned',
+  note: 'Note',
+  dispatched: 'Vehicle dispatched',
+  escalated: 'Escalated',
+  resolved: 'Resolved',
+  cancelled: 'Cancelled',
+};
+
+export const SOSTimeline: React.FC<{
+  entries?: SOSTimelineEntry[];
+  // Show only the latest N entries
+  latest?: number;
+  compact?: boolean;
+}> = ({ entries = [], latest, compact = false }) => {
+  const shown = latest ? entries.slice(-latest) : entries;
+  if (shown.length === 0) return null;
+
+  return (
+    <ol className={`border-l-2 border-gray-200 ${compact ? 'ml-1 space-y-1' : 'ml-2 space-y-3'}`}>
+      {shown.map((entry, index) => (
+        <li key={entry._id || index} className={compact ? 'pl-2 text-xs' : 'pl-4 text-sm'}>
+          <div className="flex items-baseline gap-2">
+            <span>{ENTRY_ICONS[entry.type]}</span>
+            <span className="font-medium">{ENTRY_LABELS[entry.type]}</span>
+            {entry.byName && <span className="text-gray-500">by {entry.byName}</span>}
+            <span className="text-gray-400 ml-auto whitespace-nowrap">
+              {new Date(entry.at).toLocaleTimeString()}
+            </span>
+          </div>
+          {entry.message && (
+            <p className={`text-gray-600 ${compact ? 'truncate' : 'whitespace-pre-wrap'}`}>{entry.message}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
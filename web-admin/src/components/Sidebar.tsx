@@ -6,33 +6,49 @@
 
 import React from 'react';
 import { NavLink } from 'react-router-dom';
-import { useAuth } from '../hooks/useAuth';
+import { useAuth, useIsCompany } from '../hooks/useAuth';
+import { Permission } from '../types';
+import { useNotifications } from '../hooks/useNotifications';
+import { NotificationInbox } from './NotificationInbox';
 
-const navItems = [
+// Pages are only listed for users holding their permission
+const navItems: { path: string; label: string; icon: string; permission?: Permission }[] = [
   { path: '/', label: 'Dashboard', icon: '📊' },
-  { path: '/map', label: 'Live Map', icon: '🗺️' },
-  { path: '/vehicles', label: 'Vehicles', icon: '🚗' },
-  { path: '/drivers', label: 'Drivers', icon: '👤' },
-  { path: '/companies', label: 'Companies', icon: '🏢' },
-  { path: '/verifications', label: 'Verifications', icon: '✅' },
-  { path: '/alerts', label: 'SOS Alerts', icon: '🚨' },
-  { path: '/analytics', label: 'Analytics', icon: '📈' },
+  { path: '/map', label: 'Live Map', icon: '🗺️', permission: 'fleet:view' },
+  { path: '/vehicles', label: 'Vehicles', icon: '🚗', permission: 'fleet:view' },
+  { path: '/drivers', label: 'Drivers', icon: '👤', permission: 'fleet:view' },
+  { path: '/companies', label: 'Companies', icon: '🏢', permission: 'verifications:view' },
+  { path: '/verifications', label: 'Verifications', icon: '✅', permission: 'verifications:view' },
+  { path: '/alerts', label: 'SOS Alerts', icon: '🚨', permission: 'sos:view' },
+  { path: '/analytics', label: 'Analytics', icon: '📈', permission: 'fleet:view' },
+  { path: '/team', label: 'Team', icon: '🛡️', permission: 'staff:manage' },
 ];
 
 export const Sidebar: React.FC = () => {
   const { user, logout } = useAuth();
+  const isCompany = useIsCompany();
+
+  const handleLogout = () => {
+    useNotifications.getState().clear();
+    logout();
+  };
 
   return (
     <div className="w-64 bg-gray-900 text-white h-screen flex flex-col">
       {/* Logo */}
       <div className="p-4 border-b border-gray-700">
         <h1 className="text-xl font-bold">🚗 VehicleTrack</h1>
-        <p className="text-xs text-gray-400">Admin Dashboard</p>
+        <p className="text-xs text-gray-400">{isCompany ? 'Company Portal' : 'Admin Dashboard'}</p>
+      </div>
+
+      {/* Notification inbox */}
+      <div className="px-4 pt-4">
+        <NotificationInbox />
       </div>
 
       {/* Navigation */}
       <nav className="flex-1 p-4 space-y-1">
-        {navItems.map((item) => (
+        {navItems.filter((item) => !item.permission || user?.permissions?.includes(item.permission)).map((item) => (
           <NavLink
             key={item.path}
             to={item.path}
@@ -62,7 +78,7 @@ export const Sidebar: React.FC = () => {
           </div>
         </div>
         <button
-          onClick={logout}
+          onClick={handleLogout}
           className="w-full py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700 transition"
         >
           Logout
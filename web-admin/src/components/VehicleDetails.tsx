@@ -6,10 +6,21 @@
 
 import React, { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { VehicleLocationUpdate } from '../types';
+import { VehicleLocationUpdate, ScheduleInfo, ScheduleStatus } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+const SCHEDULE_BADGES: Record<ScheduleStatus, string> = {
+  early: 'bg-blue-100 text-blue-800',
+  on_time: 'bg-green-100 text-green-800',
+  late: 'bg-red-100 text-red-800',
+};
+
+export const describeSchedule = (schedule: ScheduleInfo): string => {
+  if (schedule.status === 'on_time') return 'On time';
+  return `${Math.abs(Math.round(schedule.delayMinutes))} min ${schedule.status}`;
+};
+
 interface VehicleDetailsProps {
   vehicle: VehicleLocationUpdate | null;
   onClose: () => void;
@@ -109,6 +120,20 @@ export const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, onClose
           </div>
         )}
 
+        {vehicle.schedule && (
+          <div className="flex justify-between items-center">
+            <span className="text-gray-500">Schedule</span>
+            <span className="text-right">
+              <span
+                className={`px-2 py-0.5 rounded-full text-xs font-medium ${SCHEDULE_BADGES[vehicle.schedule.status]}`}
+              >
+                {describeSchedule(vehicle.schedule)}
+              </span>
+              <span className="block text-xs text-gray-400">at {vehicle.schedule.stopName}</span>
+            </span>
+          </div>
+        )}
+
         {vehicle.companyName && (
           <div className="flex justify-between">
             <span className="text-gray-500">Company</span>
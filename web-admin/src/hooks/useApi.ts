@@ -9,7 +9,21 @@
 
 import { useState, useCallback } from 'react';
 import axios from 'axios';
-import { DashboardStats, User, Vehicle, SOSAlert } from '../types';
+import {
+  DashboardStats,
+  User,
+  Vehicle,
+  SOSAlert,
+  SOSResolutionCategory,
+  NearbyVehicle,
+  VerificationLogEntry,
+  ExpiringDocuments,
+  CompanyInvite,
+  AdminRole,
+  Permission,
+  PermissionCatalog,
+  StaffMember,
+} from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -49,6 +63,13 @@ export function useDashboard() {
   return { stats: data?.stats, loading, error, fetchStats };
 }
 
+// Rejection reason, and single documents to reject (name -> reason)
+export interface VerificationReview {
+  reason?: string;
+  documents?: Record<string, { status: 'approved' | 'rejected'; reason?: string }>;
+  expiresAt?: string; // license or OR/CR expiry, YYYY-MM-DD
+}
+
 // Pending verifications hook
 export function usePendingVerifications() {
   const [data, setData] = useState<{
@@ -71,18 +92,18 @@ export function usePendingVerifications() {
     }
   }, []);
 
-  const verifyDriver = useCallback(async (id: string, status: 'approved' | 'rejected') => {
-    await axios.put(`${API_URL}/admin/verify/driver/${id}`, { status });
+  const verifyDriver = useCallback(async (id: string, status: 'approved' | 'rejected', review?: VerificationReview) => {
+    await axios.put(`${API_URL}/admin/verify/driver/${id}`, { status, ...review });
     fetchPending();
   }, [fetchPending]);
 
-  const verifyVehicle = useCallback(async (id: string, status: 'approved' | 'rejected') => {
-    await axios.put(`${API_URL}/admin/verify/vehicle/${id}`, { status });
+  const verifyVehicle = useCallback(async (id: string, status: 'approved' | 'rejected', review?: VerificationReview) => {
+    await axios.put(`${API_URL}/admin/verify/vehicle/${id}`, { status, ...review });
     fetchPending();
   }, [fetchPending]);
 
-  const verifyCompany = useCallback(async (id: string, status: 'approved' | 'rejected') => {
-    await axios.put(`${API_URL}/admin/verify/company/${id}`, { status });
+  const verifyCompany = useCallback(async (id: string, status: 'approved' | 'rejected', review?: VerificationReview) => {
+    await axios.put(`${API_URL}/admin/verify/company/${id}`, { status, reason: review?.reason });
     fetchPending();
   }, [fetchPending]);
 
@@ -97,12 +118,194 @@ export function usePendingVerifications() {
   };
 }
 
-// Alerts hook
+// Verification audit trail hook
+export function useVerificationHistory() {
+  const [history, setHistory] = useState<VerificationLogEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchHistory = useCallback(async (params: {
+    subjectType?: string;
+    subjectId?: string;
+    ownerId?: string;
+    limit?: number;
+  } = {}) => {
+    setLoading(true);
+    try {
+      const query = new URLSearchParams(params as any).toString();
+      const response = await axios.get(`${API_URL}/admin/verifications/history?${query}`);
+      setHistory(response.data.history);
+    } catch (err) {
+      console.error('Failed to fetch verification history:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { history, loading, fetchHistory };
+}
+
+// License / OR/CR expiry hook
+export function useExpiringDocuments() {
+  const [data, setData] = useState<ExpiringDocuments | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchExpiring = useCallback(async (days = 30) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/admin/expiring?days=${days}`);
+      setData(response.data);
+    } catch (err) {
+      console.error('Failed to fetch expiring documents:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // null clears the date; a future date lifts an expiry suspension
+  const setExpiry = useCallback(async (type: 'driver' | 'vehicle', id: string, expiresAt: string | null) => {
+    const response = await axios.put(`${API_URL}/admin/expiry/${type}/${id}`, { expiresAt });
+    return response.data as { message: string };
+  }, []);
+
+  return { data, loading, fetchExpiring, setExpiry };
+}
+
+// Company portal hook: my drivers, invites and driver assignment
+export function useCompany() {
+  const [drivers, setDrivers] = useState<User[]>([]);
+  const [invites, setInvites] = useState<CompanyInvite[]>([]);
+
+  const fetchDrivers = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/company/drivers`);
+      setDrivers(response.data.drivers);
+    } catch (err) {
+      console.error('Failed to fetch company drivers:', err);
+    }
+  }, []);
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/company/invites`);
+      setInvites(response.data.invites);
+    } catch (err) {
+      console.error('Failed to fetch invites:', err);
+    }
+  }, []);
+
+  const createInvite = useCallback(async (email?: string) => {
+    const response = await axios.post(`${API_URL}/company/invites`, { email });
+    fetchInvites();
+    return response.data.invite as CompanyInvite;
+  }, [fetchInvites]);
+
+  const revokeInvite = useCallback(async (id: string) => {
+    await axios.delete(`${API_URL}/company/invites/${id}`);
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const removeDriver = useCallback(async (id: string) => {
+    await axios.delete(`${API_URL}/company/drivers/${id}`);
+    fetchDrivers();
+  }, [fetchDrivers]);
+
+  // null unassigns the vehicle's driver
+  const assignDriver = useCallback(async (vehicleId: string, driverId: string | null) => {
+    await axios.put(`${API_URL}/vehicles/${vehicleId}/assign-driver`, { driverId });
+    fetchDrivers();
+  }, [fetchDrivers]);
+
+  return {
+    drivers,
+    invites,
+    fetchDrivers,
+    fetchInvites,
+    createInvite,
+    revokeInvite,
+    removeDriver,
+    assignDriver,
+  };
+}
+
+// Team hook: admin users and their roles / permissions
+export function useStaff() {
+  const [staff, setStaff] = useState<StaffMember[]>([]);
+  const [catalog, setCatalog] = useState<PermissionCatalog | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchStaff = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [staffResponse, catalogResponse] = await Promise.all([
+        axios.get(`${API_URL}/admin/staff`),
+        axios.get(`${API_URL}/admin/permissions`),
+      ]);
+      setStaff(staffResponse.data.staff);
+      setCatalog(catalogResponse.data);
+    } catch (err) {
+      console.error('Failed to fetch staff:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // permissions are granted on top of the role preset
+  const updatePermissions = useCallback(async (id: string, adminRole: AdminRole, permissions: Permission[]) => {
+    await axios.put(`${API_URL}/admin/staff/${id}/permissions`, { adminRole, permissions });
+    fetchStaff();
+  }, [fetchStaff]);
+
+  return { staff, catalog, loading, fetchStaff, updatePermissions };
+}
+
+// Account access: deactivate users and sign them out of their devices
+export function useUserAccess() {
+  const signOutEverywhere = useCallback(async (id: string) => {
+    const response = await axios.post(`${API_URL}/admin/users/${id}/sign-out`);
+    return response.data as { message: string; revoked: number };
+  }, []);
+
+  // Deactivating also signs the user out everywhere
+  const setActive = useCallback(async (id: string, isActive: boolean) => {
+    const response = await axios.put(`${API_URL}/admin/users/${id}/status`, { isActive });
+    return response.data as { message: string };
+  }, []);
+
+  return { signOutEverywhere, setActive };
+}
+
+// Links emailed to users: password reset and email verification (no sign-in needed)
+export function useAccountLinks() {
+  const forgotPassword = useCallback(async (email: string) => {
+    const response = await axios.post(`${API_URL}/auth/forgot-password`, { email });
+    return response.data as { message: string };
+  }, []);
+
+  const resetPassword = useCallback(async (token: string, password: string) => {
+    const response = await axios.post(`${API_URL}/auth/reset-password`, { token, password });
+    return response.data as { message: string };
+  }, []);
+
+  const verifyEmail = useCallback(async (token: string) => {
+    const response = await axios.post(`${API_URL}/auth/verify-email`, { token });
+    return response.data as { message: string; email: string };
+  }, []);
+
+  const resendVerification = useCallback(async () => {
+    const response = await axios.post(`${API_URL}/auth/verify-email/resend`);
+    return response.data as { message: string };
+  }, []);
+
+  return { forgotPassword, resetPassword, verifyEmail, resendVerification };
+}
+
+// SOS incidents: list, acknowledge, assign, notes and resolve.
+// Actions return the updated alert (with its timeline).
 export function useAlerts() {
   const [alerts, setAlerts] = useState<SOSAlert[]>([]);
   const [loading, setLoading] = useState(false);
 
-  const fetchAlerts = useCallback(async (status = 'active') => {
+  const fetchAlerts = useCallback(async (status = 'open') => {
     setLoading(true);
     try {
       const response = await axios.get(`${API_URL}/admin/alerts?status=${status}`);
@@ -114,12 +317,58 @@ export function useAlerts() {
     }
   }, []);
 
-  const resolveAlert = useCallback(async (id: string) => {
-    await axios.put(`${API_URL}/admin/alerts/${id}/resolve`);
-    setAlerts((prev) => prev.filter((a) => a._id !== id));
+  const replace = useCallback((alert: SOSAlert) => {
+    setAlerts((prev) => prev.map((a) => (a._id === alert._id ? alert : a)));
+    return alert;
+  }, []);
+
+  const acknowledgeAlert = useCallback(async (id: string) => {
+    const response = await axios.put(`${API_URL}/admin/alerts/${id}/acknowledge`);
+    return replace(response.data.alert);
+  }, [replace]);
+
+  const assignAlert = useCallback(async (id: string, assigneeId: string | null) => {
+    const response = await axios.put(`${API_URL}/admin/alerts/${id}/assign`, { assigneeId });
+    return replace(response.data.alert);
+  }, [replace]);
+
+  const addNote = useCallback(async (id: string, text: string) => {
+    const response = await axios.post(`${API_URL}/admin/alerts/${id}/notes`, { text });
+    return replace(response.data.alert);
+  }, [replace]);
+
+  const resolveAlert = useCallback(async (id: string, category: SOSResolutionCategory, note?: string) => {
+    const response = await axios.put(`${API_URL}/admin/alerts/${id}/resolve`, { category, note });
+    return replace(response.data.alert);
+  }, [replace]);
+
+  const fetchResponders = useCallback(async () => {
+    const response = await axios.get(`${API_URL}/admin/alerts/responders`);
+    return response.data.responders as { _id: string; name: string; email: string }[];
   }, []);
 
-  return { alerts, loading, fetchAlerts, resolveAlert };
+  const fetchNearestVehicles = useCallback(async (id: string, limit = 5) => {
+    const response = await axios.get(`${API_URL}/admin/alerts/${id}/nearest-vehicles?limit=${limit}`);
+    return response.data.vehicles as NearbyVehicle[];
+  }, []);
+
+  const dispatchVehicle = useCallback(async (id: string, vehicleId: string) => {
+    const response = await axios.post(`${API_URL}/admin/alerts/${id}/dispatch`, { vehicleId });
+    return replace(response.data.alert);
+  }, [replace]);
+
+  return {
+    alerts,
+    loading,
+    fetchAlerts,
+    acknowledgeAlert,
+    assignAlert,
+    addNote,
+    resolveAlert,
+    fetchResponders,
+    fetchNearestVehicles,
+    dispatchVehicle,
+  };
 }
 
 // Vehicles hook
@@ -6,23 +6,38 @@
  * MENTOR NOTE: We use Zustand for state management - it's simpler than Redux
  * and perfect for this use case. The auth state persists to localStorage
  * so users stay logged in across page refreshes.
+ *
+ * Admins and approved companies can sign in. Companies get the company
+ * portal: the same pages, limited to their own fleet by the backend.
+ *
+ * What each user may see and do comes from `user.permissions` (useCan).
+ * refreshUser() reloads them, so role changes apply without signing out.
+ *
+ * Access tokens expire after a few minutes. A 401 triggers one refresh with
+ * the stored refresh token and a retry of the request; if that fails too
+ * (signed out elsewhere, deactivated), we log out.
  */
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import axios from 'axios';
-import { User } from '../types';
+import { Permission, User } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
+let refreshInFlight: Promise<string | null> | null = null;
+
 interface AuthState {
   token: string | null;
+  refreshToken: string | null;
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
   login: (email: string, password: string) => Promise<boolean>;
   logout: () => void;
+  refreshSession: () => Promise<string | null>;
+  refreshUser: () => Promise<void>;
   clearError: () => void;
 }
 
@@ -30,6 +45,7 @@ export const useAuth = create<AuthState>()(
   persist(
     (set, get) => ({
       token: null,
+      refreshToken: null,
       user: null,
       isAuthenticated: false,
       isLoading: false,
@@ -42,15 +58,23 @@ export const useAuth = create<AuthState>()(
           const response = await axios.post(`${API_URL}/auth/login`, {
             email,
             password,
+            device: { name: 'Web dashboard', platform: 'web' },
           });
 
-          const { token, user } = response.data;
+          const { token, refreshToken, user } = response.data;
 
-          // Only allow admin users
-          if (user.role !== 'admin') {
+          // Admins, and companies for their own fleet (company portal)
+          if (user.role !== 'admin' && user.role !== 'company') {
             set({ 
               isLoading: false, 
-              error: 'Access denied. Admin only.' 
+              error: 'Access denied. Admin and company accounts only.' 
+            });
+            return false;
+          }
+          if (user.role === 'company' && user.verificationStatus !== 'approved') {
+            set({
+              isLoading: false,
+              error: 'Your company account is awaiting approval.',
             });
             return false;
           }
@@ -60,6 +84,7 @@ export const useAuth = create<AuthState>()(
 
           set({
             token,
+            refreshToken,
             user,
             isAuthenticated: true,
             isLoading: false,
@@ -75,13 +100,53 @@ export const useAuth = create<AuthState>()(
       },
 
       logout: () => {
+        const { token } = get();
         delete axios.defaults.headers.common['Authorization'];
         set({
           token: null,
+          refreshToken: null,
           user: null,
           isAuthenticated: false,
           error: null,
         });
+
+        // End the session on the server too (best effort)
+        if (token) {
+          axios.post(`${API_URL}/auth/logout`, {}, { headers: { Authorization: `Bearer ${token}` } })
+            .catch(() => undefined);
+        }
+      },
+
+      // New access token from the refresh token; null if the session is gone.
+      // Concurrent callers share one request (the old refresh token only works once).
+      refreshSession: () => {
+        if (!refreshInFlight) {
+          refreshInFlight = (async () => {
+            const { refreshToken } = get();
+            if (!refreshToken) return null;
+            try {
+              const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+              axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+              set({ token: response.data.token, refreshToken: response.data.refreshToken });
+              return response.data.token as string;
+            } catch (error) {
+              return null;
+            } finally {
+              refreshInFlight = null;
+            }
+          })();
+        }
+        return refreshInFlight;
+      },
+
+      refreshUser: async () => {
+        if (!get().token) return;
+        try {
+          const response = await axios.get(`${API_URL}/auth/me`);
+          set({ user: response.data.user });
+        } catch (error) {
+          console.error('Failed to refresh user:', error);
+        }
       },
 
       clearError: () => set({ error: null }),
@@ -90,6 +155,7 @@ export const useAuth = create<AuthState>()(
       name: 'auth-storage',
       partialize: (state) => ({
         token: state.token,
+        refreshToken: state.refreshToken,
         user: state.user,
         isAuthenticated: state.isAuthenticated,
       }),
@@ -97,11 +163,35 @@ export const useAuth = create<AuthState>()(
   )
 );
 
-// Set up axios interceptor to handle token expiration
+// Company portal users only see their own fleet
+export const useIsCompany = () => useAuth((state) => state.user?.role === 'company');
+
+// Whether the signed-in user holds a permission
+export const useCan = (permission: Permission) =>
+  useAuth((state) => state.user?.permissions?.includes(permission) ?? false);
+
+// Set up axios interceptor to handle token expiration: refresh once and
+// retry, otherwise log out
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
 axios.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status !== 401 || !request) {
+      return Promise.reject(error);
+    }
+
+    if (!request._retried && !NO_REFRESH_URLS.some((url) => request.url?.includes(url))) {
+      request._retried = true;
+      const token = await useAuth.getState().refreshSession();
+      if (token) {
+        request.headers = { ...request.headers, Authorization: `Bearer ${token}` };
+        return axios(request);
+      }
+    }
+
+    if (useAuth.getState().isAuthenticated && !request.url?.includes('/auth/login')) {
       useAuth.getState().logout();
     }
     return Promise.reject(error);
@@ -0,0 +1,85 @@
+/**
+ * =============================================================================
+ * NOTIFICATION INBOX STORE
+ * =============================================================================
+ *
+ * MENTOR NOTE: The admin's inbox is stored on the server, so nothing is lost
+ * while the dashboard is closed. We load it once, then useSocket adds new
+ * ones as `notification:new` events arrive.
+ */
+
+import { create } from 'zustand';
+import axios from 'axios';
+import { AppNotification } from '../types';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+interface NotificationState {
+  notifications: AppNotification[];
+  unreadCount: number;
+  isLoading: boolean;
+  fetchNotifications: () => Promise<void>;
+  addNotification: (notification: AppNotification) => void;
+  markRead: (notificationId: string) => Promise<void>;
+  markAllRead: () => Promise<void>;
+  clear: () => void;
+}
+
+export const useNotifications = create<NotificationState>((set) => ({
+  notifications: [],
+  unreadCount: 0,
+  isLoading: false,
+
+  fetchNotifications: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await axios.get(`${API_URL}/notifications`);
+      set({
+        notifications: response.data.notifications,
+        unreadCount: response.data.unreadCount,
+      });
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  addNotification: (notification: AppNotification) =>
+    set((state) => {
+      if (state.notifications.some((n) => n._id === notification._id)) return state;
+      return {
+        notifications: [notification, ...state.notifications].slice(0, 100),
+        unreadCount: state.unreadCount + (notification.readAt ? 0 : 1),
+      };
+    }),
+
+  markRead: async (notificationId: string) => {
+    try {
+      const response = await axios.put(`${API_URL}/notifications/${notificationId}/read`);
+      set((state) => ({
+        notifications: state.notifications.map((n) =>
+          n._id === notificationId ? response.data.notification : n
+        ),
+        unreadCount: response.data.unreadCount,
+      }));
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+  },
+
+  markAllRead: async () => {
+    try {
+      await axios.put(`${API_URL}/notifications/read-all`);
+      const readAt = new Date().toISOString();
+      set((state) => ({
+        notifications: state.notifications.map((n) => (n.readAt ? n : { ...n, readAt })),
+        unreadCount: 0,
+      }));
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  },
+
+  clear: () => set({ notifications: [], unreadCount: 0 }),
+}));
@@ -9,7 +9,9 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { io, Socket } from 'socket.io-client';
 import { create } from 'zustand';
-import { VehicleLocationUpdate, SOSAlert } from '../types';
+import { VehicleLocationUpdate, SOSAlert, SOSAlertPayload, SOSTrailPoint, AppNotification } from '../types';
+import { useAuth } from './useAuth';
+import { useNotifications } from './useNotifications';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 
@@ -17,11 +19,14 @@ const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 interface VehicleStore {
   vehicles: Map<string, VehicleLocationUpdate>;
   alerts: SOSAlert[];
+  // Bumped on every SOS event, so pages listing alerts know to reload
+  alertsVersion: number;
   selectedAlertId: string | null;
   updateVehicle: (data: VehicleLocationUpdate) => void;
   markOffline: (vehicleId: string) => void;
   addAlert: (alert: SOSAlert) => void;
-  updateAlertLocation: (alertId: string, location: { latitude: number; longitude: number }) => void;
+  updateAlert: (alert: SOSAlert) => void;
+  updateAlertLocation: (alertId: string, location: { latitude: number; longitude: number }, point?: SOSTrailPoint) => void;
   removeAlert: (alertId: string) => void;
   selectAlert: (alertId: string | null) => void;
   clearVehicles: () => void;
@@ -30,6 +35,7 @@ interface VehicleStore {
 export const useVehicleStore = create<VehicleStore>((set) => ({
   vehicles: new Map(),
   alerts: [],
+  alertsVersion: 0,
   selectedAlertId: null,
   
   updateVehicle: (data: VehicleLocationUpdate) =>
@@ -52,14 +58,37 @@ export const useVehicleStore = create<VehicleStore>((set) => ({
   
   addAlert: (alert: SOSAlert) =>
     set((state) => ({
-      alerts: [alert, ...state.alerts.filter(a => a._id !== alert._id)].slice(0, 50),
+      alerts: [
+        { ...state.alerts.find(a => a._id === alert._id), ...alert },
+        ...state.alerts.filter(a => a._id !== alert._id),
+      ].slice(0, 50),
+      alertsVersion: state.alertsVersion + 1,
     })),
 
-  updateAlertLocation: (alertId: string, location: { latitude: number; longitude: number }) =>
+  // Acknowledged, assigned, new note... Resolved alerts leave the panel.
+  updateAlert: (alert: SOSAlert) =>
+    set((state) => ({
+      alerts: alert.status === 'resolved'
+        ? state.alerts.filter(a => a._id !== alert._id)
+        : state.alerts.some(a => a._id === alert._id)
+          ? state.alerts.map(a => (a._id === alert._id ? alert : a))
+          : [alert, ...state.alerts].slice(0, 50),
+      selectedAlertId: alert.status === 'resolved' && state.selectedAlertId === alert._id
+        ? null
+        : state.selectedAlertId,
+      alertsVersion: state.alertsVersion + 1,
+    })),
+
+  // Moves the marker and extends the trail drawn behind it
+  updateAlertLocation: (alertId: string, location: { latitude: number; longitude: number }, point?: SOSTrailPoint) =>
     set((state) => ({
       alerts: state.alerts.map(a => 
         a._id === alertId 
-          ? { ...a, location: { ...a.location, ...location } }
+          ? {
+              ...a,
+              location: { ...a.location, ...location },
+              trail: point ? [...(a.trail || []), point] : a.trail,
+            }
           : a
       ),
     })),
@@ -68,6 +97,7 @@ export const useVehicleStore = create<VehicleStore>((set) => ({
     set((state) => ({
       alerts: state.alerts.filter((a) => a._id !== alertId),
       selectedAlertId: state.selectedAlertId === alertId ? null : state.selectedAlertId,
+      alertsVersion: state.alertsVersion + 1,
     })),
 
   selectAlert: (alertId: string | null) =>
@@ -79,14 +109,17 @@ export const useVehicleStore = create<VehicleStore>((set) => ({
 // Socket connection hook
 export function useSocket() {
   const socketRef = useRef<Socket | null>(null);
-  const { updateVehicle, markOffline, addAlert, updateAlertLocation, removeAlert } = useVehicleStore();
+  const { updateVehicle, markOffline, addAlert, updateAlert, updateAlertLocation, removeAlert } = useVehicleStore();
 
   const connect = useCallback(() => {
     if (socketRef.current?.connected) return;
 
     console.log('Connecting to Socket.io server...');
     
+    // The server verifies this JWT before allowing us into admin-room.
+    // Read on every (re)connect, so a refreshed token is picked up.
     socketRef.current = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: useAuth.getState().token }),
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: 10,
@@ -94,16 +127,39 @@ export function useSocket() {
     });
 
     const socket = socketRef.current;
+    let retriedAfterRefresh = false;
 
     socket.on('connect', () => {
       console.log('Socket connected:', socket.id);
-      socket.emit('join:room', { room: 'admin-room' });
+      retriedAfterRefresh = false;
+      // Company sockets are put in their company's room by the server
+      if (useAuth.getState().user?.role === 'admin') {
+        socket.emit('join:room', { room: 'admin-room' });
+      }
     });
 
     socket.on('disconnect', (reason: string) => {
       console.log('Socket disconnected:', reason);
     });
 
+    // Rejected by the server (e.g. expired access token): the client won't
+    // retry by itself, so refresh the token and reconnect once
+    socket.on('connect_error', async (error: Error) => {
+      console.error('Socket connection rejected:', error.message);
+      if (socket.active || retriedAfterRefresh) return;
+      retriedAfterRefresh = true;
+      if (await useAuth.getState().refreshSession()) {
+        socket.connect();
+      } else {
+        useAuth.getState().logout();
+      }
+    });
+
+    // Signed out from another device or by an admin
+    socket.on('session:revoked', () => {
+      useAuth.getState().logout();
+    });
+
     socket.on('vehicle:location', (data: VehicleLocationUpdate) => {
       updateVehicle(data);
     });
@@ -112,20 +168,35 @@ export function useSocket() {
       markOffline(data.vehicleId);
     });
 
-    socket.on('sos:alert', (data: SOSAlert) => {
+    // New alert, or sent again because nobody acknowledged it (escalated)
+    socket.on('sos:alert', (data: SOSAlertPayload) => {
       console.log('SOS ALERT RECEIVED:', data);
-      addAlert(data);
+      addAlert({
+        _id: data.alertId,
+        senderName: data.senderName,
+        senderRole: data.senderRole,
+        location: data.location,
+        message: data.message,
+        status: 'active',
+        createdAt: data.timestamp,
+        ...(data.escalated ? { escalatedAt: new Date().toISOString() } : {}),
+      });
       if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
-        new Notification('🚨 SOS Alert!', {
+        new Notification(data.escalated ? '🚨 SOS still unanswered!' : '🚨 SOS Alert!', {
           body: `${data.senderName} needs help!`,
         });
       }
     });
 
+    // Acknowledged, assigned, note added, escalated or resolved
+    socket.on('sos:updated', (data: SOSAlert) => {
+      updateAlert(data);
+    });
+
     // Listen for SOS location updates (real-time tracking)
-    socket.on('sos:location', (data: { alertId: string; location: { latitude: number; longitude: number } }) => {
+    socket.on('sos:location', (data: { alertId: string; location: { latitude: number; longitude: number }; point?: SOSTrailPoint }) => {
       console.log('SOS location update:', data);
-      updateAlertLocation(data.alertId, data.location);
+      updateAlertLocation(data.alertId, data.location, data.point);
     });
 
     // Listen for SOS resolved
@@ -134,10 +205,15 @@ export function useSocket() {
       removeAlert(data.alertId);
     });
 
+    // New inbox entry for this admin (SOS, geofence, pending verifications...)
+    socket.on('notification:new', (data: AppNotification) => {
+      useNotifications.getState().addNotification(data);
+    });
+
     socket.on('error', (error: Error) => {
       console.error('Socket error:', error);
     });
-  }, [updateVehicle, markOffline, addAlert, updateAlertLocation, removeAlert]);
+  }, [updateVehicle, markOffline, addAlert, updateAlert, updateAlertLocation, removeAlert]);
 
   const disconnect = useCallback(() => {
     if (socketRef.current) {
@@ -1,68 +1,346 @@
 /**
  * SOS ALERTS PAGE - View and manage emergency alerts
+ *
+ * Each alert is an incident: acknowledge it (the sender's phone is told),
+ * assign it to a responder, add notes, send the nearest available vehicle,
+ * and resolve it with a category. Texts to the sender's emergency contacts
+ * and the on-call admin are listed with whether they went out. The timeline shows every step; the list
+ * reloads on SOS socket events.
  */
 
 import React, { useEffect, useState } from 'react';
-import axios from 'axios';
-import { useAuth } from '../hooks/useAuth';
-
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
-
-interface Alert {
-  _id: string;
-  senderId: { name: string; email: string; phone: string };
-  senderRole: string;
-  vehicleId?: { vehicleNumber: string; licensePlate: string };
-  location: { latitude: number; longitude: number };
-  message?: string;
-  status: string;
-  createdAt: string;
-  resolvedAt?: string;
-}
+import { useCan } from '../hooks/useAuth';
+import { useAlerts } from '../hooks/useApi';
+import { useVehicleStore } from '../hooks/useSocket';
+import { RESOLUTION_CATEGORIES, SOSTimeline } from '../components/SOSTimeline';
+import { NearbyVehicle, SOSAlert, SOSDelivery, SOSResolutionCategory } from '../types';
 
-export const Alerts: React.FC = () => {
-  const { token } = useAuth();
-  const [alerts, setAlerts] = useState<Alert[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('active');
+type Responder = { _id: string; name: string; email: string };
 
-  useEffect(() => {
-    fetchAlerts();
-  }, [filter]);
+const getStatusColor = (status: string) => {
+  switch (status) {
+    case 'active': return 'bg-red-100 text-red-800';
+    case 'acknowledged': return 'bg-yellow-100 text-yellow-800';
+    case 'resolved': return 'bg-green-100 text-green-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
 
-  const fetchAlerts = async () => {
+const DELIVERY_STATUS: Record<SOSDelivery['status'], { label: string; className: string }> = {
+  pending: { label: 'sending', className: 'text-gray-500' },
+  sent: { label: 'sent', className: 'text-green-700' },
+  failed: { label: 'failed', className: 'text-red-600' },
+};
+
+const AlertCard: React.FC<{
+  alert: SOSAlert;
+  canRespond: boolean;
+  responders: Responder[];
+  actions: Pick<
+    ReturnType<typeof useAlerts>,
+    'acknowledgeAlert' | 'assignAlert' | 'addNote' | 'resolveAlert' | 'fetchNearestVehicles' | 'dispatchVehicle'
+  >;
+}> = ({ alert, canRespond, responders, actions }) => {
+  const [note, setNote] = useState('');
+  const [nearby, setNearby] = useState<NearbyVehicle[] | null>(null);
+  const [category, setCategory] = useState<SOSResolutionCategory | ''>('');
+  const [resolutionNote, setResolutionNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const isOpen = alert.status !== 'resolved';
+
+  const run = async (action: () => Promise<unknown>) => {
+    setBusy(true);
+    setError(null);
     try {
-      const res = await axios.get(`${API_URL}/admin/alerts?status=${filter}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setAlerts(res.data.alerts);
-    } catch (error) {
-      console.error('Failed to fetch alerts:', error);
+      await action();
+      return true;
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Something went wrong');
+      return false;
     } finally {
-      setLoading(false);
+      setBusy(false);
     }
   };
 
-  const handleResolve = async (alertId: string) => {
-    try {
-      await axios.put(`${API_URL}/admin/alerts/${alertId}/resolve`, {}, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      fetchAlerts();
-    } catch (error) {
-      console.error('Failed to resolve alert:', error);
-    }
+  const handleAddNote = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (note.trim() && await run(() => actions.addNote(alert._id, note.trim()))) setNote('');
   };
 
-  const getStatusColor = (status: string) => {
-    switch (status) {
-      case 'active': return 'bg-red-100 text-red-800';
-      case 'acknowledged': return 'bg-yellow-100 text-yellow-800';
-      case 'resolved': return 'bg-green-100 text-green-800';
-      default: return 'bg-gray-100 text-gray-800';
+  const handleFindNearby = () => run(async () => setNearby(await actions.fetchNearestVehicles(alert._id)));
+
+  const handleDispatch = async (vehicleId: string) => {
+    if (await run(() => actions.dispatchVehicle(alert._id, vehicleId))) {
+      setNearby((prev) => prev?.map((v) => (v.vehicleId === vehicleId ? { ...v, dispatched: true } : v)) || null);
     }
   };
 
+  const handleResolve = async () => {
+    if (category) await run(() => actions.resolveAlert(alert._id, category, resolutionNote.trim() || undefined));
+  };
+
+  return (
+    <div
+      className={`bg-white rounded-xl shadow-sm p-6 border-l-4 ${
+        alert.status === 'active' ? 'border-red-500' : alert.status === 'acknowledged' ? 'border-yellow-500' : 'border-green-500'
+      }`}
+    >
+      <div className="flex justify-between items-start">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-2">
+            <span className="text-2xl">🚨</span>
+            <div>
+              <p className="font-bold text-lg">{alert.senderId?.name || alert.senderName || 'Unknown'}</p>
+              <p className="text-sm text-gray-500 capitalize">{alert.senderRole}</p>
+            </div>
+            <span className={`px-2 py-1 text-xs rounded ${getStatusColor(alert.status)}`}>
+              {alert.status}
+            </span>
+            {alert.escalatedAt && isOpen && (
+              <span className="px-2 py-1 text-xs rounded bg-red-600 text-white">escalated</span>
+            )}
+            {alert.source === 'sms' && (
+              <span className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700" title="Sent without a data connection">
+                💬 by SMS
+              </span>
+            )}
+          </div>
+
+          {alert.message && (
+            <p className="text-gray-700 mb-3 italic">"{alert.message}"</p>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+            <div>
+              <span className="text-gray-400">Phone:</span>
+              <p className="font-medium">{alert.senderId?.phone || '-'}</p>
+            </div>
+            <div>
+              <span className="text-gray-400">Vehicle:</span>
+              <p className="font-medium">
+                {alert.vehicleId?.vehicleNumber || '-'}
+              </p>
+            </div>
+            <div>
+              <span className="text-gray-400">Location:</span>
+              <p className="font-medium">
+                {alert.location.latitude.toFixed(4)}, {alert.location.longitude.toFixed(4)}
+              </p>
+            </div>
+            <div>
+              <span className="text-gray-400">Time:</span>
+              <p className="font-medium">{new Date(alert.createdAt).toLocaleString()}</p>
+            </div>
+            <div>
+              <span className="text-gray-400">Responder:</span>
+              {canRespond && isOpen ? (
+                <select
+                  value={alert.assignedTo?._id || ''}
+                  onChange={(e) => run(() => actions.assignAlert(alert._id, e.target.value || null))}
+                  disabled={busy}
+                  className="block w-full mt-1 px-2 py-1 border rounded text-sm"
+                >
+                  <option value="">Unassigned</option>
+                  {responders.map((r) => (
+                    <option key={r._id} value={r._id}>{r.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <p className="font-medium">{alert.assignedTo?.name || '-'}</p>
+              )}
+            </div>
+          </div>
+
+          {alert.trail && alert.trail.length > 1 && (
+            <p className="mt-2 text-xs text-gray-500">
+              📍 {alert.trail.length} positions reported, last at {new Date(alert.trail[alert.trail.length - 1].timestamp).toLocaleTimeString()}
+            </p>
+          )}
+
+          {alert.deliveries && alert.deliveries.length > 0 && (
+            <div className="mt-3 text-xs">
+              <span className="text-gray-400">Texted:</span>
+              <ul className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                {alert.deliveries.map((d) => (
+                  <li key={d._id} title={d.error}>
+                    {d.channel === 'voice' ? '📞' : '💬'} {d.name}
+                    {d.recipient === 'contact' && <span className="text-gray-400"> ({d.to})</span>}
+                    {' '}<span className={DELIVERY_STATUS[d.status].className}>{DELIVERY_STATUS[d.status].label}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {alert.status === 'resolved' && alert.resolutionCategory && (
+            <p className="mt-3 text-sm text-green-800">
+              ✅ {RESOLUTION_CATEGORIES[alert.resolutionCategory]}
+              {alert.resolutionNote && <span className="text-gray-600"> - {alert.resolutionNote}</span>}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-2 ml-4">
+          <button
+            onClick={() => window.open(
+              `https://www.google.com/maps?q=${alert.location.latitude},${alert.location.longitude}`,
+              '_blank'
+            )}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm"
+          >
+            📍 View Map
+          </button>
+          {alert.status === 'active' && canRespond && (
+            <button
+              onClick={() => run(() => actions.acknowledgeAlert(alert._id))}
+              disabled={busy}
+              className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 text-sm disabled:opacity-50"
+            >
+              👀 Acknowledge
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Nearest vehicles, to send one to the incident */}
+      {isOpen && (
+        <div className="mt-4 pt-4 border-t">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-500">Nearest vehicles</h3>
+            <button
+              onClick={handleFindNearby}
+              disabled={busy}
+              className="px-3 py-1 border rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              {nearby ? '↻ Refresh' : '🔎 Find nearby'}
+            </button>
+          </div>
+          {nearby && (nearby.length === 0 ? (
+            <p className="text-sm text-gray-500">No vehicle with a driver is online nearby.</p>
+          ) : (
+            <ul className="divide-y text-sm">
+              {nearby.map((v) => (
+                <li key={v.vehicleId} className="flex items-center gap-4 py-2">
+                  <span className="font-medium w-28">{v.vehicleNumber}</span>
+                  <span className="text-gray-600 flex-1">
+                    {v.driverName || 'Driver'}{v.driverPhone && <span className="text-gray-400"> · {v.driverPhone}</span>}
+                  </span>
+                  <span className="w-20 text-right">{(v.distanceMeters / 1000).toFixed(1)} km</span>
+                  <span className="w-20 text-right text-gray-500">~{v.etaMinutes} min</span>
+                  {canRespond && (
+                    v.dispatched ? (
+                      <span className="w-24 text-center text-xs text-green-700">Dispatched</span>
+                    ) : (
+                      <button
+                        onClick={() => handleDispatch(v.vehicleId)}
+                        disabled={busy}
+                        className="w-24 px-2 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 text-xs disabled:opacity-50"
+                      >
+                        🚗 Dispatch
+                      </button>
+                    )
+                  )}
+                </li>
+              ))}
+            </ul>
+          ))}
+        </div>
+      )}
+
+      {/* Timeline and notes */}
+      <div className="mt-4 pt-4 border-t grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-500 mb-2">Timeline</h3>
+          <SOSTimeline entries={alert.timeline} />
+          {canRespond && (
+            <form onSubmit={handleAddNote} className="flex gap-2 mt-3">
+              <input
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={1000}
+                placeholder="Add a note (called the driver, ambulance on the way...)"
+                className="flex-1 px-3 py-2 border rounded-lg text-sm"
+              />
+              <button
+                type="submit"
+                disabled={busy || !note.trim()}
+                className="px-3 py-2 bg-gray-700 text-white rounded-lg text-sm hover:bg-gray-800 disabled:opacity-50"
+              >
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+
+        {canRespond && isOpen && (
+          <div>
+            <h3 className="text-sm font-semibold text-gray-500 mb-2">Resolve</h3>
+            <div className="space-y-2">
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value as SOSResolutionCategory | '')}
+                className="w-full px-3 py-2 border rounded-lg text-sm"
+              >
+                <option value="">What happened?</option>
+                {(Object.keys(RESOLUTION_CATEGORIES) as SOSResolutionCategory[]).map((key) => (
+                  <option key={key} value={key}>{RESOLUTION_CATEGORIES[key]}</option>
+                ))}
+              </select>
+              <textarea
+                value={resolutionNote}
+                onChange={(e) => setResolutionNote(e.target.value)}
+                maxLength={1000}
+                rows={2}
+                placeholder="Outcome (optional)"
+                className="w-full px-3 py-2 border rounded-lg text-sm"
+              />
+              <button
+                onClick={handleResolve}
+                disabled={busy || !category}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm disabled:opacity-50"
+              >
+                ✓ Resolve
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+export const Alerts: React.FC = () => {
+  const {
+    alerts,
+    loading,
+    fetchAlerts,
+    acknowledgeAlert,
+    assignAlert,
+    addNote,
+    resolveAlert,
+    fetchResponders,
+    fetchNearestVehicles,
+    dispatchVehicle,
+  } = useAlerts();
+  const alertsVersion = useVehicleStore((state) => state.alertsVersion);
+  const [filter, setFilter] = useState('open');
+  const [responders, setResponders] = useState<Responder[]>([]);
+  const canRespond = useCan('sos:respond');
+
+  // Reload on filter change and whenever an SOS event arrives
+  useEffect(() => {
+    fetchAlerts(filter);
+  }, [filter, alertsVersion, fetchAlerts]);
+
+  useEffect(() => {
+    if (canRespond) {
+      fetchResponders().then(setResponders).catch((error) => console.error('Failed to fetch responders:', error));
+    }
+  }, [canRespond, fetchResponders]);
+
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-6">🚨 SOS Alerts</h1>
@@ -74,89 +352,30 @@ export const Alerts: React.FC = () => {
           onChange={(e) => setFilter(e.target.value)}
           className="px-4 py-2 border rounded-lg"
         >
-          <option value="active">Active</option>
+          <option value="open">Open</option>
+          <option value="active">Not acknowledged</option>
+          <option value="acknowledged">Acknowledged</option>
           <option value="resolved">Resolved</option>
         </select>
       </div>
 
       {/* Alerts List */}
       <div className="space-y-4">
-        {loading ? (
+        {loading && alerts.length === 0 ? (
           <div className="bg-white rounded-xl p-8 text-center text-gray-500">Loading...</div>
         ) : alerts.length === 0 ? (
           <div className="bg-white rounded-xl p-8 text-center text-gray-500">
-            No {filter} alerts
+            No {filter === 'active' ? 'unacknowledged' : filter} alerts
           </div>
         ) : (
           alerts.map((alert) => (
-            <div
+            <AlertCard
               key={alert._id}
-              className={`bg-white rounded-xl shadow-sm p-6 border-l-4 ${
-                alert.status === 'active' ? 'border-red-500' : 'border-green-500'
-              }`}
-            >
-              <div className="flex justify-between items-start">
-                <div className="flex-1">
-                  <div className="flex items-center gap-3 mb-2">
-                    <span className="text-2xl">🚨</span>
-                    <div>
-                      <p className="font-bold text-lg">{alert.senderId?.name || 'Unknown'}</p>
-                      <p className="text-sm text-gray-500 capitalize">{alert.senderRole}</p>
-                    </div>
-                    <span className={`px-2 py-1 text-xs rounded ${getStatusColor(alert.status)}`}>
-                      {alert.status}
-                    </span>
-                  </div>
-
-                  {alert.message && (
-                    <p className="text-gray-700 mb-3 italic">"{alert.message}"</p>
-                  )}
-
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                    <div>
-                      <span className="text-gray-400">Phone:</span>
-                      <p className="font-medium">{alert.senderId?.phone || '-'}</p>
-                    </div>
-                    <div>
-                      <span className="text-gray-400">Vehicle:</span>
-                      <p className="font-medium">
-                        {alert.vehicleId?.vehicleNumber || '-'}
-                      </p>
-                    </div>
-                    <div>
-                      <span className="text-gray-400">Location:</span>
-                      <p className="font-medium">
-                        {alert.location.latitude.toFixed(4)}, {alert.location.longitude.toFixed(4)}
-                      </p>
-                    </div>
-                    <div>
-                      <span className="text-gray-400">Time:</span>
-                      <p className="font-medium">{new Date(alert.createdAt).toLocaleString()}</p>
-                    </div>
-                  </div>
-                </div>
-
-                <div className="flex flex-col gap-2 ml-4">
-                  <button
-                    onClick={() => window.open(
-                      `https://www.google.com/maps?q=${alert.location.latitude},${alert.location.longitude}`,
-                      '_blank'
-                    )}
-                    className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm"
-                  >
-                    📍 View Map
-                  </button>
-                  {alert.status === 'active' && (
-                    <button
-                      onClick={() => handleResolve(alert._id)}
-                      className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm"
-                    >
-                      ✓ Resolve
-                    </button>
-                  )}
-                </div>
-              </div>
-            </div>
+              alert={alert}
+              canRespond={canRespond}
+              responders={responders}
+              actions={{ acknowledgeAlert, assignAlert, addNote, resolveAlert, fetchNearestVehicles, dispatchVehicle }}
+            />
           ))
         )}
       </div>
@@ -1,11 +1,12 @@
 /**
  * ANALYTICS PAGE - View vehicle analytics and route history
+ * Companies only see their own vehicles; on-time performance is admin-only.
  */
 
 import React, { useEffect, useState, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import axios from 'axios';
-import { useAuth } from '../hooks/useAuth';
+import { useAuth, useIsCompany } from '../hooks/useAuth';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -43,33 +44,124 @@ interface HistoryPoint {
   timestamp: string;
 }
 
+interface TripPlace {
+  id: string;
+  name: string;
+}
+
+interface TripStop {
+  start: string;
+  end: string;
+  durationSeconds: number;
+  geofence: TripPlace | null;
+}
+
+interface Trip {
+  startTime: string;
+  endTime: string;
+  durationSeconds: number;
+  distanceKm: number;
+  averageSpeed: number;
+  maxSpeed: number;
+  startGeofence: TripPlace | null;
+  endGeofence: TripPlace | null;
+  stops: TripStop[];
+  pointCount: number;
+}
+
+interface TransitRoute {
+  _id: string;
+  name: string;
+  code?: string;
+  color: string;
+}
+
+interface StopPerformance {
+  index: number;
+  name: string;
+  offsetMinutes: number;
+  total: number;
+  onTime: number;
+  early: number;
+  late: number;
+  onTimePercent: number | null;
+  averageDelayMinutes: number | null;
+}
+
+interface RouteStopEvent {
+  _id: string;
+  vehicleId?: { vehicleNumber: string; licensePlate: string };
+  stopName: string;
+  eventType: 'departure' | 'arrival';
+  departure: string;
+  actualAt: string;
+  delayMinutes: number;
+  status: 'early' | 'on_time' | 'late';
+}
+
+interface RoutePerformance {
+  onTimeWindow: { earlyMinutes: number; lateMinutes: number };
+  overall: { total: number; onTimePercent: number | null };
+  stops: StopPerformance[];
+  recentEvents: RouteStopEvent[];
+}
+
+const STATUS_COLORS: Record<RouteStopEvent['status'], string> = {
+  early: 'text-blue-600',
+  on_time: 'text-green-600',
+  late: 'text-red-600',
+};
+
+const formatDuration = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatTime = (timestamp: string) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
 export const Analytics: React.FC = () => {
   const { token } = useAuth();
+  const isCompany = useIsCompany();
   const [searchParams] = useSearchParams();
   const [stats, setStats] = useState<Stats | null>(null);
   const [vehicles, setVehicles] = useState<Vehicle[]>([]);
   const [selectedVehicleId, setSelectedVehicleId] = useState<string>(searchParams.get('vehicleId') || '');
-  const [activeTab, setActiveTab] = useState<'overview' | 'analytics' | 'history'>(
+  const [activeTab, setActiveTab] = useState<'overview' | 'analytics' | 'history' | 'routes'>(
     searchParams.get('tab') === 'history' ? 'history' : 'overview'
   );
   const [vehicleAnalytics, setVehicleAnalytics] = useState<VehicleAnalytics | null>(null);
   const [historyPoints, setHistoryPoints] = useState<HistoryPoint[]>([]);
+  const [trips, setTrips] = useState<Trip[]>([]);
+  const [selectedTrip, setSelectedTrip] = useState<Trip | null>(null);
   const [dateRange, setDateRange] = useState({
     start: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0],
     end: new Date().toISOString().split('T')[0],
   });
+  const [routes, setRoutes] = useState<TransitRoute[]>([]);
+  const [selectedRouteId, setSelectedRouteId] = useState<string>('');
+  const [routePerformance, setRoutePerformance] = useState<RoutePerformance | null>(null);
   const [loading, setLoading] = useState(true);
   const [loadingAnalytics, setLoadingAnalytics] = useState(false);
 
   useEffect(() => {
     fetchStats();
     fetchVehicles();
+    if (!isCompany) fetchRoutes();
   }, []);
 
+  useEffect(() => {
+    if (selectedRouteId) {
+      fetchRoutePerformance();
+    }
+  }, [selectedRouteId]);
+
   useEffect(() => {
     if (selectedVehicleId) {
       fetchVehicleAnalytics();
       fetchVehicleHistory();
+      fetchVehicleTrips();
     }
   }, [selectedVehicleId, dateRange]);
 
@@ -126,6 +218,53 @@ export const Analytics: React.FC = () => {
     }
   };
 
+  const fetchVehicleTrips = async () => {
+    if (!selectedVehicleId) return;
+    setSelectedTrip(null);
+    try {
+      const res = await axios.get(`${API_URL}/admin/vehicles/${selectedVehicleId}/trips`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { startDate: dateRange.start, endDate: dateRange.end }
+      });
+      setTrips(res.data.trips);
+    } catch (error) {
+      console.error('Failed to fetch trips:', error);
+    }
+  };
+
+  const fetchRoutes = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/routes`);
+      setRoutes(res.data.routes);
+    } catch (error) {
+      console.error('Failed to fetch routes:', error);
+    }
+  };
+
+  const fetchRoutePerformance = async () => {
+    if (!selectedRouteId) return;
+    setRoutePerformance(null);
+    try {
+      const res = await axios.get(`${API_URL}/routes/${selectedRouteId}/performance`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setRoutePerformance(res.data);
+    } catch (error) {
+      console.error('Failed to fetch route performance:', error);
+    }
+  };
+
+  // When a trip is selected, only show its points in the history table
+  const visiblePoints = useMemo(() => {
+    if (!selectedTrip) return historyPoints;
+    const start = new Date(selectedTrip.startTime).getTime();
+    const end = new Date(selectedTrip.endTime).getTime();
+    return historyPoints.filter(p => {
+      const time = new Date(p.timestamp).getTime();
+      return time >= start && time <= end;
+    });
+  }, [historyPoints, selectedTrip]);
+
   const selectedVehicle = useMemo(() => 
     vehicles.find(v => v.id === selectedVehicleId),
     [vehicles, selectedVehicleId]
@@ -146,7 +285,7 @@ export const Analytics: React.FC = () => {
     { label: 'Total Vehicles', value: stats?.totalVehicles || 0, icon: '🚗', color: 'green' },
     { label: 'Active Vehicles', value: stats?.activeVehicles || 0, icon: '📍', color: 'emerald' },
     { label: 'Pending Vehicles', value: stats?.pendingVehicles || 0, icon: '⏳', color: 'orange' },
-    { label: 'Companies', value: stats?.totalCompanies || 0, icon: '🏢', color: 'purple' },
+    ...(isCompany ? [] : [{ label: 'Companies', value: stats?.totalCompanies || 0, icon: '🏢', color: 'purple' }]),
     { label: 'Active Alerts', value: stats?.activeAlerts || 0, icon: '🚨', color: 'red' },
   ];
 
@@ -186,6 +325,18 @@ export const Analytics: React.FC = () => {
         >
           Route History
         </button>
+        {!isCompany && (
+        <button
+          onClick={() => setActiveTab('routes')}
+          className={`px-4 py-2 rounded-lg font-medium transition ${
+            activeTab === 'routes' 
+              ? 'bg-blue-500 text-white' 
+              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          On-Time Performance
+        </button>
+        )}
       </div>
 
       {/* Overview Tab */}
@@ -367,8 +518,62 @@ export const Analytics: React.FC = () => {
             </div>
           )}
 
+          {/* Trip List */}
+          {trips.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+              <div className="px-4 py-3 border-b flex items-center justify-between">
+                <h3 className="font-semibold">🛣️ Trips ({trips.length})</h3>
+                {selectedTrip && (
+                  <button
+                    onClick={() => setSelectedTrip(null)}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    Show all points
+                  </button>
+                )}
+              </div>
+              <div className="divide-y">
+                {trips.map((trip, i) => (
+                  <button
+                    key={trip.startTime}
+                    onClick={() => setSelectedTrip(trip === selectedTrip ? null : trip)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${
+                      trip === selectedTrip ? 'bg-blue-50' : ''
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="font-medium">
+                          Trip {i + 1}: {formatTime(trip.startTime)} - {formatTime(trip.endTime)}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {trip.startGeofence?.name || 'Unknown'} → {trip.endGeofence?.name || 'Unknown'}
+                        </p>
+                      </div>
+                      <div className="text-right text-sm">
+                        <p className="font-medium">{trip.distanceKm} km • {formatDuration(trip.durationSeconds)}</p>
+                        <p className="text-gray-500">
+                          avg {trip.averageSpeed} km/h • max{' '}
+                          <span className={trip.maxSpeed > 60 ? 'text-red-600' : ''}>{trip.maxSpeed} km/h</span>
+                        </p>
+                      </div>
+                    </div>
+                    {trip.stops.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        ⏸️ {trip.stops.length} stop{trip.stops.length > 1 ? 's' : ''}:{' '}
+                        {trip.stops
+                          .map(stop => `${stop.geofence?.name || formatTime(stop.start)} (${formatDuration(stop.durationSeconds)})`)
+                          .join(', ')}
+                      </p>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* History Table */}
-          {historyPoints.length > 0 ? (
+          {visiblePoints.length > 0 ? (
             <div className="bg-white rounded-xl shadow-sm overflow-hidden">
               <div className="max-h-[500px] overflow-y-auto">
                 <table className="w-full">
@@ -382,7 +587,7 @@ export const Analytics: React.FC = () => {
                     </tr>
                   </thead>
                   <tbody className="divide-y">
-                    {historyPoints.map((point, i) => (
+                    {visiblePoints.map((point, i) => (
                       <tr key={i} className="hover:bg-gray-50">
                         <td className="px-4 py-3 text-sm text-gray-500">{i + 1}</td>
                         <td className="px-4 py-3 text-sm">
@@ -410,6 +615,128 @@ export const Analytics: React.FC = () => {
           )}
         </div>
       )}
+
+      {/* On-Time Performance Tab */}
+      {activeTab === 'routes' && (
+        <div className="space-y-6">
+          <div className="bg-white rounded-xl shadow-sm p-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scheduled Route</label>
+            <select
+              value={selectedRouteId}
+              onChange={(e) => setSelectedRouteId(e.target.value)}
+              className="w-full md:w-80 px-3 py-2 border rounded-lg"
+            >
+              <option value="">Select a route...</option>
+              {routes.map(route => (
+                <option key={route._id} value={route._id}>
+                  {route.code ? `${route.code} - ` : ''}{route.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {!selectedRouteId && (
+            <div className="bg-gray-50 rounded-xl p-8 text-center text-gray-500">
+              <p>Select a route to view on-time performance for the last 7 days</p>
+            </div>
+          )}
+
+          {selectedRouteId && !routePerformance && (
+            <div className="text-gray-500">Loading performance...</div>
+          )}
+
+          {routePerformance && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <div className="text-3xl font-bold text-green-600">
+                    {routePerformance.overall.onTimePercent ?? '-'}
+                    {routePerformance.overall.onTimePercent !== null && '%'}
+                  </div>
+                  <p className="text-gray-500">On Time</p>
+                </div>
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <div className="text-3xl font-bold">{routePerformance.overall.total}</div>
+                  <p className="text-gray-500">Stop Events</p>
+                </div>
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <div className="text-lg font-bold">
+                    -{routePerformance.onTimeWindow.earlyMinutes} / +{routePerformance.onTimeWindow.lateMinutes} min
+                  </div>
+                  <p className="text-gray-500">On-Time Window</p>
+                </div>
+              </div>
+
+              {/* Per-stop table */}
+              <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Stop</th>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Planned</th>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Events</th>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">On Time</th>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Early / Late</th>
+                      <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Avg Delay</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {routePerformance.stops.map(stop => (
+                      <tr key={stop.index} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-sm font-medium">
+                          {stop.index + 1}. {stop.name}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-500">+{stop.offsetMinutes} min</td>
+                        <td className="px-4 py-3 text-sm">{stop.total}</td>
+                        <td className="px-4 py-3 text-sm font-medium text-green-600">
+                          {stop.onTimePercent !== null ? `${stop.onTimePercent}%` : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <span className="text-blue-600">{stop.early}</span>
+                          {' / '}
+                          <span className="text-red-600">{stop.late}</span>
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {stop.averageDelayMinutes !== null ? `${stop.averageDelayMinutes} min` : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Recent events */}
+              {routePerformance.recentEvents.length > 0 && (
+                <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+                  <div className="px-4 py-3 border-b">
+                    <h3 className="font-semibold">🕒 Recent Stop Events</h3>
+                  </div>
+                  <div className="divide-y">
+                    {routePerformance.recentEvents.map(event => (
+                      <div key={event._id} className="px-4 py-3 flex items-center justify-between text-sm">
+                        <div>
+                          <p className="font-medium">
+                            {event.vehicleId?.vehicleNumber || 'Unknown vehicle'}{' '}
+                            {event.eventType === 'departure' ? 'departed' : 'arrived at'} {event.stopName}
+                          </p>
+                          <p className="text-gray-500">
+                            {event.departure} run • {new Date(event.actualAt).toLocaleString()}
+                          </p>
+                        </div>
+                        <span className={`font-medium ${STATUS_COLORS[event.status]}`}>
+                          {event.status === 'on_time'
+                            ? 'On time'
+                            : `${Math.abs(Math.round(event.delayMinutes))} min ${event.status}`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -4,40 +4,74 @@
  * =============================================================================
  * 
  * MENTOR NOTE: Main dashboard showing system overview and key metrics.
+ * Companies see their own fleet's numbers (the backend scopes them).
  */
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { useDashboard, usePendingVerifications } from '../hooks/useApi';
+import { useAccountLinks, useDashboard, usePendingVerifications } from '../hooks/useApi';
 import { useVehicleStore } from '../hooks/useSocket';
+import { useAuth, useCan, useIsCompany } from '../hooks/useAuth';
+
+// Reminder to open the link emailed at registration
+const VerifyEmailBanner: React.FC<{ email: string }> = ({ email }) => {
+  const { resendVerification } = useAccountLinks();
+  const [status, setStatus] = useState<string | null>(null);
+
+  const handleResend = async () => {
+    try {
+      const result = await resendVerification();
+      setStatus(result.message);
+    } catch (err: any) {
+      setStatus(err.response?.data?.error || 'Failed to send the email');
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 p-4 rounded-xl mb-6 flex items-center justify-between gap-4">
+      <span className="text-sm">
+        📧 Please confirm your email address ({email}) with the link we sent you.
+        {status && <span className="block text-xs mt-1">{status}</span>}
+      </span>
+      <button onClick={handleResend} className="text-sm font-medium whitespace-nowrap hover:underline">
+        Resend link
+      </button>
+    </div>
+  );
+};
 
 export const Dashboard: React.FC = () => {
   const { stats, loading, fetchStats } = useDashboard();
   const { data: pending, fetchPending } = usePendingVerifications();
   const vehicleCount = useVehicleStore((state) => state.vehicles.size);
   const alertCount = useVehicleStore((state) => state.alerts.length);
+  const isCompany = useIsCompany();
+  const canViewVerifications = useCan('verifications:view');
+  const user = useAuth((state) => state.user);
 
   useEffect(() => {
     fetchStats();
-    fetchPending();
+    if (canViewVerifications) fetchPending();
     
     // Refresh stats every 30 seconds
     const interval = setInterval(fetchStats, 30000);
     return () => clearInterval(interval);
-  }, [fetchStats, fetchPending]);
+  }, [fetchStats, fetchPending, canViewVerifications]);
 
   const statCards = [
     { label: 'Total Vehicles', value: stats?.totalVehicles || 0, icon: '🚗', color: 'blue' },
     { label: 'Active Now', value: vehicleCount, icon: '📍', color: 'green' },
     { label: 'Total Drivers', value: stats?.totalDrivers || 0, icon: '👤', color: 'purple' },
-    { label: 'Companies', value: stats?.totalCompanies || 0, icon: '🏢', color: 'orange' },
+    ...(isCompany ? [] : [{ label: 'Companies', value: stats?.totalCompanies || 0, icon: '🏢', color: 'orange' }]),
     { label: 'Pending Verifications', value: (stats?.pendingDrivers || 0) + (stats?.pendingVehicles || 0), icon: '⏳', color: 'yellow' },
     { label: 'Active Alerts', value: alertCount, icon: '🚨', color: 'red' },
   ];
 
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-6">Dashboard</h1>
+      <h1 className="text-2xl font-bold mb-6">{isCompany ? 'My Fleet' : 'Dashboard'}</h1>
+
+      {user?.emailVerified === false && <VerifyEmailBanner email={user.email} />}
 
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-8">
@@ -59,7 +93,8 @@ export const Dashboard: React.FC = () => {
 
       {/* Quick Actions */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Pending Verifications */}
+        {/* Pending Verifications (verifiers and auditors) */}
+        {canViewVerifications && (
         <div className="bg-white rounded-xl p-6 shadow-sm">
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-lg font-semibold">Pending Verifications</h2>
@@ -103,6 +138,7 @@ export const Dashboard: React.FC = () => {
             </div>
           )}
         </div>
+        )}
 
         {/* Quick Links */}
         <div className="bg-white rounded-xl p-6 shadow-sm">
@@ -115,13 +151,23 @@ export const Dashboard: React.FC = () => {
               <span className="text-2xl block mb-2">🗺️</span>
               <span className="text-sm font-medium">Live Map</span>
             </Link>
-            <Link
-              to="/verifications"
-              className="p-4 bg-yellow-50 rounded-lg text-center hover:bg-yellow-100 transition"
-            >
-              <span className="text-2xl block mb-2">✅</span>
-              <span className="text-sm font-medium">Verify</span>
-            </Link>
+            {!canViewVerifications ? (
+              <Link
+                to="/drivers"
+                className="p-4 bg-yellow-50 rounded-lg text-center hover:bg-yellow-100 transition"
+              >
+                <span className="text-2xl block mb-2">👤</span>
+                <span className="text-sm font-medium">Drivers</span>
+              </Link>
+            ) : (
+              <Link
+                to="/verifications"
+                className="p-4 bg-yellow-50 rounded-lg text-center hover:bg-yellow-100 transition"
+              >
+                <span className="text-2xl block mb-2">✅</span>
+                <span className="text-sm font-medium">Verify</span>
+              </Link>
+            )}
             <Link
               to="/alerts"
               className="p-4 bg-red-50 rounded-lg text-center hover:bg-red-100 transition"
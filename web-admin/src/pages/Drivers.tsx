@@ -1,10 +1,13 @@
 /**
  * DRIVERS PAGE - View and manage all drivers
+ * Companies see their own drivers here, invite new ones and remove them.
  */
 
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
-import { useAuth } from '../hooks/useAuth';
+import { useAuth, useCan, useIsCompany } from '../hooks/useAuth';
+import { useCompany, useUserAccess } from '../hooks/useApi';
+import type { CompanyInvite } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -24,11 +27,21 @@ export const Drivers: React.FC = () => {
   const [drivers, setDrivers] = useState<Driver[]>([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('');
+  const isCompany = useIsCompany();
+  const { invites, fetchInvites, createInvite, revokeInvite, removeDriver } = useCompany();
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteError, setInviteError] = useState('');
+  const canManageUsers = useCan('users:manage');
+  const { signOutEverywhere, setActive } = useUserAccess();
 
   useEffect(() => {
     fetchDrivers();
   }, [filter]);
 
+  useEffect(() => {
+    if (isCompany) fetchInvites();
+  }, [isCompany, fetchInvites]);
+
   const fetchDrivers = async () => {
     try {
       const params = new URLSearchParams({ role: 'driver' });
@@ -45,6 +58,61 @@ export const Drivers: React.FC = () => {
     }
   };
 
+  const handleCreateInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setInviteError('');
+    try {
+      await createInvite(inviteEmail.trim() || undefined);
+      setInviteEmail('');
+    } catch (error: any) {
+      setInviteError(error.response?.data?.error || 'Failed to create invite');
+    }
+  };
+
+  const handleRevokeInvite = async (id: string) => {
+    try {
+      await revokeInvite(id);
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to revoke invite');
+    }
+  };
+
+  const handleRemoveDriver = async (driver: Driver) => {
+    if (!confirm(`Remove ${driver.name} from your company? They will be unassigned from your vehicles.`)) return;
+    try {
+      await removeDriver(driver._id);
+      fetchDrivers();
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to remove driver');
+    }
+  };
+
+  const handleSignOut = async (driver: Driver) => {
+    if (!confirm(`Sign ${driver.name} out of all their devices? They will have to log in again.`)) return;
+    try {
+      const result = await signOutEverywhere(driver._id);
+      alert(result.message);
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to sign out driver');
+    }
+  };
+
+  const handleToggleActive = async (driver: Driver) => {
+    if (driver.isActive && !confirm(`Deactivate ${driver.name}? They are signed out and cannot log in or track.`)) return;
+    try {
+      await setActive(driver._id, !driver.isActive);
+      fetchDrivers();
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to update driver');
+    }
+  };
+
+  const inviteStatus = (invite: CompanyInvite) => {
+    if (invite.usedBy) return { label: `Used by ${invite.usedBy.name}`, color: 'bg-green-100 text-green-800' };
+    if (new Date(invite.expiresAt).getTime() < Date.now()) return { label: 'Expired', color: 'bg-gray-100 text-gray-800' };
+    return { label: 'Open', color: 'bg-blue-100 text-blue-800' };
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'approved': return 'bg-green-100 text-green-800';
@@ -56,7 +124,74 @@ export const Drivers: React.FC = () => {
 
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-6">Drivers</h1>
+      <h1 className="text-2xl font-bold mb-6">{isCompany ? 'My Drivers' : 'Drivers'}</h1>
+
+      {/* Invites (company portal) */}
+      {isCompany && (
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h2 className="text-lg font-semibold mb-1">Invite Drivers</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Share the code with a driver. They enter it when registering or in the app. Codes are single use
+            and expire after 7 days; add an email to limit a code to that driver.
+          </p>
+          <form onSubmit={handleCreateInvite} className="flex gap-3 mb-4">
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="Driver email (optional)"
+              className="flex-1 px-4 py-2 border rounded-lg"
+            />
+            <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
+              Create Code
+            </button>
+          </form>
+          {inviteError && <p className="text-sm text-red-600 mb-4">{inviteError}</p>}
+
+          {invites.length === 0 ? (
+            <p className="text-sm text-gray-500">No invites yet</p>
+          ) : (
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {invites.map((invite) => {
+                  const status = inviteStatus(invite);
+                  return (
+                    <tr key={invite._id}>
+                      <td className="px-4 py-2 font-mono font-semibold">{invite.code}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{invite.email || 'Anyone'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">
+                        {new Date(invite.expiresAt).toLocaleDateString()}
+                      </td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-1 text-xs rounded ${status.color}`}>{status.label}</span>
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        {!invite.usedBy && (
+                          <button
+                            onClick={() => handleRevokeInvite(invite._id)}
+                            className="text-sm text-red-600 hover:underline"
+                          >
+                            Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
 
       {/* Filters */}
       <div className="flex gap-4 mb-6">
@@ -87,6 +222,7 @@ export const Drivers: React.FC = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                {(isCompany || canManageUsers) && <th className="px-6 py-3"></th>}
               </tr>
             </thead>
             <tbody className="divide-y">
@@ -113,10 +249,41 @@ export const Drivers: React.FC = () => {
                     <span className={`px-2 py-1 text-xs rounded ${getStatusColor(driver.verificationStatus)}`}>
                       {driver.verificationStatus}
                     </span>
+                    {!driver.isActive && (
+                      <span className="ml-2 px-2 py-1 text-xs rounded bg-gray-200 text-gray-700">deactivated</span>
+                    )}
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-500">
                     {new Date(driver.createdAt).toLocaleDateString()}
                   </td>
+                  {(isCompany || canManageUsers) && (
+                    <td className="px-6 py-4 text-right space-x-3 whitespace-nowrap">
+                      {isCompany && (
+                        <button
+                          onClick={() => handleRemoveDriver(driver)}
+                          className="text-sm text-red-600 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      )}
+                      {canManageUsers && (
+                        <>
+                          <button
+                            onClick={() => handleSignOut(driver)}
+                            className="text-sm text-blue-600 hover:underline"
+                          >
+                            Sign out
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(driver)}
+                            className={`text-sm hover:underline ${driver.isActive ? 'text-red-600' : 'text-green-600'}`}
+                          >
+                            {driver.isActive ? 'Deactivate' : 'Activate'}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -0,0 +1,82 @@
+/**
+ * =============================================================================
+ * FORGOT PASSWORD PAGE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Asks the backend to email a reset link. The answer is the
+ * same whether or not the email has an account.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAccountLinks } from '../hooks/useApi';
+
+export const ForgotPassword: React.FC = () => {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const { forgotPassword } = useAccountLinks();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      const result = await forgotPassword(email);
+      setMessage(result.message);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to send the email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-xl shadow-lg w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">🚗 VehicleTrack</h1>
+          <p className="text-gray-500 mt-2">Reset your password</p>
+        </div>
+
+        {message ? (
+          <div className="bg-green-50 text-green-700 p-3 rounded-lg text-sm">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={sending}
+              className="w-full py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {sending ? 'Sending...' : 'Email me a reset link'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm mt-6">
+          <Link to="/login" className="text-blue-500 hover:underline">Back to sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
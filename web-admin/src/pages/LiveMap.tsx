@@ -12,18 +12,20 @@ import { Map } from '../components/Map';
 import { VehicleDetails } from '../components/VehicleDetails';
 import { AlertPanel } from '../components/AlertPanel';
 import { useSocket, useVehicleStore } from '../hooks/useSocket';
-import { VehicleLocationUpdate } from '../types';
+import { VehicleLocationUpdate, Geofence } from '../types';
 import { useApi } from '../hooks/useApi';
 
-interface Geofence {
-  _id: string;
-  name: string;
-  type: string;
-  center: { latitude: number; longitude: number };
-  radius: number;
-  color: string;
-  isActive: boolean;
-}
+// Short size label for the legend, depending on the geofence shape
+const describeGeofence = (geofence: Geofence): string => {
+  switch (geofence.shape) {
+    case 'polygon':
+      return `${geofence.polygon?.length || 0}-pt polygon`;
+    case 'corridor':
+      return `${geofence.width}m corridor`;
+    default:
+      return `${geofence.radius}m`;
+  }
+};
 
 export const LiveMap: React.FC = () => {
   const [selectedVehicle, setSelectedVehicle] = useState<VehicleLocationUpdate | null>(null);
@@ -112,7 +114,7 @@ export const LiveMap: React.FC = () => {
                     style={{ backgroundColor: geofence.color || '#3B82F6' }}
                   />
                   <span className="truncate">{geofence.name}</span>
-                  <span className="text-gray-400 text-xs">{geofence.radius}m</span>
+                  <span className="text-gray-400 text-xs">{describeGeofence(geofence)}</span>
                 </div>
               ))}
             </div>
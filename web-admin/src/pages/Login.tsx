@@ -5,7 +5,7 @@
  */
 
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 
 export const Login: React.FC = () => {
@@ -65,6 +65,9 @@ export const Login: React.FC = () => {
               placeholder="••••••••"
               required
             />
+            <Link to="/forgot-password" className="block text-right text-sm text-blue-500 hover:underline mt-1">
+              Forgot password?
+            </Link>
           </div>
 
           <button
@@ -0,0 +1,106 @@
+/**
+ * =============================================================================
+ * RESET PASSWORD PAGE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Opened from the emailed link (/reset-password?token=...).
+ * Drivers and students land here too, since the link is the same for every
+ * role. Changing the password signs out every device.
+ */
+
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAccountLinks } from '../hooks/useApi';
+
+export const ResetPassword: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(token ? null : 'This link is incomplete. Please open the link from the email again.');
+  const { resetPassword } = useAccountLinks();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await resetPassword(token, password);
+      setMessage(result.message);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-xl shadow-lg w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">🚗 VehicleTrack</h1>
+          <p className="text-gray-500 mt-2">Choose a new password</p>
+        </div>
+
+        {message ? (
+          <div className="bg-green-50 text-green-700 p-3 rounded-lg text-sm">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                New password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                minLength={6}
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Repeat new password
+              </label>
+              <input
+                type="password"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                minLength={6}
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving || !token}
+              className="w-full py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Change password'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm mt-6">
+          <Link to="/login" className="text-blue-500 hover:underline">Back to sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,144 @@
+/**
+ * TEAM PAGE - Admin users and what they may do
+ *
+ * Each admin gets a role preset (verifier, dispatcher, ...) plus any extra
+ * permissions. You cannot change your own permissions.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useStaff } from '../hooks/useApi';
+import { AdminRole, Permission, StaffMember } from '../types';
+
+const StaffRow: React.FC<{
+  member: StaffMember;
+  isSelf: boolean;
+  roles: Record<AdminRole, { label: string; permissions: Permission[] }>;
+  permissions: Record<Permission, string>;
+  onSave: (adminRole: AdminRole, permissions: Permission[]) => Promise<void>;
+}> = ({ member, isSelf, roles, permissions, onSave }) => {
+  const [adminRole, setAdminRole] = useState<AdminRole>(member.adminRole);
+  const [extra, setExtra] = useState<Permission[]>(member.permissions);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const preset = roles[adminRole]?.permissions || [];
+  const changed = adminRole !== member.adminRole
+    || extra.length !== member.permissions.length
+    || extra.some((p) => !member.permissions.includes(p));
+
+  const toggle = (permission: Permission) => {
+    setExtra((prev) => prev.includes(permission)
+      ? prev.filter((p) => p !== permission)
+      : [...prev, permission]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      // Grants already in the preset are redundant
+      await onSave(adminRole, extra.filter((p) => !preset.includes(p)));
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <p className="font-medium">
+            {member.name} {isSelf && <span className="text-xs text-gray-400">(you)</span>}
+          </p>
+          <p className="text-sm text-gray-500">{member.email}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={adminRole}
+            onChange={(e) => setAdminRole(e.target.value as AdminRole)}
+            disabled={isSelf}
+            className="px-3 py-2 border rounded-lg text-sm"
+          >
+            {(Object.keys(roles) as AdminRole[]).map((role) => (
+              <option key={role} value={role}>{roles[role].label}</option>
+            ))}
+          </select>
+          {!isSelf && (
+            <button
+              onClick={handleSave}
+              disabled={saving || !changed}
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {(Object.keys(permissions) as Permission[]).map((permission) => {
+          const fromRole = preset.includes(permission);
+          return (
+            <label
+              key={permission}
+              className={`flex items-start gap-2 text-sm ${fromRole ? 'text-gray-400' : 'text-gray-700'}`}
+            >
+              <input
+                type="checkbox"
+                checked={fromRole || extra.includes(permission)}
+                disabled={isSelf || fromRole}
+                onChange={() => toggle(permission)}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-mono">{permission}</span>
+                <span className="block text-xs text-gray-500">{permissions[permission]}</span>
+              </span>
+            </label>
+          );
+        })}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export const Team: React.FC = () => {
+  const { user } = useAuth();
+  const { staff, catalog, loading, fetchStaff, updatePermissions } = useStaff();
+
+  useEffect(() => {
+    fetchStaff();
+  }, [fetchStaff]);
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-2">Team</h1>
+      <p className="text-gray-500 mb-6">
+        Pick a role for each admin; tick extra permissions to grant them on top of it.
+      </p>
+
+      <div className="bg-white rounded-xl shadow-sm divide-y">
+        {loading && !catalog ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : !catalog || staff.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No admin users found</div>
+        ) : (
+          staff.map((member) => (
+            <StaffRow
+              key={`${member._id}-${member.adminRole}-${member.permissions.join(',')}`}
+              member={member}
+              isSelf={member.email === user?.email}
+              roles={catalog.adminRoles}
+              permissions={catalog.permissions}
+              onSave={(adminRole, permissions) => updatePermissions(member._id, adminRole, permissions)}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,10 +1,12 @@
 /**
  * VEHICLES PAGE - View and manage all vehicles
+ * Companies see their own fleet and assign their drivers to it.
  */
 
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
-import { useAuth } from '../hooks/useAuth';
+import { useAuth, useIsCompany } from '../hooks/useAuth';
+import { useCompany } from '../hooks/useApi';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -15,7 +17,7 @@ interface Vehicle {
   type: string;
   verificationStatus: string;
   isActive: boolean;
-  driverId?: { name: string; email: string };
+  driverId?: { _id: string; name: string; email: string };
   companyId?: { companyName: string };
   lastSeen?: string;
 }
@@ -25,11 +27,17 @@ export const Vehicles: React.FC = () => {
   const [vehicles, setVehicles] = useState<Vehicle[]>([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({ type: '', status: '' });
+  const isCompany = useIsCompany();
+  const { drivers, fetchDrivers, assignDriver } = useCompany();
 
   useEffect(() => {
     fetchVehicles();
   }, [filter]);
 
+  useEffect(() => {
+    if (isCompany) fetchDrivers();
+  }, [isCompany, fetchDrivers]);
+
   const fetchVehicles = async () => {
     try {
       const params = new URLSearchParams();
@@ -47,6 +55,16 @@ export const Vehicles: React.FC = () => {
     }
   };
 
+  // Empty value unassigns the current driver
+  const handleAssignDriver = async (vehicleId: string, driverId: string) => {
+    try {
+      await assignDriver(vehicleId, driverId || null);
+      fetchVehicles();
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to assign driver');
+    }
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'approved': return 'bg-green-100 text-green-800';
@@ -67,7 +85,7 @@ export const Vehicles: React.FC = () => {
 
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-6">Vehicles</h1>
+      <h1 className="text-2xl font-bold mb-6">{isCompany ? 'My Vehicles' : 'Vehicles'}</h1>
 
       {/* Filters */}
       <div className="flex gap-4 mb-6">
@@ -106,7 +124,9 @@ export const Vehicles: React.FC = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Driver</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+                {!isCompany && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+                )}
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Seen</th>
               </tr>
@@ -125,7 +145,21 @@ export const Vehicles: React.FC = () => {
                     <span className="capitalize">{vehicle.type}</span>
                   </td>
                   <td className="px-6 py-4">
-                    {vehicle.driverId ? (
+                    {isCompany ? (
+                      <select
+                        value={vehicle.driverId?._id || ''}
+                        onChange={(e) => handleAssignDriver(vehicle._id, e.target.value)}
+                        className="px-3 py-1 border rounded-lg text-sm"
+                      >
+                        <option value="">Unassigned</option>
+                        {vehicle.driverId && !drivers.some((d) => d._id === vehicle.driverId!._id) && (
+                          <option value={vehicle.driverId._id}>{vehicle.driverId.name}</option>
+                        )}
+                        {drivers.map((driver) => (
+                          <option key={driver._id} value={driver._id}>{driver.name}</option>
+                        ))}
+                      </select>
+                    ) : vehicle.driverId ? (
                       <div>
                         <p className="font-medium">{vehicle.driverId.name}</p>
                         <p className="text-sm text-gray-500">{vehicle.driverId.email}</p>
@@ -134,9 +168,11 @@ export const Vehicles: React.FC = () => {
                       <span className="text-gray-400">Unassigned</span>
                     )}
                   </td>
-                  <td className="px-6 py-4">
-                    {vehicle.companyId?.companyName || <span className="text-gray-400">-</span>}
-                  </td>
+                  {!isCompany && (
+                    <td className="px-6 py-4">
+                      {vehicle.companyId?.companyName || <span className="text-gray-400">-</span>}
+                    </td>
+                  )}
                   <td className="px-6 py-4">
                     <span className={`px-2 py-1 text-xs rounded ${getStatusColor(vehicle.verificationStatus)}`}>
                       {vehicle.verificationStatus}
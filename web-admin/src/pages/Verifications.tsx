@@ -5,15 +5,55 @@
  * 
  * MENTOR NOTE: Admin page for reviewing and approving/rejecting
  * driver, vehicle, and company registrations.
+ *
+ * Single documents can be rejected with their own reason, so the driver only
+ * re-uploads those. Every decision and resubmission is kept in the
+ * verification history (per item, and on the History tab).
+ *
+ * Licenses and OR/CRs expire: the date is set while reviewing (or on the
+ * Expiring Soon tab), and tracking is suspended once it passes until a new
+ * date is entered (see backend utils/documentExpiry.ts).
+ *
+ * Without the verifications:review permission (e.g. auditors) the page is
+ * read-only.
  */
 
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { usePendingVerifications } from '../hooks/useApi';
+import {
+  usePendingVerifications,
+  useVerificationHistory,
+  useExpiringDocuments,
+  VerificationReview,
+} from '../hooks/useApi';
+import { useCan } from '../hooks/useAuth';
+import { DocumentReview, VerificationLogEntry, TrackingSuspension } from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-type Tab = 'drivers' | 'vehicles' | 'companies';
+type Tab = 'drivers' | 'vehicles' | 'companies' | 'expiring' | 'history';
+
+const DOCUMENT_LABELS: Record<string, string> = {
+  licenseFront: 'License Front',
+  licenseBack: 'License Back',
+  selfie: 'Selfie',
+  vehiclePhoto: 'Vehicle Photo',
+  licensePlatePhoto: 'License Plate',
+  orCrPhoto: 'OR/CR',
+};
+
+const ACTION_BADGES: Record<VerificationLogEntry['action'], { label: string; className: string }> = {
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  resubmitted: { label: 'Resubmitted', className: 'bg-blue-100 text-blue-800' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-03-01" for date inputs
+const toDateInput = (date?: string | null) => (date ? date.slice(0, 10) : '');
+
+const daysLeft = (date: string) => Math.ceil((new Date(date).getTime() - Date.now()) / DAY_MS);
 
 // Placeholder component for missing/broken images
 const DocumentImage: React.FC<{ src?: string; alt: string; className?: string }> = ({ src, alt, className = '' }) => {
@@ -40,35 +80,306 @@ const DocumentImage: React.FC<{ src?: string; alt: string; className?: string }>
   );
 };
 
+// Document with its review status and a toggle to reject just this one
+const ReviewableDocument: React.FC<{
+  name: string;
+  src?: string;
+  review?: DocumentReview;
+  rejection?: string; // reason, when the admin is rejecting this document
+  onChange?: (reason: string | undefined) => void; // read-only without it
+  className?: string;
+}> = ({ name, src, review, rejection, onChange, className }) => (
+  <div>
+    <p className="text-xs text-gray-400 mb-1">{DOCUMENT_LABELS[name] || name}</p>
+    <DocumentImage
+      src={src}
+      alt={DOCUMENT_LABELS[name] || name}
+      className={`${className} ${rejection !== undefined ? 'ring-2 ring-red-500' : ''}`}
+    />
+    {review && (
+      <p
+        className={`text-xs mt-1 ${
+          review.status === 'rejected' ? 'text-red-600' : review.status === 'approved' ? 'text-green-600' : 'text-blue-600'
+        }`}
+        title={review.reason}
+      >
+        {review.status === 'pending' ? '↻ Re-uploaded' : review.status === 'approved' ? '✓ Approved before' : `✕ ${review.reason}`}
+      </p>
+    )}
+    {!onChange ? null : rejection === undefined ? (
+      <button
+        onClick={() => onChange('')}
+        className="mt-1 text-xs text-red-600 hover:underline"
+      >
+        Reject this document
+      </button>
+    ) : (
+      <div className="mt-1 flex gap-1">
+        <input
+          value={rejection}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Why? e.g. unreadable"
+          className="flex-1 min-w-0 px-2 py-1 border rounded text-xs"
+          autoFocus
+        />
+        <button
+          onClick={() => onChange(undefined)}
+          className="text-xs text-gray-400 hover:text-gray-600"
+          title="Keep this document"
+        >
+          ✕
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+// License / OR/CR expiry with an inline date editor
+const ExpiryRow: React.FC<{
+  icon: string;
+  title: string;
+  subtitle: string;
+  expiresAt?: string | null;
+  suspension?: TrackingSuspension | null;
+  onSave?: (expiresAt: string) => Promise<void>; // read-only without it
+}> = ({ icon, title, subtitle, expiresAt, suspension, onSave }) => {
+  const [date, setDate] = useState(toDateInput(expiresAt));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const days = expiresAt ? daysLeft(expiresAt) : null;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave!(date);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 flex items-center gap-4 flex-wrap">
+      <div className="flex-1 min-w-[12rem]">
+        <p className="font-medium">
+          {icon} {title}
+        </p>
+        <p className="text-sm text-gray-500">{subtitle}</p>
+        {suspension && <p className="text-xs text-red-600 mt-1">{suspension.message}</p>}
+      </div>
+      {suspension ? (
+        <span className="px-2 py-1 bg-red-100 text-red-800 text-xs rounded">Tracking suspended</span>
+      ) : days !== null && (
+        <span
+          className={`px-2 py-1 text-xs rounded ${
+            days <= 0 ? 'bg-red-100 text-red-800' : days <= 7 ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'
+          }`}
+        >
+          {days <= 0 ? 'Expired' : days === 1 ? '1 day left' : `${days} days left`}
+        </span>
+      )}
+      {onSave ? (
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="px-2 py-1 border rounded text-sm"
+          />
+          <button
+            onClick={handleSave}
+            disabled={saving || !date || date === toDateInput(expiresAt)}
+            className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      ) : (
+        <span className="text-sm text-gray-600">{date || 'No date'}</span>
+      )}
+      {error && <p className="w-full text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Audit trail: who approved/rejected what and when
+const VerificationHistory: React.FC<{ entries: VerificationLogEntry[]; showSubject?: boolean }> = ({
+  entries,
+  showSubject,
+}) => (
+  <div className="space-y-3">
+    {entries.map((entry) => (
+      <div key={entry._id} className="border-l-4 border-gray-200 pl-3">
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className={`px-2 py-0.5 text-xs rounded ${ACTION_BADGES[entry.action].className}`}>
+            {ACTION_BADGES[entry.action].label}
+          </span>
+          {(showSubject || entry.subjectType === 'vehicle') && (
+            <span className="text-sm font-medium">
+              {entry.subjectType === 'vehicle' ? '🚗' : entry.subjectType === 'company' ? '🏢' : '👤'}{' '}
+              {entry.subjectName}
+            </span>
+          )}
+          <span className="text-sm">
+            by <span className="font-medium">{entry.actorName}</span>
+            {entry.actorRole !== 'admin' && <span className="text-gray-500"> ({entry.actorRole})</span>}
+          </span>
+          <span className="text-xs text-gray-400 ml-auto">
+            {new Date(entry.createdAt).toLocaleString()}
+          </span>
+        </div>
+        {entry.reason && <p className="text-sm text-gray-700 mt-1">{entry.reason}</p>}
+        {entry.documents.length > 0 && (
+          <ul className="text-xs text-gray-500 mt-1">
+            {entry.documents.map((doc) => (
+              <li key={doc.name}>
+                {DOCUMENT_LABELS[doc.name] || doc.name}:{' '}
+                {entry.action === 'resubmitted' ? 'new upload' : doc.status}
+                {doc.reason ? ` - ${doc.reason}` : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
 export const Verifications: React.FC = () => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState<Tab>('drivers');
   const { data, loading, fetchPending, verifyDriver, verifyVehicle, verifyCompany } = usePendingVerifications();
   const [selectedItem, setSelectedItem] = useState<any>(null);
+  const { history, loading: historyLoading, fetchHistory } = useVerificationHistory();
+  const [reason, setReason] = useState('');
+  const [documentRejections, setDocumentRejections] = useState<Record<string, string>>({});
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [expiresAt, setExpiresAt] = useState('');
+  const { data: expiring, loading: expiringLoading, fetchExpiring, setExpiry } = useExpiringDocuments();
+  const canReview = useCan('verifications:review');
 
   useEffect(() => {
     fetchPending();
-  }, [fetchPending]);
+    fetchExpiring();
+  }, [fetchPending, fetchExpiring]);
+
+  // Fresh review form and history for each item (vehicles have their own
+  // history, drivers and companies include what they own)
+  useEffect(() => {
+    setReason('');
+    setDocumentRejections({});
+    setActionError(null);
+    setExpiresAt(toDateInput(selectedItem?.licenseExpiresAt ?? selectedItem?.registrationExpiresAt));
+
+    if (activeTab === 'history') {
+      fetchHistory({ limit: 100 });
+    } else if (selectedItem) {
+      fetchHistory(
+        activeTab === 'vehicles'
+          ? { subjectType: 'vehicle', subjectId: selectedItem._id }
+          : { ownerId: selectedItem._id }
+      );
+    }
+  }, [activeTab, selectedItem, fetchHistory]);
+
+  const setDocumentRejection = (name: string, documentReason: string | undefined) => {
+    setDocumentRejections((prev) => {
+      const next = { ...prev };
+      if (documentReason === undefined) {
+        delete next[name];
+      } else {
+        next[name] = documentReason;
+      }
+      return next;
+    });
+  };
 
   const handleVerify = async (id: string, status: 'approved' | 'rejected') => {
+    const rejected = Object.entries(documentRejections);
+    const review: VerificationReview = { reason: reason.trim() || undefined };
+    if (expiresAt && expiresAt !== toDateInput(selectedItem.licenseExpiresAt ?? selectedItem.registrationExpiresAt)) {
+      review.expiresAt = expiresAt;
+    }
+
+    if (status === 'rejected') {
+      if (rejected.some(([, documentReason]) => !documentReason.trim())) {
+        setActionError('Give a reason for each rejected document');
+        return;
+      }
+      if (!review.reason && rejected.length === 0) {
+        setActionError('Give a reason or reject a document');
+        return;
+      }
+      if (rejected.length > 0) {
+        review.documents = Object.fromEntries(
+          rejected.map(([name, documentReason]) => [name, { status: 'rejected', reason: documentReason.trim() }])
+        );
+      }
+    } else if (rejected.length > 0) {
+      setActionError('Clear the rejected documents to approve');
+      return;
+    }
+
     try {
       if (activeTab === 'drivers') {
-        await verifyDriver(id, status);
+        await verifyDriver(id, status, review);
       } else if (activeTab === 'vehicles') {
-        await verifyVehicle(id, status);
+        await verifyVehicle(id, status, review);
       } else {
-        await verifyCompany(id, status);
+        await verifyCompany(id, status, review);
       }
       setSelectedItem(null);
-    } catch (error) {
+      if (activeTab !== 'companies') fetchExpiring();
+    } catch (error: any) {
       console.error('Verification failed:', error);
+      setActionError(error.response?.data?.error || 'Verification failed');
     }
   };
 
+  // Document tile with review controls for the selected item
+  const renderDocument = (name: string, className: string) => (
+    <ReviewableDocument
+      name={name}
+      src={selectedItem.documents?.[name]}
+      review={selectedItem.documentStatus?.[name]}
+      rejection={documentRejections[name]}
+      onChange={canReview ? (documentReason) => setDocumentRejection(name, documentReason) : undefined}
+      className={className}
+    />
+  );
+
+  const handleSaveExpiry = async (type: 'driver' | 'vehicle', id: string, date: string) => {
+    await setExpiry(type, id, date);
+    fetchExpiring();
+  };
+
+  // Expiry date entered while reviewing a driver or vehicle
+  const renderExpiryInput = (label: string) => canReview && (
+    <div>
+      <label className="text-sm text-gray-500 block mb-1">{label}</label>
+      <input
+        type="date"
+        value={expiresAt}
+        onChange={(e) => setExpiresAt(e.target.value)}
+        className="px-3 py-2 border rounded-lg text-sm"
+      />
+      {expiresAt && daysLeft(expiresAt) <= 0 && (
+        <p className="text-xs text-red-600 mt-1">Already expired - tracking stays suspended</p>
+      )}
+      {selectedItem.trackingSuspended && (
+        <p className="text-xs text-red-600 mt-1">{selectedItem.trackingSuspended.message}</p>
+      )}
+    </div>
+  );
+
   const tabs = [
     { id: 'drivers', label: 'Drivers', count: data?.pendingDrivers.length || 0 },
     { id: 'vehicles', label: 'Vehicles', count: data?.pendingVehicles.length || 0 },
     { id: 'companies', label: 'Companies', count: data?.pendingCompanies.length || 0 },
+    { id: 'expiring', label: 'Expiring Soon', count: (expiring?.drivers.length || 0) + (expiring?.vehicles.length || 0) },
+    { id: 'history', label: 'History', count: 0 },
   ];
 
   const currentItems = activeTab === 'drivers' 
@@ -86,7 +397,10 @@ export const Verifications: React.FC = () => {
         {tabs.map((tab) => (
           <button
             key={tab.id}
-            onClick={() => setActiveTab(tab.id as Tab)}
+            onClick={() => {
+              setActiveTab(tab.id as Tab);
+              setSelectedItem(null);
+            }}
             className={`px-4 py-2 rounded-lg font-medium transition ${
               activeTab === tab.id
                 ? 'bg-blue-600 text-white'
@@ -103,6 +417,68 @@ export const Verifications: React.FC = () => {
         ))}
       </div>
 
+      {/* Verification history (all items) */}
+      {activeTab === 'history' && (
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          {historyLoading ? (
+            <div className="text-center text-gray-500">Loading...</div>
+          ) : history.length === 0 ? (
+            <div className="text-center text-gray-500">No verification history yet</div>
+          ) : (
+            <VerificationHistory entries={history} showSubject />
+          )}
+        </div>
+      )}
+
+      {/* Licenses and OR/CRs expiring within 30 days, or expired */}
+      {activeTab === 'expiring' && (
+        <div className="bg-white rounded-xl shadow-sm">
+          {expiringLoading && !expiring ? (
+            <div className="p-8 text-center text-gray-500">Loading...</div>
+          ) : (
+            <>
+              {(expiring?.missing.drivers || 0) + (expiring?.missing.vehicles || 0) > 0 && (
+                <div className="p-4 bg-yellow-50 border-b border-yellow-200 text-sm text-yellow-800">
+                  ⚠️ No expiry date yet for {expiring!.missing.drivers} driver license(s) and{' '}
+                  {expiring!.missing.vehicles} OR/CR(s). They are not checked until one is set.
+                </div>
+              )}
+              {expiring?.drivers.length === 0 && expiring?.vehicles.length === 0 ? (
+                <div className="p-8 text-center text-gray-500">
+                  No documents expire in the next {expiring.days} days
+                </div>
+              ) : (
+                <div className="divide-y">
+                  {expiring?.drivers.map((driver) => (
+                    <ExpiryRow
+                      key={driver._id}
+                      icon="👤"
+                      title={driver.name}
+                      subtitle={`Driver's license · ${(driver.companyId as any)?.companyName || driver.phone}`}
+                      expiresAt={driver.licenseExpiresAt}
+                      suspension={driver.trackingSuspended}
+                      onSave={canReview ? (date) => handleSaveExpiry('driver', driver._id, date) : undefined}
+                    />
+                  ))}
+                  {expiring?.vehicles.map((vehicle) => (
+                    <ExpiryRow
+                      key={vehicle._id}
+                      icon="🚗"
+                      title={`${vehicle.vehicleNumber} (${vehicle.licensePlate})`}
+                      subtitle={`OR/CR · ${vehicle.driverId?.name || vehicle.companyId?.companyName || 'No driver'}`}
+                      expiresAt={vehicle.registrationExpiresAt}
+                      suspension={vehicle.trackingSuspended}
+                      onSave={canReview ? (date) => handleSaveExpiry('vehicle', vehicle._id, date) : undefined}
+                    />
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {activeTab !== 'history' && activeTab !== 'expiring' && (
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* List */}
         <div className="bg-white rounded-xl shadow-sm">
@@ -135,9 +511,15 @@ export const Verifications: React.FC = () => {
                           : item.email}
                       </p>
                     </div>
-                    <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded">
-                      Pending
-                    </span>
+                    {Object.values(item.documentStatus || {}).some((review: any) => review?.status === 'pending') ? (
+                      <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded">
+                        Resubmitted
+                      </span>
+                    ) : (
+                      <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded">
+                        Pending
+                      </span>
+                    )}
                   </div>
                 </div>
               ))}
@@ -173,33 +555,14 @@ export const Verifications: React.FC = () => {
                   <div>
                     <label className="text-sm text-gray-500 block mb-2">Driver Documents</label>
                     <div className="grid grid-cols-3 gap-2">
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">License Front</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.licenseFront}
-                          alt="License Front"
-                          className="w-full h-24 object-cover rounded"
-                        />
-                      </div>
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">License Back</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.licenseBack}
-                          alt="License Back"
-                          className="w-full h-24 object-cover rounded"
-                        />
-                      </div>
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">Selfie</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.selfie}
-                          alt="Selfie"
-                          className="w-full h-24 object-cover rounded"
-                        />
-                      </div>
+                      {renderDocument('licenseFront', 'w-full h-24 object-cover rounded')}
+                      {renderDocument('licenseBack', 'w-full h-24 object-cover rounded')}
+                      {renderDocument('selfie', 'w-full h-24 object-cover rounded')}
                     </div>
                   </div>
 
+                  {renderExpiryInput('License Expiry')}
+
                   {/* View Vehicle Button - Always show to check if driver has registered vehicle */}
                   <button
                     onClick={() => {
@@ -324,33 +687,14 @@ export const Verifications: React.FC = () => {
                   <div>
                     <label className="text-sm text-gray-500 block mb-2">Vehicle Documents</label>
                     <div className="grid grid-cols-3 gap-2">
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">Vehicle Photo</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.vehiclePhoto}
-                          alt="Vehicle"
-                          className="w-full h-28 object-cover rounded"
-                        />
-                      </div>
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">License Plate</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.licensePlatePhoto}
-                          alt="License Plate"
-                          className="w-full h-28 object-cover rounded"
-                        />
-                      </div>
-                      <div>
-                        <p className="text-xs text-gray-400 mb-1">OR/CR (Ownership Proof)</p>
-                        <DocumentImage
-                          src={selectedItem.documents?.orCrPhoto}
-                          alt="OR/CR Ownership Proof"
-                          className="w-full h-28 object-cover rounded"
-                        />
-                      </div>
+                      {renderDocument('vehiclePhoto', 'w-full h-28 object-cover rounded')}
+                      {renderDocument('licensePlatePhoto', 'w-full h-28 object-cover rounded')}
+                      {renderDocument('orCrPhoto', 'w-full h-28 object-cover rounded')}
                     </div>
                   </div>
 
+                  {renderExpiryInput('OR/CR Registration Expiry')}
+
                   {/* Ownership verification note */}
                   <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                     <p className="text-sm text-yellow-800">
@@ -382,20 +726,53 @@ export const Verifications: React.FC = () => {
                 </div>
               )}
 
-              {/* Action Buttons */}
-              <div className="flex gap-3 mt-6 pt-4 border-t">
-                <button
-                  onClick={() => handleVerify(selectedItem._id, 'approved')}
-                  className="flex-1 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition"
-                >
-                  ✓ Approve
-                </button>
-                <button
-                  onClick={() => handleVerify(selectedItem._id, 'rejected')}
-                  className="flex-1 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
-                >
-                  ✕ Reject
-                </button>
+              {canReview && (
+                <>
+                  {/* Rejection reason */}
+                  <div className="mt-6 pt-4 border-t">
+                    <label className="text-sm text-gray-500 block mb-1">
+                      Reason {Object.keys(documentRejections).length > 0 ? '(optional)' : '(required to reject)'}
+                    </label>
+                    <textarea
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      placeholder="Shown to the applicant when rejecting"
+                      rows={2}
+                      className="w-full px-3 py-2 border rounded-lg text-sm"
+                    />
+                    {actionError && <p className="text-sm text-red-600 mt-1">{actionError}</p>}
+                  </div>
+
+                  {/* Action Buttons */}
+                  <div className="flex gap-3 mt-3">
+                    <button
+                      onClick={() => handleVerify(selectedItem._id, 'approved')}
+                      className="flex-1 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition"
+                    >
+                      ✓ Approve
+                    </button>
+                    <button
+                      onClick={() => handleVerify(selectedItem._id, 'rejected')}
+                      className="flex-1 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
+                    >
+                      ✕ Reject{Object.keys(documentRejections).length > 0
+                        ? ` ${Object.keys(documentRejections).length} document(s)`
+                        : ''}
+                    </button>
+                  </div>
+                </>
+              )}
+
+              {/* Verification history */}
+              <div className="mt-6 pt-4 border-t">
+                <h3 className="text-sm font-semibold text-gray-700 mb-3">History</h3>
+                {historyLoading ? (
+                  <p className="text-sm text-gray-500">Loading...</p>
+                ) : history.length === 0 ? (
+                  <p className="text-sm text-gray-500">No previous reviews</p>
+                ) : (
+                  <VerificationHistory entries={history} />
+                )}
               </div>
             </div>
           ) : (
@@ -405,6 +782,7 @@ export const Verifications: React.FC = () => {
           )}
         </div>
       </div>
+      )}
     </div>
   );
 };
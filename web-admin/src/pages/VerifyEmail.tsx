@@ -0,0 +1,58 @@
+/**
+ * =============================================================================
+ * VERIFY EMAIL PAGE
+ * =============================================================================
+ *
+ * MENTOR NOTE: Opened from the link emailed at registration
+ * (/verify-email?token=...). Confirms the address as soon as it loads.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAccountLinks } from '../hooks/useApi';
+
+export const VerifyEmail: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const { verifyEmail } = useAccountLinks();
+  // Tokens work once - don't send it twice (React strict mode runs effects twice)
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This link is incomplete. Please open the link from the email again.');
+      return;
+    }
+    if (sent.current) return;
+    sent.current = true;
+
+    verifyEmail(token)
+      .then((result) => setMessage(`${result.message}: ${result.email}`))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to verify email'));
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-xl shadow-lg w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">🚗 VehicleTrack</h1>
+          <p className="text-gray-500 mt-2">Email verification</p>
+        </div>
+
+        {message ? (
+          <div className="bg-green-50 text-green-700 p-3 rounded-lg text-sm">✅ {message}</div>
+        ) : error ? (
+          <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">{error}</div>
+        ) : (
+          <p className="text-center text-gray-500">Confirming your email...</p>
+        )}
+
+        <p className="text-center text-sm mt-6">
+          <Link to="/login" className="text-blue-500 hover:underline">Go to sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -8,6 +8,35 @@ export type VehicleType = 'bus' | 'van' | 'multicab' | 'car' | 'motorcycle';
 export type UserRole = 'driver' | 'company' | 'admin' | 'student';
 export type VerificationStatus = 'pending' | 'approved' | 'rejected';
 
+// What a user may do in the dashboard (admins: their role preset plus extra grants)
+export type Permission =
+  | 'fleet:view'
+  | 'fleet:manage'
+  | 'verifications:view'
+  | 'verifications:review'
+  | 'sos:view'
+  | 'sos:respond'
+  | 'geofences:manage'
+  | 'routes:manage'
+  | 'users:manage'
+  | 'staff:manage';
+
+export type AdminRole = 'super_admin' | 'verifier' | 'dispatcher' | 'safety_officer' | 'auditor';
+
+// Admin review of a single document (e.g. license back unreadable)
+export interface DocumentReview {
+  status: VerificationStatus;
+  reason?: string;
+  updatedAt: string;
+}
+
+// Set when tracking is blocked, e.g. an expired license or OR/CR
+export interface TrackingSuspension {
+  reason: 'document_expired';
+  message: string;
+  since: string;
+}
+
 export interface GPSLocation {
   latitude: number;
   longitude: number;
@@ -20,6 +49,7 @@ export interface GPSLocation {
 export interface User {
   _id: string;
   email: string;
+  emailVerified?: boolean;
   role: UserRole;
   name: string;
   phone: string;
@@ -30,12 +60,36 @@ export interface User {
     licenseBack: string;
     selfie: string;
   };
+  documentStatus?: Partial<Record<'licenseFront' | 'licenseBack' | 'selfie', DocumentReview>>;
+  rejectionReason?: string;
+  licenseExpiresAt?: string | null;
+  trackingSuspended?: TrackingSuspension | null;
   assignedVehicle?: Vehicle;
   companyId?: string;
   companyName?: string;
+  adminRole?: AdminRole;
+  permissions?: Permission[]; // effective permissions (login / profile only)
   createdAt: string;
 }
 
+// Admin user on the Team page
+export interface StaffMember {
+  _id: string;
+  name: string;
+  email: string;
+  isActive: boolean;
+  adminRole: AdminRole;
+  permissions: Permission[]; // extra grants on top of the role preset
+  effectivePermissions: Permission[];
+}
+
+// GET /api/admin/permissions
+export interface PermissionCatalog {
+  permissions: Record<Permission, string>;
+  adminRoles: Record<AdminRole, { label: string; permissions: Permission[] }>;
+  mine: Permission[];
+}
+
 export interface Vehicle {
   _id: string;
   vehicleNumber: string;
@@ -44,7 +98,12 @@ export interface Vehicle {
   documents: {
     vehiclePhoto: string;
     licensePlatePhoto: string;
+    orCrPhoto?: string;
   };
+  documentStatus?: Partial<Record<'vehiclePhoto' | 'licensePlatePhoto' | 'orCrPhoto', DocumentReview>>;
+  rejectionReason?: string;
+  registrationExpiresAt?: string | null; // OR/CR
+  trackingSuspended?: TrackingSuspension | null;
   driverId?: User;
   companyId?: { _id: string; companyName: string };
   verificationStatus: VerificationStatus;
@@ -63,22 +122,189 @@ export interface VehicleLocationUpdate {
   driverName: string;
   companyName?: string;
   routeName?: string;
+  schedule?: ScheduleInfo; // vehicles on a scheduled route
   location: GPSLocation;
   vehiclePhoto: string;
   isOnline: boolean;
 }
 
+export type ScheduleStatus = 'early' | 'on_time' | 'late';
+
+// Timetable comparison at the last stop a vehicle reached
+export interface ScheduleInfo {
+  stopName: string;
+  delayMinutes: number;
+  status: ScheduleStatus;
+}
+
+export type SOSResolutionCategory = 'false_alarm' | 'medical' | 'breakdown' | 'security' | 'other';
+
+export interface SOSTimelineEntry {
+  _id?: string;
+  type: 'created' | 'acknowledged' | 'assigned' | 'unassigned' | 'note' | 'dispatched' | 'escalated' | 'resolved' | 'cancelled';
+  at: string;
+  byName?: string;
+  message?: string;
+}
+
+// One reported position of the person who sent an SOS
+export interface SOSTrailPoint {
+  latitude: number;
+  longitude: number;
+  accuracy?: number;
+  timestamp: string;
+}
+
+export interface SOSDispatch {
+  vehicleId: string;
+  driverId: string;
+  distanceMeters: number;
+  dispatchedAt: string;
+  dispatchedBy: string;
+}
+
+// A text (or call) about an SOS to an emergency contact or the on-call admin
+export interface SOSDelivery {
+  _id: string;
+  recipient: 'contact' | 'on_call';
+  name: string;
+  to: string;
+  channel: 'sms' | 'voice';
+  status: 'pending' | 'sent' | 'failed';
+  error?: string;
+  updatedAt: string;
+}
+
+// A vehicle that could go to an SOS (GET /admin/alerts/:id/nearest-vehicles)
+export interface NearbyVehicle {
+  vehicleId: string;
+  vehicleNumber: string;
+  licensePlate: string;
+  type: VehicleType;
+  driverId: string;
+  driverName?: string;
+  driverPhone?: string;
+  location: { latitude: number; longitude: number };
+  lastSeen: string;
+  distanceMeters: number;
+  etaMinutes: number;
+  dispatched: boolean;
+}
+
+// From the API; alerts that only came in over the socket lack the populated
+// fields and the timeline until their first `sos:updated`
 export interface SOSAlert {
   _id: string;
-  senderId: User;
+  senderId?: User;
   senderRole: UserRole;
   senderName: string;
   vehicleId?: Vehicle;
+  source?: 'app' | 'sms'; // sms: texted without a data connection
   location: GPSLocation;
+  trail?: SOSTrailPoint[];
   message?: string;
   status: 'active' | 'acknowledged' | 'resolved';
   createdAt: string;
+  acknowledgedAt?: string | null;
+  assignedTo?: { _id: string; name: string; email: string } | null;
+  escalatedAt?: string | null;
   resolvedAt?: string;
+  resolutionCategory?: SOSResolutionCategory | null;
+  resolutionNote?: string;
+  dispatches?: SOSDispatch[];
+  deliveries?: SOSDelivery[];
+  timeline?: SOSTimelineEntry[];
+}
+
+// `sos:alert` socket payload
+export interface SOSAlertPayload {
+  alertId: string;
+  senderId: string;
+  senderName: string;
+  senderRole: UserRole;
+  vehicleId?: string;
+  vehiclePlate?: string;
+  location: GPSLocation;
+  message?: string;
+  timestamp: string;
+  escalated?: boolean;
+}
+
+export type NotificationType =
+  | 'verification'
+  | 'pending_verification'
+  | 'geofence'
+  | 'sos'
+  | 'stop_approaching'
+  | 'document_expiry'
+  | 'company_invite'
+  | 'system';
+
+// Inbox entry (the browser has its own `Notification`, hence the name)
+export interface AppNotification {
+  _id: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  data?: Record<string, any>;
+  readAt: string | null;
+  createdAt: string;
+}
+
+// Code a company shares with a driver to join its fleet
+export interface CompanyInvite {
+  _id: string;
+  code: string;
+  email?: string;
+  expiresAt: string;
+  usedBy?: { _id: string; name: string; email: string } | null;
+  usedAt?: string | null;
+  createdAt: string;
+}
+
+// Verification audit trail entry
+export interface VerificationLogEntry {
+  _id: string;
+  subjectType: 'driver' | 'vehicle' | 'company';
+  subjectId: string;
+  subjectName: string;
+  ownerId?: string;
+  action: 'approved' | 'rejected' | 'resubmitted';
+  reason?: string;
+  documents: { name: string; status: VerificationStatus; reason?: string; file?: string }[];
+  actorId: string;
+  actorName: string;
+  actorRole: UserRole;
+  createdAt: string;
+}
+
+// Licenses and OR/CRs expiring soon (GET /admin/expiring)
+export interface ExpiringDocuments {
+  days: number;
+  drivers: User[];
+  vehicles: Vehicle[];
+  missing: { drivers: number; vehicles: number }; // approved, but no date yet
+}
+
+export type GeofenceShape = 'circle' | 'polygon' | 'corridor';
+
+export interface LatLng {
+  latitude: number;
+  longitude: number;
+}
+
+export interface Geofence {
+  _id: string;
+  name: string;
+  type: string;
+  shape?: GeofenceShape; // missing on geofences created before shapes existed (circles)
+  center: LatLng;
+  radius?: number; // circle only, meters
+  polygon?: LatLng[]; // polygon only
+  path?: LatLng[]; // corridor only
+  width?: number; // corridor only, meters
+  color: string;
+  isActive: boolean;
 }
 
 export interface DashboardStats {